@@ -0,0 +1,68 @@
+/**
+ * Node File Adapter
+ * A byte source (see js/byte-source.js) over a file on disk, so the browser
+ * parser and samplers run unchanged under Node: `name`, `size`, and
+ * `slice(start, end)` with `arrayBuffer()` / `text()`, read on demand
+ * through a shared file handle.
+ */
+
+import { open } from 'node:fs/promises';
+import { basename } from 'node:path';
+
+export class FsFile {
+  /**
+   * @param {string} path
+   * @returns {Promise<FsFile>}
+   */
+  static async open(path) {
+    const handle = await open(path, 'r');
+    const { size } = await handle.stat();
+    return new FsFile(handle, basename(path), size);
+  }
+
+  constructor(handle, name, size) {
+    this.handle = handle;
+    this.name = name;
+    this.size = size;
+  }
+
+  slice(start = 0, end = this.size) {
+    return new FsSlice(this, Math.max(0, start), Math.min(this.size, end));
+  }
+
+  async read(start, end) {
+    const buf = new Uint8Array(Math.max(0, end - start));
+    let done = 0;
+    while (done < buf.length) {
+      const { bytesRead } = await this.handle.read(buf, done, buf.length - done, start + done);
+      if (bytesRead === 0) break;
+      done += bytesRead;
+    }
+    return buf.buffer;
+  }
+
+  close() {
+    return this.handle.close();
+  }
+}
+
+class FsSlice {
+  constructor(file, start, end) {
+    this.file = file;
+    this.start = start;
+    this.end = Math.max(start, end);
+    this.size = this.end - this.start;
+  }
+
+  slice(start = 0, end = this.size) {
+    return new FsSlice(this.file, this.start + start, this.start + Math.min(end, this.size));
+  }
+
+  arrayBuffer() {
+    return this.file.read(this.start, this.end);
+  }
+
+  async text() {
+    return new TextDecoder().decode(await this.arrayBuffer());
+  }
+}
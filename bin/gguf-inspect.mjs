@@ -0,0 +1,334 @@
+/**
+ * gguf-inspect
+ * Command-line inspector built on the same parser as the web page, for
+ * scripts and CI checks.
+ *
+ *   node bin/gguf-inspect.mjs [command] <model.gguf> [more shards...] [options]
+ *
+ * Exit codes: 0 success, 1 the file could not be read or parsed,
+ * 2 bad usage, 3 --strict and the structural checks found errors.
+ */
+
+import {
+  parseGGUFShards, extractArchInfo, computeTotalParams, classifyTensor,
+  sampleTensorWeights, computeTensorStats, isLazyArray, loadMetadataArray,
+  GGUFValueType, GGMLTypeName,
+} from '../js/gguf-parser.js';
+import { validateGGUF } from '../js/gguf-validator.js';
+import { FsFile } from './fs-file.mjs';
+
+const USAGE = `Usage: gguf-inspect [command] <model.gguf> [shards...] [options]
+
+Commands:
+  summary     Architecture, size and health overview (default)
+  metadata    Every metadata key with its type and value
+  tensors     Tensor table: type, shape, size, offset, layout category
+  stats       Per-tensor weight statistics from sampled values
+
+Options:
+  -f, --format <text|json|csv>   Output format (default text)
+      --json, --csv              Shorthands for --format
+      --filter <regex>           Only tensors whose name matches (tensors, stats)
+      --samples <n>              Values sampled per tensor for stats (default 4096)
+      --exact                    stats: read every value instead of sampling
+      --arrays                   metadata: print large arrays in full
+      --strict                   Exit with 3 if the file has structural errors
+  -h, --help                     Show this help`;
+
+const COMMANDS = ['summary', 'metadata', 'tensors', 'stats'];
+const FORMATS = ['text', 'json', 'csv'];
+
+class UsageError extends Error {}
+
+// ─── Arguments ──────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const opts = { command: 'summary', files: [], format: 'text', filter: null, samples: 4096, exact: false, arrays: false, strict: false };
+  const value = (i, flag) => {
+    if (i >= argv.length) throw new UsageError(`${flag} needs a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg === '-f' || arg === '--format') opts.format = value(++i, arg);
+    else if (arg === '--json') opts.format = 'json';
+    else if (arg === '--csv') opts.format = 'csv';
+    else if (arg === '--filter') opts.filter = value(++i, arg);
+    else if (arg === '--samples') opts.samples = Number(value(++i, arg));
+    else if (arg === '--exact') opts.exact = true;
+    else if (arg === '--arrays') opts.arrays = true;
+    else if (arg === '--strict') opts.strict = true;
+    else if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+    else if (opts.files.length === 0 && COMMANDS.includes(arg)) opts.command = arg;
+    else opts.files.push(arg);
+  }
+
+  if (opts.help) return opts;
+  if (!FORMATS.includes(opts.format)) throw new UsageError(`Unknown format "${opts.format}" (use text, json or csv)`);
+  if (!Number.isInteger(opts.samples) || opts.samples < 1) throw new UsageError('--samples must be a positive integer');
+  if (opts.filter !== null) {
+    try {
+      opts.filter = new RegExp(opts.filter);
+    } catch (e) {
+      throw new UsageError(`Bad --filter: ${e.message}`);
+    }
+  }
+  if (opts.files.length === 0) throw new UsageError('No GGUF file given');
+  return opts;
+}
+
+// ─── Commands ───────────────────────────────────────────────────────
+// Each returns { record: [[key, value], ...] } or { columns, rows }.
+
+function summary(header, files) {
+  const { metadata, tensors, version, littleEndian, alignment } = header;
+  const info = extractArchInfo(metadata);
+  const health = validateGGUF(header);
+  // Per-layer hyperparameters are listed in full when they vary
+  const perLayer = (key) => {
+    const values = info.layers.map(l => l[key]);
+    return values.some(v => v !== values[0]) ? values : info[key];
+  };
+  const record = [
+    ['file', files.map(f => f.name).join(', ')],
+    ['file_size', files.reduce((s, f) => s + f.size, 0)],
+    ['gguf_version', version],
+    ['byte_order', littleEndian ? 'little-endian' : 'big-endian'],
+    ['alignment', alignment],
+    ['architecture', info.architecture],
+    ['name', info.name],
+    ['quantization', metadata['general.file_type'] !== undefined ? info.fileTypeName : null],
+    ['parameters', computeTotalParams(tensors)],
+    ['tensor_count', tensors.length],
+    ['tensor_data_size', tensors.reduce((s, t) => s + t.dataSize, 0)],
+    ['layers', info.blockCount],
+    ['decoder_layers', info.decoderBlockCount || null],
+    ['context_length', info.encoder ? null : info.contextLength],
+    ['embedding_length', info.embeddingLength],
+    ['feed_forward_length', perLayer('feedForwardLength')],
+    ['head_count', perLayer('headCount')],
+    ['head_count_kv', perLayer('headCountKV')],
+    ['head_dim', info.headDim],
+    ['vocab_size', info.encoder ? null : info.vocabSize],
+  ];
+  if (info.valueLength && info.valueLength !== info.keyLength) {
+    record.push(['key_length', info.keyLength], ['value_length', info.valueLength]);
+  }
+  if (info.isMoE) {
+    record.push(['expert_count', info.expertCount], ['expert_used_count', info.expertUsedCount]);
+    if (info.expertSharedCount) record.push(['expert_shared_count', info.expertSharedCount]);
+    if (info.expertFeedForwardLength) record.push(['expert_feed_forward_length', info.expertFeedForwardLength]);
+    if (info.layers.some(l => !l.isMoE)) record.push(['dense_layers', info.layers.filter(l => !l.isMoE).length]);
+  }
+  if (info.slidingWindow) {
+    record.push(['sliding_window', info.slidingWindow], ['sliding_window_layers', info.layers.filter(l => l.slidingWindow).length]);
+  }
+  if (info.ropeScaling) record.push(['rope_scaling', info.ropeScaling]);
+  if (info.ssm) record.push(['ssm', info.ssm]);
+  if (info.wkvHeadSize) record.push(['wkv_head_size', info.wkvHeadSize]);
+  const recurrent = info.layers.flatMap((l, il) => l.recurrent ? [il] : []);
+  if (recurrent.length) {
+    record.push(['recurrent_layers', recurrent.length]);
+    // Hybrids: which ones
+    if (recurrent.length < info.blockCount) record.push(['recurrent_layer_ids', recurrent.join(',')]);
+  }
+  if (info.encoder) {
+    const { modality, projectorType, projectionDim, imageSize, patchSize } = info.encoder;
+    record.push(['encoder', modality], ['projector_type', projectorType], ['projection_dim', projectionDim]);
+    if (imageSize) record.push(['image_size', imageSize], ['patch_size', patchSize]);
+  }
+  if (header.splitCount > 1) {
+    record.push(['shards', `${header.shards.length} of ${header.splitCount}`]);
+  }
+  record.push(
+    ['health', health.ok ? 'ok' : 'errors'],
+    ['health_errors', health.counts.error],
+    ['health_warnings', health.counts.warning],
+  );
+  return { record, health };
+}
+
+const TYPE_LABELS = {
+  [GGUFValueType.UINT8]: 'u8', [GGUFValueType.INT8]: 'i8',
+  [GGUFValueType.UINT16]: 'u16', [GGUFValueType.INT16]: 'i16',
+  [GGUFValueType.UINT32]: 'u32', [GGUFValueType.INT32]: 'i32',
+  [GGUFValueType.UINT64]: 'u64', [GGUFValueType.INT64]: 'i64',
+  [GGUFValueType.FLOAT32]: 'f32', [GGUFValueType.FLOAT64]: 'f64',
+  [GGUFValueType.BOOL]: 'bool', [GGUFValueType.STRING]: 'str',
+};
+
+function typeLabel(desc) {
+  return typeof desc === 'object' ? `${typeLabel(desc.itemType)}[]` : (TYPE_LABELS[desc] || `?${desc}`);
+}
+
+async function metadataDump(header, files, opts) {
+  const rows = [];
+  for (const [key, value] of Object.entries(header.metadata)) {
+    const type = header.metadataTypes[key];
+    let shown = value;
+    if (isLazyArray(value)) {
+      shown = opts.arrays
+        ? Array.from(await loadMetadataArray(files[0], value))
+        : `[${value.length} x ${typeLabel(value.itemType)}]`;
+    }
+    rows.push([key, typeLabel(type), shown]);
+  }
+  return { columns: ['key', 'type', 'value'], rows };
+}
+
+function tensorTable(header, opts) {
+  const rows = header.tensors
+    .filter(t => !opts.filter || opts.filter.test(t.name))
+    .map(t => {
+      const cls = classifyTensor(t.name, header.metadata['general.architecture']);
+      return [
+        t.name, GGMLTypeName[t.type] || `?${t.type}`, t.dims.join('x'), t.numElements, t.dataSize,
+        t.offset, cls.category, cls.role, cls.layerIdx, cls.expertIdx, cls.tower,
+      ];
+    });
+  return { columns: ['name', 'type', 'shape', 'elements', 'bytes', 'offset', 'category', 'role', 'layer', 'expert', 'tower'], rows };
+}
+
+// [count, min, max, mean, std, sparsity, nan, inf] for one tensor, or null
+// when its type can't be decoded
+async function tensorStatsCells(header, t, opts) {
+  if (opts.exact) {
+    const s = await computeTensorStats(null, header.tensorDataOffset, t);
+    return s && [s.count, s.min, s.max, s.mean, s.std, s.sparsity, s.nan, s.inf];
+  }
+
+  const values = await sampleTensorWeights(null, header.tensorDataOffset, t, opts.samples);
+  let n = 0, sum = 0, sumSq = 0, zeros = 0, nan = 0, inf = 0, min = Infinity, max = -Infinity;
+  for (const v of values) {
+    if (Number.isNaN(v)) { nan++; continue; }
+    if (!Number.isFinite(v)) { inf++; continue; }
+    if (v === 0) zeros++;
+    if (v < min) min = v;
+    if (v > max) max = v;
+    sum += v;
+    sumSq += v * v;
+    n++;
+  }
+  const mean = n ? sum / n : null;
+  const std = n ? Math.sqrt(Math.max(0, sumSq / n - mean * mean)) : null;
+  return [values.length, n ? min : null, n ? max : null, mean, std,
+    values.length ? zeros / values.length : null, nan, inf];
+}
+
+async function weightStats(header, opts) {
+  const rows = [];
+  for (const t of header.tensors) {
+    if (opts.filter && !opts.filter.test(t.name)) continue;
+    const type = GGMLTypeName[t.type] || `?${t.type}`;
+
+    // A tensor that can't be read gets an empty row like an undecodable one,
+    // and the rest are still reported
+    let cells = null;
+    const end = (t.dataOffset ?? header.tensorDataOffset) + t.offset + t.dataSize;
+    try {
+      if (t.file && end > t.file.size) throw new Error(`data runs past the end of ${t.file.name}`);
+      cells = await tensorStatsCells(header, t, opts);
+    } catch (err) {
+      process.stderr.write(`gguf-inspect: ${t.name}: ${err.message}\n`);
+    }
+    rows.push([t.name, type, ...(cells || [0, null, null, null, null, null, null, null])]);
+  }
+  // Exact stats cover every element, so the column counts elements instead of samples
+  return { columns: ['name', 'type', opts.exact ? 'count' : 'samples', 'min', 'max', 'mean', 'std', 'sparsity', 'nan', 'inf'], rows };
+}
+
+// ─── Output ─────────────────────────────────────────────────────────
+
+function jsonValue(v) {
+  return JSON.stringify(v, (k, x) => (typeof x === 'bigint' ? x.toString() : x));
+}
+
+function textValue(v) {
+  if (v === null || v === undefined) return '-';
+  if (typeof v === 'number' && !Number.isInteger(v)) return Number(v.toPrecision(6)).toString();
+  if (typeof v === 'string') return v;
+  if (typeof v === 'object') return jsonValue(v);
+  return String(v);
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : typeof v === 'object' ? jsonValue(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function render(result, format) {
+  if (result.record) {
+    if (format === 'json') {
+      return jsonValue(Object.fromEntries(result.record)) + '\n';
+    }
+    if (format === 'csv') {
+      return ['key,value', ...result.record.map(([k, v]) => `${csvCell(k)},${csvCell(v)}`)].join('\n') + '\n';
+    }
+    const width = Math.max(...result.record.map(([k]) => k.length));
+    return result.record.map(([k, v]) => `${k.padEnd(width)}  ${textValue(v)}`).join('\n') + '\n';
+  }
+
+  const { columns, rows } = result;
+  if (format === 'json') {
+    return jsonValue(rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i]])))) + '\n';
+  }
+  if (format === 'csv') {
+    return [columns.join(','), ...rows.map(r => r.map(csvCell).join(','))].join('\n') + '\n';
+  }
+  // Text table; multi-line values (chat templates) are shown escaped
+  const cells = rows.map(r => r.map(v => textValue(v).replace(/\r?\n/g, '\\n')));
+  const widths = columns.map((c, i) => Math.max(c.length, ...cells.map(r => r[i].length)));
+  const line = (r) => r.map((v, i) => (i === r.length - 1 ? v : v.padEnd(widths[i]))).join('  ');
+  return [line(columns), ...cells.map(line)].join('\n') + '\n';
+}
+
+// ─── Main ───────────────────────────────────────────────────────────
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`gguf-inspect: ${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  const files = [];
+  try {
+    for (const path of opts.files) files.push(await FsFile.open(path));
+    const header = await parseGGUFShards(files);
+
+    let result;
+    if (opts.command === 'summary') result = summary(header, files);
+    else if (opts.command === 'metadata') result = await metadataDump(header, files, opts);
+    else if (opts.command === 'tensors') result = tensorTable(header, opts);
+    else result = await weightStats(header, opts);
+
+    process.stdout.write(render(result, opts.format));
+
+    if (opts.strict) {
+      const health = result.health || validateGGUF(header);
+      if (!health.ok) {
+        for (const issue of health.issues.filter(i => i.severity === 'error')) {
+          process.stderr.write(`error: ${issue.code}${issue.tensor ? ` ${issue.tensor}` : ''}: ${issue.message}\n`);
+        }
+        return 3;
+      }
+    }
+    return 0;
+  } catch (err) {
+    process.stderr.write(`gguf-inspect: ${err.message}\n`);
+    return 1;
+  } finally {
+    await Promise.all(files.map(f => f.close()));
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
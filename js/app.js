@@ -3,13 +3,26 @@
  * Wires file upload, GGUF parsing, point cloud generation, and rendering.
  */
 
-import { parseGGUFHeader, extractArchInfo, computeTotalParams, GGMLTypeName } from './gguf-parser.js';
-import { generatePointCloud, generateConnections, computeLayerBounds } from './point-cloud.js';
+import { parseGGUFShards, extractArchInfo, computeTotalParams, GGMLTypeName } from './gguf-parser.js';
+import { generatePointCloud, generateConnections, computeLayerBounds, placeBeside, locateElement } from './point-cloud.js';
 import { ModelRenderer } from './renderer.js';
+import { validateGGUF } from './gguf-validator.js';
+import { MetadataEditor } from './metadata-editor.js';
+import { VocabExplorer } from './vocab-explorer.js';
+import { ChatTemplateViewer } from './chat-template-viewer.js';
+import { ExpertSimilarityPanel } from './expert-similarity-panel.js';
+import { OutlierPanel } from './outlier-panel.js';
+import { planMemory } from './memory-planner.js';
+import { analyzeQuantMix, typeName } from './quant-mix.js';
+import { TensorStatsScanner } from './tensor-stats.js';
+import { parseSafetensorsFiles, isSafetensorsFile } from './safetensors-parser.js';
+import { HttpRangeSource, isLocalSource } from './byte-source.js';
 
 // ─── DOM Elements ───────────────────────────────────────────────────
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
+const urlInput = document.getElementById('url-input');
+const urlOpen = document.getElementById('url-open');
 const progressContainer = document.getElementById('progress-container');
 const progressBarInner = document.getElementById('progress-bar-inner');
 const progressText = document.getElementById('progress-text');
@@ -24,6 +37,10 @@ const pointCountDisplay = document.getElementById('point-count-display');
 const sizeSlider = document.getElementById('size-slider');
 const sizeDisplay = document.getElementById('size-display');
 const colorMode = document.getElementById('color-mode');
+const geometryMode = document.getElementById('geometry-mode');
+const samplingMode = document.getElementById('sampling-mode');
+const patchAggregateRow = document.getElementById('patch-aggregate-row');
+const patchAggregate = document.getElementById('patch-aggregate');
 const welcomeOverlay = document.getElementById('welcome-overlay');
 const loadingOverlay = document.getElementById('loading-overlay');
 const loadingText = document.getElementById('loading-text');
@@ -42,13 +59,106 @@ const legend = document.getElementById('legend');
 const legendWeight = document.getElementById('legend-weight');
 const legendTensor = document.getElementById('legend-tensor');
 const legendLayer = document.getElementById('legend-layer');
+const legendRedundancy = document.getElementById('legend-redundancy');
+const healthSummary = document.getElementById('health-summary');
+const healthList = document.getElementById('health-list');
+const healthExport = document.getElementById('health-export');
+const shardPrompt = document.getElementById('shard-prompt');
+const shardStatus = document.getElementById('shard-status');
+const shardMissing = document.getElementById('shard-missing');
+const shardSelect = document.getElementById('shard-select');
+const shardSkip = document.getElementById('shard-skip');
+const scanAll = document.getElementById('scan-all');
+const scanCancel = document.getElementById('scan-cancel');
+const scanProgress = document.getElementById('scan-progress');
+const scanBarInner = document.getElementById('scan-bar-inner');
+const scanText = document.getElementById('scan-text');
+const quantSummary = document.getElementById('quant-summary');
+const quantTypes = document.getElementById('quant-types');
+const quantTabs = document.getElementById('quant-tabs');
+const quantBars = document.getElementById('quant-bars');
+const planCtx = document.getElementById('plan-ctx');
+const planCache = document.getElementById('plan-cache');
+const planVram = document.getElementById('plan-vram');
+const planFa = document.getElementById('plan-fa');
+const planHighlight = document.getElementById('plan-highlight');
+const planSummary = document.getElementById('plan-summary');
+const planLayers = document.getElementById('plan-layers');
+
+const metadataEditor = new MetadataEditor({
+  list: document.getElementById('kv-list'),
+  count: document.getElementById('kv-count'),
+  filter: document.getElementById('kv-filter'),
+  addButton: document.getElementById('kv-add'),
+  exportButton: document.getElementById('kv-export'),
+});
+const kvExport = document.getElementById('kv-export');
+
+const vocabExplorer = new VocabExplorer({
+  section: document.getElementById('vocab-section'),
+  count: document.getElementById('vocab-count'),
+  info: document.getElementById('vocab-info'),
+  tabs: document.getElementById('vocab-tabs'),
+  filter: document.getElementById('vocab-filter'),
+  kind: document.getElementById('vocab-kind'),
+  list: document.getElementById('vocab-list'),
+});
+
+const chatTemplateViewer = new ChatTemplateViewer({
+  count: document.getElementById('template-count'),
+  summary: document.getElementById('template-summary'),
+  openButton: document.getElementById('template-open'),
+  viewer: document.getElementById('template-viewer'),
+  variant: document.getElementById('template-variant'),
+  meta: document.getElementById('template-meta'),
+  closeButton: document.getElementById('template-close'),
+  source: document.getElementById('template-source'),
+  sample: document.getElementById('template-sample'),
+  resetButton: document.getElementById('template-reset'),
+  status: document.getElementById('template-status'),
+  error: document.getElementById('template-error'),
+  output: document.getElementById('template-output'),
+});
+
+const expertPanel = new ExpertSimilarityPanel({
+  section: document.getElementById('expert-section'),
+  count: document.getElementById('expert-count'),
+  analyzeButton: document.getElementById('expert-analyze'),
+  status: document.getElementById('expert-status'),
+  controls: document.getElementById('expert-controls'),
+  layer: document.getElementById('expert-layer'),
+  tabs: document.getElementById('expert-tabs'),
+  summary: document.getElementById('expert-summary'),
+  heatmap: document.getElementById('expert-heatmap'),
+  hover: document.getElementById('expert-hover'),
+}, () => {
+  if (colorMode.value === 'redundancy') regeneratePointCloud();
+});
+
+const outlierPanel = new OutlierPanel({
+  count: document.getElementById('outlier-count'),
+  method: document.getElementById('outlier-method'),
+  value: document.getElementById('outlier-value'),
+  scanButton: document.getElementById('outlier-scan'),
+  cancelButton: document.getElementById('outlier-cancel'),
+  status: document.getElementById('outlier-status'),
+  highlight: document.getElementById('outlier-highlight'),
+  list: document.getElementById('outlier-list'),
+}, {
+  onChange: () => updateOutlierOverlay(),
+  onSelect: (entry) => flyToOutlier(entry),
+});
 
 // ─── State ──────────────────────────────────────────────────────────
 let renderer = null;
-let currentFile = null;
-let parsedData = null; // { metadata, tensors, tensorDataOffset, archInfo }
+let currentFile = null; // first shard for split models (a File or an HttpRangeSource)
+let parsedData = null; // { format, metadata, tensors, tensorDataOffset, alignment, version, littleEndian, shards, archInfo, totalParams, health }
 let isGenerating = false;
 let lastPointCloudData = null; // { positions, tensorRegions } for connections
+let pendingShards = null; // { files, header } while a split model is incomplete
+const statsScanner = new TensorStatsScanner(); // full-tensor stats cache for the loaded model
+let quantMix = null; // analyzeQuantMix() result and type colours for the loaded model
+let projector = null; // header of a multimodal projector (mmproj) shown beside the loaded model
 
 // ─── Initialize Renderer ───────────────────────────────────────────
 function initRenderer() {
@@ -74,11 +184,12 @@ dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
   const files = e.dataTransfer.files;
-  if (files.length > 0) handleFile(files[0]);
+  if (files.length > 0) handleFiles(files);
 });
 
 fileInput.addEventListener('change', (e) => {
-  if (e.target.files.length > 0) handleFile(e.target.files[0]);
+  if (e.target.files.length > 0) handleFiles(e.target.files);
+  fileInput.value = '';
 });
 
 // Also support drag-drop on the entire canvas area
@@ -91,12 +202,61 @@ canvasContainer.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
   const files = e.dataTransfer.files;
-  if (files.length > 0) handleFile(files[0]);
+  if (files.length > 0) handleFiles(files);
+});
+
+// ─── Remote files ───────────────────────────────────────────────────
+
+urlOpen.addEventListener('click', () => {
+  const url = urlInput.value.trim();
+  if (url) openURL(url);
+});
+
+urlInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') urlOpen.click();
 });
 
+/**
+ * Open a model over HTTP Range requests. For a split GGUF, the sibling
+ * shard URLs are derived from the file name and opened too.
+ */
+async function openURL(url) {
+  showProgress(true);
+  setProgress(0, 'Connecting...');
+  welcomeOverlay.classList.add('hidden');
+
+  let sources;
+  try {
+    const first = await HttpRangeSource.open(url);
+    sources = [first];
+    const match = first.name.match(SPLIT_NAME_RE);
+    if (match) {
+      const count = parseInt(match[3], 10);
+      const urls = [];
+      for (let n = 1; n <= count; n++) {
+        const name = `${match[1]}-${String(n).padStart(5, '0')}-of-${match[3]}.gguf`;
+        if (name === first.name) continue;
+        const shardURL = new URL(first.url, location.href);
+        shardURL.pathname = shardURL.pathname.replace(/[^/]*$/, encodeURIComponent(name));
+        urls.push(shardURL.href);
+      }
+      // Shards that can't be opened show up in the missing-shard prompt
+      const rest = await Promise.allSettled(urls.map(u => HttpRangeSource.open(u)));
+      sources.push(...rest.filter(r => r.status === 'fulfilled').map(r => r.value));
+    }
+  } catch (err) {
+    console.error('[GGUF] Error opening URL:', err);
+    alert(err.message);
+    showProgress(false);
+    return;
+  }
+
+  await handleFiles(sources);
+}
+
 // ─── Worker-based header parsing ────────────────────────────────────
 
-function parseHeaderInWorker(file, onProgress) {
+function parseHeaderInWorker(files, onProgress) {
   return new Promise((resolve, reject) => {
     let worker;
     try {
@@ -114,7 +274,7 @@ function parseHeaderInWorker(file, onProgress) {
     worker.onmessage = (e) => {
       const msg = e.data;
       if (msg.type === 'progress') {
-        if (onProgress) onProgress(msg.phase, msg.current, msg.total);
+        if (onProgress) onProgress(msg.phase, msg.current, msg.total, msg.shardIdx, msg.shardCount);
       } else if (msg.type === 'result') {
         clearTimeout(timeout);
         worker.terminate();
@@ -132,19 +292,48 @@ function parseHeaderInWorker(file, onProgress) {
       reject(new Error(e.message || 'Worker error'));
     };
 
-    worker.postMessage({ file });
+    worker.postMessage({ files });
   });
 }
 
 // ─── Main Pipeline ──────────────────────────────────────────────────
 
-async function handleFile(file) {
-  if (!file.name.toLowerCase().endsWith('.gguf')) {
-    alert('Please select a .gguf file');
+// gguf-split naming: <prefix>-00001-of-00005.gguf
+const SPLIT_NAME_RE = /^(.*)-(\d{5})-of-(\d{5})\.gguf$/i;
+
+const isGGUFFile = (name) => /\.gguf$/i.test(name);
+
+async function handleFiles(fileList) {
+  let files = [...fileList].filter(f => isGGUFFile(f.name) || isSafetensorsFile(f.name));
+  if (!files.some(f => isGGUFFile(f.name) || /\.safetensors(\.index\.json)?$/i.test(f.name))) {
+    alert('Please select a .gguf or .safetensors file');
     return;
   }
+  if (files.some(f => isGGUFFile(f.name))) {
+    if (files.some(f => /\.safetensors$/i.test(f.name))) {
+      alert('Drop either GGUF or safetensors files, not both');
+      return;
+    }
+    files = files.filter(f => isGGUFFile(f.name));
+  }
+  // An mmproj dropped together with its language model is shown beside it
+  const mmproj = files.length > 1 && files.find(f => /mmproj/i.test(f.name) && isGGUFFile(f.name));
+  if (mmproj) files = files.filter(f => f !== mmproj);
+  const safetensors = !isGGUFFile(files[0].name);
+
+  // Shards dropped earlier are kept if the new files belong to the same split
+  if (pendingShards) {
+    const prefix = pendingShards.files[0].name.match(SPLIT_NAME_RE)?.[1];
+    const sameSet = pendingShards.header.format === 'safetensors'
+      ? safetensors
+      : files.every(f => f.name.match(SPLIT_NAME_RE)?.[1] === prefix);
+    if (sameSet) {
+      const byName = new Map([...pendingShards.files, ...files].map(f => [f.name, f]));
+      files = [...byName.values()];
+    }
+    hideShardPrompt();
+  }
 
-  currentFile = file;
   initRenderer();
 
   // Show progress
@@ -153,52 +342,185 @@ async function handleFile(file) {
   welcomeOverlay.classList.add('hidden');
 
   try {
-    // Phase 1: Parse header (prefer worker, fallback to main thread)
-    console.log(`[GGUF] Loading file: ${file.name} (${(file.size / 1e9).toFixed(2)} GB)`);
-
-    const progressCb = (phase, current, total) => {
-      if (phase === 'metadata') {
-        setProgress(10 + (current / total) * 20, `Parsing metadata ${current}/${total}...`);
-      } else if (phase === 'tensors') {
-        setProgress(30 + (current / total) * 20, `Reading tensor info ${current}/${total}...`);
-      }
-    };
+    const header = await readHeader(files, safetensors);
+
+    if (header.missingShards.length > 0) {
+      // Ask for the rest of the split before building anything
+      pendingShards = { files, header };
+      showProgress(false);
+      showShardPrompt(header);
+      return;
+    }
+
+    // A projector dropped on its own joins the language model already loaded
+    if (header.archInfo.encoder && parsedData && !parsedData.archInfo.encoder) {
+      await attachProjector(header);
+    } else {
+      // Read the projector first so the point cloud is built once, with it
+      await loadModel(header, mmproj ? await readHeader([mmproj], false) : null);
+    }
 
-    let metadata, tensors, tensorDataOffset, version, archInfo, totalParams;
+  } catch (err) {
+    console.error('[GGUF] Error processing file:', err);
+    alert(`Error processing file: ${err.message}`);
+    showProgress(false);
+    showLoading(false);
+  }
+}
 
+/**
+ * Parse the header(s) of `files` (prefer worker, fallback to main thread).
+ */
+async function readHeader(files, safetensors) {
+  const totalSize = files.reduce((s, f) => s + f.size, 0);
+  console.log(`[GGUF] Loading ${files.map(f => f.name).join(', ')} (${(totalSize / 1e9).toFixed(2)} GB)`);
+
+  const progressCb = (phase, current, total, shardIdx = 0, shardCount = 1) => {
+    const shard = shardCount > 1 ? ` (shard ${shardIdx + 1}/${shardCount})` : '';
+    const base = (shardIdx / shardCount) * 40;
+    const span = 40 / shardCount;
+    if (phase === 'metadata') {
+      setProgress(10 + base + (current / total) * span * 0.5, `Parsing metadata ${current}/${total}${shard}...`);
+    } else if (phase === 'tensors') {
+      setProgress(10 + base + span * 0.5 + (current / total) * span * 0.5, `Reading tensor info ${current}/${total}${shard}...`);
+    }
+  };
+
+  let header;
+
+  const parseOnMainThread = async () => {
+    header = await (safetensors ? parseSafetensorsFiles : parseGGUFShards)(files, progressCb);
+    header.format = header.format || 'gguf';
+    header.archInfo = extractArchInfo(header.metadata);
+    header.totalParams = computeTotalParams(header.tensors);
+    header.health = validateGGUF(header);
+  };
+
+  if (!files.every(isLocalSource)) {
+    // Remote sources can't be posted to a worker; their reads are network-bound anyway
+    await parseOnMainThread();
+  } else {
     try {
       // Try worker (keeps UI responsive during heavy parsing)
-      const result = await parseHeaderInWorker(file, progressCb);
-      ({ metadata, tensors, tensorDataOffset, version, archInfo, totalParams } = result);
+      header = await parseHeaderInWorker(files, progressCb);
       console.log('[GGUF] Parsed in background worker');
     } catch (workerErr) {
       // Fallback to main thread
       console.warn('[GGUF] Worker unavailable, parsing on main thread:', workerErr.message);
-      const result = await parseGGUFHeader(file, progressCb);
-      ({ metadata, tensors, tensorDataOffset, version } = result);
-      archInfo = extractArchInfo(metadata);
-      totalParams = computeTotalParams(tensors);
+      await parseOnMainThread();
     }
+  }
+
+  return header;
+}
 
-    console.log(`[GGUF] Parsed: v${version}, ${tensors.length} tensors, data offset=${tensorDataOffset}`);
+/**
+ * Show a newly read model, with the header of a multimodal projector
+ * dropped together with it (or null).
+ */
+async function loadModel(header, projectorHeader = null) {
+  const { format, metadata, tensors, tensorDataOffset, version, alignment, littleEndian, shards, archInfo, totalParams, health } = header;
+
+  console.log(`[GGUF] Parsed: ${format === 'gguf' ? `v${version}` : format}, ${tensors.length} tensors in ${shards.length} file(s), data offset=${tensorDataOffset}`);
+  console.log(`[GGUF] Health: ${health.counts.error} errors, ${health.counts.warning} warnings, ${health.counts.info} notes`);
+
+  statsScanner.reset();
+  currentFile = shards[0].file;
+  projector = projectorHeader;
+  if (projector) logProjector(projector);
+  parsedData = { format, metadata, tensors, tensorDataOffset, alignment, version, littleEndian, shards, archInfo, totalParams, health };
+
+  setProgress(50, 'Populating metadata...');
+
+  // Update UI with metadata
+  updateMetadataPanel(archInfo, totalParams, tensors, version, littleEndian, shards.map(s => s.file));
+  updateHealthPanel(health);
+  updateQuantPanel(header);
+
+  // Metadata lives in the first shard, so that's the file the editor exports.
+  // Safetensors metadata is derived from config.json and can only be viewed,
+  // and remote files would have to be downloaded in full to export.
+  if (format === 'safetensors') {
+    metadataEditor.load(header, null, { readOnly: true });
+  } else {
+    metadataEditor.load(shards[0], shards[0].file, { readOnly: !isLocalSource(shards[0].file) });
+  }
+
+  // The vocab arrays are read in the background while the point cloud builds
+  vocabExplorer.load(header, shards[0].file);
+  chatTemplateViewer.load(header, shards[0].file);
+  expertPanel.load(header, shards[0].file);
+  outlierPanel.load(header, shards[0].file);
+
+  // Expert redundancy colours only apply to MoE models
+  const redundancyOption = colorMode.querySelector('option[value="redundancy"]');
+  redundancyOption.disabled = !(archInfo.isMoE && archInfo.expertCount > 1);
+  if (redundancyOption.disabled && colorMode.value === 'redundancy') {
+    colorMode.value = 'layer';
+    showLegend();
+  }
+  if (colorMode.value === 'redundancy') expertPanel.analyze();
+
+  // Plan for the model's context, capped at a size people commonly run
+  planCtx.value = Math.min(archInfo.contextLength || 4096, 4096);
+  updateMemoryPlan();
+
+  // Phase 2: Generate point cloud
+  await regeneratePointCloud();
+}
+
+/**
+ * Show a multimodal projector (mmproj) beside the loaded language model.
+ * The language model stays the one the panels describe.
+ */
+async function attachProjector(header) {
+  logProjector(header);
+  projector = header;
+  updateMetadataPanel(parsedData.archInfo, parsedData.totalParams, parsedData.tensors,
+    parsedData.version, parsedData.littleEndian, parsedData.shards.map(s => s.file));
+  await regeneratePointCloud();
+}
 
-    parsedData = { metadata, tensors, tensorDataOffset, archInfo, totalParams };
+function logProjector(header) {
+  console.log(`[GGUF] Projector: ${header.tensors.length} tensors, ${header.archInfo.encoder.modality} encoder`);
+}
 
-    setProgress(50, 'Populating metadata...');
+// ─── Split model prompt ─────────────────────────────────────────────
+
+function showShardPrompt(header) {
+  const { shards, splitCount, missingShards } = header;
+  const match = shards[0].file.name.match(SPLIT_NAME_RE);
+  shardStatus.textContent = `Loaded ${shards.length} of ${splitCount} shards. Drop or select the rest:`;
+  shardMissing.innerHTML = missingShards.map(n => {
+    // Safetensors indexes name their shards; GGUF splits are numbered
+    const name = typeof n === 'string' ? n
+      : match ? `${match[1]}-${String(n).padStart(5, '0')}-of-${match[3]}.gguf` : `shard ${n}`;
+    return `<div>${escapeHtml(name)}</div>`;
+  }).join('');
+  shardPrompt.classList.add('active');
+}
 
-    // Update UI with metadata
-    updateMetadataPanel(archInfo, totalParams, tensors, version, file);
+function hideShardPrompt() {
+  pendingShards = null;
+  shardPrompt.classList.remove('active');
+}
 
-    // Phase 2: Generate point cloud
-    await regeneratePointCloud();
+shardSelect.addEventListener('click', () => fileInput.click());
 
+shardSkip.addEventListener('click', async () => {
+  if (!pendingShards) return;
+  const { header } = pendingShards;
+  hideShardPrompt();
+  showProgress(true);
+  try {
+    await loadModel(header);
   } catch (err) {
     console.error('[GGUF] Error processing file:', err);
     alert(`Error processing file: ${err.message}`);
     showProgress(false);
     showLoading(false);
   }
-}
+});
 
 async function regeneratePointCloud() {
   if (!parsedData || !currentFile || isGenerating) return;
@@ -210,25 +532,40 @@ async function regeneratePointCloud() {
   showLoading(true);
   loadingText.textContent = 'Generating point cloud...';
 
+  // Points are shared by parameter count, with enough left for a small projector to show
+  const projectorPoints = projector
+    ? Math.round(targetPoints * Math.max(0.1, projector.totalParams / (projector.totalParams + parsedData.totalParams)))
+    : 0;
+  const sample = (file, header, points) => generatePointCloud(
+    file,
+    header.archInfo,
+    header.tensors,
+    header.tensorDataOffset,
+    points,
+    currentColorMode,
+    (phase, current, total, name) => {
+      const pct = Math.floor((current / total) * 100);
+      loadingText.textContent = `Sampling tensors... ${pct}% ${name ? `(${name})` : ''}`;
+    },
+    statsScanner.stats,
+    expertPanel.redundancyByLayer(),
+    { mode: samplingMode.value, aggregate: patchAggregate.value },
+    geometryMode.value
+  );
+
   try {
-    const { positions, colors, tensorRegions, actualPointCount } = await generatePointCloud(
-      currentFile,
-      parsedData.archInfo,
-      parsedData.tensors,
-      parsedData.tensorDataOffset,
-      targetPoints,
-      currentColorMode,
-      (phase, current, total, name) => {
-        const pct = Math.floor((current / total) * 100);
-        loadingText.textContent = `Sampling tensors... ${pct}% ${name ? `(${name})` : ''}`;
-      }
-    );
+    let cloud = await sample(currentFile, parsedData, targetPoints - projectorPoints);
+    if (projector) {
+      const side = await sample(projector.shards[0].file, projector, projectorPoints);
+      cloud = placeBeside(cloud, side, projector.archInfo.encoder.modality);
+    }
+    const { positions, colors, sizes, tensorRegions, actualPointCount } = cloud;
 
     // Trim buffers to actual point count
     const pos = positions.subarray(0, actualPointCount * 3);
     const col = colors.subarray(0, actualPointCount * 3);
 
-    renderer.setPointCloud(pos, col, tensorRegions);
+    renderer.setPointCloud(pos, col, tensorRegions, sizes && sizes.subarray(0, actualPointCount));
 
     // Store for connection regeneration
     lastPointCloudData = { positions: pos, tensorRegions };
@@ -241,6 +578,9 @@ async function regeneratePointCloud() {
     // Generate layer bounding boxes
     rebuildLayerBoxes();
 
+    // Outliers found so far, placed on the new regions
+    updateOutlierOverlay();
+
     // Update quick stats with actual count
     updateQuickStats(parsedData.archInfo, parsedData.totalParams, actualPointCount);
 
@@ -287,40 +627,120 @@ function formatBytes(bytes) {
   return bytes + ' B';
 }
 
-function updateMetadataPanel(archInfo, totalParams, tensors, version, file) {
+// Layer indices as runs: "0–3, 5, 7–11"
+function formatLayerRuns(indices) {
+  const runs = [];
+  for (const il of indices) {
+    const last = runs[runs.length - 1];
+    if (last && il === last[1] + 1) last[1] = il;
+    else runs.push([il, il]);
+  }
+  return runs.map(([a, b]) => a === b ? `${a}` : `${a}–${b}`).join(', ');
+}
+
+function updateMetadataPanel(archInfo, totalParams, tensors, version, littleEndian, files) {
   metadataPanel.classList.add('active');
   legend.classList.add('active');
 
   // Model name in top bar
-  modelNameEl.textContent = archInfo.name || file.name;
+  modelNameEl.textContent = archInfo.name || files[0].name;
+
+  // Per-layer hyperparameters are shown as a range when they vary
+  const layerRange = (key, value) => {
+    const values = archInfo.layers.map(l => l[key]).filter(v => v > 0);
+    const min = Math.min(...values), max = Math.max(...values);
+    return values.length && min !== max ? `${formatNumber(min)}–${formatNumber(max)}` : formatNumber(value) || '?';
+  };
+  const recurrentLayers = archInfo.layers.filter(l => l.recurrent).length;
+  const slidingLayers = archInfo.layers.filter(l => l.slidingWindow).length;
+  const { encoder } = archInfo;
 
   // Architecture metadata
   const fields = [
     ['Architecture', archInfo.architecture.toUpperCase()],
     ['Quantization', archInfo.fileTypeName],
     ['Parameters', formatNumber(totalParams)],
-    ['File Size', formatBytes(file.size)],
-    ['Layers', archInfo.blockCount || '?'],
-    ['Context', formatNumber(archInfo.contextLength) || '?'],
+    ['File Size', formatBytes(files.reduce((s, f) => s + f.size, 0))],
+    ['Layers', archInfo.decoderBlockCount
+      ? `${archInfo.blockCount} encoder + ${archInfo.decoderBlockCount} decoder`
+      : archInfo.blockCount || '?'],
+    // Encoders take a fixed-size input rather than a context of tokens
+    encoder ? ['Encoder', encoder.modality] : ['Context', formatNumber(archInfo.contextLength) || '?'],
     ['Embedding', formatNumber(archInfo.embeddingLength) || '?'],
-    ['FFN Size', formatNumber(archInfo.feedForwardLength) || '?'],
-    ['Attn Heads', archInfo.headCount || '?'],
-    ['KV Heads', archInfo.headCountKV || '?'],
-    ['Head Dim', archInfo.headDim || '?'],
-    ['Vocab Size', formatNumber(archInfo.vocabSize) || '?'],
-  ];
+    ['FFN Size', layerRange('feedForwardLength', archInfo.feedForwardLength)],
+    ['Attn Heads', layerRange('headCount', archInfo.headCount)],
+    ['KV Heads', layerRange('headCountKV', archInfo.headCountKV)],
+    archInfo.valueLength && archInfo.valueLength !== archInfo.keyLength
+      ? ['Head Dim (K/V)', `${archInfo.keyLength} / ${archInfo.valueLength}`]
+      : ['Head Dim', archInfo.headDim || '?'],
+    encoder ? null : ['Vocab Size', formatNumber(archInfo.vocabSize) || '?'],
+  ].filter(Boolean);
+
+  if (encoder) {
+    if (encoder.imageSize) fields.push(['Image Size', `${encoder.imageSize} px, ${encoder.patchSize || '?'} px patches`]);
+    if (encoder.spatialMergeSize) fields.push(['Patch Merge', `${encoder.spatialMergeSize}×${encoder.spatialMergeSize}`]);
+    fields.push(['Projector', `${encoder.projectorType}${encoder.projectionDim ? ` → ${formatNumber(encoder.projectionDim)}` : ''}`]);
+  }
 
   if (archInfo.isMoE) {
     fields.push(['Experts', archInfo.expertCount]);
     fields.push(['Active Experts', archInfo.expertUsedCount]);
+    if (archInfo.expertSharedCount) fields.push(['Shared Experts', archInfo.expertSharedCount]);
+    if (archInfo.expertFeedForwardLength) fields.push(['Expert FFN', formatNumber(archInfo.expertFeedForwardLength)]);
+    const denseLayers = archInfo.layers.filter(l => !l.isMoE).length;
+    if (denseLayers) fields.push(['Dense Layers', `${denseLayers} of ${archInfo.blockCount}`]);
+  }
+
+  if (archInfo.slidingWindow) {
+    fields.push(['Sliding Window', `${formatNumber(archInfo.slidingWindow)} (${slidingLayers} of ${archInfo.blockCount} layers)`]);
   }
 
   if (archInfo.ropeFreqBase) {
     fields.push(['RoPE Base', formatNumber(archInfo.ropeFreqBase)]);
   }
+  if (archInfo.ropeScaling) {
+    const { type, factor, originalContextLength } = archInfo.ropeScaling;
+    fields.push(['RoPE Scaling', `${type}${factor ? ` ×${factor}` : ''}` +
+      (originalContextLength ? ` from ${formatNumber(originalContextLength)}` : '')]);
+  }
+
+  if (archInfo.ssm) {
+    fields.push(['SSM State', archInfo.ssm.stateSize]);
+    if (archInfo.ssm.innerSize) fields.push(['SSM Inner', formatNumber(archInfo.ssm.innerSize)]);
+  }
+  if (archInfo.wkvHeadSize) {
+    fields.push(['WKV Head Size', archInfo.wkvHeadSize]);
+  }
+  // Hybrids: which layers are recurrent, the rest use attention
+  if (recurrentLayers && recurrentLayers < archInfo.blockCount) {
+    fields.push(['Recurrent Layers', formatLayerRuns(archInfo.layers.flatMap((l, il) => l.recurrent ? [il] : []))]);
+  }
+
+  if (archInfo.layerNormRMSEpsilon || archInfo.layerNormEpsilon) {
+    fields.push(['Norm Epsilon', (archInfo.layerNormRMSEpsilon || archInfo.layerNormEpsilon).toExponential(0)]);
+  }
+  if (archInfo.attnLogitSoftcapping || archInfo.finalLogitSoftcapping) {
+    fields.push(['Logit Softcap', `${archInfo.attnLogitSoftcapping || '-'} / ${archInfo.finalLogitSoftcapping || '-'}`]);
+  }
+
+  if (files.length > 1) {
+    fields.push(['Shards', files.length]);
+  }
+  if (projector && !encoder) {
+    const { encoder: side } = projector.archInfo;
+    fields.push(['Projector', `${side.modality}, ${side.projectorType} (${formatNumber(projector.totalParams)})`]);
+  }
 
-  fields.push(['GGUF Version', `v${version}`]);
-  fields.push(['Model Type', archInfo.isMoE ? 'MoE' : (archInfo.isGQA ? 'Dense (GQA)' : 'Dense')]);
+  // Safetensors checkpoints have no format version
+  fields.push(version === null ? ['Format', 'Safetensors'] : ['GGUF Version', `v${version}`]);
+  if (!littleEndian) {
+    fields.push(['Byte Order', 'Big-endian']);
+  }
+  const modelType = archInfo.isMoE ? 'MoE' : (archInfo.isGQA ? 'Dense (GQA)' : 'Dense');
+  fields.push(['Model Type', encoder ? `${encoder.modality === 'audio' ? 'Audio' : 'Vision'} Encoder`
+    : recurrentLayers === archInfo.blockCount && recurrentLayers ? (archInfo.wkvHeadSize ? 'Recurrent (RWKV)' : 'State Space')
+    : recurrentLayers ? `Hybrid ${modelType} (${recurrentLayers} recurrent layers)`
+    : archInfo.decoderBlockCount ? `Encoder–Decoder ${modelType}` : modelType]);
 
   metaArch.innerHTML = fields.map(([label, value]) =>
     `<div class="meta-item"><span class="meta-label">${label}</span><span class="meta-value">${value}</span></div>`
@@ -328,17 +748,80 @@ function updateMetadataPanel(archInfo, totalParams, tensors, version, file) {
 
   // Tensor list
   tensorCountLabel.textContent = `(${tensors.length})`;
-  tensorListEl.innerHTML = tensors.slice(0, 200).map(t => {
-    const dims = t.dims.join(' x ');
-    const typeName = GGMLTypeName[t.type] || `?${t.type}`;
-    return `<div class="tensor-entry"><span class="t-name" title="${t.name}">${t.name}</span><span class="t-shape">${dims} [${typeName}]</span></div>`;
-  }).join('');
+  tensorListEl.innerHTML = tensors.slice(0, 200).map((t, i) => tensorEntryHtml(t, i)).join('');
 
   if (tensors.length > 200) {
     tensorListEl.innerHTML += `<div class="tensor-entry" style="color:var(--text-muted); text-align:center;">...and ${tensors.length - 200} more</div>`;
   }
 }
 
+function tensorEntryHtml(t, i) {
+  const dims = t.dims.join(' x ');
+  const typeName = GGMLTypeName[t.type] || t.dtype || `?${t.type}`;
+  const stats = statsScanner.stats.get(t.name);
+  const error = statsScanner.errors.get(t.name);
+  const statsLine = stats ? `<span class="t-stats">${formatStats(stats)}</span>`
+    : error ? `<span class="t-stats"><span class="bad">scan failed: ${escapeHtml(error)}</span></span>` : '';
+  return `<div class="tensor-entry" data-idx="${i}" title="Click to compute exact statistics">` +
+    `<span class="t-name" title="${t.name}">${t.name}</span><span class="t-shape">${dims} [${typeName}]</span>${statsLine}</div>`;
+}
+
+function formatStat(v) {
+  if (v === 0) return '0';
+  const a = Math.abs(v);
+  return a >= 1e4 || a < 1e-3 ? v.toExponential(2) : v.toPrecision(3);
+}
+
+// One-line summary of computeTensorStats() output (HTML; numbers only)
+function formatStats(stats) {
+  const parts = stats.count > 0 ? [
+    `μ ${formatStat(stats.mean)}`,
+    `σ ${formatStat(stats.std)}`,
+    `[${formatStat(stats.min)}, ${formatStat(stats.max)}]`,
+    `κ ${formatStat(stats.kurtosis)}`,
+    `${(stats.sparsity * 100).toFixed(stats.sparsity > 0 && stats.sparsity < 0.001 ? 3 : 1)}% zeros`,
+  ] : ['no finite values'];
+  if (stats.nan > 0) parts.push(`<span class="bad">${stats.nan.toLocaleString()} NaN</span>`);
+  if (stats.inf > 0) parts.push(`<span class="bad">${stats.inf.toLocaleString()} Inf</span>`);
+  return parts.join(' · ');
+}
+
+const MAX_HEALTH_ENTRIES = 100;
+
+function updateHealthPanel(health) {
+  const { error, warning } = health.counts;
+  if (error > 0) {
+    healthSummary.textContent = `(${error} error${error === 1 ? '' : 's'}${warning ? `, ${warning} warning${warning === 1 ? '' : 's'}` : ''})`;
+    healthSummary.className = 'bad';
+  } else if (warning > 0) {
+    healthSummary.textContent = `(${warning} warning${warning === 1 ? '' : 's'})`;
+    healthSummary.className = 'warn';
+  } else {
+    healthSummary.textContent = '(OK)';
+    healthSummary.className = 'ok';
+  }
+
+  if (health.issues.length === 0) {
+    healthList.innerHTML = `<div class="health-entry info">No problems found</div>`;
+    return;
+  }
+
+  healthList.innerHTML = health.issues.slice(0, MAX_HEALTH_ENTRIES).map(issue =>
+    `<div class="health-entry ${issue.severity}">` +
+    `<span class="h-code">${issue.severity.toUpperCase()} · ${issue.code}</span>` +
+    (issue.tensor ? `<span class="h-tensor" title="${escapeHtml(issue.tensor)}">${escapeHtml(issue.tensor)}</span>` : '') +
+    `${escapeHtml(issue.message)}</div>`
+  ).join('');
+
+  if (health.issues.length > MAX_HEALTH_ENTRIES) {
+    healthList.innerHTML += `<div class="health-entry" style="color:var(--text-muted);">...and ${health.issues.length - MAX_HEALTH_ENTRIES} more (see JSON export)</div>`;
+  }
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
 function updateQuickStats(archInfo, totalParams, pointCount) {
   quickStatsEl.innerHTML = [
     `<span><span class="stat-val">${formatNumber(totalParams)}</span> params</span>`,
@@ -372,15 +855,154 @@ sizeSlider.addEventListener('input', () => {
 });
 
 // Color mode selector
-colorMode.addEventListener('change', () => {
-  // Show correct legend
+function showLegend() {
   legendWeight.style.display = colorMode.value === 'weight' ? 'block' : 'none';
   legendTensor.style.display = colorMode.value === 'tensor' ? 'block' : 'none';
   legendLayer.style.display = colorMode.value === 'layer' ? 'block' : 'none';
+  legendRedundancy.style.display = colorMode.value === 'redundancy' ? 'block' : 'none';
+}
 
+colorMode.addEventListener('change', () => {
+  showLegend();
+  // Redundancy colours need the expert comparison; the cloud is recoloured when it finishes
+  if (colorMode.value === 'redundancy') expertPanel.analyze();
   regeneratePointCloud();
 });
 
+// Value geometry: independent of the colour mode
+geometryMode.addEventListener('change', () => regeneratePointCloud());
+
+// Sampling strategy: moves the points in every colour mode
+samplingMode.addEventListener('change', () => {
+  patchAggregateRow.style.display = samplingMode.value === 'patch' ? 'flex' : 'none';
+  regeneratePointCloud();
+});
+
+// Patch summaries only change what the weight values drive
+patchAggregate.addEventListener('change', () => {
+  if (colorMode.value === 'weight' || geometryMode.value !== 'flat') regeneratePointCloud();
+});
+
+// Health report export
+healthExport.addEventListener('click', () => {
+  if (!parsedData || !currentFile) return;
+  const report = {
+    file: currentFile.name,
+    fileSize: parsedData.shards.reduce((s, sh) => s + sh.file.size, 0),
+    format: parsedData.format,
+    version: parsedData.version,
+    littleEndian: parsedData.littleEndian,
+    alignment: parsedData.alignment,
+    tensorDataOffset: parsedData.tensorDataOffset,
+    tensorCount: parsedData.tensors.length,
+    shards: parsedData.shards.map(s => ({ file: s.file.name, size: s.file.size, tensorCount: s.tensors.length })),
+    architecture: parsedData.metadata['general.architecture'] || null,
+    ...parsedData.health,
+  };
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, currentFile.name.replace(SPLIT_NAME_RE, '$1').replace(/\.(gguf|safetensors)$/i, '') + '.health.json');
+});
+
+// Edited GGUF export (same file name, so split shards still find each other)
+kvExport.addEventListener('click', async () => {
+  if (!parsedData) return;
+  kvExport.disabled = true;
+  try {
+    const blob = await metadataEditor.exportBlob();
+    downloadBlob(blob, parsedData.shards[0].file.name);
+  } catch (err) {
+    console.error('[GGUF] Export failed:', err);
+    alert(`Export failed: ${err.message}`);
+  }
+  kvExport.disabled = false;
+});
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  // Large exports are read lazily by the download, so keep the URL alive for a while
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+// ─── Full-tensor statistics ──────────────────────────────────────────
+
+// Bumped per scan: a newer scan (a tensor clicked during a full scan) cancels
+// the running one, which then leaves the progress display to it
+let statsRun = 0;
+
+async function runStatsScan(tensors) {
+  // Scanned or undecodable tensors leave a running scan (and its display) alone
+  if (!parsedData || statsScanner.pending(tensors).length === 0) return;
+  const run = ++statsRun;
+
+  scanAll.disabled = true;
+  scanCancel.disabled = false;
+  scanBarInner.style.width = '0%';
+  scanText.textContent = 'Starting scan...';
+  scanProgress.classList.add('active');
+
+  const data = parsedData;
+  const listed = new Map(data.tensors.slice(0, 200).map((t, i) => [t.name, i]));
+  let scanned = 0;
+
+  const completed = await statsScanner.scan(currentFile, data.tensorDataOffset, tensors,
+    (done, total, name) => {
+      if (run !== statsRun) return;
+      scanBarInner.style.width = `${(done / total) * 100}%`;
+      scanText.textContent = `Scanning ${name}... ${Math.floor((done / total) * 100)}%`;
+    },
+    (name) => {
+      scanned++;
+      // Refresh just the affected list entry
+      const i = listed.get(name);
+      const el = i !== undefined && tensorListEl.querySelector(`.tensor-entry[data-idx="${i}"]`);
+      if (el && data === parsedData) el.outerHTML = tensorEntryHtml(data.tensors[i], i);
+    });
+  if (run !== statsRun) return;
+
+  scanAll.disabled = false;
+  scanCancel.disabled = true;
+  scanText.textContent = completed ? `Scanned ${scanned} tensor${scanned === 1 ? '' : 's'}` : `Cancelled after ${scanned} tensor${scanned === 1 ? '' : 's'}`;
+  setTimeout(() => {
+    if (!statsScanner.scanning) scanProgress.classList.remove('active');
+  }, 2000);
+
+  // Weight colours and geometry use the exact ranges once they're known
+  if (scanned > 0 && tensors.length > 1 && data === parsedData && (colorMode.value === 'weight' || geometryMode.value !== 'flat')) {
+    regeneratePointCloud();
+  }
+}
+
+scanAll.addEventListener('click', () => {
+  if (parsedData) runStatsScan(parsedData.tensors);
+});
+
+scanCancel.addEventListener('click', () => statsScanner.cancel());
+
+tensorListEl.addEventListener('click', (e) => {
+  const entry = e.target.closest('.tensor-entry[data-idx]');
+  if (entry && parsedData) runStatsScan([parsedData.tensors[Number(entry.dataset.idx)]]);
+});
+
+// ─── Outliers ───────────────────────────────────────────────────────
+
+function updateOutlierOverlay() {
+  if (!renderer) return;
+  const overlay = lastPointCloudData ? outlierPanel.overlay(lastPointCloudData.tensorRegions) : null;
+  renderer.setOutliers(overlay && overlay.positions, overlay && overlay.colors);
+}
+
+// Channels have no single row; aim at the middle of the column
+function flyToOutlier(entry) {
+  if (!renderer || !lastPointCloudData) return;
+  const row = entry.kind === 'value' ? entry.row : Math.floor(entry.rows / 2);
+  const p = locateElement(lastPointCloudData.tensorRegions, entry.tensor, row, entry.col, entry.value);
+  if (p) renderer.flyTo(p.x, p.y, p.z);
+}
+
 // ─── Connection toggle ──────────────────────────────────────────────
 
 function rebuildConnections() {
@@ -436,6 +1058,127 @@ sidebarToggle.addEventListener('click', () => {
   }, 350);
 });
 
+// ─── Quantization mix ───────────────────────────────────────────────
+
+function updateQuantPanel(header) {
+  const mix = analyzeQuantMix(header);
+
+  // Colour types in order of bits per weight: fewest red, most blue
+  const types = [...mix.total.types].map(([type, e]) => ({ type, ...e, bpw: e.params ? e.bytes * 8 / e.params : 0 }));
+  const byBpw = [...types].sort((a, b) => a.bpw - b.bpw);
+  const colors = new Map(byBpw.map((t, i) =>
+    [t.type, `hsl(${byBpw.length > 1 ? Math.round(220 * i / (byBpw.length - 1)) : 200}, 65%, 55%)`]));
+  quantMix = { ...mix, colors };
+
+  const others = mix.candidates.slice(1);
+  const fields = [
+    ['Effective BPW', mix.total.bpw.toFixed(2)],
+    ['Base Type', mix.baseType === null ? '-' : typeName(mix.baseType)],
+    ['Preset Guess', mix.preset ? mix.preset + (others.length ? ` <span style="color:var(--text-muted);">(or ${others.join(', ')})</span>` : '') : '-'],
+    ['file_type', mix.fileType ?? 'not set'],
+  ];
+  quantSummary.innerHTML = fields.map(([label, value]) =>
+    `<div class="meta-item"><span class="meta-label">${label}</span><span class="meta-value">${value}</span></div>`
+  ).join('') + (mix.mismatch
+    ? `<div class="health-entry warning">general.file_type says ${mix.fileType}, but the tensor types look like ${mix.candidates.join(' or ')}</div>`
+    : '');
+
+  quantTypes.innerHTML =
+    `<div class="quant-row head"><span class="q-swatch"></span><span class="q-name">Type</span><span class="q-num">Tensors</span>` +
+    `<span class="q-num">Params</span><span class="q-num">Size</span><span class="q-num">BPW</span></div>` +
+    types.sort((a, b) => b.bytes - a.bytes).map(t =>
+      `<div class="quant-row"><span class="q-swatch" style="background:${colors.get(t.type)};"></span>` +
+      `<span class="q-name">${typeName(t.type)}</span><span class="q-num">${t.tensors}</span>` +
+      `<span class="q-num">${formatNumber(t.params)}</span><span class="q-num">${formatBytes(t.bytes)}</span>` +
+      `<span class="q-num">${t.bpw.toFixed(2)}</span></div>`
+    ).join('');
+
+  renderQuantBars();
+}
+
+// Layer name in the quant and planner lists; encoder–decoder models name both stacks
+function layerLabel(layerIdx, tower) {
+  if (tower === 'encoder') return `Encoder ${layerIdx}`;
+  return parsedData?.archInfo.decoderBlockCount ? `Decoder ${layerIdx}` : `Layer ${layerIdx}`;
+}
+
+// One stacked bar per layer or category, scaled to the largest; segments are types by bytes
+function renderQuantBars() {
+  if (!quantMix) return;
+  const view = quantTabs.querySelector('.active').dataset.view;
+  const rows = view === 'layers'
+    ? quantMix.layers.map(g => ({ label: g.layerIdx < 0 ? 'Non-layer' : layerLabel(g.layerIdx, g.tower), group: g }))
+    : quantMix.categories.map(g => ({ label: g.category, group: g }));
+  const maxBytes = Math.max(1, ...rows.map(r => r.group.bytes));
+
+  quantBars.innerHTML = rows.map(({ label, group }) => {
+    const segments = [...group.types]
+      .sort((a, b) => b[1].bytes - a[1].bytes)
+      .map(([type, e]) => {
+        const pct = group.bytes ? e.bytes / group.bytes * 100 : 0;
+        const title = `${typeName(type)}: ${e.tensors} tensor${e.tensors === 1 ? '' : 's'}, ${formatBytes(e.bytes)} (${pct.toFixed(1)}%)`;
+        return `<span style="width:${pct}%; background:${quantMix.colors.get(type)};" title="${title}"></span>`;
+      }).join('');
+    return `<div class="quant-bar-row"><span class="q-label" title="${escapeHtml(label)}">${escapeHtml(label)}</span>` +
+      `<span class="q-track"><span class="q-bar" style="width:${group.bytes / maxBytes * 100}%;">${segments}</span></span>` +
+      `<span class="q-bpw" title="${formatNumber(group.params)} params, ${formatBytes(group.bytes)}">${group.bpw.toFixed(2)}</span></div>`;
+  }).join('');
+}
+
+quantTabs.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-view]');
+  if (!button) return;
+  for (const b of quantTabs.querySelectorAll('button[data-view]')) b.classList.toggle('active', b === button);
+  renderQuantBars();
+});
+
+// ─── Memory planner ─────────────────────────────────────────────────
+
+function updateMemoryPlan() {
+  if (!parsedData) return;
+  const plan = planMemory(parsedData, {
+    contextLength: Math.max(1, parseInt(planCtx.value) || 1),
+    cacheType: planCache.value,
+    vramBytes: Math.max(0, parseFloat(planVram.value) || 0) * 2 ** 30,
+    flashAttention: planFa.checked,
+  });
+
+  const fields = [
+    ['Weights', formatBytes(plan.weightBytes)],
+    ['KV Cache', formatBytes(plan.kvBytes)],
+    ['Compute', formatBytes(plan.computeBytes)],
+    ['Total', formatBytes(plan.totalBytes)],
+    ['GPU', `<span class="gpu">${formatBytes(plan.gpuBytes)}</span>`],
+    ['System RAM', formatBytes(plan.cpuBytes)],
+    ['Offloaded', `${plan.gpuLayers} / ${plan.layers.length} layers${plan.outputOnGPU ? ' + output' : ''}`],
+    ['llama.cpp', `-ngl ${plan.ngl}`],
+  ];
+  planSummary.innerHTML = fields.map(([label, value]) =>
+    `<div class="meta-item"><span class="meta-label">${label}</span><span class="meta-value">${value}</span></div>`
+  ).join('');
+
+  const row = (name, weights, kv, gpu) =>
+    `<div class="plan-row${gpu ? ' gpu' : ''}"><span class="p-name">${name}</span>` +
+    `<span class="p-bytes">${formatBytes(weights)}</span><span class="p-bytes">${kv === null ? '' : formatBytes(kv)}</span>` +
+    `<span class="p-dev">${gpu ? 'GPU' : 'CPU'}</span></div>`;
+  planLayers.innerHTML =
+    `<div class="plan-row head"><span class="p-name">Layer</span><span class="p-bytes">Weights</span>` +
+    `<span class="p-bytes">KV</span><span class="p-dev"></span></div>` +
+    row('Input', plan.inputBytes, null, false) +
+    plan.layers.map(l => row(layerLabel(l.layerIdx, l.tower), l.weightBytes, l.kvBytes, l.onGPU)).join('') +
+    row('Output', plan.outputBytes, null, plan.outputOnGPU);
+
+  if (renderer) {
+    renderer.setOffloadedLayers(
+      planHighlight.checked ? new Set(plan.layers.filter(l => l.onGPU).map(l => l.layerIdx)) : null,
+      plan.outputOnGPU,
+    );
+  }
+}
+
+for (const el of [planCtx, planVram]) el.addEventListener('input', updateMemoryPlan);
+for (const el of [planCache, planFa, planHighlight]) el.addEventListener('change', updateMemoryPlan);
+
 // ─── Tooltip on hover ───────────────────────────────────────────────
 
 let tooltipTimeout = null;
@@ -454,8 +1197,10 @@ canvasContainer.addEventListener('mousemove', (e) => {
       const dims = region.dims.join(' × ');
       const typeName = GGMLTypeName[region.type] || '?';
       tooltip.querySelector('.tt-detail').textContent = `${dims} | ${typeName}`;
+      const stats = statsScanner.stats.get(region.name);
+      tooltip.querySelector('.tt-stats').innerHTML = stats ? formatStats(stats) : '';
       // Highlight layer box on hover
-      if (renderer) renderer.highlightLayer(region.layerIdx);
+      if (renderer) renderer.highlightLayer(region.layerIdx, region.tower || null);
     } else {
       tooltip.style.display = 'none';
       if (renderer) renderer.highlightLayer(-1);
@@ -485,7 +1230,7 @@ function showFlyPrompt() {
 // ─── Keyboard shortcuts ─────────────────────────────────────────────
 
 document.addEventListener('keydown', (e) => {
-  if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+  if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
   if (e.key === 'Tab') {
     e.preventDefault();
     sidebar.classList.toggle('collapsed');
@@ -498,3 +1243,10 @@ document.addEventListener('keydown', (e) => {
 // ─── Init ───────────────────────────────────────────────────────────
 initRenderer();
 
+// ?url=https://host/model.gguf opens a remote model straight away
+const startURL = new URLSearchParams(location.search).get('url');
+if (startURL) {
+  urlInput.value = startURL;
+  openURL(startURL);
+}
+
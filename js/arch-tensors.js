@@ -0,0 +1,380 @@
+/**
+ * Architecture Tensor Registry
+ * Tensor names llama.cpp knows for each `general.architecture`, taken from
+ * LLM_TENSOR_NAMES in llama-arch.cpp. Names are given without the
+ * `.weight` / `.bias` suffix; `%d` stands for a block (layer) index, and a
+ * second `%d` for an expert index.
+ */
+
+export const ARCH_TENSOR_NAMES = {
+  'llama': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_gate_inp', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up', 'blk.%d.ffn_gate.%d', 'blk.%d.ffn_down.%d', 'blk.%d.ffn_up.%d',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+  ],
+  'deci': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_gate_inp', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up', 'blk.%d.ffn_gate.%d', 'blk.%d.ffn_down.%d', 'blk.%d.ffn_up.%d',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+  ],
+  'baichuan': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'falcon': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_norm_2',
+    'blk.%d.attn_qkv', 'blk.%d.attn_output', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'grok': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_gate_inp', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate.%d', 'blk.%d.ffn_down.%d',
+    'blk.%d.ffn_up.%d', 'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+    'blk.%d.layer_output_norm', 'blk.%d.attn_output_norm',
+  ],
+  'gpt2': [
+    'token_embd', 'position_embd', 'output_norm', 'output', 'blk.%d.attn_norm',
+    'blk.%d.attn_qkv', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_up',
+    'blk.%d.ffn_down',
+  ],
+  'gptj': [
+    'token_embd',
+  ],
+  'gptneox': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_qkv',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'mpt': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.ffn_norm',
+    'blk.%d.attn_qkv', 'blk.%d.attn_output', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+    'blk.%d.ffn.act', 'position_embd', 'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+  ],
+  'starcoder': [
+    'token_embd', 'position_embd', 'output_norm', 'output', 'blk.%d.attn_norm',
+    'blk.%d.attn_qkv', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_up',
+    'blk.%d.ffn_down',
+  ],
+  'refact': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'bert': [
+    'token_embd', 'token_embd_norm', 'token_types', 'position_embd', 'blk.%d.attn_output_norm',
+    'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output',
+    'blk.%d.layer_output_norm', 'blk.%d.ffn_down', 'blk.%d.ffn_up', 'cls', 'cls.output',
+  ],
+  'nomic-bert': [
+    'token_embd', 'token_embd_norm', 'token_types', 'blk.%d.attn_output_norm',
+    'blk.%d.attn_qkv', 'blk.%d.attn_output', 'blk.%d.layer_output_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'jina-bert-v2': [
+    'token_embd', 'token_embd_norm', 'token_types', 'blk.%d.attn_norm_2',
+    'blk.%d.attn_output_norm', 'blk.%d.attn_q', 'blk.%d.attn_q_norm', 'blk.%d.attn_k',
+    'blk.%d.attn_k_norm', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.layer_output_norm',
+    'blk.%d.ffn_down', 'blk.%d.ffn_gate', 'blk.%d.ffn_up', 'cls',
+  ],
+  'bloom': [
+    'token_embd', 'token_embd_norm', 'output_norm', 'output', 'blk.%d.attn_norm',
+    'blk.%d.attn_qkv', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_up',
+    'blk.%d.ffn_down',
+  ],
+  'stablelm': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.attn_q_norm',
+    'blk.%d.attn_k_norm',
+  ],
+  'qwen': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_qkv',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up',
+  ],
+  'qwen2': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'qwen2vl': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'qwen2moe': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate_inp',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+    'blk.%d.ffn_gate_inp_shexp', 'blk.%d.ffn_gate_shexp', 'blk.%d.ffn_down_shexp',
+    'blk.%d.ffn_up_shexp',
+  ],
+  'phi2': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_qkv',
+    'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up',
+  ],
+  'phi3': [
+    'token_embd', 'output_norm', 'output', 'rope_factors_long', 'rope_factors_short',
+    'blk.%d.attn_norm', 'blk.%d.attn_qkv', 'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'phimoe': [
+    'token_embd', 'output_norm', 'output', 'rope_factors_long', 'rope_factors_short',
+    'blk.%d.attn_norm', 'blk.%d.attn_qkv', 'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate_inp', 'blk.%d.ffn_gate_exps',
+    'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+  ],
+  'plamo': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'codeshell': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_qkv', 'blk.%d.attn_output',
+    'blk.%d.attn_rot_embd', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up',
+  ],
+  'orion': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'internlm2': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'minicpm': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'rope_factors_long',
+    'rope_factors_short', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v',
+    'blk.%d.attn_output', 'blk.%d.attn_rot_embd', 'blk.%d.ffn_gate_inp', 'blk.%d.ffn_norm',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.ffn_gate.%d',
+    'blk.%d.ffn_down.%d', 'blk.%d.ffn_up.%d',
+  ],
+  'minicpm3': [
+    'token_embd', 'output_norm', 'output', 'rope_factors_long', 'rope_factors_short',
+    'blk.%d.attn_norm', 'blk.%d.attn_q_a_norm', 'blk.%d.attn_kv_a_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_q_a', 'blk.%d.attn_q_b', 'blk.%d.attn_kv_a_mqa', 'blk.%d.attn_kv_b',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_up',
+    'blk.%d.ffn_down',
+  ],
+  'gemma': [
+    'token_embd', 'output_norm', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'gemma2': [
+    'token_embd', 'output_norm', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.post_attention_norm', 'blk.%d.ffn_norm',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.post_ffw_norm',
+  ],
+  'starcoder2': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'mamba': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.ssm_in',
+    'blk.%d.ssm_conv1d', 'blk.%d.ssm_x', 'blk.%d.ssm_dt', 'blk.%d.ssm_a', 'blk.%d.ssm_d',
+    'blk.%d.ssm_out',
+  ],
+  'xverse': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'command-r': [
+    'token_embd', 'output_norm', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up', 'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+  ],
+  'cohere2': [
+    'token_embd', 'output_norm', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'dbrx': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_qkv', 'blk.%d.attn_norm',
+    'blk.%d.attn_output', 'blk.%d.attn_output_norm', 'blk.%d.ffn_gate_inp',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+  ],
+  'olmo': [
+    'token_embd', 'output', 'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v',
+    'blk.%d.attn_output', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'olmo2': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v',
+    'blk.%d.attn_output', 'blk.%d.post_attention_norm', 'blk.%d.attn_q_norm',
+    'blk.%d.attn_k_norm', 'blk.%d.post_ffw_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up',
+  ],
+  'olmoe': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_gate_inp', 'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps',
+    'blk.%d.ffn_up_exps',
+  ],
+  'openelm': [
+    'token_embd', 'output_norm', 'blk.%d.attn_norm', 'blk.%d.attn_qkv', 'blk.%d.attn_q_norm',
+    'blk.%d.attn_k_norm', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'arctic': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_gate_inp', 'blk.%d.ffn_norm',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.ffn_norm_exps',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+  ],
+  'deepseek': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_gate_inp', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down',
+    'blk.%d.ffn_up', 'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+    'blk.%d.ffn_gate_inp_shexp', 'blk.%d.ffn_gate_shexp', 'blk.%d.ffn_down_shexp',
+    'blk.%d.ffn_up_shexp',
+  ],
+  'deepseek2': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q_a_norm',
+    'blk.%d.attn_kv_a_norm', 'blk.%d.attn_q', 'blk.%d.attn_q_a', 'blk.%d.attn_q_b',
+    'blk.%d.attn_kv_a_mqa', 'blk.%d.attn_kv_b', 'blk.%d.attn_output', 'blk.%d.ffn_norm',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_up', 'blk.%d.ffn_down', 'blk.%d.ffn_gate_inp',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+    'blk.%d.ffn_gate_inp_shexp', 'blk.%d.ffn_gate_shexp', 'blk.%d.ffn_down_shexp',
+    'blk.%d.ffn_up_shexp', 'blk.%d.exp_probs_b',
+  ],
+  'chatglm': [
+    'token_embd', 'rope_freqs', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_qkv',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_up', 'blk.%d.ffn_down',
+  ],
+  'bitnet': [
+    'token_embd', 'output_norm', 'blk.%d.attn_q', 'blk.%d.attn_k', 'blk.%d.attn_v',
+    'blk.%d.attn_output', 'blk.%d.attn_norm', 'blk.%d.attn_sub_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.ffn_norm', 'blk.%d.ffn_sub_norm',
+  ],
+  't5': [
+    'token_embd', 'output', 'dec.output_norm', 'dec.blk.%d.attn_norm', 'dec.blk.%d.attn_q',
+    'dec.blk.%d.attn_k', 'dec.blk.%d.attn_v', 'dec.blk.%d.attn_o', 'dec.blk.%d.attn_rel_b',
+    'dec.blk.%d.cross_attn_norm', 'dec.blk.%d.cross_attn_q', 'dec.blk.%d.cross_attn_k',
+    'dec.blk.%d.cross_attn_v', 'dec.blk.%d.cross_attn_o', 'dec.blk.%d.cross_attn_rel_b',
+    'dec.blk.%d.ffn_norm', 'dec.blk.%d.ffn_gate', 'dec.blk.%d.ffn_down', 'dec.blk.%d.ffn_up',
+    'enc.output_norm', 'enc.blk.%d.attn_norm', 'enc.blk.%d.attn_q', 'enc.blk.%d.attn_k',
+    'enc.blk.%d.attn_v', 'enc.blk.%d.attn_o', 'enc.blk.%d.attn_rel_b', 'enc.blk.%d.ffn_norm',
+    'enc.blk.%d.ffn_gate', 'enc.blk.%d.ffn_down', 'enc.blk.%d.ffn_up',
+  ],
+  't5encoder': [
+    'token_embd', 'output', 'enc.output_norm', 'enc.blk.%d.attn_norm', 'enc.blk.%d.attn_q',
+    'enc.blk.%d.attn_k', 'enc.blk.%d.attn_v', 'enc.blk.%d.attn_o', 'enc.blk.%d.attn_rel_b',
+    'enc.blk.%d.ffn_norm', 'enc.blk.%d.ffn_gate', 'enc.blk.%d.ffn_down', 'enc.blk.%d.ffn_up',
+  ],
+  'jais': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_qkv',
+    'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_up', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down',
+  ],
+  'nemotron': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'exaone': [
+    'token_embd', 'output_norm', 'output', 'rope_freqs', 'blk.%d.attn_norm', 'blk.%d.attn_q',
+    'blk.%d.attn_k', 'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.attn_rot_embd',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'rwkv6': [
+    'token_embd', 'token_embd_norm', 'output_norm', 'output', 'blk.%d.attn_norm',
+    'blk.%d.attn_norm_2', 'blk.%d.time_mix_w1', 'blk.%d.time_mix_w2', 'blk.%d.time_mix_lerp_x',
+    'blk.%d.time_mix_lerp_w', 'blk.%d.time_mix_lerp_k', 'blk.%d.time_mix_lerp_v',
+    'blk.%d.time_mix_lerp_r', 'blk.%d.time_mix_lerp_g', 'blk.%d.time_mix_lerp_fused',
+    'blk.%d.time_mix_first', 'blk.%d.time_mix_decay', 'blk.%d.time_mix_decay_w1',
+    'blk.%d.time_mix_decay_w2', 'blk.%d.time_mix_key', 'blk.%d.time_mix_value',
+    'blk.%d.time_mix_receptance', 'blk.%d.time_mix_gate', 'blk.%d.time_mix_ln',
+    'blk.%d.time_mix_output', 'blk.%d.channel_mix_lerp_k', 'blk.%d.channel_mix_lerp_r',
+    'blk.%d.channel_mix_key', 'blk.%d.channel_mix_value', 'blk.%d.channel_mix_receptance',
+  ],
+  'rwkv6qwen2': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.time_mix_w1',
+    'blk.%d.time_mix_w2', 'blk.%d.time_mix_lerp_x', 'blk.%d.time_mix_lerp_fused',
+    'blk.%d.time_mix_first', 'blk.%d.time_mix_decay', 'blk.%d.time_mix_decay_w1',
+    'blk.%d.time_mix_decay_w2', 'blk.%d.time_mix_key', 'blk.%d.time_mix_value',
+    'blk.%d.time_mix_receptance', 'blk.%d.time_mix_gate', 'blk.%d.time_mix_output',
+    'blk.%d.ffn_norm', 'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'granite': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up',
+  ],
+  'granitemoe': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate_inp',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+  ],
+  'chameleon': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+  ],
+  'wavtokenizer-dec': [
+    'token_embd', 'token_embd_norm', 'conv1d', 'convnext.%d.dw', 'convnext.%d.norm',
+    'convnext.%d.pw1', 'convnext.%d.pw2', 'convnext.%d.gamma', 'output_norm', 'output',
+    'posnet.%d.conv1', 'posnet.%d.conv2', 'posnet.%d.norm', 'posnet.%d.norm1',
+    'posnet.%d.norm2', 'posnet.%d.attn_norm', 'posnet.%d.attn_q', 'posnet.%d.attn_k',
+    'posnet.%d.attn_v', 'posnet.%d.attn_output',
+  ],
+  'qwen3': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate',
+    'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+  ],
+  'qwen3moe': [
+    'token_embd', 'output_norm', 'output', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.ffn_norm', 'blk.%d.ffn_gate_inp',
+    'blk.%d.ffn_gate_exps', 'blk.%d.ffn_down_exps', 'blk.%d.ffn_up_exps',
+    'blk.%d.ffn_gate_inp_shexp', 'blk.%d.ffn_gate_shexp', 'blk.%d.ffn_down_shexp',
+    'blk.%d.ffn_up_shexp', 'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+  ],
+  'gemma3': [
+    'token_embd', 'output_norm', 'blk.%d.attn_norm', 'blk.%d.attn_q', 'blk.%d.attn_k',
+    'blk.%d.attn_v', 'blk.%d.attn_output', 'blk.%d.post_attention_norm', 'blk.%d.ffn_norm',
+    'blk.%d.ffn_gate', 'blk.%d.ffn_down', 'blk.%d.ffn_up', 'blk.%d.post_ffw_norm',
+    'blk.%d.attn_q_norm', 'blk.%d.attn_k_norm',
+  ],
+};
+// ─── Required tensors ───────────────────────────────────────────────
+//
+// Tensors llama.cpp refuses to load a model without, for architectures
+// where that set is well defined. Block entries omit the `blk.%d.` prefix
+// and are checked once per layer. Alternatives are separated by `|`, so
+// dense, packed-expert and per-expert FFN layouts all satisfy an entry.
+
+const ATTN_BLOCK = ['attn_norm', 'attn_q', 'attn_k', 'attn_v', 'attn_output', 'ffn_norm'];
+const QK_NORM = ['attn_q_norm', 'attn_k_norm'];
+const DENSE_FFN = ['ffn_gate', 'ffn_up', 'ffn_down'];
+const PACKED_MOE_FFN = ['ffn_gate_inp', 'ffn_gate_exps', 'ffn_up_exps', 'ffn_down_exps'];
+const ANY_FFN = [
+  'ffn_gate|ffn_gate_exps|ffn_gate.%d',
+  'ffn_up|ffn_up_exps|ffn_up.%d',
+  'ffn_down|ffn_down_exps|ffn_down.%d',
+];
+const GEMMA2_BLOCK = [...ATTN_BLOCK, 'post_attention_norm', ...DENSE_FFN, 'post_ffw_norm'];
+
+export const ARCH_REQUIRED_TENSORS = {
+  'llama':    { global: ['token_embd', 'output_norm'], block: [...ATTN_BLOCK, ...ANY_FFN] },
+  'qwen2':    { global: ['token_embd', 'output_norm'], block: [...ATTN_BLOCK, ...DENSE_FFN] },
+  'qwen2moe': { global: ['token_embd', 'output_norm'], block: [...ATTN_BLOCK, ...PACKED_MOE_FFN] },
+  'qwen3':    { global: ['token_embd', 'output_norm'], block: [...ATTN_BLOCK, ...QK_NORM, ...DENSE_FFN] },
+  'qwen3moe': { global: ['token_embd', 'output_norm'], block: [...ATTN_BLOCK, ...QK_NORM, ...PACKED_MOE_FFN] },
+  'gemma':    { global: ['token_embd', 'output_norm'], block: [...ATTN_BLOCK, ...DENSE_FFN] },
+  'gemma2':   { global: ['token_embd', 'output_norm'], block: GEMMA2_BLOCK },
+  'gemma3':   { global: ['token_embd', 'output_norm'], block: [...GEMMA2_BLOCK, ...QK_NORM] },
+  'phi3':     {
+    global: ['token_embd', 'output_norm'],
+    block: ['attn_norm', 'attn_qkv|attn_q', 'attn_output', 'ffn_norm', 'ffn_up', 'ffn_down'],
+  },
+};
@@ -0,0 +1,221 @@
+/**
+ * Byte Sources
+ * Everything that reads model data (parsers, samplers, statistics) only
+ * needs `name`, `size` and `slice(start, end)` returning something with
+ * `arrayBuffer()` / `text()`. A local File or Blob already is such a byte
+ * source; HttpRangeSource is one backed by HTTP Range requests, so a remote
+ * model can be inspected without downloading the whole file.
+ *
+ * @typedef {Object} ByteSource
+ * @property {string} name
+ * @property {number} size
+ * @property {function(number, number): { size: number, arrayBuffer(): Promise<ArrayBuffer>, text(): Promise<string> }} slice
+ */
+
+// Granularity of fetching and caching
+const BLOCK_SIZE = 64 * 1024;
+
+// Fetched blocks kept in memory (least recently used are dropped first)
+const MAX_CACHED_BLOCKS = 1024; // 64 MB
+
+// Longest single Range request, in blocks
+const MAX_RUN_BLOCKS = 128; // 8 MB
+
+const textDecoder = new TextDecoder();
+
+/**
+ * True for sources that are plain Blobs/Files, which can be posted to a
+ * Web Worker. Other sources have to be read on the thread that opened them.
+ */
+export function isLocalSource(source) {
+  return typeof Blob !== 'undefined' && source instanceof Blob;
+}
+
+/**
+ * A remote file read through HTTP Range requests.
+ * Reads are rounded out to BLOCK_SIZE blocks; blocks requested in the same
+ * tick are coalesced into as few requests as possible, and fetched blocks
+ * are cached so re-reading a header window or a sampled region is free.
+ */
+export class HttpRangeSource {
+  /**
+   * Probe `url` and return a source for it. Fails when the server ignores
+   * Range requests, since the only alternative would be a full download.
+   *
+   * @param {string} url
+   * @returns {Promise<HttpRangeSource>}
+   */
+  static async open(url) {
+    const controller = new AbortController();
+    let res;
+    try {
+      res = await fetch(url, { headers: { Range: 'bytes=0-0' }, signal: controller.signal });
+    } catch (err) {
+      throw new Error(`Could not reach ${url}: ${err.message} (the server must allow cross-origin requests)`);
+    }
+
+    if (res.status === 200) {
+      controller.abort();
+      throw new Error(`${url} can't be opened remotely: the server does not support Range requests ` +
+        `(Accept-Ranges: ${res.headers.get('Accept-Ranges') || 'missing'})`);
+    }
+    if (res.status !== 206) {
+      controller.abort();
+      throw new Error(`${url}: HTTP ${res.status} ${res.statusText}`);
+    }
+
+    // Content-Range: bytes 0-0/123456
+    const total = (res.headers.get('Content-Range') || '').match(/\/(\d+)$/);
+    await res.arrayBuffer();
+    if (!total) {
+      throw new Error(`${url}: the server did not report the file size (Content-Range is missing or not exposed)`);
+    }
+    return new HttpRangeSource(url, parseInt(total[1], 10));
+  }
+
+  constructor(url, size) {
+    this.url = url;
+    this.size = size;
+    this.name = decodeURIComponent(new URL(url, globalThis.location?.href).pathname.split('/').pop()) || url;
+    this.cache = new Map();     // block index -> Uint8Array (insertion order = LRU order)
+    this.pending = new Map();   // block index -> Promise<Uint8Array>
+    this.queue = null;          // blocks waiting for the next coalesced fetch
+    this.bytesFetched = 0;
+    this.requestCount = 0;
+  }
+
+  slice(start = 0, end = this.size) {
+    return new RangeSlice(this, Math.max(0, start), Math.min(this.size, end));
+  }
+
+  arrayBuffer() {
+    return this.read(0, this.size);
+  }
+
+  text() {
+    return this.slice().text();
+  }
+
+  /**
+   * Bytes [start, end) as an ArrayBuffer.
+   */
+  async read(start, end) {
+    if (end <= start) return new ArrayBuffer(0);
+    const first = Math.floor(start / BLOCK_SIZE);
+    const last = Math.floor((end - 1) / BLOCK_SIZE);
+
+    const blocks = [];
+    for (let b = first; b <= last; b++) blocks.push(this._block(b));
+    const data = await Promise.all(blocks);
+
+    const out = new Uint8Array(end - start);
+    let pos = 0;
+    for (let i = 0; i < data.length; i++) {
+      const blockStart = (first + i) * BLOCK_SIZE;
+      const from = Math.max(start, blockStart) - blockStart;
+      const to = Math.min(end, blockStart + data[i].length) - blockStart;
+      out.set(data[i].subarray(from, to), pos);
+      pos += to - from;
+    }
+    return out.buffer;
+  }
+
+  _block(index) {
+    const cached = this.cache.get(index);
+    if (cached) {
+      this.cache.delete(index);
+      this.cache.set(index, cached);
+      return Promise.resolve(cached);
+    }
+    if (this.pending.has(index)) return this.pending.get(index);
+
+    if (!this.queue) {
+      this.queue = new Map();
+      // Let every read issued in this tick queue its blocks first
+      setTimeout(() => this._flush(), 0);
+    }
+    const promise = new Promise((resolve, reject) => this.queue.set(index, { resolve, reject }));
+    this.pending.set(index, promise);
+    return promise;
+  }
+
+  // Fetch queued blocks as runs of adjacent blocks, one request per run
+  _flush() {
+    const queue = this.queue;
+    this.queue = null;
+    const indices = [...queue.keys()].sort((a, b) => a - b);
+
+    let runStart = 0;
+    for (let i = 1; i <= indices.length; i++) {
+      const contiguous = i < indices.length && indices[i] === indices[i - 1] + 1 &&
+        i - runStart < MAX_RUN_BLOCKS;
+      if (contiguous) continue;
+      this._fetchRun(indices.slice(runStart, i), queue);
+      runStart = i;
+    }
+  }
+
+  async _fetchRun(run, queue) {
+    const start = run[0] * BLOCK_SIZE;
+    const end = Math.min(this.size, (run[run.length - 1] + 1) * BLOCK_SIZE);
+    try {
+      const res = await fetch(this.url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+      if (res.status !== 206) {
+        throw new Error(`${this.name}: expected a partial response for bytes ${start}-${end - 1}, got HTTP ${res.status}`);
+      }
+      const range = (res.headers.get('Content-Range') || '').match(/bytes (\d+)-/);
+      if (range && parseInt(range[1], 10) !== start) {
+        throw new Error(`${this.name}: server returned the wrong range (${res.headers.get('Content-Range')})`);
+      }
+      const bytes = new Uint8Array(await res.arrayBuffer());
+      if (bytes.length < end - start) {
+        throw new Error(`${this.name}: short read for bytes ${start}-${end - 1} (${bytes.length} bytes)`);
+      }
+      this.bytesFetched += bytes.length;
+      this.requestCount++;
+
+      run.forEach((index, i) => {
+        const block = bytes.subarray(i * BLOCK_SIZE, Math.min(bytes.length, (i + 1) * BLOCK_SIZE));
+        this._store(index, block);
+        this.pending.delete(index);
+        queue.get(index).resolve(block);
+      });
+    } catch (err) {
+      for (const index of run) {
+        this.pending.delete(index);
+        queue.get(index).reject(err);
+      }
+    }
+  }
+
+  _store(index, block) {
+    this.cache.set(index, block);
+    while (this.cache.size > MAX_CACHED_BLOCKS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
+
+/**
+ * A byte range of an HttpRangeSource; the Blob.slice() counterpart.
+ */
+class RangeSlice {
+  constructor(source, start, end) {
+    this.source = source;
+    this.start = start;
+    this.end = Math.max(start, end);
+    this.size = this.end - this.start;
+  }
+
+  slice(start = 0, end = this.size) {
+    return new RangeSlice(this.source, this.start + start, this.start + Math.min(end, this.size));
+  }
+
+  arrayBuffer() {
+    return this.source.read(this.start, this.end);
+  }
+
+  async text() {
+    return textDecoder.decode(await this.arrayBuffer());
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Chat Template Viewer
+ * Sidebar summary of the file's chat templates and a full-size viewer:
+ * the Jinja source with syntax highlighting and line numbers, an editable
+ * sample conversation, and the prompt the template renders from it with
+ * the model's real BOS/EOS strings. Errors are shown against their line.
+ */
+
+import { loadMetadataArray } from './gguf-parser.js';
+import {
+  listChatTemplates, compileChatTemplate, scanTags, specialTokenContext, SAMPLE_CONTEXT,
+} from './chat-template.js';
+
+// Delay after the last keystroke in the sample before re-rendering
+const RENDER_DELAY = 250;
+
+// Words highlighted as keywords inside {% %} and {{ }}
+const KEYWORD_RE = /^(?:if|elif|else|endif|for|endfor|in|not|and|or|is|set|endset|macro|endmacro|call|endcall|filter|endfilter|break|continue|recursive|true|false|none|True|False|None)$/;
+
+// Strings, numbers, words and operators inside a tag
+const TAG_TOKEN_RE = /("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)|(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|([^\w\s"']+)|(\s+)/gs;
+
+// token_type values worth highlighting in rendered output: control, user-defined
+const SPECIAL_TOKEN_TYPES = [3, 4];
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ─── Highlighting ───────────────────────────────────────────────────
+
+// [className, text] runs covering one tag
+function tagSegments(text, kind) {
+  if (kind === 'comment') return [['tv-comment', text]];
+  const open = text.match(/^\{[%{][-+]?/)[0];
+  const close = text.match(/[-+]?[%}]\}$/)[0];
+  const segments = [['tv-delim', open]];
+  for (const m of text.slice(open.length, text.length - close.length).matchAll(TAG_TOKEN_RE)) {
+    const cls = m[1] ? 'tv-str' : m[2] ? 'tv-num' : m[3] ? (KEYWORD_RE.test(m[3]) ? 'tv-kw' : 'tv-var')
+      : m[4] ? 'tv-op' : '';
+    segments.push([cls, m[0]]);
+  }
+  segments.push(['tv-delim', close]);
+  return segments;
+}
+
+/**
+ * The template as one HTML string per line, with tags highlighted.
+ */
+function highlightLines(source) {
+  let tags;
+  try {
+    tags = scanTags(source);
+  } catch (_) {
+    tags = []; // an unterminated tag; the error panel says where
+  }
+
+  const segments = [];
+  let pos = 0;
+  for (const tag of tags) {
+    if (tag.start > pos) segments.push(['', source.slice(pos, tag.start)]);
+    segments.push(...tagSegments(source.slice(tag.start, tag.end), tag.kind));
+    pos = tag.end;
+  }
+  if (pos < source.length) segments.push(['', source.slice(pos)]);
+
+  const lines = [''];
+  for (const [cls, text] of segments) {
+    text.split('\n').forEach((piece, i) => {
+      if (i > 0) lines.push('');
+      if (piece) lines[lines.length - 1] += cls ? `<span class="${cls}">${escapeHtml(piece)}</span>` : escapeHtml(piece);
+    });
+  }
+  return lines;
+}
+
+export class ChatTemplateViewer {
+  /**
+   * @param {Object} els - sidebar { count, summary, openButton } and viewer
+   *   { viewer, variant, meta, closeButton, source, sample, resetButton, status, error, output } DOM elements
+   */
+  constructor(els) {
+    this.els = els;
+    this.header = null;
+    this.file = null;
+    this.templates = [];
+    this.compiled = new Map();  // template key -> render function or TemplateError
+    this.special = null;        // { context, pattern } once the vocab has been read
+    this.generation = 0;
+    this.timer = 0;
+
+    els.sample.value = JSON.stringify(SAMPLE_CONTEXT, null, 2);
+    els.openButton.addEventListener('click', () => this.open());
+    els.closeButton.addEventListener('click', () => this.close());
+    els.variant.addEventListener('change', () => this._render());
+    els.resetButton.addEventListener('click', () => {
+      els.sample.value = JSON.stringify(SAMPLE_CONTEXT, null, 2);
+      this._render();
+    });
+    els.sample.addEventListener('input', () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this._render(), RENDER_DELAY);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && els.viewer.classList.contains('active')) this.close();
+    });
+  }
+
+  /**
+   * Show the templates of `header`; `file` (the first shard for split
+   * models) is read for the special token strings when the viewer opens.
+   */
+  load(header, file) {
+    this.generation++;
+    this.header = header;
+    this.file = file;
+    this.templates = listChatTemplates(header.metadata);
+    this.compiled.clear();
+    this.special = null;
+    this.close();
+
+    const { count, summary, openButton, variant } = this.els;
+    count.textContent = this.templates.length > 1 ? `(${this.templates.length})` : '';
+    openButton.disabled = this.templates.length === 0;
+    summary.innerHTML = this.templates.length === 0
+      ? 'No <code>tokenizer.chat_template</code> in the metadata'
+      : this.templates.map(t => {
+        const lines = t.source.split('\n').length;
+        return `<div><span class="tv-name">${escapeHtml(t.name)}</span> ${lines} line${lines === 1 ? '' : 's'}, ` +
+          `${t.source.length.toLocaleString()} chars</div>`;
+      }).join('');
+    variant.innerHTML = this.templates.map((t, i) =>
+      `<option value="${i}">${escapeHtml(t.name)}</option>`).join('');
+  }
+
+  async open() {
+    if (this.templates.length === 0) return;
+    this.els.viewer.classList.add('active');
+
+    if (!this.special) {
+      const generation = this.generation;
+      const { metadata } = this.header;
+      let tokens = null, types = null;
+      try {
+        [tokens, types] = await Promise.all([
+          loadMetadataArray(this.file, metadata['tokenizer.ggml.tokens']),
+          loadMetadataArray(this.file, metadata['tokenizer.ggml.token_type']),
+        ]);
+      } catch (err) {
+        console.warn('[GGUF] Could not read the vocabulary for the chat template:', err);
+      }
+      if (generation !== this.generation) return;
+
+      const strings = new Set();
+      if (tokens && types) {
+        for (let i = 0; i < tokens.length; i++) {
+          if (SPECIAL_TOKEN_TYPES.includes(types[i]) && tokens[i].length > 1) strings.add(tokens[i]);
+        }
+      }
+      const context = specialTokenContext(metadata, tokens);
+      for (const value of Object.values(context)) if (value) strings.add(value);
+      // Longest first, so <|im_start|> wins over <|im
+      const sorted = [...strings].sort((a, b) => b.length - a.length).map(escapeRegExp);
+      this.special = { context, pattern: sorted.length ? new RegExp(sorted.join('|'), 'g') : null };
+    }
+    this._render();
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.els.viewer.classList.remove('active');
+  }
+
+  // ─── Rendering ───────────────────────────────────────────────────
+
+  _render() {
+    const { variant, meta, source, sample, status, error, output } = this.els;
+    const template = this.templates[parseInt(variant.value, 10) || 0];
+    if (!template) return;
+
+    const context = this.special?.context || {};
+    meta.textContent = [template.key, ...Object.entries(context).map(([k, v]) => `${k} = ${v}`)].join(' · ');
+    source.innerHTML = highlightLines(template.source).map((html, i) =>
+      `<div class="tv-line" data-line="${i + 1}"><span class="tv-ln">${i + 1}</span><span class="tv-code">${html}</span></div>`
+    ).join('');
+
+    let render = this.compiled.get(template.key);
+    if (!render) {
+      try {
+        render = compileChatTemplate(template.source);
+      } catch (err) {
+        render = err;
+      }
+      this.compiled.set(template.key, render);
+    }
+
+    let vars;
+    try {
+      vars = JSON.parse(sample.value);
+      if (vars === null || typeof vars !== 'object' || Array.isArray(vars)) throw new Error('expected an object of template variables');
+    } catch (err) {
+      this._showError(`Template variables: ${err.message}`, null);
+      return;
+    }
+
+    try {
+      if (render instanceof Error) throw render;
+      const text = render({ ...context, ...vars });
+      error.textContent = '';
+      status.textContent = `${text.length.toLocaleString()} chars`;
+      output.innerHTML = this._outputHtml(text);
+    } catch (err) {
+      this._showError(err.message, err.line ?? null);
+    }
+  }
+
+  _showError(message, line) {
+    const { source, status, error, output } = this.els;
+    status.textContent = '';
+    output.innerHTML = '';
+    error.textContent = line ? `Line ${line}: ${message}` : message;
+    if (line) {
+      const lineEl = source.querySelector(`.tv-line[data-line="${line}"]`);
+      if (lineEl) {
+        lineEl.classList.add('error');
+        lineEl.scrollIntoView({ block: 'center' });
+      }
+    }
+  }
+
+  // Rendered prompt with special tokens highlighted and line ends marked
+  _outputHtml(text) {
+    const pattern = this.special?.pattern;
+    let html = '';
+    let pos = 0;
+    if (pattern) {
+      for (const m of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(pos, m.index)) + `<span class="tv-special">${escapeHtml(m[0])}</span>`;
+        pos = m.index + m[0].length;
+      }
+    }
+    html += escapeHtml(text.slice(pos));
+    return html.replace(/\n/g, '<span class="tv-nl">↵</span>\n');
+  }
+}
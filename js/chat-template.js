@@ -0,0 +1,318 @@
+/**
+ * Chat Templates
+ * Finds the Jinja chat templates stored in GGUF metadata and renders them
+ * with @huggingface/jinja, the engine transformers.js and llama.cpp's web UI
+ * use. The engine doesn't report positions, so errors are mapped back to a
+ * template line here: syntax errors from the token the parser stopped at,
+ * runtime errors from line markers threaded between the template's tags.
+ */
+
+import { Template, tokenize, parse } from '@huggingface/jinja';
+
+// Same preprocessing as Template, which is how transformers renders chat templates
+const LEX_OPTIONS = { lstrip_blocks: true, trim_blocks: true };
+
+// Context function the line markers call; returns '' so output is unchanged
+const LINE_MARKER = '__template_line__';
+
+// Statements that open a block, and the tag that closes it
+const BLOCK_STATEMENTS = ['if', 'for', 'macro', 'call', 'filter', 'set'];
+
+// Tags that continue or end a block rather than start a statement
+const CONTINUATION_RE = /^(?:elif|else|end\w+)$/;
+
+// {% generation %} markers are stripped before lexing (see preprocess() in the engine)
+const GENERATION_RE = /^\{%-?\s*(?:end)?generation\s*-?%\}$/;
+
+// tokenizer.ggml.<role>_token_id -> template variable
+const SPECIAL_TOKEN_VARS = {
+  bos: 'bos_token', eos: 'eos_token', unknown: 'unk_token', padding: 'pad_token',
+};
+
+/**
+ * Conversation the templates are rendered with until the user edits it:
+ * every role, a tool definition, and a tool call with its result.
+ */
+export const SAMPLE_CONTEXT = {
+  messages: [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', content: 'What is the weather in Paris?' },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{
+        id: 'call_0001',
+        type: 'function',
+        function: { name: 'get_weather', arguments: { city: 'Paris' } },
+      }],
+    },
+    { role: 'tool', tool_call_id: 'call_0001', name: 'get_weather', content: '{"temperature": 18, "condition": "sunny"}' },
+    { role: 'assistant', content: 'It is 18 °C and sunny in Paris.' },
+    { role: 'user', content: 'Thanks! And tomorrow?' },
+  ],
+  tools: [{
+    type: 'function',
+    function: {
+      name: 'get_weather',
+      description: 'Get the current weather for a city',
+      parameters: {
+        type: 'object',
+        properties: { city: { type: 'string', description: 'City name' } },
+        required: ['city'],
+      },
+    },
+  }],
+  add_generation_prompt: true,
+};
+
+/**
+ * A template that failed to parse or render. `line` is 1-based, or null
+ * when the error couldn't be placed.
+ */
+export class TemplateError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+/**
+ * The chat templates in `metadata`: tokenizer.chat_template as "default",
+ * then each tokenizer.chat_template.<name> variant (e.g. tool_use, rag).
+ *
+ * @returns {Array<{ name: string, key: string, source: string }>}
+ */
+export function listChatTemplates(metadata) {
+  const templates = [];
+  for (const [key, value] of Object.entries(metadata)) {
+    if (typeof value !== 'string') continue;
+    if (key === 'tokenizer.chat_template') {
+      templates.unshift({ name: 'default', key, source: value });
+    } else if (key.startsWith('tokenizer.chat_template.')) {
+      templates.push({ name: key.slice('tokenizer.chat_template.'.length), key, source: value });
+    }
+  }
+  return templates;
+}
+
+/**
+ * Template variables for the model's special tokens (bos_token, eos_token,
+ * ...), looked up in the vocabulary by the ids in the metadata.
+ *
+ * @param {Object} metadata
+ * @param {string[]} tokens - tokenizer.ggml.tokens, loaded
+ */
+export function specialTokenContext(metadata, tokens) {
+  const context = {};
+  for (const [role, name] of Object.entries(SPECIAL_TOKEN_VARS)) {
+    const id = metadata[`tokenizer.ggml.${role}_token_id`];
+    if (typeof id === 'number' && tokens?.[id] !== undefined) context[name] = tokens[id];
+  }
+  return context;
+}
+
+// ─── Tag scanning ───────────────────────────────────────────────────
+
+/**
+ * Split a template into its tags, in order, mirroring the engine's lexer:
+ * `{% %}` statements, `{{ }}` expressions (ending at the first `}}` outside
+ * strings and braces) and `{# #}` comments. Everything between is text.
+ *
+ * @returns {Array<{ kind: 'statement'|'expression'|'comment', start: number, end: number, line: number, name: string }>}
+ *   `name` is the statement keyword (if, endfor, ...); throws TemplateError for unterminated tags
+ */
+export function scanTags(source) {
+  const tags = [];
+  let pos = 0;
+  let line = 1;
+  const advanceLine = (to) => {
+    for (let i = pos; i < to; i++) if (source.charCodeAt(i) === 10) line++;
+    pos = to;
+  };
+
+  while (true) {
+    const open = source.slice(pos).search(/\{[%{#]/);
+    if (open < 0) break;
+    advanceLine(pos + open);
+    const start = pos;
+    const kind = { '%': 'statement', '{': 'expression', '#': 'comment' }[source[start + 1]];
+
+    let end = -1;
+    if (kind === 'comment') {
+      const close = source.indexOf('#}', start + 2);
+      if (close >= 0) end = close + 2;
+    } else {
+      let quote = null;
+      let depth = 0;
+      for (let i = start + 2; i < source.length; i++) {
+        const c = source[i];
+        if (quote) {
+          if (c === '\\') i++;
+          else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+          quote = c;
+        } else if (kind === 'statement' && c === '%' && source[i + 1] === '}') {
+          end = i + 2;
+          break;
+        } else if (kind === 'expression' && c === '}' && source[i + 1] === '}' && depth === 0) {
+          end = i + 2;
+          break;
+        } else if (c === '{') {
+          depth++;
+        } else if (c === '}') {
+          depth--;
+        }
+      }
+    }
+    if (end < 0) {
+      const delim = source.slice(start, start + 2);
+      throw new TemplateError(`${delim} is never closed`, line);
+    }
+
+    const text = source.slice(start, end);
+    if (!(kind === 'statement' && GENERATION_RE.test(text))) {
+      const name = kind === 'statement' ? (text.match(/^\{%[-+]?\s*(\w+)/)?.[1] || '') : '';
+      tags.push({ kind, start, end, line, name });
+    }
+    advanceLine(end);
+  }
+  return tags;
+}
+
+// A {% set %} with no `=` captures its body up to {% endset %}
+function isBlockSet(source, tag) {
+  const body = source.slice(tag.start, tag.end).replace(/(["'])(?:\\.|(?!\1).)*\1/g, '""');
+  return !/[^=!<>]=[^=]/.test(body);
+}
+
+/**
+ * Check that block statements open and close in order. Returns a
+ * TemplateError for the first mismatch, or null.
+ */
+function checkBlocks(source, tags) {
+  const stack = [];
+  for (const tag of tags) {
+    if (tag.kind !== 'statement') continue;
+    const { name } = tag;
+    if (BLOCK_STATEMENTS.includes(name)) {
+      if (name !== 'set' || isBlockSet(source, tag)) stack.push(tag);
+    } else if (name.startsWith('end')) {
+      const opened = stack.pop();
+      if (!opened) {
+        return new TemplateError(`{% ${name} %} has no matching {% ${name.slice(3)} %}`, tag.line);
+      }
+      if (`end${opened.name}` !== name) {
+        return new TemplateError(`{% ${name} %} found, but {% ${opened.name} %} from line ${opened.line} is still open`, tag.line);
+      }
+    } else if ((name === 'elif' || name === 'else') && !stack.some(t => t.name === 'if' || (name === 'else' && t.name === 'for'))) {
+      return new TemplateError(`{% ${name} %} outside of an {% if %} block`, tag.line);
+    }
+  }
+  const unclosed = stack.pop();
+  return unclosed ? new TemplateError(`{% ${unclosed.name} %} is never closed (expected {% end${unclosed.name} %})`, unclosed.line) : null;
+}
+
+// ─── Compiling and rendering ────────────────────────────────────────
+
+/**
+ * Parse a template. Returns a render function taking the context, which
+ * throws TemplateError with the line of the tag being evaluated. Syntax
+ * errors throw TemplateError right away.
+ *
+ * @param {string} source
+ * @returns {function(Object): string}
+ */
+export function compileChatTemplate(source) {
+  const tags = scanTags(source);
+
+  let tokens;
+  try {
+    tokens = tokenize(source, LEX_OPTIONS);
+  } catch (err) {
+    // The lexer doesn't say where it stopped; find the tag that fails on its own
+    const bad = tags.find(tag => {
+      try {
+        tokenize(source.slice(tag.start, tag.end));
+        return false;
+      } catch (_) {
+        return true;
+      }
+    });
+    throw new TemplateError(err.message, bad ? bad.line : null);
+  }
+
+  // Tokens that open a tag correspond one-to-one with the scanned tags
+  const openIdx = [];
+  tokens.forEach((t, i) => {
+    if (t.type === 'OpenStatement' || t.type === 'OpenExpression' || t.type === 'Comment') openIdx.push(i);
+  });
+  const aligned = openIdx.length === tags.length;
+
+  // Watch which token the parser reads last: that's where it gave up
+  let furthest = 0;
+  const watched = new Proxy(tokens, {
+    get(target, prop) {
+      if (typeof prop === 'string' && /^\d+$/.test(prop)) furthest = Math.max(furthest, Number(prop));
+      return target[prop];
+    },
+  });
+
+  let program;
+  try {
+    program = parse(watched);
+  } catch (err) {
+    const blockError = checkBlocks(source, tags);
+    if (blockError) throw blockError;
+    let line = null;
+    if (aligned) {
+      const tagIdx = openIdx.filter(i => i <= Math.min(furthest, tokens.length - 1)).length - 1;
+      if (tagIdx >= 0) line = tags[tagIdx].line;
+    }
+    throw new TemplateError(err.message, line);
+  }
+
+  // Put a {{ __template_line__(N) }} before every tag that starts a
+  // statement, so a failing render can tell which tag it last reached.
+  // Continuation tags (else, endif, ...) must stay directly after their block.
+  let marked = null;
+  if (aligned) {
+    const withMarkers = [];
+    let next = 0;
+    tokens.forEach((token, i) => {
+      if (i === openIdx[next]) {
+        const tag = tags[next++];
+        if (tag.kind !== 'comment' && !CONTINUATION_RE.test(tag.name)) {
+          const mark = (value, type) => ({ value, type });
+          withMarkers.push(
+            mark('{{', 'OpenExpression'), mark(LINE_MARKER, 'Identifier'), mark('(', 'OpenParen'),
+            mark(String(tag.line), 'NumericLiteral'), mark(')', 'CloseParen'), mark('}}', 'CloseExpression'));
+        }
+      }
+      withMarkers.push(token);
+    });
+    try {
+      marked = parse(withMarkers);
+    } catch (_) {
+      marked = null; // render without line information rather than fail
+    }
+  }
+
+  const template = new Template('');
+  template.parsed = marked || program;
+
+  return (context) => {
+    let line = null;
+    try {
+      return template.render({
+        ...context,
+        [LINE_MARKER]: (n) => {
+          line = n;
+          return '';
+        },
+      });
+    } catch (err) {
+      throw new TemplateError(err.message, marked ? line : null);
+    }
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Expert Similarity Panel
+ * Sidebar section for MoE models: runs the expert comparison on request
+ * and shows one layer at a time as an expert-by-expert heatmap of weight
+ * (or router) cosine similarity, with the layer's norm statistics and the
+ * pair under the cursor.
+ */
+
+import { extractArchInfo } from './gguf-parser.js';
+import { analyzeExperts } from './expert-similarity.js';
+
+// Heatmap colour stops for similarity 0 → 1; negative values stay at the first
+const HEAT_STOPS = [
+  [0.0, [13, 16, 32]],
+  [0.5, [204, 51, 102]],
+  [1.0, [255, 221, 85]],
+];
+
+// Cells with no value (an expert without the tensor)
+const MISSING_COLOR = [40, 40, 48];
+
+function heatColor(v) {
+  if (Number.isNaN(v)) return MISSING_COLOR;
+  const t = Math.max(0, Math.min(1, v));
+  for (let i = 1; i < HEAT_STOPS.length; i++) {
+    const [t1, c1] = HEAT_STOPS[i];
+    if (t <= t1) {
+      const [t0, c0] = HEAT_STOPS[i - 1];
+      const s = (t - t0) / (t1 - t0);
+      return c0.map((c, k) => Math.round(c + (c1[k] - c) * s));
+    }
+  }
+  return HEAT_STOPS[HEAT_STOPS.length - 1][1];
+}
+
+const formatSimilarity = (v) => (Number.isNaN(v) ? '-' : v.toFixed(3));
+
+// Combined norm of an expert's projections, ignoring missing ones
+function totalNorm({ gate, up, down }) {
+  const present = [gate, up, down].filter(v => !Number.isNaN(v));
+  return present.length ? Math.sqrt(present.reduce((s, v) => s + v * v, 0)) : NaN;
+}
+
+function range(values) {
+  const present = values.filter(v => !Number.isNaN(v));
+  if (present.length === 0) return '-';
+  const min = Math.min(...present), max = Math.max(...present);
+  return `${min.toPrecision(3)} – ${max.toPrecision(3)}`;
+}
+
+export class ExpertSimilarityPanel {
+  /**
+   * @param {Object} els - { section, count, analyzeButton, status, controls, layer, tabs, summary,
+   *   heatmap, hover } DOM elements; `tabs` holds buttons with data-view="weights" / "router"
+   *   and `heatmap` is a canvas
+   * @param {Function} [onAnalyzed] - called with the result when a comparison finishes
+   */
+  constructor(els, onAnalyzed) {
+    this.els = els;
+    this.onAnalyzed = onAnalyzed || (() => {});
+    this.header = null;
+    this.file = null;
+    this.analysis = null;   // analyzeExperts() result for the loaded model
+    this.running = null;    // promise of the comparison in progress
+    this.view = 'weights';
+    this.generation = 0;    // bumped per load so a slow comparison can't overwrite a newer model
+
+    els.analyzeButton.addEventListener('click', () => this.analyze());
+    els.layer.addEventListener('change', () => this._render());
+    els.tabs.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-view]');
+      if (!button || button.disabled) return;
+      this.view = button.dataset.view;
+      this._render();
+    });
+    els.heatmap.addEventListener('mousemove', (e) => this._showCell(e));
+    els.heatmap.addEventListener('mouseleave', () => { els.hover.textContent = ''; });
+  }
+
+  /**
+   * Show the section for MoE models; `file` is the first shard, read when
+   * the comparison runs. Hides it for everything else.
+   */
+  load(header, file) {
+    this.generation++;
+    this.header = header;
+    this.file = file;
+    this.analysis = null;
+    this.running = null;
+
+    const info = extractArchInfo(header.metadata);
+    const { section, count, analyzeButton, status, controls } = this.els;
+    section.style.display = info.isMoE && info.expertCount > 1 ? '' : 'none';
+    count.textContent = info.expertCount > 1 ? `(${info.expertCount})` : '';
+    analyzeButton.disabled = false;
+    status.textContent = 'Samples every expert\'s gate, up and down weights and the router';
+    controls.style.display = 'none';
+  }
+
+  /**
+   * Run the comparison (once per model). Resolves to the result, or null
+   * if a newer model was loaded meanwhile.
+   */
+  analyze() {
+    if (this.analysis) return Promise.resolve(this.analysis);
+    if (this.running) return this.running;
+
+    const generation = this.generation;
+    const { analyzeButton, status } = this.els;
+    analyzeButton.disabled = true;
+    status.textContent = 'Sampling experts...';
+
+    this.running = analyzeExperts(this.file, this.header, {
+      onProgress: (done, total, name) => {
+        if (generation === this.generation) status.textContent = `Sampling experts... ${Math.floor(done / total * 100)}% (${name})`;
+      },
+      isCancelled: () => generation !== this.generation,
+    }).then((analysis) => {
+      if (!analysis || generation !== this.generation) return null;
+      this.analysis = analysis;
+      this.running = null;
+      this._showResult();
+      this.onAnalyzed(analysis);
+      return analysis;
+    }).catch((err) => {
+      if (generation !== this.generation) return null;
+      console.error('[Experts] Comparison failed:', err);
+      status.textContent = `Comparison failed: ${err.message}`;
+      analyzeButton.disabled = false;
+      this.running = null;
+      return null;
+    });
+    return this.running;
+  }
+
+  /**
+   * Per-layer redundancy of each expert (similarity to its nearest other
+   * expert), for the point cloud's redundancy colours; null before the
+   * comparison has run.
+   *
+   * @returns {Map<number, Float32Array>|null}
+   */
+  redundancyByLayer() {
+    return this.analysis ? new Map(this.analysis.layers.map(l => [l.layerIdx, l.redundancy])) : null;
+  }
+
+  // ─── Rendering ───────────────────────────────────────────────────
+
+  _showResult() {
+    const { status, controls, layer } = this.els;
+    const { layers } = this.analysis;
+    if (layers.length === 0) {
+      status.textContent = 'No expert tensors found';
+      return;
+    }
+    status.textContent = `${layers.length} MoE layer${layers.length === 1 ? '' : 's'} compared`;
+    layer.innerHTML = layers.map((l, i) =>
+      `<option value="${i}">Layer ${l.layerIdx} · most similar ${formatSimilarity(l.mostSimilar?.similarity ?? NaN)}</option>`
+    ).join('');
+    controls.style.display = '';
+    this._render();
+  }
+
+  _selectedLayer() {
+    return this.analysis?.layers[parseInt(this.els.layer.value, 10) || 0] || null;
+  }
+
+  _render() {
+    const l = this._selectedLayer();
+    if (!l) return;
+    const { tabs, summary, heatmap } = this.els;
+    const n = this.analysis.expertCount;
+
+    const routerButton = tabs.querySelector('[data-view="router"]');
+    routerButton.disabled = !l.routerSimilarity;
+    if (this.view === 'router' && !l.routerSimilarity) this.view = 'weights';
+    for (const b of tabs.querySelectorAll('button[data-view]')) b.classList.toggle('active', b.dataset.view === this.view);
+    const matrix = this.view === 'router' ? l.routerSimilarity : l.similarity;
+
+    const pair = l.mostSimilar;
+    const fields = [
+      ['Mean Similarity', formatSimilarity(l.meanSimilarity)],
+      ['Most Similar', pair ? `${pair.a} & ${pair.b} (${formatSimilarity(pair.similarity)})` : '-'],
+      ['Weight Norms', range(l.norms.map(totalNorm))],
+      ['Router Norms', l.routerNorms ? range(Array.from(l.routerNorms)) : '-'],
+      ['Compared', l.projections.join(', ')],
+    ];
+    summary.innerHTML = fields.map(([label, value]) =>
+      `<div class="meta-item"><span class="meta-label">${label}</span><span class="meta-value">${value}</span></div>`
+    ).join('');
+
+    // One pixel per cell, scaled up by CSS
+    heatmap.width = n;
+    heatmap.height = n;
+    const ctx = heatmap.getContext('2d');
+    const image = ctx.createImageData(n, n);
+    for (let i = 0; i < n * n; i++) {
+      const [r, g, b] = heatColor(matrix[i]);
+      image.data[i * 4] = r;
+      image.data[i * 4 + 1] = g;
+      image.data[i * 4 + 2] = b;
+      image.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+
+  _showCell(e) {
+    const l = this._selectedLayer();
+    if (!l) return;
+    const n = this.analysis.expertCount;
+    const rect = this.els.heatmap.getBoundingClientRect();
+    const col = Math.floor((e.clientX - rect.left) / rect.width * n);
+    const row = Math.floor((e.clientY - rect.top) / rect.height * n);
+    if (row < 0 || col < 0 || row >= n || col >= n) return;
+
+    const weights = formatSimilarity(l.similarity[row * n + col]);
+    const router = l.routerSimilarity ? ` · router ${formatSimilarity(l.routerSimilarity[row * n + col])}` : '';
+    const norms = `norms ${totalNorm(l.norms[row]).toPrecision(3)} / ${totalNorm(l.norms[col]).toPrecision(3)}`;
+    this.els.hover.textContent = `Expert ${row} × ${col}: weights ${weights}${router} · ${norms}`;
+  }
+}
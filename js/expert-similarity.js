@@ -0,0 +1,219 @@
+/**
+ * Expert Similarity
+ * Compares the experts of each MoE layer. Every expert's gate, up and down
+ * weights — slices of packed ffn_*_exps tensors, or one tensor per expert —
+ * are sampled at the same positions, which is enough for pairwise cosine
+ * similarity and an estimate of each expert's weight norms. The router
+ * (ffn_gate_inp) is read whole: an expert's row is the direction of the
+ * tokens sent to it, so experts with similar rows compete for the same
+ * tokens. Near-duplicate experts are the candidates for merging or pruning.
+ * Tensors of types that can't be dequantized are left out of the comparison.
+ */
+
+import { classifyTensor, extractArchInfo, canScanType, sampleTensorWeights, expertSlice } from './gguf-parser.js';
+
+// Elements sampled from each expert's projection; cosines estimated from
+// this many coordinates are good to about ±0.02
+export const DEFAULT_SAMPLES = 2048;
+
+// Projection an expert tensor holds, by category (packed or per expert)
+const PROJECTIONS = {
+  moe_expert_gate: 'gate', ffn_gate: 'gate',
+  moe_up: 'up', ffn_up: 'up',
+  moe_down: 'down', ffn_down: 'down',
+};
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+/**
+ * Add the cosine similarity of every pair of `vectors` (null for experts
+ * without the tensor) into `sum`, counting each pair in `count`.
+ */
+function addCosines(vectors, sum, count) {
+  const n = vectors.length;
+  const lengths = vectors.map(v => (v ? Math.sqrt(dot(v, v)) : 0));
+  for (let i = 0; i < n; i++) {
+    if (!vectors[i]) continue;
+    for (let j = i; j < n; j++) {
+      if (!vectors[j]) continue;
+      const cos = lengths[i] && lengths[j] ? dot(vectors[i], vectors[j]) / (lengths[i] * lengths[j]) : 0;
+      sum[i * n + j] += cos;
+      count[i * n + j]++;
+      if (j !== i) {
+        sum[j * n + i] += cos;
+        count[j * n + i]++;
+      }
+    }
+  }
+}
+
+// Mean of the summed pairs; NaN where no projection covered the pair
+function meanMatrix(sum, count) {
+  return sum.map((s, i) => (count[i] ? s / count[i] : NaN));
+}
+
+/**
+ * Per-expert summary of a similarity matrix: how close each expert is to
+ * its nearest other expert (0 when none is, 1 for a duplicate), the mean
+ * off-diagonal similarity and the most similar pair.
+ */
+function summarize(similarity, n) {
+  const redundancy = new Float32Array(n);
+  let total = 0, pairs = 0;
+  let mostSimilar = null;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const s = similarity[i * n + j];
+      if (i === j || Number.isNaN(s)) continue;
+      redundancy[i] = Math.max(redundancy[i], Math.min(1, s));
+      if (j > i) {
+        total += s;
+        pairs++;
+        if (!mostSimilar || s > mostSimilar.similarity) mostSimilar = { a: i, b: j, similarity: s };
+      }
+    }
+  }
+  return { redundancy, meanSimilarity: pairs ? total / pairs : NaN, mostSimilar };
+}
+
+/**
+ * The expert tensors of each MoE layer, as sampleable tensors. Types that
+ * can't be dequantized are skipped: sampling them would only give raw-byte
+ * estimates, whose cosines mean nothing.
+ *
+ * @returns {Map<number, { router: Object|null, parts: Object }>} by layer;
+ *   parts maps 'gate' / 'up' / 'down' to an array of tensors by expert
+ */
+function collectExperts(tensors, arch, expertCount) {
+  const layers = new Map();
+  const layer = (il) => {
+    if (!layers.has(il)) layers.set(il, { router: null, parts: {} });
+    return layers.get(il);
+  };
+
+  for (const t of tensors) {
+    if (!t.name.endsWith('.weight') || !canScanType(t.type)) continue;
+    const cls = classifyTensor(t.name, arch);
+    if (cls.layerIdx < 0) continue;
+    if (cls.role === 'router') {
+      layer(cls.layerIdx).router = t;
+      continue;
+    }
+    const projection = PROJECTIONS[cls.category];
+    if (!projection) continue;
+
+    let slices = null;
+    if (cls.expertIdx >= 0 && cls.expertIdx < expertCount) {
+      slices = [[cls.expertIdx, t]];
+    } else if (cls.category.startsWith('moe_') && expertSlice(t, 0, expertCount)) {
+      slices = Array.from({ length: expertCount }, (_, e) => [e, expertSlice(t, e, expertCount)]);
+    }
+    if (!slices) continue;
+    const parts = layer(cls.layerIdx).parts;
+    if (!parts[projection]) parts[projection] = new Array(expertCount).fill(null);
+    for (const [e, slice] of slices) parts[projection][e] = slice;
+  }
+
+  for (const [il, entry] of layers) {
+    if (Object.keys(entry.parts).length === 0) layers.delete(il);
+  }
+  return layers;
+}
+
+/**
+ * Compare the experts of every MoE layer in `header`.
+ *
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
+ * @param {Object} header - { metadata, tensors, tensorDataOffset } from the parser
+ * @param {Object} [options]
+ * @param {number} [options.samples=DEFAULT_SAMPLES] - elements sampled per expert projection
+ * @param {Function} [options.onProgress] - (tensorsDone, tensorsTotal, tensorName)
+ * @param {Function} [options.isCancelled] - polled between tensors
+ * @returns {Promise<{
+ *   expertCount: number,
+ *   layers: Array<{
+ *     layerIdx: number, projections: string[],
+ *     similarity: Float32Array, routerSimilarity: Float32Array|null,
+ *     norms: Array<{ gate: number, up: number, down: number }>, routerNorms: Float32Array|null,
+ *     redundancy: Float32Array, meanSimilarity: number,
+ *     mostSimilar: { a: number, b: number, similarity: number }|null
+ *   }>
+ * }|null>} null if cancelled. Matrices are expertCount × expertCount, row
+ *   major; `similarity` averages the cosines of the sampled projections,
+ *   and norms are estimated Frobenius norms (NaN for missing tensors).
+ */
+export async function analyzeExperts(file, header, { samples = DEFAULT_SAMPLES, onProgress, isCancelled } = {}) {
+  const { metadata, tensors, tensorDataOffset } = header;
+  const info = extractArchInfo(metadata);
+  const n = info.expertCount;
+  if (!info.isMoE || n < 2) return { expertCount: n, layers: [] };
+
+  const found = collectExperts(tensors, info.architecture, n);
+  const total = [...found.values()].reduce((s, { router, parts }) =>
+    s + (router ? 1 : 0) + Object.values(parts).reduce((c, list) => c + list.filter(Boolean).length, 0), 0);
+  let done = 0;
+  const step = (name) => {
+    done++;
+    if (onProgress) onProgress(done, total, name);
+    return isCancelled && isCancelled();
+  };
+
+  const layers = [];
+  for (const layerIdx of [...found.keys()].sort((a, b) => a - b)) {
+    const { router, parts } = found.get(layerIdx);
+    const sum = new Float32Array(n * n);
+    const count = new Uint8Array(n * n);
+    const norms = Array.from({ length: n }, () => ({ gate: NaN, up: NaN, down: NaN }));
+
+    for (const [projection, list] of Object.entries(parts)) {
+      const vectors = new Array(n).fill(null);
+      for (let e = 0; e < n; e++) {
+        const t = list[e];
+        if (!t) continue;
+        try {
+          vectors[e] = await sampleTensorWeights(file, tensorDataOffset, t, samples);
+          norms[e][projection] = Math.sqrt(dot(vectors[e], vectors[e]) * t.numElements / vectors[e].length);
+        } catch (err) {
+          console.warn(`[Experts] Could not sample ${t.name}:`, err.message);
+        }
+        if (step(t.name)) return null;
+      }
+      addCosines(vectors, sum, count);
+    }
+
+    // Router rows: ffn_gate_inp is [n_embd, n_expert], one contiguous row per expert
+    let routerSimilarity = null, routerNorms = null;
+    if (router && router.dims[router.dims.length - 1] === n) {
+      try {
+        const weights = await sampleTensorWeights(file, tensorDataOffset, router, router.numElements);
+        const width = weights.length / n;
+        const rows = Array.from({ length: n }, (_, e) => weights.subarray(e * width, (e + 1) * width));
+        const routerSum = new Float32Array(n * n);
+        const routerCount = new Uint8Array(n * n);
+        addCosines(rows, routerSum, routerCount);
+        routerSimilarity = meanMatrix(routerSum, routerCount);
+        routerNorms = Float32Array.from(rows, row => Math.sqrt(dot(row, row)));
+      } catch (err) {
+        console.warn(`[Experts] Could not read ${router.name}:`, err.message);
+      }
+    }
+    if (router && step(router.name)) return null;
+
+    const similarity = meanMatrix(sum, count);
+    layers.push({
+      layerIdx,
+      projections: Object.keys(parts),
+      similarity,
+      routerSimilarity,
+      norms,
+      routerNorms,
+      ...summarize(similarity, n),
+    });
+  }
+
+  return { expertCount: n, layers };
+}
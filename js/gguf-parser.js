@@ -1,9 +1,14 @@
 /**
  * GGUF Binary Format Parser
- * Parses .gguf files (v2/v3) in the browser using File API + DataView.
+ * Parses .gguf files (v1-v3, little- or big-endian) in the browser using
+ * File API + DataView.
  * Only loads the header into memory; weight data is streamed via file.slice().
  */
 
+import {
+  IQ2XXS_GRID, IQ2XS_GRID, IQ2S_GRID, IQ3XXS_GRID, IQ3S_GRID, IQ1S_GRID,
+} from './iq-grids.js';
+
 // GGUF metadata value types
 const GGUFValueType = {
   UINT8: 0, INT8: 1, UINT16: 2, INT16: 3,
@@ -11,16 +16,16 @@ const GGUFValueType = {
   STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12
 };
 
-// ggml tensor data types
+// ggml tensor data types (ids match enum ggml_type in ggml.h)
 const GGMLType = {
   F32: 0, F16: 1, Q4_0: 2, Q4_1: 3,
   Q5_0: 6, Q5_1: 7, Q8_0: 8, Q8_1: 9,
-  Q2_K: 10, Q3_K_S: 11, Q3_K_M: 12, Q3_K_L: 13,
-  Q4_K_S: 14, Q4_K_M: 15, Q5_K_S: 16, Q5_K_M: 17,
-  Q6_K: 18, Q8_K: 19, IQ2_XXS: 20, IQ2_XS: 21,
-  IQ3_XXS: 22, IQ1_S: 23, IQ4_NL: 24, IQ3_S: 25,
-  IQ2_S: 26, IQ4_XS: 27, I8: 28, I16: 29,
-  I32: 30, I64: 31, F64: 32, IQ1_M: 33, BF16: 34
+  Q2_K: 10, Q3_K: 11, Q4_K: 12, Q5_K: 13,
+  Q6_K: 14, Q8_K: 15, IQ2_XXS: 16, IQ2_XS: 17,
+  IQ3_XXS: 18, IQ1_S: 19, IQ4_NL: 20, IQ3_S: 21,
+  IQ2_S: 22, IQ4_XS: 23, I8: 24, I16: 25,
+  I32: 26, I64: 27, F64: 28, IQ1_M: 29, BF16: 30,
+  TQ1_0: 34, TQ2_0: 35, MXFP4: 39
 };
 
 const GGMLTypeName = {};
@@ -38,15 +43,23 @@ const QUANT_INFO = {
   [GGMLType.Q8_0]:   { blockSize: 32,  bytesPerBlock: 34 },
   [GGMLType.Q8_1]:   { blockSize: 32,  bytesPerBlock: 40 },
   [GGMLType.Q2_K]:   { blockSize: 256, bytesPerBlock: 84 },
-  [GGMLType.Q3_K_S]: { blockSize: 256, bytesPerBlock: 110 },
-  [GGMLType.Q3_K_M]: { blockSize: 256, bytesPerBlock: 110 },
-  [GGMLType.Q3_K_L]: { blockSize: 256, bytesPerBlock: 110 },
-  [GGMLType.Q4_K_S]: { blockSize: 256, bytesPerBlock: 144 },
-  [GGMLType.Q4_K_M]: { blockSize: 256, bytesPerBlock: 144 },
-  [GGMLType.Q5_K_S]: { blockSize: 256, bytesPerBlock: 176 },
-  [GGMLType.Q5_K_M]: { blockSize: 256, bytesPerBlock: 176 },
+  [GGMLType.Q3_K]:   { blockSize: 256, bytesPerBlock: 110 },
+  [GGMLType.Q4_K]:   { blockSize: 256, bytesPerBlock: 144 },
+  [GGMLType.Q5_K]:   { blockSize: 256, bytesPerBlock: 176 },
   [GGMLType.Q6_K]:   { blockSize: 256, bytesPerBlock: 210 },
   [GGMLType.Q8_K]:   { blockSize: 256, bytesPerBlock: 292 },
+  [GGMLType.IQ2_XXS]:{ blockSize: 256, bytesPerBlock: 66 },
+  [GGMLType.IQ2_XS]: { blockSize: 256, bytesPerBlock: 74 },
+  [GGMLType.IQ2_S]:  { blockSize: 256, bytesPerBlock: 82 },
+  [GGMLType.IQ3_XXS]:{ blockSize: 256, bytesPerBlock: 98 },
+  [GGMLType.IQ3_S]:  { blockSize: 256, bytesPerBlock: 110 },
+  [GGMLType.IQ1_S]:  { blockSize: 256, bytesPerBlock: 50 },
+  [GGMLType.IQ1_M]:  { blockSize: 256, bytesPerBlock: 56 },
+  [GGMLType.IQ4_NL]: { blockSize: 32,  bytesPerBlock: 18 },
+  [GGMLType.IQ4_XS]: { blockSize: 256, bytesPerBlock: 136 },
+  [GGMLType.TQ1_0]:  { blockSize: 256, bytesPerBlock: 54 },
+  [GGMLType.TQ2_0]:  { blockSize: 256, bytesPerBlock: 66 },
+  [GGMLType.MXFP4]:  { blockSize: 32,  bytesPerBlock: 17 },
   [GGMLType.I8]:     { blockSize: 1,   bytesPerBlock: 1 },
   [GGMLType.I16]:    { blockSize: 1,   bytesPerBlock: 2 },
   [GGMLType.I32]:    { blockSize: 1,   bytesPerBlock: 4 },
@@ -54,103 +67,155 @@ const QUANT_INFO = {
   [GGMLType.F64]:    { blockSize: 1,   bytesPerBlock: 8 },
 };
 
-// Known file type IDs -> human-readable quant names
+// general.file_type IDs (enum llama_ftype in llama.h) -> preset names
 const FILE_TYPE_NAMES = {
-  0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0',
+  0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 4: 'Q4_1_F16', 7: 'Q8_0',
   8: 'Q5_0', 9: 'Q5_1', 10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M',
   13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M', 16: 'Q5_K_S',
-  17: 'Q5_K_M', 18: 'Q6_K', 19: 'Q8_K',
+  17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+  22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S',
+  27: 'IQ3_M', 28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M',
+  32: 'BF16', 36: 'TQ1_0', 37: 'TQ2_0', 38: 'MXFP4_MOE',
+};
+
+// Byte size of each fixed-size metadata value type
+const VALUE_TYPE_SIZE = {
+  [GGUFValueType.UINT8]: 1, [GGUFValueType.INT8]: 1, [GGUFValueType.BOOL]: 1,
+  [GGUFValueType.UINT16]: 2, [GGUFValueType.INT16]: 2,
+  [GGUFValueType.UINT32]: 4, [GGUFValueType.INT32]: 4, [GGUFValueType.FLOAT32]: 4,
+  [GGUFValueType.UINT64]: 8, [GGUFValueType.INT64]: 8, [GGUFValueType.FLOAT64]: 8,
+};
+
+// Typed array returned by loadMetadataArray() for each numeric element type
+const VALUE_TYPE_ARRAY = {
+  [GGUFValueType.UINT8]: Uint8Array, [GGUFValueType.INT8]: Int8Array, [GGUFValueType.BOOL]: Uint8Array,
+  [GGUFValueType.UINT16]: Uint16Array, [GGUFValueType.INT16]: Int16Array,
+  [GGUFValueType.UINT32]: Uint32Array, [GGUFValueType.INT32]: Int32Array, [GGUFValueType.FLOAT32]: Float32Array,
+  [GGUFValueType.UINT64]: BigUint64Array, [GGUFValueType.INT64]: BigInt64Array, [GGUFValueType.FLOAT64]: Float64Array,
 };
 
+// Arrays longer than this (tokenizer vocab, scores, merges...) are not
+// materialised during header parsing; see loadMetadataArray()
+const LAZY_ARRAY_MIN_LENGTH = 1024;
+
+// Size of each window read from the file while walking the header
+const READ_CHUNK = 4 * 1024 * 1024;
+
+const textDecoder = new TextDecoder();
+
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+
 /**
- * Cursor-style reader over an ArrayBuffer using DataView.
- * Throws BUFFER_TOO_SMALL when it runs out of data so the
- * caller can retry with a larger slice of the file.
+ * Cursor-style reader over a sliding window of a File.
+ * `offset` is an absolute file position. Call ensure(n) (or check
+ * available(n) first on hot paths) before the synchronous read methods;
+ * skip() may move past the window, which is refilled on the next ensure().
+ * `littleEndian` and `countSize` (8, or 4 for GGUF v1 counts and string
+ * lengths) are set once the header's version field has been read.
  */
-class BufferReader {
-  constructor(buffer, offset = 0) {
-    this.view = new DataView(buffer);
-    this.buf = buffer;
-    this.offset = offset;
+class ChunkedFileReader {
+  constructor(file) {
+    this.file = file;
+    this.littleEndian = true;
+    this.countSize = 8;
+    this.offset = 0;
+    this.windowStart = 0;
+    this.bytes = new Uint8Array(0);
+    this.view = new DataView(this.bytes.buffer);
+  }
+
+  available(n) {
+    return this.offset >= this.windowStart && this.offset + n <= this.windowStart + this.bytes.length;
   }
 
-  _need(n) {
-    if (this.offset + n > this.buf.byteLength) {
-      throw new Error('BUFFER_TOO_SMALL');
+  async ensure(n) {
+    if (this.available(n)) return;
+    if (this.offset + n > this.file.size) {
+      throw new Error(`Unexpected end of file at byte ${this.offset} while reading the GGUF header`);
     }
+    const end = Math.min(this.file.size, this.offset + Math.max(n, READ_CHUNK));
+    const buffer = await this.file.slice(this.offset, end).arrayBuffer();
+    this.windowStart = this.offset;
+    this.bytes = new Uint8Array(buffer);
+    this.view = new DataView(buffer);
+  }
+
+  skip(n) {
+    this.offset += n;
+  }
+
+  // Position of the cursor inside the current window
+  get _pos() {
+    return this.offset - this.windowStart;
   }
 
   readUint8() {
-    this._need(1);
-    const v = this.view.getUint8(this.offset);
+    const v = this.view.getUint8(this._pos);
     this.offset += 1;
     return v;
   }
 
   readInt8() {
-    this._need(1);
-    const v = this.view.getInt8(this.offset);
+    const v = this.view.getInt8(this._pos);
     this.offset += 1;
     return v;
   }
 
   readUint16() {
-    this._need(2);
-    const v = this.view.getUint16(this.offset, true);
+    const v = this.view.getUint16(this._pos, this.littleEndian);
     this.offset += 2;
     return v;
   }
 
   readInt16() {
-    this._need(2);
-    const v = this.view.getInt16(this.offset, true);
+    const v = this.view.getInt16(this._pos, this.littleEndian);
     this.offset += 2;
     return v;
   }
 
   readUint32() {
-    this._need(4);
-    const v = this.view.getUint32(this.offset, true);
+    const v = this.view.getUint32(this._pos, this.littleEndian);
     this.offset += 4;
     return v;
   }
 
   readInt32() {
-    this._need(4);
-    const v = this.view.getInt32(this.offset, true);
+    const v = this.view.getInt32(this._pos, this.littleEndian);
     this.offset += 4;
     return v;
   }
 
   readUint64() {
-    this._need(8);
-    const lo = this.view.getUint32(this.offset, true);
-    const hi = this.view.getUint32(this.offset + 4, true);
+    const le = this.littleEndian;
+    const lo = this.view.getUint32(this._pos + (le ? 0 : 4), le);
+    const hi = this.view.getUint32(this._pos + (le ? 4 : 0), le);
     this.offset += 8;
     if (hi === 0) return lo;
     return Number(BigInt(hi) << 32n | BigInt(lo));
   }
 
-  readInt64() {
-    this._need(8);
-    const lo = this.view.getUint32(this.offset, true);
-    const hi = this.view.getInt32(this.offset + 4, true);
+  // 64-bit metadata values stay exact: Numbers while they fit, BigInt
+  // beyond Number.MAX_SAFE_INTEGER, so unedited values are written back as read
+  readUint64Value() {
+    const v = this.view.getBigUint64(this._pos, this.littleEndian);
     this.offset += 8;
-    if (hi === 0 && lo < 0x80000000) return lo;
-    if (hi === -1 && lo >= 0x80000000) return lo | 0;
-    return Number(BigInt(hi) << 32n | BigInt(lo >>> 0));
+    return v <= MAX_SAFE_BIGINT ? Number(v) : v;
+  }
+
+  readInt64Value() {
+    const v = this.view.getBigInt64(this._pos, this.littleEndian);
+    this.offset += 8;
+    return v <= MAX_SAFE_BIGINT && v >= -MAX_SAFE_BIGINT ? Number(v) : v;
   }
 
   readFloat32() {
-    this._need(4);
-    const v = this.view.getFloat32(this.offset, true);
+    const v = this.view.getFloat32(this._pos, this.littleEndian);
     this.offset += 4;
     return v;
   }
 
   readFloat64() {
-    this._need(8);
-    const v = this.view.getFloat64(this.offset, true);
+    const v = this.view.getFloat64(this._pos, this.littleEndian);
     this.offset += 8;
     return v;
   }
@@ -159,15 +224,21 @@ class BufferReader {
     return this.readUint8() !== 0;
   }
 
-  readString() {
-    const len = this.readUint64();
-    this._need(len);
-    const bytes = new Uint8Array(this.buf, this.offset, len);
+  // Element counts and string lengths: uint64, or uint32 in GGUF v1
+  readCount() {
+    return this.countSize === 4 ? this.readUint32() : this.readUint64();
+  }
+
+  async readString() {
+    await this.ensure(this.countSize);
+    const len = this.readCount();
+    await this.ensure(len);
+    const str = textDecoder.decode(this.bytes.subarray(this._pos, this._pos + len));
     this.offset += len;
-    return new TextDecoder().decode(bytes);
+    return str;
   }
 
-  readValue(type) {
+  readScalar(type) {
     switch (type) {
       case GGUFValueType.UINT8:   return this.readUint8();
       case GGUFValueType.INT8:    return this.readInt8();
@@ -177,55 +248,91 @@ class BufferReader {
       case GGUFValueType.INT32:   return this.readInt32();
       case GGUFValueType.FLOAT32: return this.readFloat32();
       case GGUFValueType.BOOL:    return this.readBool();
-      case GGUFValueType.STRING:  return this.readString();
-      case GGUFValueType.UINT64:  return this.readUint64();
-      case GGUFValueType.INT64:   return this.readInt64();
+      case GGUFValueType.UINT64:  return this.readUint64Value();
+      case GGUFValueType.INT64:   return this.readInt64Value();
       case GGUFValueType.FLOAT64: return this.readFloat64();
-      case GGUFValueType.ARRAY: {
-        const arrType = this.readUint32();
-        const arrLen = this.readUint64();
-        const arr = [];
-        for (let i = 0; i < arrLen; i++) {
-          arr.push(this.readValue(arrType));
-        }
-        return arr;
-      }
       default:
         throw new Error(`Unknown GGUF value type: ${type}`);
     }
   }
-}
 
-/**
- * Parse the GGUF header (metadata + tensor info) from a File object.
- * Automatically retries with a larger buffer when it runs out of data
- * (handles huge tokenizer arrays that can be 10-50 MB in the header).
- * Returns { metadata, tensors, tensorDataOffset, version }
- */
-export async function parseGGUFHeader(file, onProgress) {
-  // Start with 10 MB, double on each retry up to the full file size
-  let readSize = Math.min(file.size, 10 * 1024 * 1024);
-
-  while (true) {
-    try {
-      const result = await _parseHeader(file, readSize, onProgress);
-      return result;
-    } catch (e) {
-      if (e.message === 'BUFFER_TOO_SMALL' && readSize < file.size) {
-        readSize = Math.min(file.size, readSize * 4);
-        console.log(`[GGUF] Header exceeded buffer, expanding to ${(readSize / 1e6).toFixed(0)} MB...`);
-        continue;
+  // For arrays, `desc.itemType` is set to the element type: a GGUFValueType,
+  // or for nested arrays the inner array's descriptor (taken from the first
+  // element; GGUF files don't mix element types in practice)
+  async readValue(type, desc = {}) {
+    if (type === GGUFValueType.STRING) return this.readString();
+    if (type === GGUFValueType.ARRAY) return this.readArray(desc);
+    const size = VALUE_TYPE_SIZE[type];
+    if (!size) throw new Error(`Unknown GGUF value type: ${type}`);
+    await this.ensure(size);
+    return this.readScalar(type);
+  }
+
+  async readArray(desc) {
+    await this.ensure(4 + this.countSize);
+    const itemType = this.readUint32();
+    const length = this.readCount();
+    const size = VALUE_TYPE_SIZE[itemType];
+    desc.itemType = itemType;
+
+    if (length >= LAZY_ARRAY_MIN_LENGTH && itemType !== GGUFValueType.ARRAY) {
+      // Record where the elements live and step over them
+      const offset = this.offset;
+      if (size) {
+        this.skip(length * size);
+      } else if (itemType === GGUFValueType.STRING) {
+        for (let i = 0; i < length; i++) {
+          if (!this.available(this.countSize)) await this.ensure(this.countSize);
+          this.skip(this.readCount());
+        }
+      } else {
+        throw new Error(`Unknown GGUF value type: ${itemType}`);
       }
-      throw e;
+      return {
+        lazy: true, itemType, length, offset, byteLength: this.offset - offset,
+        littleEndian: this.littleEndian, countSize: this.countSize,
+      };
     }
+
+    const arr = [];
+    if (size) {
+      await this.ensure(length * size);
+      for (let i = 0; i < length; i++) arr.push(this.readScalar(itemType));
+    } else if (itemType === GGUFValueType.ARRAY) {
+      const inner = { itemType: GGUFValueType.UINT8 };
+      for (let i = 0; i < length; i++) arr.push(await this.readValue(itemType, i === 0 ? inner : {}));
+      desc.itemType = inner;
+    } else {
+      for (let i = 0; i < length; i++) arr.push(await this.readValue(itemType));
+    }
+    return arr;
   }
 }
 
-async function _parseHeader(file, readSize, onProgress) {
-  const ALIGNMENT = 32;
+/**
+ * Parse the GGUF header (metadata + tensor info) from a File object.
+ * The header is streamed in READ_CHUNK windows, so huge tokenizer arrays
+ * (10-160 MB) are walked once and never held in memory: arrays of
+ * LAZY_ARRAY_MIN_LENGTH or more elements become lazy descriptors
+ * { lazy, itemType, length, offset, byteLength, littleEndian, countSize }
+ * that loadMetadataArray() reads on demand. Their `length` matches the real
+ * array's.
+ *
+ * GGUF v1 (32-bit counts, string lengths and dims) and big-endian files are
+ * detected from the version field; every tensor records `littleEndian` so
+ * weight sampling decodes it with the right byte order.
+ *
+ * metadataTypes maps each key to its GGUFValueType, or to { itemType } for
+ * arrays (itemType being a GGUFValueType or, for nested arrays, another
+ * { itemType }), so the header can be written back out by gguf-writer.js.
+ * Returns { metadata, metadataTypes, tensors, tensorDataOffset, version,
+ *           tensorCount, alignment, littleEndian }
+ */
+export async function parseGGUFHeader(file, onProgress) {
+  const DEFAULT_ALIGNMENT = 32;
 
-  const buffer = await file.slice(0, readSize).arrayBuffer();
-  const reader = new BufferReader(buffer);
+  const reader = new ChunkedFileReader(file);
+  await reader.ensure(8);
 
   // Magic: first 4 bytes must be ASCII "GGUF"
   const magic = reader.readUint32();
@@ -234,38 +341,58 @@ async function _parseHeader(file, readSize, onProgress) {
     throw new Error(`Not a valid GGUF file (got 0x${magic.toString(16)}, expected 0x${expected.toString(16)})`);
   }
 
-  // Version
-  const version = reader.readUint32();
-  if (version < 2 || version > 3) {
-    throw new Error(`Unsupported GGUF version: ${version} (expected 2 or 3)`);
+  // Version. The magic is written byte-wise, so a big-endian file only
+  // shows up here, as a byte-swapped version number.
+  let version = reader.readUint32();
+  if (version > 0xFFFF) {
+    reader.offset -= 4;
+    reader.littleEndian = false;
+    version = reader.readUint32();
   }
+  if (version < 1 || version > 3) {
+    throw new Error(`Unsupported GGUF version: ${version} (expected 1, 2 or 3)`);
+  }
+  if (version === 1) reader.countSize = 4;
 
   // Counts
-  const tensorCount = reader.readUint64();
-  const metadataKVCount = reader.readUint64();
+  await reader.ensure(2 * reader.countSize);
+  const tensorCount = reader.readCount();
+  const metadataKVCount = reader.readCount();
 
   if (onProgress) onProgress('header', 0, metadataKVCount);
 
   // Parse metadata KV pairs (this is where huge arrays live)
   const metadata = {};
+  const metadataTypes = {};
   for (let i = 0; i < metadataKVCount; i++) {
-    const key = reader.readString();
+    const key = await reader.readString();
+    await reader.ensure(4);
     const valueType = reader.readUint32();
-    const value = reader.readValue(valueType);
+    const desc = {};
+    const value = await reader.readValue(valueType, desc);
     metadata[key] = value;
+    metadataTypes[key] = valueType === GGUFValueType.ARRAY ? desc : valueType;
     if (onProgress && i % 50 === 0) onProgress('metadata', i, metadataKVCount);
   }
 
+  // general.alignment overrides the default; invalid values are left for
+  // the validator to report and the default is used for layout
+  const alignKey = metadata['general.alignment'];
+  const alignment = Number.isInteger(alignKey) && alignKey > 0 && alignKey <= 0xFFFFFFFF
+    && (alignKey & (alignKey - 1)) === 0 ? alignKey : DEFAULT_ALIGNMENT;
+
   if (onProgress) onProgress('tensors', 0, tensorCount);
 
   // Parse tensor info entries
   const tensors = [];
   for (let i = 0; i < tensorCount; i++) {
-    const name = reader.readString();
+    const name = await reader.readString();
+    await reader.ensure(4);
     const nDims = reader.readUint32();
+    await reader.ensure(nDims * reader.countSize + 12);
     const dims = [];
     for (let d = 0; d < nDims; d++) {
-      dims.push(reader.readUint64());
+      dims.push(reader.readCount());
     }
     const type = reader.readUint32();
     const offset = reader.readUint64();
@@ -276,23 +403,196 @@ async function _parseHeader(file, readSize, onProgress) {
       ? Math.ceil(numElements / info.blockSize) * info.bytesPerBlock
       : numElements * 4;
 
-    tensors.push({ name, dims, type, offset, numElements, dataSize });
+    tensors.push({ name, dims, type, offset, numElements, dataSize, littleEndian: reader.littleEndian });
     if (onProgress && i % 100 === 0) onProgress('tensors', i, tensorCount);
   }
 
   // Tensor data starts after alignment padding
   const headerEnd = reader.offset;
-  const tensorDataOffset = Math.ceil(headerEnd / ALIGNMENT) * ALIGNMENT;
+  const tensorDataOffset = Math.ceil(headerEnd / alignment) * alignment;
+
+  return {
+    metadata, metadataTypes, tensors, tensorDataOffset, version, tensorCount, alignment,
+    littleEndian: reader.littleEndian,
+  };
+}
+
+/**
+ * True for metadata values parseGGUFHeader() left on disk.
+ */
+export function isLazyArray(value) {
+  return value !== null && typeof value === 'object' && value.lazy === true;
+}
+
+/**
+ * Load a metadata array value. Lazy descriptors are read from `file` (the
+ * file, or first shard, the header came from): numeric arrays come back as
+ * typed arrays, string arrays as arrays of strings. Other values are
+ * returned unchanged.
+ */
+export async function loadMetadataArray(file, value) {
+  if (!isLazyArray(value)) return value;
+
+  const { itemType, length, offset, byteLength, littleEndian, countSize } = value;
+  // slice() hands back a fresh ArrayBuffer, so typed arrays are always aligned
+  const buffer = await file.slice(offset, offset + byteLength).arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+
+  const Typed = VALUE_TYPE_ARRAY[itemType];
+  if (Typed) {
+    // Typed arrays use the host's (little-endian) byte order
+    if (!littleEndian) swapBytes(bytes, Typed.BYTES_PER_ELEMENT);
+    return new Typed(buffer, 0, length);
+  }
+
+  const view = new DataView(buffer);
+  const strings = new Array(length);
+  let pos = 0;
+  for (let i = 0; i < length; i++) {
+    const len = countSize === 4
+      ? view.getUint32(pos, littleEndian)
+      : Number(view.getBigUint64(pos, littleEndian));
+    pos += countSize;
+    strings[i] = textDecoder.decode(bytes.subarray(pos, pos + len));
+    pos += len;
+  }
+  return strings;
+}
+
+// Reverse the byte order of each `size`-byte element in place
+function swapBytes(bytes, size) {
+  if (size === 1) return;
+  for (let i = 0; i + size <= bytes.length; i += size) {
+    for (let a = i, b = i + size - 1; a < b; a++, b--) {
+      const t = bytes[a];
+      bytes[a] = bytes[b];
+      bytes[b] = t;
+    }
+  }
+}
+
+// ─── Split models ───────────────────────────────────────────────────
+
+/**
+ * Parse one or more shards of a split model (gguf-split output carrying
+ * split.no / split.count) and merge them into a single header. A single
+ * ordinary file works too. Shards are ordered by split.no and the first one
+ * supplies the model metadata. Each tensor is tagged with the `file` it lives
+ * in and that shard's `dataOffset`, so sampling reads from the right shard.
+ *
+ * onProgress receives (phase, current, total, shardIdx, shardCount).
+ * Returns the parseGGUFHeader() fields plus { shards, splitCount, missingShards }
+ * where missingShards lists 1-based shard numbers that were not supplied.
+ */
+export async function parseGGUFShards(files, onProgress) {
+  const shards = [];
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const header = await parseGGUFHeader(file, onProgress &&
+      ((phase, current, total) => onProgress(phase, current, total, i, files.length)));
+    shards.push({ ...header, file, splitNo: header.metadata['split.no'] ?? 0 });
+  }
+
+  const splitCount = shards[0].metadata['split.count'] ?? 1;
+  for (const shard of shards) {
+    const count = shard.metadata['split.count'];
+    if (files.length > 1 && count === undefined) {
+      throw new Error(`${shard.file.name} is not part of a split model`);
+    }
+    if ((count ?? 1) !== splitCount) {
+      throw new Error(`${shard.file.name} belongs to a ${count}-way split, expected ${splitCount}`);
+    }
+  }
 
-  return { metadata, tensors, tensorDataOffset, version, tensorCount };
+  shards.sort((a, b) => a.splitNo - b.splitNo);
+  for (let i = 1; i < shards.length; i++) {
+    if (shards[i].splitNo === shards[i - 1].splitNo) {
+      throw new Error(`${shards[i - 1].file.name} and ${shards[i].file.name} are both shard ${shards[i].splitNo + 1}`);
+    }
+  }
+
+  const present = new Set(shards.map(s => s.splitNo));
+  const missingShards = [];
+  for (let n = 0; n < splitCount; n++) {
+    if (!present.has(n)) missingShards.push(n + 1);
+  }
+
+  const tensors = [];
+  for (const shard of shards) {
+    for (const t of shard.tensors) {
+      t.file = shard.file;
+      t.dataOffset = shard.tensorDataOffset;
+      tensors.push(t);
+    }
+  }
+
+  const first = shards[0];
+  return {
+    metadata: first.metadata,
+    metadataTypes: first.metadataTypes,
+    tensors,
+    tensorDataOffset: first.tensorDataOffset,
+    version: first.version,
+    tensorCount: tensors.length,
+    alignment: first.alignment,
+    littleEndian: first.littleEndian,
+    shards,
+    splitCount,
+    missingShards,
+  };
+}
+
+// Sliding-window layouts llama.cpp hard-codes per architecture when the file
+// has no attention.sliding_window_pattern: every pattern-th layer attends
+// globally, the rest use the window. Llama 4's local layers use chunked
+// attention with a fixed chunk size instead of a sliding window.
+const SWA_DEFAULTS = {
+  gemma2: { pattern: 2 },
+  gemma3: { pattern: 6 },
+  cohere2: { pattern: 4 },
+  'gpt-oss': { pattern: 2 },
+  llama4: { pattern: 4, window: 8192 },
+};
+
+// A hyperparameter stored once or per layer, as one number per layer
+function perLayer(value, blockCount) {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Array.from({ length: blockCount }, (_, il) => Number(value[il] ?? 0));
+  }
+  return new Array(blockCount).fill(Number(value ?? 0));
 }
 
 /**
  * Extract architecture-related metadata into a friendly object.
+ *
+ * Head counts and FFN sizes may be stored per layer (OpenELM, Jamba, ...);
+ * the scalar fields then hold the largest value and `layers` has one entry
+ * per block: { headCount, headCountKV, feedForwardLength, slidingWindow,
+ * isMoE, recurrent }. slidingWindow is 0 for layers with full attention,
+ * and recurrent marks layers that keep a fixed-size state instead of a KV
+ * cache: every RWKV layer, and the state-space (or short convolution)
+ * layers of Mamba and hybrids.
+ *
+ * Multimodal projectors (mmproj files, architecture `clip`) describe their
+ * encoder under clip.vision.* (or clip.audio.* for audio-only ones); its
+ * blocks fill the same fields and `encoder` holds the rest.
+ *
+ * Encoder–decoder models (T5) count their encoder blocks in blockCount and
+ * their decoder blocks in decoderBlockCount.
  */
 export function extractArchInfo(metadata) {
   const arch = metadata['general.architecture'] || 'unknown';
-  const get = (key) => metadata[key] ?? metadata[`${arch}.${key}`];
+  const modality = arch !== 'clip' ? null
+    : metadata['clip.has_vision_encoder'] === false && metadata['clip.has_audio_encoder'] ? 'audio' : 'vision';
+  const prefix = modality ? `clip.${modality}` : arch;
+  const get = (key) => metadata[key] ?? metadata[`${prefix}.${key}`];
+  const max = (values) => values.reduce((m, v) => Math.max(m, v), 0);
+
+  const blockCount = get('block_count') || 0;
+  const heads = perLayer(get('attention.head_count'), blockCount);
+  // A missing or zero KV head count means plain multi-head attention
+  const headsKV = get('attention.head_count_kv') ? perLayer(get('attention.head_count_kv'), blockCount) : heads;
+  const ffn = perLayer(get('feed_forward_length'), blockCount);
 
   const info = {
     architecture: arch,
@@ -301,301 +601,924 @@ export function extractArchInfo(metadata) {
     fileTypeName: FILE_TYPE_NAMES[metadata['general.file_type']] || `Type ${metadata['general.file_type']}`,
     quantVersionOverride: metadata['general.quantization_version'],
 
-    blockCount: get('block_count') || 0,
+    blockCount,
+    decoderBlockCount: get('decoder_block_count') || 0,
     contextLength: get('context_length') || 0,
     embeddingLength: get('embedding_length') || 0,
-    feedForwardLength: get('feed_forward_length') || 0,
-
-    headCount: get('attention.head_count') || 0,
-    headCountKV: get('attention.head_count_kv') || get('attention.head_count') || 0,
+    feedForwardLength: max(ffn),
+
+    headCount: max(heads),
+    headCountKV: max(headsKV),
+    keyLength: get('attention.key_length') || 0,
+    valueLength: get('attention.value_length') || 0,
+    slidingWindow: get('attention.sliding_window') || SWA_DEFAULTS[arch]?.window || 0,
+    layerNormEpsilon: get('attention.layer_norm_epsilon') || 0,
+    layerNormRMSEpsilon: get('attention.layer_norm_rms_epsilon') || 0,
+    attnLogitSoftcapping: get('attn_logit_softcapping') || 0,
+    finalLogitSoftcapping: get('final_logit_softcapping') || 0,
 
     expertCount: get('expert_count') || 0,
     expertUsedCount: get('expert_used_count') || 0,
+    expertSharedCount: get('expert_shared_count') || 0,
+    expertFeedForwardLength: get('expert_feed_forward_length') || 0,
+    expertSharedFeedForwardLength: get('expert_shared_feed_forward_length') || 0,
+    leadingDenseBlockCount: get('leading_dense_block_count') || 0,
+    moeLayerStep: get('interleave_moe_layer_step') || 0,
 
     vocabSize: get('vocab_size') || metadata['tokenizer.ggml.tokens']?.length || 0,
     ropeFreqBase: get('rope.freq_base') || 0,
     ropeDimensionCount: get('rope.dimension_count') || 0,
+    // { type, factor, originalContextLength, attnFactor, finetuned }, or null
+    ropeScaling: null,
+    // { convKernel, innerSize, stateSize, timeStepRank, groupCount }, or null
+    ssm: null,
+    // RWKV's time-mix head size; 0 for other architectures
+    wkvHeadSize: get('wkv.head_size') || 0,
+    // { modality, projectorType, projectionDim, imageSize, patchSize, spatialMergeSize }, or null
+    encoder: null,
   };
 
+  if (modality) {
+    info.encoder = {
+      modality,
+      // Projectors from before the type was stored are LLaVA's two-layer MLP
+      projectorType: get('projector_type') || metadata['clip.projector_type'] || 'mlp',
+      projectionDim: get('projection_dim') || 0,
+      imageSize: get('image_size') || 0,
+      patchSize: get('patch_size') || 0,
+      spatialMergeSize: get('spatial_merge_size') || 0,
+    };
+  }
+
+  const scalingType = get('rope.scaling.type');
+  if (scalingType !== undefined && scalingType !== 'none') {
+    info.ropeScaling = {
+      type: scalingType,
+      factor: get('rope.scaling.factor') || get('rope.scale_linear') || 0,
+      originalContextLength: get('rope.scaling.original_context_length') || 0,
+      attnFactor: get('rope.scaling.attn_factor') || 0,
+      finetuned: !!get('rope.scaling.finetuned'),
+    };
+  } else if (get('rope.scale_linear')) {
+    // Older files only stored a linear scale factor
+    info.ropeScaling = {
+      type: 'linear', factor: get('rope.scale_linear'), originalContextLength: 0, attnFactor: 0, finetuned: false,
+    };
+  }
+
+  if (get('ssm.state_size') !== undefined) {
+    info.ssm = {
+      convKernel: get('ssm.conv_kernel') || 0,
+      innerSize: get('ssm.inner_size') || 0,
+      stateSize: get('ssm.state_size') || 0,
+      timeStepRank: get('ssm.time_step_rank') || 0,
+      groupCount: get('ssm.group_count') || 0,
+    };
+  }
+
   info.isMoE = info.expertCount > 1;
   info.isGQA = info.headCountKV > 0 && info.headCountKV < info.headCount;
-  info.headDim = info.embeddingLength && info.headCount
-    ? Math.floor(info.embeddingLength / info.headCount) : 0;
+  info.headDim = info.keyLength || (info.embeddingLength && info.headCount
+    ? Math.floor(info.embeddingLength / info.headCount) : 0);
+
+  // Which layers use the sliding window: an explicit per-layer pattern, every
+  // pattern-th layer global, or (with a window but no pattern) all of them
+  const swaPattern = get('attention.sliding_window_pattern') ?? SWA_DEFAULTS[arch]?.pattern ?? 0;
+  const isSliding = (il) => {
+    if (!info.slidingWindow) return false;
+    if (Array.isArray(swaPattern) || ArrayBuffer.isView(swaPattern)) return !!swaPattern[il];
+    return swaPattern === 0 || il % swaPattern < swaPattern - 1;
+  };
+
+  // LFM2's short convolutions keep a state like Mamba's
+  const hasRecurrentLayers = info.ssm !== null || get('shortconv.l_cache') !== undefined;
+  info.layers = Array.from({ length: blockCount }, (_, il) => ({
+    headCount: heads[il],
+    headCountKV: headsKV[il],
+    feedForwardLength: ffn[il],
+    slidingWindow: isSliding(il) ? info.slidingWindow : 0,
+    isMoE: info.isMoE && il >= info.leadingDenseBlockCount &&
+      (info.moeLayerStep <= 1 || (il + 1) % info.moeLayerStep === 0),
+    // Hybrids give their state-space layers no attention heads
+    recurrent: info.wkvHeadSize > 0 || (hasRecurrentLayers && (heads[il] === 0 || headsKV[il] === 0)),
+  }));
 
   return info;
 }
 
+/**
+ * One expert of a packed MoE tensor (ffn_gate_exps, ...), as a tensor of
+ * its own. Experts are the outermost dimension, so each is a contiguous
+ * slice of the data that can be sampled like any other tensor. Returns
+ * null when the last dimension isn't `expertCount`.
+ */
+export function expertSlice(tensor, expertIdx, expertCount) {
+  const { dims } = tensor;
+  if (expertCount < 2 || dims.length < 2 || dims[dims.length - 1] !== expertCount) return null;
+  const dataSize = tensor.dataSize / expertCount;
+  return {
+    ...tensor,
+    dims: dims.slice(0, -1),
+    numElements: tensor.numElements / expertCount,
+    dataSize,
+    offset: tensor.offset + expertIdx * dataSize,
+  };
+}
+
 /**
  * Sample weight values from a specific tensor in the file.
+ * Tensors from parseGGUFShards() carry their own file and data offset,
+ * which take precedence over the arguments.
  * Returns Float32Array of dequantized values.
  */
 export async function sampleTensorWeights(file, tensorDataOffset, tensor, sampleCount) {
-  const { type, offset, numElements, dataSize } = tensor;
-  const absOffset = tensorDataOffset + offset;
+  const { type, numElements, dataSize } = tensor;
+  const source = tensorSource(file, tensorDataOffset, tensor);
 
   // Cap sample count
   const actualSamples = Math.min(sampleCount, numElements);
 
-  // Strategy depends on type
-  if (type === GGMLType.F32) {
-    return sampleF32(file, absOffset, numElements, actualSamples);
-  } else if (type === GGMLType.F16) {
-    return sampleF16(file, absOffset, numElements, actualSamples);
-  } else if (type === GGMLType.BF16) {
-    return sampleBF16(file, absOffset, numElements, actualSamples);
-  } else if (type === GGMLType.Q8_0) {
-    return sampleQ8_0(file, absOffset, numElements, actualSamples);
-  } else if (type === GGMLType.Q4_0) {
-    return sampleQ4_0(file, absOffset, numElements, actualSamples);
-  } else {
+  if (!canScanType(type)) {
     // Generic: read raw bytes and normalize to [-1, 1]
-    return sampleGeneric(file, absOffset, dataSize, numElements, actualSamples);
+    return sampleGeneric(source.file, source.absOffset, dataSize, numElements, actualSamples);
   }
+
+  // Evenly strided elements, the same positions for every tensor of a shape
+  const stride = numElements / actualSamples;
+  const indices = new Float64Array(actualSamples);
+  for (let i = 0; i < actualSamples; i++) indices[i] = Math.floor(i * stride);
+  return readElements(source, type, indices);
 }
 
-// ─── Sampling helpers ───────────────────────────────────────────────
+/**
+ * Dequantized values of the elements at `indices` (flat, in any order) of
+ * a tensor whose type canScanType() accepts. Only the blocks holding them
+ * are read.
+ *
+ * @returns {Promise<Float32Array>} values in the order of `indices`
+ */
+export async function sampleTensorElements(file, tensorDataOffset, tensor, indices) {
+  if (!canScanType(tensor.type)) throw new Error(`Cannot decode ${GGMLTypeName[tensor.type] || tensor.type} tensors`);
+  return readElements(tensorSource(file, tensorDataOffset, tensor), tensor.type, indices);
+}
 
-async function sampleF32(file, absOffset, numElements, sampleCount) {
-  const stride = numElements / sampleCount;
-  const result = new Float32Array(sampleCount);
+// Statistics a patch can be summarised by
+export const PATCH_AGGREGATES = ['mean', 'max', 'rms'];
 
-  // Read in chunks to avoid huge memory allocation
-  const CHUNK = 65536;
-  const bytesPerElem = 4;
-  let sampleIdx = 0;
-  let nextSampleAt = 0;
+// Rows read from each band of patches; taller bands are estimated from
+// them. The mean and RMS read the middle rows, the max MAX_PATCH_RUNS runs
+// of rows spread across the band, so a peak anywhere in it can be found
+const MAX_PATCH_ROWS = 16;
+const MAX_PATCH_RUNS = 4;
 
-  for (let start = 0; start < numElements && sampleIdx < sampleCount; start += CHUNK) {
-    const end = Math.min(start + CHUNK, numElements);
-    if (nextSampleAt >= end) continue;
+/**
+ * Summarise a tensor, seen as a `rows` × `cols` matrix (dims past the
+ * second folded into the rows), as a grid of patches: one value per patch,
+ * row-major. Each band of patches is read block-wise as whole rows: all of
+ * them, or MAX_PATCH_ROWS of a taller band — its middle rows, or for 'max'
+ * MAX_PATCH_RUNS evenly spaced runs — so taller bands give estimates.
+ *
+ * @param {Object} grid - { rows, cols, gridRows, gridCols }; patch r, c covers rows
+ *   [floor(r·rows/gridRows), floor((r+1)·rows/gridRows)) and likewise for columns
+ * @param {string} aggregate - 'mean', 'max' (the value of largest magnitude, with
+ *   its sign) or 'rms'
+ * @returns {Promise<Float32Array>} gridRows × gridCols values; NaN and ±Inf are skipped
+ */
+export async function sampleTensorPatches(file, tensorDataOffset, tensor, grid, aggregate) {
+  const { type } = tensor;
+  const { rows, cols, gridRows, gridCols } = grid;
+  if (!canScanType(type)) throw new Error(`Cannot decode ${GGMLTypeName[type] || type} tensors`);
+  const { blockSize, bytesPerBlock } = QUANT_INFO[type];
+  if (cols % blockSize !== 0) throw new Error(`Rows of ${tensor.name} are not whole ${GGMLTypeName[type]} blocks`);
+
+  const source = tensorSource(file, tensorDataOffset, tensor);
+  const readElement = ELEMENT_READERS[type];
+  const dequant = BLOCK_DEQUANT[type];
+  const rowBytes = cols / blockSize * bytesPerBlock;
+  const row = new Float32Array(cols);
+  const block = new Float32Array(blockSize);
+
+  const colBand = new Uint32Array(cols);
+  for (let c = 0; c < gridCols; c++) {
+    colBand.fill(c, Math.floor(c * cols / gridCols), Math.floor((c + 1) * cols / gridCols));
+  }
 
-    const buf = await file.slice(
-      absOffset + start * bytesPerElem,
-      absOffset + end * bytesPerElem
-    ).arrayBuffer();
-    const view = new Float32Array(buf);
+  const result = new Float32Array(gridRows * gridCols);
+  const sum = new Float64Array(gridCols);
+  const count = new Uint32Array(gridCols);
+  const peak = new Float32Array(gridCols);
+
+  for (let r = 0; r < gridRows; r++) {
+    const bandStart = Math.floor(r * rows / gridRows);
+    const height = Math.floor((r + 1) * rows / gridRows) - bandStart;
+    const runs = aggregate === 'max' && height > MAX_PATCH_ROWS ? MAX_PATCH_RUNS : 1;
+    sum.fill(0);
+    count.fill(0);
+    peak.fill(0);
+
+    // Each run is the middle rows of its share of the band
+    for (let run = 0; run < runs; run++) {
+      const runStart = bandStart + Math.floor(run * height / runs);
+      const runHeight = bandStart + Math.floor((run + 1) * height / runs) - runStart;
+      const n = Math.min(runHeight, MAX_PATCH_ROWS / runs);
+      const byteStart = source.absOffset + (runStart + ((runHeight - n) >> 1)) * rowBytes;
+      const buf = await source.file.slice(byteStart, byteStart + n * rowBytes).arrayBuffer();
+
+      for (let k = 0; k < n; k++) {
+        const view = new DataView(buf, k * rowBytes, rowBytes);
+        if (readElement) {
+          for (let i = 0; i < cols; i++) row[i] = readElement(view, i, source.le);
+        } else {
+          const bytes = new Uint8Array(buf, k * rowBytes, rowBytes);
+          for (let b = 0; b < cols / blockSize; b++) {
+            dequant(view, bytes, b * bytesPerBlock, block, source.le);
+            row.set(block, b * blockSize);
+          }
+        }
 
-    while (nextSampleAt < end && sampleIdx < sampleCount) {
-      const localIdx = Math.floor(nextSampleAt) - start;
-      if (localIdx >= 0 && localIdx < view.length) {
-        result[sampleIdx++] = view[localIdx];
+        for (let i = 0; i < cols; i++) {
+          const v = row[i];
+          if (!isFinite(v)) continue;
+          const c = colBand[i];
+          sum[c] += aggregate === 'rms' ? v * v : v;
+          count[c]++;
+          if (Math.abs(v) > Math.abs(peak[c])) peak[c] = v;
+        }
       }
-      nextSampleAt += stride;
     }
-  }
 
+    for (let c = 0; c < gridCols; c++) {
+      const n = count[c];
+      result[r * gridCols + c] = aggregate === 'max' ? peak[c]
+        : n === 0 ? 0
+        : aggregate === 'rms' ? Math.sqrt(sum[c] / n)
+        : sum[c] / n;
+    }
+  }
   return result;
 }
 
-async function sampleF16(file, absOffset, numElements, sampleCount) {
-  const stride = numElements / sampleCount;
-  const result = new Float32Array(sampleCount);
-  const CHUNK = 65536;
-  let sampleIdx = 0;
-  let nextSampleAt = 0;
+// ─── Sampling helpers ───────────────────────────────────────────────
 
-  for (let start = 0; start < numElements && sampleIdx < sampleCount; start += CHUNK) {
-    const end = Math.min(start + CHUNK, numElements);
-    if (nextSampleAt >= end) continue;
+// File, absolute data offset and byte order of a tensor's data
+function tensorSource(file, tensorDataOffset, tensor) {
+  return {
+    file: tensor.file || file,
+    absOffset: (tensor.dataOffset ?? tensorDataOffset) + tensor.offset,
+    le: tensor.littleEndian !== false,
+  };
+}
+
+async function readElements({ file, absOffset, le }, type, indices) {
+  // Read only the blocks that contain sampled elements, in batched ranges
+  // (~144 KB per read, whatever the block size), and dequantize each
+  // needed block once. Plain element types are blocks of one.
+  const { blockSize, bytesPerBlock } = QUANT_INFO[type];
+  const readElement = ELEMENT_READERS[type];
+  const dequant = BLOCK_DEQUANT[type];
+  const result = new Float32Array(indices.length);
+
+  // Visit the elements in file order
+  let order = null;
+  for (let i = 1; i < indices.length; i++) {
+    if (indices[i] < indices[i - 1]) {
+      order = Uint32Array.from(indices.keys()).sort((a, b) => indices[a] - indices[b]);
+      break;
+    }
+  }
+  const at = (k) => (order ? order[k] : k);
+
+  const MAX_BATCH = Math.max(1, Math.floor(147456 / bytesPerBlock));
+  const out = new Float32Array(blockSize);
+  let k = 0;
+
+  while (k < indices.length) {
+    const firstBlock = Math.floor(indices[at(k)] / blockSize);
+    let end = k + 1;
+    while (end < indices.length && Math.floor(indices[at(end)] / blockSize) - firstBlock < MAX_BATCH) end++;
+    const lastBlock = Math.floor(indices[at(end - 1)] / blockSize);
 
     const buf = await file.slice(
-      absOffset + start * 2,
-      absOffset + end * 2
+      absOffset + firstBlock * bytesPerBlock,
+      absOffset + (lastBlock + 1) * bytesPerBlock
     ).arrayBuffer();
-    const u16 = new Uint16Array(buf);
+    const data = new DataView(buf);
+    const bytes = new Uint8Array(buf);
 
-    while (nextSampleAt < end && sampleIdx < sampleCount) {
-      const localIdx = Math.floor(nextSampleAt) - start;
-      if (localIdx >= 0 && localIdx < u16.length) {
-        result[sampleIdx++] = f16ToF32(u16[localIdx]);
+    let decoded = -1;
+    for (let j = k; j < end; j++) {
+      const i = at(j);
+      const elem = indices[i];
+      if (readElement) {
+        result[i] = readElement(data, elem - firstBlock, le);
+        continue;
       }
-      nextSampleAt += stride;
+      const blockIdx = Math.floor(elem / blockSize);
+      if (blockIdx !== decoded) {
+        dequant(data, bytes, (blockIdx - firstBlock) * bytesPerBlock, out, le);
+        decoded = blockIdx;
+      }
+      result[i] = out[elem - blockIdx * blockSize];
     }
+    k = end;
   }
+
   return result;
 }
 
-async function sampleBF16(file, absOffset, numElements, sampleCount) {
-  const stride = numElements / sampleCount;
+async function sampleGeneric(file, absOffset, dataSize, numElements, sampleCount) {
+  // Fallback: read raw bytes from sparse positions, normalize to [-1, 1]
+  const stride = Math.max(1, Math.floor(dataSize / sampleCount));
   const result = new Float32Array(sampleCount);
-  const CHUNK = 65536;
+
+  // Read in chunks, skipping over unneeded regions
+  const CHUNK = 256 * 1024; // 256KB per read
   let sampleIdx = 0;
-  let nextSampleAt = 0;
+  let nextByteAt = 0;
 
-  for (let start = 0; start < numElements && sampleIdx < sampleCount; start += CHUNK) {
-    const end = Math.min(start + CHUNK, numElements);
-    if (nextSampleAt >= end) continue;
+  for (let start = 0; start < dataSize && sampleIdx < sampleCount; start += CHUNK) {
+    const end = Math.min(start + CHUNK, dataSize);
+    if (nextByteAt >= end) continue;
 
-    const buf = await file.slice(
-      absOffset + start * 2,
-      absOffset + end * 2
-    ).arrayBuffer();
-    const u16 = new Uint16Array(buf);
-
-    while (nextSampleAt < end && sampleIdx < sampleCount) {
-      const localIdx = Math.floor(nextSampleAt) - start;
-      if (localIdx >= 0 && localIdx < u16.length) {
-        // BF16: just shift to upper 16 bits of float32
-        const tmpBuf = new ArrayBuffer(4);
-        const tmpView = new DataView(tmpBuf);
-        tmpView.setUint16(2, u16[localIdx], true);
-        tmpView.setUint16(0, 0, true);
-        result[sampleIdx++] = tmpView.getFloat32(0, true);
+    const buf = await file.slice(absOffset + start, absOffset + end).arrayBuffer();
+    const bytes = new Uint8Array(buf);
+
+    while (nextByteAt < end && sampleIdx < sampleCount) {
+      const localIdx = Math.floor(nextByteAt) - start;
+      if (localIdx >= 0 && localIdx < bytes.length) {
+        const raw = bytes[localIdx];
+        result[sampleIdx] = (raw > 127 ? raw - 256 : raw) / 128.0;
+        sampleIdx++;
       }
-      nextSampleAt += stride;
+      nextByteAt += stride;
     }
   }
+
   return result;
 }
 
-async function sampleQ8_0(file, absOffset, numElements, sampleCount) {
-  // Q8_0: blocks of 32 elements, each block = 2 bytes (f16 scale) + 32 bytes (int8 quants)
-  const BLOCK_SIZE = 32;
-  const BYTES_PER_BLOCK = 34;
-  const stride = numElements / sampleCount;
-  const result = new Float32Array(sampleCount);
+// ─── Full-tensor statistics ─────────────────────────────────────────
 
-  // Build list of blocks we need
-  const blockNeeds = new Map(); // blockIdx -> [{ sampleIdx, inBlock }]
-  for (let i = 0; i < sampleCount; i++) {
-    const elemIdx = Math.floor(i * stride);
-    const blockIdx = Math.floor(elemIdx / BLOCK_SIZE);
-    const inBlock = elemIdx % BLOCK_SIZE;
-    if (!blockNeeds.has(blockIdx)) blockNeeds.set(blockIdx, []);
-    blockNeeds.get(blockIdx).push({ sampleIdx: i, inBlock });
-  }
-
-  // Read blocks in batched ranges (batch up to 4096 consecutive blocks at once)
-  const sortedBlocks = [...blockNeeds.keys()].sort((a, b) => a - b);
-  const MAX_BATCH = 4096;
-  let bi = 0;
-
-  while (bi < sortedBlocks.length) {
-    const firstBlock = sortedBlocks[bi];
-    let lastBlock = firstBlock;
-    let endBi = bi;
-
-    while (endBi + 1 < sortedBlocks.length &&
-           sortedBlocks[endBi + 1] - firstBlock < MAX_BATCH) {
-      endBi++;
-      lastBlock = sortedBlocks[endBi];
+// Bytes read per step of a full scan
+const SCAN_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// Element decoders for the non-block types a scan can stream
+const ELEMENT_READERS = {
+  [GGMLType.F32]: (view, i, le) => view.getFloat32(i * 4, le),
+  [GGMLType.F16]: (view, i, le) => f16ToF32(view.getUint16(i * 2, le)),
+  [GGMLType.BF16]: (view, i, le) => bf16ToF32(view.getUint16(i * 2, le)),
+  [GGMLType.F64]: (view, i, le) => view.getFloat64(i * 8, le),
+  [GGMLType.I8]: (view, i) => view.getInt8(i),
+  [GGMLType.I16]: (view, i, le) => view.getInt16(i * 2, le),
+  [GGMLType.I32]: (view, i, le) => view.getInt32(i * 4, le),
+};
+
+/**
+ * True if computeTensorStats() can decode tensors of this type.
+ */
+export function canScanType(type) {
+  return !!(ELEMENT_READERS[type] || BLOCK_DEQUANT[type]);
+}
+
+/**
+ * Stream an entire tensor through its decoder, SCAN_CHUNK_BYTES of data at
+ * a time. `onChunk(values, count, start)` gets the dequantized elements
+ * [start, start + count) in `values`, a buffer reused for every chunk.
+ *
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
+ * @param {number} tensorDataOffset - Byte offset where tensor data starts
+ * @param {Object} tensor - Tensor info from the parser; its type must pass canScanType()
+ * @param {Function} onChunk - (values, count, start)
+ * @param {Function} [onProgress] - (elementsDone) after each chunk
+ * @param {Function} [isCancelled] - Polled between chunks; streaming stops with
+ *   an Error('SCAN_CANCELLED') when it returns true
+ */
+export async function streamTensor(file, tensorDataOffset, tensor, onChunk, onProgress, isCancelled) {
+  const { type, numElements } = tensor;
+  const { file: source, absOffset, le } = tensorSource(file, tensorDataOffset, tensor);
+
+  const readElement = ELEMENT_READERS[type];
+  const { blockSize, bytesPerBlock } = QUANT_INFO[type];
+  const dequant = BLOCK_DEQUANT[type];
+  const blocksPerChunk = Math.max(1, Math.floor(SCAN_CHUNK_BYTES / bytesPerBlock));
+  const elemsPerChunk = blocksPerChunk * blockSize;
+
+  const values = new Float32Array(elemsPerChunk);
+  const block = new Float32Array(blockSize);
+
+  for (let start = 0; start < numElements; start += elemsPerChunk) {
+    if (isCancelled && isCancelled()) throw new Error('SCAN_CANCELLED');
+
+    const count = Math.min(elemsPerChunk, numElements - start);
+    const nBlocks = Math.ceil(count / blockSize);
+    const byteStart = absOffset + (start / blockSize) * bytesPerBlock;
+    const buf = await source.slice(byteStart, byteStart + nBlocks * bytesPerBlock).arrayBuffer();
+    const view = new DataView(buf);
+
+    if (readElement) {
+      for (let i = 0; i < count; i++) values[i] = readElement(view, i, le);
+    } else {
+      const bytes = new Uint8Array(buf);
+      for (let b = 0; b < nBlocks; b++) {
+        dequant(view, bytes, b * bytesPerBlock, block, le);
+        const n = Math.min(blockSize, count - b * blockSize);
+        values.set(n === blockSize ? block : block.subarray(0, n), b * blockSize);
+      }
     }
 
-    const readStart = absOffset + firstBlock * BYTES_PER_BLOCK;
-    const readEnd = absOffset + (lastBlock + 1) * BYTES_PER_BLOCK;
-    const buf = await file.slice(readStart, readEnd).arrayBuffer();
-    const data = new DataView(buf);
-    const bytes = new Uint8Array(buf);
+    onChunk(values, count, start);
+    if (onProgress) onProgress(start + count);
+  }
+}
 
-    for (let j = bi; j <= endBi; j++) {
-      const blockIdx = sortedBlocks[j];
-      const localOff = (blockIdx - firstBlock) * BYTES_PER_BLOCK;
-      const scaleU16 = data.getUint16(localOff, true);
-      const scale = f16ToF32(scaleU16);
+/**
+ * Stream an entire tensor through its decoder and compute exact statistics.
+ * Moments are accumulated per chunk (two-pass) and merged with the pairwise
+ * update formulas, so precision holds up over billions of elements.
+ * NaN and ±Inf are counted separately and excluded from everything else.
+ *
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
+ * @param {number} tensorDataOffset - Byte offset where tensor data starts
+ * @param {Object} tensor - Tensor info from the parser
+ * @param {Function} [onProgress] - (elementsDone, numElements)
+ * @param {Function} [isCancelled] - Polled between chunks; scanning stops with
+ *   an Error('SCAN_CANCELLED') when it returns true
+ * @returns {Promise<{ count, min, max, mean, std, kurtosis, zeros, sparsity, nan, inf }|null>}
+ *   kurtosis is excess kurtosis (0 for a normal distribution); null for
+ *   types that can't be decoded
+ */
+export async function computeTensorStats(file, tensorDataOffset, tensor, onProgress, isCancelled) {
+  const { type, numElements } = tensor;
+  if (!canScanType(type)) return null;
+
+  const acc = { n: 0, mean: 0, m2: 0, m3: 0, m4: 0 };
+  let min = Infinity, max = -Infinity, zeros = 0, nan = 0, inf = 0;
+
+  await streamTensor(file, tensorDataOffset, tensor, (values, count) => {
+    // Pass 1: extremes, special values and the chunk mean
+    let sum = 0, finite = 0;
+    for (let i = 0; i < count; i++) {
+      const v = values[i];
+      if (v !== v) { nan++; continue; }
+      if (v === Infinity || v === -Infinity) { inf++; continue; }
+      if (v === 0) zeros++;
+      if (v < min) min = v;
+      if (v > max) max = v;
+      sum += v;
+      finite++;
+    }
+    if (finite === 0) return;
+
+    // Pass 2: central moments of the chunk
+    const mean = sum / finite;
+    let m2 = 0, m3 = 0, m4 = 0;
+    for (let i = 0; i < count; i++) {
+      const v = values[i];
+      if (v !== v || v === Infinity || v === -Infinity) continue;
+      const d = v - mean;
+      const d2 = d * d;
+      m2 += d2;
+      m3 += d2 * d;
+      m4 += d2 * d2;
+    }
+    mergeMoments(acc, finite, mean, m2, m3, m4);
+  }, (done) => onProgress && onProgress(done, numElements), isCancelled);
+
+  const { n } = acc;
+  const variance = n > 0 ? acc.m2 / n : 0;
+  return {
+    count: n,
+    min: n > 0 ? min : NaN,
+    max: n > 0 ? max : NaN,
+    mean: n > 0 ? acc.mean : NaN,
+    std: Math.sqrt(variance),
+    kurtosis: variance > 0 ? (acc.m4 / n) / (variance * variance) - 3 : 0,
+    zeros,
+    sparsity: numElements > 0 ? zeros / numElements : 0,
+    nan,
+    inf,
+  };
+}
+
+// Fold a chunk's count, mean and central moment sums into `acc`
+// (Chan et al. / Pébay pairwise update)
+function mergeMoments(acc, nB, meanB, m2B, m3B, m4B) {
+  const nA = acc.n;
+  if (nA === 0) {
+    Object.assign(acc, { n: nB, mean: meanB, m2: m2B, m3: m3B, m4: m4B });
+    return;
+  }
+  const n = nA + nB;
+  const delta = meanB - acc.mean;
+  const d2 = delta * delta;
+  const m2A = acc.m2, m3A = acc.m3;
+  acc.m4 = acc.m4 + m4B
+    + d2 * d2 * nA * nB * (nA * nA - nA * nB + nB * nB) / (n * n * n)
+    + 6 * d2 * (nA * nA * m2B + nB * nB * m2A) / (n * n)
+    + 4 * delta * (nA * m3B - nB * m3A) / n;
+  acc.m3 = m3A + m3B
+    + d2 * delta * nA * nB * (nA - nB) / (n * n)
+    + 3 * delta * (nA * m2B - nB * m2A) / n;
+  acc.m2 = m2A + m2B + d2 * nA * nB / n;
+  acc.mean += delta * nB / n;
+  acc.n = n;
+}
 
-      for (const { sampleIdx, inBlock } of blockNeeds.get(blockIdx)) {
-        const qval = bytes[localOff + 2 + inBlock];
-        const ival = qval > 127 ? qval - 256 : qval;
-        result[sampleIdx] = scale * ival;
+// ─── Block dequantizers ─────────────────────────────────────────────
+//
+// Each decoder expands one block starting at byte `off` into `out`
+// (blockSize floats, in element order); `le` is false for big-endian
+// files. They follow ggml's reference dequantize_row_* routines in
+// ggml-quants.c.
+
+function dequantQ8_0(data, bytes, off, out, le) {
+  // 2 bytes f16 scale + 32 int8 quants
+  const d = f16ToF32(data.getUint16(off, le));
+  for (let i = 0; i < 32; i++) {
+    out[i] = d * data.getInt8(off + 2 + i);
+  }
+}
+
+function dequantQ4_0(data, bytes, off, out, le) {
+  // 2 bytes f16 scale + 16 bytes of nibbles; low nibbles are elements 0-15
+  const d = f16ToF32(data.getUint16(off, le));
+  for (let i = 0; i < 16; i++) {
+    const q = bytes[off + 2 + i];
+    out[i]      = d * ((q & 0x0F) - 8);
+    out[i + 16] = d * ((q >> 4) - 8);
+  }
+}
+
+/**
+ * Unpack the j-th 6-bit scale and min from the 12-byte scales field
+ * shared by Q4_K and Q5_K (ggml's get_scale_min_k4).
+ */
+function scaleMinK4(j, bytes, q, sm) {
+  if (j < 4) {
+    sm[0] = bytes[q + j] & 63;
+    sm[1] = bytes[q + j + 4] & 63;
+  } else {
+    sm[0] = (bytes[q + j + 4] & 0x0F) | ((bytes[q + j - 4] >> 6) << 4);
+    sm[1] = (bytes[q + j + 4] >> 4) | ((bytes[q + j] >> 6) << 4);
+  }
+}
+
+// Scratch buffers reused across blocks
+const _sm = new Uint8Array(2);
+const _q3Scales = new Int8Array(16);
+
+function dequantQ2_K(data, bytes, off, out, le) {
+  // scales[16] | qs[64] | d (f16) | dmin (f16)
+  const d = f16ToF32(data.getUint16(off + 80, le));
+  const min = f16ToF32(data.getUint16(off + 82, le));
+  let y = 0;
+  let is = 0;
+  for (let n = 0; n < 2; n++) {
+    const q = off + 16 + n * 32;
+    for (let shift = 0; shift < 8; shift += 2) {
+      for (let half = 0; half < 2; half++) {
+        const sc = bytes[off + is++];
+        const dl = d * (sc & 0x0F);
+        const ml = min * (sc >> 4);
+        for (let l = 0; l < 16; l++) {
+          out[y++] = dl * ((bytes[q + half * 16 + l] >> shift) & 3) - ml;
+        }
       }
     }
-    bi = endBi + 1;
   }
+}
 
-  return result;
+function dequantQ3_K(data, bytes, off, out, le) {
+  // hmask[32] | qs[64] | scales[12] (6-bit, packed) | d (f16)
+  const d = f16ToF32(data.getUint16(off + 108, le));
+  const s = off + 96;
+
+  // 16 signed 6-bit scales: low 4 bits from the first 8 bytes,
+  // high 2 bits from the last 4
+  const scales = _q3Scales;
+  for (let j = 0; j < 16; j++) {
+    const lo = j < 8 ? bytes[s + j] & 0x0F : bytes[s + j - 8] >> 4;
+    const hi = (bytes[s + 8 + (j & 3)] >> (2 * (j >> 2))) & 3;
+    scales[j] = (lo | (hi << 4)) - 32;
+  }
+
+  let y = 0;
+  let is = 0;
+  let m = 1;
+  for (let n = 0; n < 2; n++) {
+    const q = off + 32 + n * 32;
+    for (let shift = 0; shift < 8; shift += 2) {
+      for (let half = 0; half < 2; half++) {
+        const dl = d * scales[is++];
+        for (let l = 0; l < 16; l++) {
+          const k = half * 16 + l;
+          const low = (bytes[q + k] >> shift) & 3;
+          out[y++] = dl * (low - ((bytes[off + k] & m) ? 0 : 4));
+        }
+      }
+      m <<= 1;
+    }
+  }
 }
 
-async function sampleQ4_0(file, absOffset, numElements, sampleCount) {
-  // Q4_0: blocks of 32 elements, each block = 2 bytes (f16 scale) + 16 bytes (4-bit pairs)
-  const BLOCK_SIZE = 32;
-  const BYTES_PER_BLOCK = 18;
-  const stride = numElements / sampleCount;
-  const result = new Float32Array(sampleCount);
+function dequantQ4_K(data, bytes, off, out, le) {
+  // d (f16) | dmin (f16) | scales[12] (6-bit scales + mins) | qs[128]
+  const d = f16ToF32(data.getUint16(off, le));
+  const min = f16ToF32(data.getUint16(off + 2, le));
+  let y = 0;
+  let q = off + 16;
+  for (let is = 0; is < 8; is += 2) {
+    scaleMinK4(is, bytes, off + 4, _sm);
+    const d1 = d * _sm[0], m1 = min * _sm[1];
+    scaleMinK4(is + 1, bytes, off + 4, _sm);
+    const d2 = d * _sm[0], m2 = min * _sm[1];
+    for (let l = 0; l < 32; l++) out[y++] = d1 * (bytes[q + l] & 0x0F) - m1;
+    for (let l = 0; l < 32; l++) out[y++] = d2 * (bytes[q + l] >> 4) - m2;
+    q += 32;
+  }
+}
 
-  // Build list of blocks we need (sparse reads for large tensors)
-  const blockNeeds = new Map();
-  for (let i = 0; i < sampleCount; i++) {
-    const elemIdx = Math.floor(i * stride);
-    const blockIdx = Math.floor(elemIdx / BLOCK_SIZE);
-    const inBlock = elemIdx % BLOCK_SIZE;
-    if (!blockNeeds.has(blockIdx)) blockNeeds.set(blockIdx, []);
-    blockNeeds.get(blockIdx).push({ sampleIdx: i, inBlock });
-  }
-
-  const sortedBlocks = [...blockNeeds.keys()].sort((a, b) => a - b);
-  const MAX_BATCH = 8192;
-  let bi = 0;
-
-  while (bi < sortedBlocks.length) {
-    const firstBlock = sortedBlocks[bi];
-    let lastBlock = firstBlock;
-    let endBi = bi;
-
-    while (endBi + 1 < sortedBlocks.length &&
-           sortedBlocks[endBi + 1] - firstBlock < MAX_BATCH) {
-      endBi++;
-      lastBlock = sortedBlocks[endBi];
+function dequantQ5_K(data, bytes, off, out, le) {
+  // d (f16) | dmin (f16) | scales[12] | qh[32] (5th bit) | qs[128]
+  const d = f16ToF32(data.getUint16(off, le));
+  const min = f16ToF32(data.getUint16(off + 2, le));
+  const qh = off + 16;
+  let y = 0;
+  let ql = off + 48;
+  let u1 = 1, u2 = 2;
+  for (let is = 0; is < 8; is += 2) {
+    scaleMinK4(is, bytes, off + 4, _sm);
+    const d1 = d * _sm[0], m1 = min * _sm[1];
+    scaleMinK4(is + 1, bytes, off + 4, _sm);
+    const d2 = d * _sm[0], m2 = min * _sm[1];
+    for (let l = 0; l < 32; l++) {
+      out[y++] = d1 * ((bytes[ql + l] & 0x0F) + (bytes[qh + l] & u1 ? 16 : 0)) - m1;
     }
+    for (let l = 0; l < 32; l++) {
+      out[y++] = d2 * ((bytes[ql + l] >> 4) + (bytes[qh + l] & u2 ? 16 : 0)) - m2;
+    }
+    ql += 32;
+    u1 <<= 2; u2 <<= 2;
+  }
+}
 
-    const readStart = absOffset + firstBlock * BYTES_PER_BLOCK;
-    const readEnd = absOffset + (lastBlock + 1) * BYTES_PER_BLOCK;
-    const buf = await file.slice(readStart, readEnd).arrayBuffer();
-    const data = new DataView(buf);
-    const bytes = new Uint8Array(buf);
+function dequantQ6_K(data, bytes, off, out, le) {
+  // ql[128] (low 4 bits) | qh[64] (high 2 bits) | scales[16] (int8) | d (f16)
+  const d = f16ToF32(data.getUint16(off + 208, le));
+  for (let n = 0; n < 2; n++) {
+    const ql = off + n * 64;
+    const qh = off + 128 + n * 32;
+    const sc = off + 192 + n * 8;
+    const y = n * 128;
+    for (let l = 0; l < 32; l++) {
+      const is = l >> 4;
+      const h = bytes[qh + l];
+      const q1 = ((bytes[ql + l] & 0x0F) | (((h >> 0) & 3) << 4)) - 32;
+      const q2 = ((bytes[ql + l + 32] & 0x0F) | (((h >> 2) & 3) << 4)) - 32;
+      const q3 = ((bytes[ql + l] >> 4) | (((h >> 4) & 3) << 4)) - 32;
+      const q4 = ((bytes[ql + l + 32] >> 4) | (((h >> 6) & 3) << 4)) - 32;
+      out[y + l]      = d * data.getInt8(sc + is) * q1;
+      out[y + l + 32] = d * data.getInt8(sc + is + 2) * q2;
+      out[y + l + 64] = d * data.getInt8(sc + is + 4) * q3;
+      out[y + l + 96] = d * data.getInt8(sc + is + 6) * q4;
+    }
+  }
+}
 
-    for (let j = bi; j <= endBi; j++) {
-      const blockIdx = sortedBlocks[j];
-      const localOff = (blockIdx - firstBlock) * BYTES_PER_BLOCK;
-      const scaleU16 = data.getUint16(localOff, true);
-      const scale = f16ToF32(scaleU16);
-
-      for (const { sampleIdx, inBlock } of blockNeeds.get(blockIdx)) {
-        const byteIdx = Math.floor(inBlock / 2);
-        const nibble = (inBlock % 2 === 0)
-          ? (bytes[localOff + 2 + byteIdx] & 0x0F)
-          : (bytes[localOff + 2 + byteIdx] >> 4);
-        const ival = nibble - 8;
-        result[sampleIdx] = scale * ival;
+function dequantQ8_K(data, bytes, off, out, le) {
+  // d (f32) | qs[256] (int8) | bsums[16] (unused for dequantization)
+  const d = data.getFloat32(off, le);
+  for (let i = 0; i < 256; i++) {
+    out[i] = d * data.getInt8(off + 4 + i);
+  }
+}
+
+// ─── IQ family ──────────────────────────────────────────────────────
+//
+// IQ types store indices into fixed lattice grids (iq-grids.js) plus
+// sign bits. ksigns_iq2xs packs 7 explicit sign bits per group of 8;
+// the 8th sign is implied by parity, so it is computed rather than copied.
+
+const KSIGNS_IQ2XS = new Uint8Array(128);
+for (let i = 0; i < 128; i++) {
+  let bits = 0;
+  for (let b = i; b; b >>= 1) bits += b & 1;
+  KSIGNS_IQ2XS[i] = i | ((bits & 1) << 7);
+}
+
+// Non-linear 4-bit codebook shared by IQ4_NL and IQ4_XS
+const KVALUES_IQ4NL = new Int8Array([
+  -127, -104, -83, -65, -49, -35, -22, -10, 1, 13, 25, 38, 53, 69, 89, 113,
+]);
+
+const IQ1S_DELTA = 0.125;
+
+function dequantIQ2_XXS(data, bytes, off, out, le) {
+  // d (f16) | qs: 8 x (4 grid indices + uint32 with 4x7 sign bits and 4-bit scale)
+  const d = f16ToF32(data.getUint16(off, le));
+  let y = 0;
+  for (let ib32 = 0; ib32 < 8; ib32++) {
+    const q = off + 2 + 8 * ib32;
+    const aux = data.getUint32(q + 4, le);
+    const db = d * (0.5 + (aux >>> 28)) * 0.25;
+    for (let l = 0; l < 4; l++) {
+      const grid = bytes[q + l] * 8;
+      const signs = KSIGNS_IQ2XS[(aux >>> (7 * l)) & 127];
+      for (let j = 0; j < 8; j++) {
+        out[y++] = db * IQ2XXS_GRID[grid + j] * (signs & (1 << j) ? -1 : 1);
       }
     }
-    bi = endBi + 1;
   }
+}
 
-  return result;
+function dequantIQ2_XS(data, bytes, off, out, le) {
+  // d (f16) | qs: 32 x uint16 (9-bit grid index + 7 sign bits) | scales[8]
+  const d = f16ToF32(data.getUint16(off, le));
+  let y = 0;
+  for (let ib32 = 0; ib32 < 8; ib32++) {
+    const sc = bytes[off + 66 + ib32];
+    const db0 = d * (0.5 + (sc & 0x0F)) * 0.25;
+    const db1 = d * (0.5 + (sc >> 4)) * 0.25;
+    for (let l = 0; l < 4; l++) {
+      const q = data.getUint16(off + 2 + 2 * (4 * ib32 + l), le);
+      const grid = (q & 511) * 8;
+      const signs = KSIGNS_IQ2XS[q >> 9];
+      const db = l < 2 ? db0 : db1;
+      for (let j = 0; j < 8; j++) {
+        out[y++] = db * IQ2XS_GRID[grid + j] * (signs & (1 << j) ? -1 : 1);
+      }
+    }
+  }
 }
 
-async function sampleGeneric(file, absOffset, dataSize, numElements, sampleCount) {
-  // Fallback: read raw bytes from sparse positions, normalize to [-1, 1]
-  const stride = Math.max(1, Math.floor(dataSize / sampleCount));
-  const result = new Float32Array(sampleCount);
+function dequantIQ2_S(data, bytes, off, out, le) {
+  // d (f16) | qs[32] grid low bits | signs[32] | qh[8] grid high bits | scales[8]
+  const d = f16ToF32(data.getUint16(off, le));
+  let y = 0;
+  for (let ib32 = 0; ib32 < 8; ib32++) {
+    const sc = bytes[off + 74 + ib32];
+    const db0 = d * (0.5 + (sc & 0x0F)) * 0.25;
+    const db1 = d * (0.5 + (sc >> 4)) * 0.25;
+    const qh = bytes[off + 66 + ib32];
+    for (let l = 0; l < 4; l++) {
+      const grid = (bytes[off + 2 + 4 * ib32 + l] | ((qh << (8 - 2 * l)) & 0x300)) * 8;
+      const signs = bytes[off + 34 + 4 * ib32 + l];
+      const db = l < 2 ? db0 : db1;
+      for (let j = 0; j < 8; j++) {
+        out[y++] = db * IQ2S_GRID[grid + j] * (signs & (1 << j) ? -1 : 1);
+      }
+    }
+  }
+}
 
-  // Read in chunks, skipping over unneeded regions
-  const CHUNK = 256 * 1024; // 256KB per read
-  let sampleIdx = 0;
-  let nextByteAt = 0;
+function dequantIQ3_XXS(data, bytes, off, out, le) {
+  // d (f16) | qs[64] grid indices | 8 x uint32 (4x7 sign bits + 4-bit scale)
+  const d = f16ToF32(data.getUint16(off, le));
+  let y = 0;
+  for (let ib32 = 0; ib32 < 8; ib32++) {
+    const aux = data.getUint32(off + 66 + 4 * ib32, le);
+    const db = d * (0.5 + (aux >>> 28)) * 0.5;
+    const q = off + 2 + 8 * ib32;
+    for (let l = 0; l < 4; l++) {
+      const signs = KSIGNS_IQ2XS[(aux >>> (7 * l)) & 127];
+      const grid1 = bytes[q + 2 * l] * 4;
+      const grid2 = bytes[q + 2 * l + 1] * 4;
+      for (let j = 0; j < 4; j++) {
+        out[y + j]     = db * IQ3XXS_GRID[grid1 + j] * (signs & (1 << j) ? -1 : 1);
+        out[y + j + 4] = db * IQ3XXS_GRID[grid2 + j] * (signs & (1 << (j + 4)) ? -1 : 1);
+      }
+      y += 8;
+    }
+  }
+}
 
-  for (let start = 0; start < dataSize && sampleIdx < sampleCount; start += CHUNK) {
-    const end = Math.min(start + CHUNK, dataSize);
-    if (nextByteAt >= end) continue;
+function dequantIQ3_S(data, bytes, off, out, le) {
+  // d (f16) | qs[64] | qh[8] (9th index bit) | signs[32] | scales[4]
+  const d = f16ToF32(data.getUint16(off, le));
+  let y = 0;
+  for (let ib32 = 0; ib32 < 8; ib32++) {
+    const sc = bytes[off + 106 + (ib32 >> 1)];
+    const db = d * (1 + 2 * ((ib32 & 1) ? sc >> 4 : sc & 0x0F));
+    const qh = bytes[off + 66 + ib32];
+    const q = off + 2 + 8 * ib32;
+    const s = off + 74 + 4 * ib32;
+    for (let l = 0; l < 4; l++) {
+      const grid1 = (bytes[q + 2 * l] | ((qh << (8 - 2 * l)) & 256)) * 4;
+      const grid2 = (bytes[q + 2 * l + 1] | ((qh << (7 - 2 * l)) & 256)) * 4;
+      const signs = bytes[s + l];
+      for (let j = 0; j < 4; j++) {
+        out[y + j]     = db * IQ3S_GRID[grid1 + j] * (signs & (1 << j) ? -1 : 1);
+        out[y + j + 4] = db * IQ3S_GRID[grid2 + j] * (signs & (1 << (j + 4)) ? -1 : 1);
+      }
+      y += 8;
+    }
+  }
+}
 
-    const buf = await file.slice(absOffset + start, absOffset + end).arrayBuffer();
-    const bytes = new Uint8Array(buf);
+function dequantIQ1_S(data, bytes, off, out, le) {
+  // d (f16) | qs[32] grid low bits | qh: 8 x uint16 (3x3 high bits, 3-bit scale, delta sign)
+  const d = f16ToF32(data.getUint16(off, le));
+  let y = 0;
+  for (let ib = 0; ib < 8; ib++) {
+    const qh = data.getUint16(off + 34 + 2 * ib, le);
+    const dl = d * (2 * ((qh >> 12) & 7) + 1);
+    const delta = qh & 0x8000 ? -IQ1S_DELTA : IQ1S_DELTA;
+    for (let l = 0; l < 4; l++) {
+      const grid = (bytes[off + 2 + 4 * ib + l] | (((qh >> (3 * l)) & 7) << 8)) * 8;
+      for (let j = 0; j < 8; j++) {
+        out[y++] = dl * (((IQ1S_GRID[grid + j] << 24) >> 24) + delta);
+      }
+    }
+  }
+}
 
-    while (nextByteAt < end && sampleIdx < sampleCount) {
-      const localIdx = Math.floor(nextByteAt) - start;
-      if (localIdx >= 0 && localIdx < bytes.length) {
-        const raw = bytes[localIdx];
-        result[sampleIdx] = (raw > 127 ? raw - 256 : raw) / 128.0;
-        sampleIdx++;
+function dequantIQ1_M(data, bytes, off, out, le) {
+  // qs[32] | qh[16] | scales: 4 x uint16 (3-bit block scales, f16 super-scale in top nibbles)
+  const sc0 = data.getUint16(off + 48, le);
+  const sc1 = data.getUint16(off + 50, le);
+  const sc2 = data.getUint16(off + 52, le);
+  const sc3 = data.getUint16(off + 54, le);
+  const d = f16ToF32((sc0 >> 12) | ((sc1 >> 8) & 0x00F0) | ((sc2 >> 4) & 0x0F00) | (sc3 & 0xF000));
+  let y = 0;
+  for (let ib = 0; ib < 8; ib++) {
+    const sc = data.getUint16(off + 48 + 2 * (ib >> 1), le);
+    const shift = 6 * (ib & 1);
+    const dl1 = d * (2 * ((sc >> shift) & 7) + 1);
+    const dl2 = d * (2 * ((sc >> (shift + 3)) & 7) + 1);
+    const qs = off + 4 * ib;
+    const qh0 = bytes[off + 32 + 2 * ib];
+    const qh1 = bytes[off + 33 + 2 * ib];
+    const idx = [
+      bytes[qs]     | ((qh0 << 8) & 0x700),
+      bytes[qs + 1] | ((qh0 << 4) & 0x700),
+      bytes[qs + 2] | ((qh1 << 8) & 0x700),
+      bytes[qs + 3] | ((qh1 << 4) & 0x700),
+    ];
+    const delta = [
+      qh0 & 0x08 ? -IQ1S_DELTA : IQ1S_DELTA,
+      qh0 & 0x80 ? -IQ1S_DELTA : IQ1S_DELTA,
+      qh1 & 0x08 ? -IQ1S_DELTA : IQ1S_DELTA,
+      qh1 & 0x80 ? -IQ1S_DELTA : IQ1S_DELTA,
+    ];
+    for (let l = 0; l < 4; l++) {
+      const dl = l < 2 ? dl1 : dl2;
+      const grid = idx[l] * 8;
+      for (let j = 0; j < 8; j++) {
+        out[y++] = dl * (((IQ1S_GRID[grid + j] << 24) >> 24) + delta[l]);
       }
-      nextByteAt += stride;
     }
   }
+}
+
+function dequantIQ4_NL(data, bytes, off, out, le) {
+  // d (f16) | qs[16] nibble indices into the non-linear codebook
+  const d = f16ToF32(data.getUint16(off, le));
+  for (let j = 0; j < 16; j++) {
+    const q = bytes[off + 2 + j];
+    out[j]      = d * KVALUES_IQ4NL[q & 0x0F];
+    out[j + 16] = d * KVALUES_IQ4NL[q >> 4];
+  }
+}
 
-  return result;
+function dequantIQ4_XS(data, bytes, off, out, le) {
+  // d (f16) | scales_h (uint16) | scales_l[4] | qs[128]
+  const d = f16ToF32(data.getUint16(off, le));
+  const scalesH = data.getUint16(off + 2, le);
+  let y = 0;
+  for (let ib = 0; ib < 8; ib++) {
+    const ls = ((bytes[off + 4 + (ib >> 1)] >> (4 * (ib & 1))) & 0x0F) | (((scalesH >> (2 * ib)) & 3) << 4);
+    const dl = d * (ls - 32);
+    const qs = off + 8 + 16 * ib;
+    for (let j = 0; j < 16; j++) {
+      out[y + j]      = dl * KVALUES_IQ4NL[bytes[qs + j] & 0x0F];
+      out[y + j + 16] = dl * KVALUES_IQ4NL[bytes[qs + j] >> 4];
+    }
+    y += 32;
+  }
 }
 
-// ─── Float16 conversion ─────────────────────────────────────────────
+// ggml type -> block decoder
+const BLOCK_DEQUANT = {
+  [GGMLType.Q8_0]: dequantQ8_0,
+  [GGMLType.Q4_0]: dequantQ4_0,
+  [GGMLType.Q2_K]: dequantQ2_K,
+  [GGMLType.Q3_K]: dequantQ3_K,
+  [GGMLType.Q4_K]: dequantQ4_K,
+  [GGMLType.Q5_K]: dequantQ5_K,
+  [GGMLType.Q6_K]: dequantQ6_K,
+  [GGMLType.Q8_K]: dequantQ8_K,
+  [GGMLType.IQ2_XXS]: dequantIQ2_XXS,
+  [GGMLType.IQ2_XS]:  dequantIQ2_XS,
+  [GGMLType.IQ2_S]:   dequantIQ2_S,
+  [GGMLType.IQ3_XXS]: dequantIQ3_XXS,
+  [GGMLType.IQ3_S]:   dequantIQ3_S,
+  [GGMLType.IQ1_S]:   dequantIQ1_S,
+  [GGMLType.IQ1_M]:   dequantIQ1_M,
+  [GGMLType.IQ4_NL]:  dequantIQ4_NL,
+  [GGMLType.IQ4_XS]:  dequantIQ4_XS,
+};
+
+// ─── Float16 / BFloat16 conversion ──────────────────────────────────
 
 function f16ToF32(h) {
   const sign = (h & 0x8000) >> 15;
@@ -613,6 +1536,13 @@ function f16ToF32(h) {
   return (sign ? -1 : 1) * Math.pow(2, exp - 15) * (1 + frac / 1024);
 }
 
+// bfloat16 is the top half of a float32
+const _bf16View = new DataView(new ArrayBuffer(4));
+function bf16ToF32(h) {
+  _bf16View.setUint32(0, h << 16);
+  return _bf16View.getFloat32(0);
+}
+
 /**
  * Compute total parameter count from tensor list.
  */
@@ -620,45 +1550,6 @@ export function computeTotalParams(tensors) {
   return tensors.reduce((sum, t) => sum + t.numElements, 0);
 }
 
-/**
- * Classify a tensor by its name into a category.
- */
-export function classifyTensor(name) {
-  const n = name.toLowerCase();
-  // Extract block/layer index
-  const blockMatch = n.match(/blk\.(\d+)\./);
-  const layerIdx = blockMatch ? parseInt(blockMatch[1]) : -1;
-
-  // Expert index
-  const expertMatch = n.match(/ffn_gate_exps|ffn_up_exps|ffn_down_exps/) ? -1 :
-    n.match(/\.(\d+)\.weight/) ? null : null;
-  // More robust expert detection
-  let expertIdx = -1;
-  const expMatch = n.match(/ffn_(?:gate|up|down)\.(\d+)/);
-  if (expMatch) expertIdx = parseInt(expMatch[1]);
-
-  let category = 'other';
-  if (n.includes('token_embd') || n.includes('tok_embd')) category = 'embedding';
-  else if (n.includes('output_norm') || n.includes('result_norm')) category = 'output_norm';
-  else if (n.includes('output.weight') || n.includes('lm_head')) category = 'output';
-  else if (n.includes('attn_q') || n.includes('attn.q')) category = 'attn_q';
-  else if (n.includes('attn_k') || n.includes('attn.k')) category = 'attn_k';
-  else if (n.includes('attn_v') || n.includes('attn.v')) category = 'attn_v';
-  else if (n.includes('attn_output') || n.includes('attn.output') || n.includes('attn_o')) category = 'attn_out';
-  else if (n.includes('attn_norm') || n.includes('attn_ln')) category = 'attn_norm';
-  else if (n.includes('ffn_gate_exps') || n.includes('ffn_gate_inp')) category = 'moe_gate';
-  else if (n.includes('ffn_gate')) category = 'ffn_gate';
-  else if (n.includes('ffn_up_exps')) category = 'moe_up';
-  else if (n.includes('ffn_up')) category = 'ffn_up';
-  else if (n.includes('ffn_down_exps')) category = 'moe_down';
-  else if (n.includes('ffn_down')) category = 'ffn_down';
-  else if (n.includes('ffn_norm')) category = 'ffn_norm';
-  else if (n.includes('attn')) category = 'attn_other';
-  else if (n.includes('ffn')) category = 'ffn_other';
-  else if (n.includes('norm')) category = 'norm';
-
-  return { category, layerIdx, expertIdx };
-}
-
-export { GGMLType, GGMLTypeName, QUANT_INFO };
+export { GGUFValueType, GGMLType, GGMLTypeName, QUANT_INFO, FILE_TYPE_NAMES };
+export { classifyTensor } from './tensor-registry.js';
 
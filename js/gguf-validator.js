@@ -0,0 +1,283 @@
+/**
+ * GGUF Structural Validator
+ * Checks a parsed header against the file it came from: alignment,
+ * tensor offsets and sizes, overlaps, truncation, and the tensor set
+ * llama.cpp expects for the model's architecture. Produces a flat list
+ * of issues with severity levels that the UI shows as "File Health".
+ */
+
+import { GGMLTypeName, GGUFValueType, QUANT_INFO } from './gguf-parser.js';
+import { ARCH_TENSOR_NAMES, ARCH_REQUIRED_TENSORS } from './arch-tensors.js';
+
+// ggml refuses tensors with more dimensions than this (GGML_MAX_DIMS)
+const MAX_DIMS = 4;
+
+// Cap per-code issue lists so a badly broken file doesn't produce 100k rows
+const MAX_ISSUES_PER_CODE = 50;
+
+/**
+ * Validate a parsed GGUF header.
+ * For split models (header from parseGGUFShards) each shard's data section
+ * is checked against its own file, and the tensor set against the merged list.
+ *
+ * @param {Object} header - { metadata, tensors, tensorDataOffset, alignment, shards? } from the parser
+ * @param {number} fileSize - Size of the file in bytes (ignored when header.shards is present)
+ * @returns {{ ok: boolean, counts: { error: number, warning: number, info: number }, issues: Array }}
+ */
+export function validateGGUF(header, fileSize) {
+  const { metadata, tensors, alignment } = header;
+  const issues = [];
+  const perCode = new Map();
+
+  const report = (severity, code, message, tensor) => {
+    const n = (perCode.get(code) || 0) + 1;
+    perCode.set(code, n);
+    if (n <= MAX_ISSUES_PER_CODE) {
+      issues.push(tensor ? { severity, code, message, tensor } : { severity, code, message });
+    }
+  };
+
+  // ── Alignment ──
+  const alignKey = metadata['general.alignment'];
+  const alignProblem = alignKey === undefined ? null
+    : alignmentProblem(alignKey, header.metadataTypes && header.metadataTypes['general.alignment']);
+  if (alignProblem) {
+    report('error', 'BAD_ALIGNMENT', `general.alignment ${alignProblem}; assuming ${alignment}`);
+  }
+
+  const seen = new Set();
+  for (const t of tensors) {
+    if (seen.has(t.name)) {
+      report('error', 'DUPLICATE_NAME', `Tensor name appears more than once`, t.name);
+    }
+    seen.add(t.name);
+  }
+
+  // ── Per-shard tensor data ──
+  const shards = header.shards || [{ ...header, file: { size: fileSize } }];
+  for (const shard of shards) {
+    const label = shards.length > 1 ? `${shard.file.name}: ` : '';
+    checkShard(shard, shard.file.size, label, report);
+  }
+
+  // ── Split bookkeeping ──
+  if (header.missingShards && header.missingShards.length > 0) {
+    report('error', 'MISSING_SHARD',
+      `Shard${header.missingShards.length === 1 ? '' : 's'} ${header.missingShards.join(', ')} of ${header.splitCount} not loaded`);
+  } else {
+    const expectedCount = metadata['split.tensors.count'];
+    if (expectedCount !== undefined && expectedCount !== tensors.length) {
+      report('error', 'SPLIT_TENSOR_COUNT',
+        `split.tensors.count is ${expectedCount} but the shards contain ${tensors.length} tensors`);
+    }
+  }
+
+  // ── Architecture tensor set (meaningless until every shard is loaded) ──
+  if (header.format === 'safetensors') {
+    report('info', 'NOT_GGUF', 'Safetensors checkpoint; tensor names were not checked against llama.cpp');
+  } else if (!header.missingShards || header.missingShards.length === 0) {
+    checkArchitecture(metadata, tensors, report);
+  }
+
+  // Note any issue lists that were cut short
+  for (const [code, n] of perCode) {
+    if (n > MAX_ISSUES_PER_CODE) {
+      const severity = issues.find(i => i.code === code).severity;
+      issues.push({ severity, code, message: `...and ${n - MAX_ISSUES_PER_CODE} more ${code} issues` });
+    }
+  }
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const [code, n] of perCode) {
+    counts[issues.find(i => i.code === code).severity] += n;
+  }
+
+  const order = { error: 0, warning: 1, info: 2 };
+  issues.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  return { ok: counts.error === 0, counts, issues };
+}
+
+/**
+ * Why a general.alignment value is unusable, or null if llama.cpp accepts
+ * it: it must be stored as a u32 and be a power of two.
+ */
+function alignmentProblem(value, valueType) {
+  const rule = '(it must be a u32 power of two)';
+  // u64/i64 values past Number.MAX_SAFE_INTEGER arrive from the parser as BigInt
+  if (typeof value === 'bigint' || value > 0xFFFFFFFF) return `= ${value} is too large for a u32 ${rule}`;
+  if (typeof value !== 'number') return `is ${Array.isArray(value) ? 'an array' : `a ${typeof value}`} ${rule}`;
+  if (!Number.isInteger(value)) return `= ${value} is not an integer ${rule}`;
+  if (value <= 0 || (value & (value - 1)) !== 0) return `= ${value} is not a power of two`;
+  if (valueType !== undefined && valueType !== GGUFValueType.UINT32) {
+    const typeName = Object.keys(GGUFValueType).find(k => GGUFValueType[k] === valueType) || `type ${valueType}`;
+    return `= ${value} is stored as ${typeName.toLowerCase()} ${rule}`;
+  }
+  return null;
+}
+
+/**
+ * Check one file's tensor infos and data section: types, shapes, offsets,
+ * overlaps, gaps, contiguity, truncation and trailing bytes. `label`
+ * prefixes file-level messages when a model is split across several files.
+ */
+function checkShard(shard, fileSize, label, report) {
+  const { tensors, tensorDataOffset, alignment } = shard;
+
+  if (tensors.length > 0 && tensorDataOffset > fileSize) {
+    report('error', 'TRUNCATED_HEADER',
+      `${label}Tensor data should start at byte ${tensorDataOffset} but the file is only ${fileSize} bytes`);
+  }
+
+  // ── Per-tensor checks ──
+  for (const t of tensors) {
+    const info = QUANT_INFO[t.type];
+    const typeName = GGMLTypeName[t.type] || `type ${t.type}`;
+    if (!info && t.dtype) {
+      // Safetensors dtypes without a ggml equivalent (U8, BOOL, F8_*)
+      report('info', 'UNDECODED_TYPE', `${t.dtype} data is not decoded; Weight Value shows raw bytes`, t.name);
+    } else if (!info) {
+      report('error', 'UNKNOWN_TYPE', `Unknown tensor type ${t.type}; size cannot be computed`, t.name);
+    } else if (t.dims.length > 0 && t.dims[0] % info.blockSize !== 0) {
+      report('error', 'SIZE_MISMATCH',
+        `Row length ${t.dims[0]} is not a multiple of the ${typeName} block size (${info.blockSize})`, t.name);
+    }
+
+    if (t.dims.length > MAX_DIMS) {
+      report('error', 'TOO_MANY_DIMS', `${t.dims.length} dimensions (ggml supports at most ${MAX_DIMS})`, t.name);
+    }
+    if (t.dims.some(d => d === 0)) {
+      report('warning', 'EMPTY_TENSOR', `Tensor has a zero-sized dimension (${t.dims.join(' x ')})`, t.name);
+    }
+
+    if (t.offset % alignment !== 0) {
+      report('error', 'MISALIGNED', `Offset ${t.offset} is not a multiple of the ${alignment}-byte alignment`, t.name);
+    }
+
+    const end = tensorDataOffset + t.offset + t.dataSize;
+    if (end > fileSize) {
+      report('error', 'OUT_OF_BOUNDS',
+        `Data ends at byte ${end}, past the end of the file (${fileSize} bytes)`, t.name);
+    }
+  }
+
+  // ── Layout of the data section: overlaps, gaps, trailing bytes ──
+  const byOffset = [...tensors].sort((a, b) => a.offset - b.offset);
+  const misplaced = new Set();  // tensors already reported as overlapping or after a gap
+  let cursor = 0;      // end of the previous tensor's data (relative to data section)
+  let prev = null;
+  for (const t of byOffset) {
+    if (prev && t.offset < cursor) {
+      report('error', 'OVERLAP',
+        `Data overlaps ${prev.name} by ${cursor - t.offset} bytes`, t.name);
+      misplaced.add(t);
+    } else {
+      const expected = padTo(cursor, alignment);
+      if (t.offset > expected) {
+        report('warning', 'GAP', `${t.offset - expected} unused bytes before this tensor's data`, t.name);
+        misplaced.add(t);
+      }
+    }
+    if (t.offset + t.dataSize >= cursor) {
+      cursor = t.offset + t.dataSize;
+      prev = t;
+    }
+  }
+
+  // llama.cpp also requires the data in tensor-info order, each tensor
+  // starting where the previous one ends (padded to the alignment)
+  let expected = 0;
+  tensors.forEach((t, i) => {
+    if (t.offset !== expected && !misplaced.has(t)) {
+      const where = i === 0 ? 'the start of the data section' : 'after the previous tensor in the header';
+      report('error', 'NOT_CONTIGUOUS', `Data starts at offset ${t.offset} instead of ${expected}, ${where}`, t.name);
+    }
+    expected = padTo(t.offset + t.dataSize, alignment);
+  });
+
+  if (tensors.length > 0) {
+    const dataEnd = tensorDataOffset + cursor;
+    const paddedEnd = tensorDataOffset + padTo(cursor, alignment);
+    if (dataEnd > fileSize) {
+      report('error', 'TRUNCATED',
+        `${label}File is truncated: tensor data needs ${dataEnd} bytes but the file has ${fileSize}`);
+    } else if (fileSize > paddedEnd) {
+      report('warning', 'TRAILING_DATA', `${label}${fileSize - paddedEnd} unexpected bytes after the last tensor`);
+    }
+  }
+}
+
+/**
+ * Compare tensor names with the set llama.cpp defines for the architecture:
+ * extra tensors are ones llama.cpp would never look up, missing ones are
+ * required tensors absent from a layer (or the model as a whole).
+ */
+function checkArchitecture(metadata, tensors, report) {
+  const arch = metadata['general.architecture'];
+  if (!arch) {
+    report('warning', 'NO_ARCHITECTURE', 'general.architecture is not set');
+    return;
+  }
+
+  const known = ARCH_TENSOR_NAMES[arch];
+  if (!known) {
+    report('info', 'UNKNOWN_ARCHITECTURE',
+      `No tensor list for architecture "${arch}"; tensor names were not checked`);
+    return;
+  }
+
+  const baseNames = tensors.map(t => t.name.replace(/\.(weight|bias)$/, ''));
+  const knownPatterns = known.map(templateToRegex);
+  const blockCount = metadata[`${arch}.block_count`];
+
+  baseNames.forEach((base, i) => {
+    if (!knownPatterns.some(re => re.test(base))) {
+      report('warning', 'EXTRA_TENSOR', `Not a tensor llama.cpp expects for ${arch}`, tensors[i].name);
+    }
+    const blk = base.match(/^blk\.(\d+)\./);
+    if (blk && Number.isInteger(blockCount) && parseInt(blk[1]) >= blockCount) {
+      report('warning', 'LAYER_OUT_OF_RANGE',
+        `Layer ${blk[1]} is beyond ${arch}.block_count (${blockCount})`, tensors[i].name);
+    }
+  });
+
+  const required = ARCH_REQUIRED_TENSORS[arch];
+  if (!required) return;
+
+  const present = new Set(baseNames);
+  const hasAny = (alternatives) => alternatives.split('|').some(name => {
+    if (!name.includes('%d')) return present.has(name);
+    const re = templateToRegex(name);
+    return baseNames.some(b => re.test(b));
+  });
+
+  for (const entry of required.global) {
+    if (!hasAny(entry)) {
+      report('error', 'MISSING_TENSOR', `Required tensor ${entry.split('|').join(' or ')} is missing`);
+    }
+  }
+
+  if (!Number.isInteger(blockCount)) {
+    report('warning', 'NO_BLOCK_COUNT', `${arch}.block_count is not set; per-layer tensors were not checked`);
+    return;
+  }
+  for (let layer = 0; layer < blockCount; layer++) {
+    for (const entry of required.block) {
+      const alternatives = entry.split('|').map(n => `blk.${layer}.${n}`).join('|');
+      if (!hasAny(alternatives)) {
+        report('error', 'MISSING_TENSOR',
+          `Layer ${layer} is missing required tensor ${entry.split('|').join(' or ')}`, `blk.${layer}.${entry.split('|')[0]}`);
+      }
+    }
+  }
+}
+
+// 'blk.%d.ffn_up.%d' -> /^blk\.\d+\.ffn_up\.\d+$/
+function templateToRegex(template) {
+  const escaped = template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%d/g, '\\d+');
+  return new RegExp(`^${escaped}$`);
+}
+
+function padTo(n, alignment) {
+  return Math.ceil(n / alignment) * alignment;
+}
@@ -0,0 +1,240 @@
+/**
+ * GGUF Writer
+ * Serializes a metadata set and the tensor infos of a parsed header back
+ * into a GGUF file. Tensor data is never read into memory: the output Blob
+ * is assembled from slices of the source File, so re-emitting a multi-GB
+ * model only costs the size of its new header.
+ */
+
+import { GGUFValueType, QUANT_INFO, isLazyArray, loadMetadataArray } from './gguf-parser.js';
+
+const DEFAULT_ALIGNMENT = 32;
+
+const textEncoder = new TextEncoder();
+
+// ─── Byte writer ────────────────────────────────────────────────────
+
+/**
+ * Growable little/big-endian byte buffer that can also splice in Blobs
+ * (file slices) without reading them. finish() returns the Blob parts.
+ */
+class ByteWriter {
+  constructor(littleEndian) {
+    this.littleEndian = littleEndian;
+    this.parts = [];
+    this.flushed = 0;   // bytes already moved into parts
+    this._reset(64 * 1024);
+  }
+
+  _reset(capacity) {
+    this.buf = new Uint8Array(capacity);
+    this.view = new DataView(this.buf.buffer);
+    this.pos = 0;
+  }
+
+  // Total bytes written so far, including spliced Blobs
+  get length() {
+    return this.flushed + this.pos;
+  }
+
+  _reserve(n) {
+    if (this.pos + n <= this.buf.length) return;
+    const old = this.buf.subarray(0, this.pos);
+    this._reset(Math.max(this.buf.length * 2, this.pos + n));
+    this.buf.set(old);
+    this.pos = old.length;
+  }
+
+  _flush() {
+    if (this.pos === 0) return;
+    this.parts.push(this.buf.slice(0, this.pos));
+    this.flushed += this.pos;
+    this.pos = 0;
+  }
+
+  appendBlob(blob) {
+    this._flush();
+    this.parts.push(blob);
+    this.flushed += blob.size;
+  }
+
+  bytes(arr) {
+    this._reserve(arr.length);
+    this.buf.set(arr, this.pos);
+    this.pos += arr.length;
+  }
+
+  zeros(n) {
+    this._reserve(n);
+    this.buf.fill(0, this.pos, this.pos + n);
+    this.pos += n;
+  }
+
+  uint8(v)   { this._reserve(1); this.view.setUint8(this.pos, v); this.pos += 1; }
+  int8(v)    { this._reserve(1); this.view.setInt8(this.pos, v); this.pos += 1; }
+  uint16(v)  { this._reserve(2); this.view.setUint16(this.pos, v, this.littleEndian); this.pos += 2; }
+  int16(v)   { this._reserve(2); this.view.setInt16(this.pos, v, this.littleEndian); this.pos += 2; }
+  uint32(v)  { this._reserve(4); this.view.setUint32(this.pos, v, this.littleEndian); this.pos += 4; }
+  int32(v)   { this._reserve(4); this.view.setInt32(this.pos, v, this.littleEndian); this.pos += 4; }
+  float32(v) { this._reserve(4); this.view.setFloat32(this.pos, v, this.littleEndian); this.pos += 4; }
+  float64(v) { this._reserve(8); this.view.setFloat64(this.pos, v, this.littleEndian); this.pos += 8; }
+  uint64(v)  { this._reserve(8); this.view.setBigUint64(this.pos, BigInt(v), this.littleEndian); this.pos += 8; }
+  int64(v)   { this._reserve(8); this.view.setBigInt64(this.pos, BigInt(v), this.littleEndian); this.pos += 8; }
+
+  string(str) {
+    const encoded = textEncoder.encode(str);
+    this.uint64(encoded.length);
+    this.bytes(encoded);
+  }
+
+  finish() {
+    this._flush();
+    return this.parts;
+  }
+}
+
+// ─── Values ─────────────────────────────────────────────────────────
+
+// Type descriptors are a GGUFValueType, or { itemType } for arrays
+// (the same shape as parseGGUFHeader()'s metadataTypes)
+function typeCode(desc) {
+  return typeof desc === 'object' ? GGUFValueType.ARRAY : desc;
+}
+
+async function writeValue(w, desc, value, file) {
+  switch (typeCode(desc)) {
+    case GGUFValueType.UINT8:   return w.uint8(value);
+    case GGUFValueType.INT8:    return w.int8(value);
+    case GGUFValueType.UINT16:  return w.uint16(value);
+    case GGUFValueType.INT16:   return w.int16(value);
+    case GGUFValueType.UINT32:  return w.uint32(value);
+    case GGUFValueType.INT32:   return w.int32(value);
+    case GGUFValueType.FLOAT32: return w.float32(value);
+    case GGUFValueType.BOOL:    return w.uint8(value ? 1 : 0);
+    case GGUFValueType.STRING:  return w.string(value);
+    case GGUFValueType.UINT64:  return w.uint64(value);
+    case GGUFValueType.INT64:   return w.int64(value);
+    case GGUFValueType.FLOAT64: return w.float64(value);
+    case GGUFValueType.ARRAY:   return writeArray(w, desc.itemType, value, file);
+    default:
+      throw new Error(`Unknown GGUF value type: ${desc}`);
+  }
+}
+
+async function writeArray(w, itemDesc, value, file) {
+  w.uint32(typeCode(itemDesc));
+  w.uint64(value.length);
+
+  if (isLazyArray(value)) {
+    // Copy the elements straight from the source file when their encoding
+    // is unchanged; otherwise (byte order, v1 string lengths) re-encode them
+    const sameStrings = value.itemType !== GGUFValueType.STRING || value.countSize === 8;
+    if (value.littleEndian === w.littleEndian && sameStrings) {
+      w.appendBlob(file.slice(value.offset, value.offset + value.byteLength));
+      return;
+    }
+    value = await loadMetadataArray(file, value);
+  }
+
+  for (let i = 0; i < value.length; i++) {
+    await writeValue(w, itemDesc, value[i], file);
+  }
+}
+
+// ─── File ───────────────────────────────────────────────────────────
+
+/**
+ * The metadata of a parsed header as an ordered list of { key, type, value }
+ * entries, ready to be edited and passed to writeGGUF().
+ */
+export function metadataEntries(header) {
+  return Object.keys(header.metadata).map(key => ({
+    key,
+    type: header.metadataTypes[key],
+    value: header.metadata[key],
+  }));
+}
+
+/**
+ * Build a GGUF file from `entries` and the tensors of `header`.
+ * The output keeps the source's byte order and is written as GGUF v3 (v1
+ * sources are upgraded). When general.alignment is unchanged the data
+ * section is copied verbatim; otherwise tensors are re-packed with the
+ * new alignment.
+ *
+ * @param {File|Blob} file - Source file (for split models, the shard `header` came from)
+ * @param {Object} header - parseGGUFHeader() result for that file
+ * @param {Array<{key: string, type: number|Object, value: *}>} entries - Metadata to write, in order
+ * @returns {Promise<Blob>}
+ */
+export async function writeGGUF(file, header, entries) {
+  const { tensors } = header;
+  const w = new ByteWriter(header.littleEndian !== false);
+
+  w.bytes(textEncoder.encode('GGUF'));
+  w.uint32(Math.max(header.version, 3));
+  w.uint64(tensors.length);
+  w.uint64(entries.length);
+
+  for (const { key, type, value } of entries) {
+    w.string(key);
+    w.uint32(typeCode(type));
+    await writeValue(w, type, value, file);
+  }
+
+  const alignEntry = entries.find(e => e.key === 'general.alignment');
+  const alignValue = alignEntry && Number(alignEntry.value);
+  const alignment = Number.isInteger(alignValue) && alignValue > 0 && alignValue <= 0xFFFFFFFF
+    && (alignValue & (alignValue - 1)) === 0 ? alignValue : DEFAULT_ALIGNMENT;
+  const relayout = alignment !== header.alignment;
+  const offsets = relayout ? packTensors(tensors, alignment) : tensors.map(t => t.offset);
+
+  tensors.forEach((t, i) => {
+    w.string(t.name);
+    w.uint32(t.dims.length);
+    for (const d of t.dims) w.uint64(d);
+    w.uint32(t.type);
+    w.uint64(offsets[i]);
+  });
+
+  w.zeros(padding(w.length, alignment));
+
+  if (!relayout) {
+    w.appendBlob(file.slice(header.tensorDataOffset));
+  } else {
+    const order = tensors.map((t, i) => i).sort((a, b) => offsets[a] - offsets[b]);
+    let cursor = 0;
+    for (const i of order) {
+      const t = tensors[i];
+      if (offsets[i] > cursor) w.zeros(offsets[i] - cursor);
+      const start = header.tensorDataOffset + t.offset;
+      w.appendBlob(file.slice(start, start + t.dataSize));
+      cursor = offsets[i] + t.dataSize;
+    }
+    w.zeros(padding(cursor, alignment));
+  }
+
+  return new Blob(w.finish(), { type: 'application/octet-stream' });
+}
+
+// New data-section offsets with `alignment`, keeping the original order
+function packTensors(tensors, alignment) {
+  for (const t of tensors) {
+    if (!QUANT_INFO[t.type]) {
+      throw new Error(`Cannot change alignment: ${t.name} has unknown type ${t.type}, so its size is unknown`);
+    }
+  }
+  const offsets = new Array(tensors.length);
+  const order = tensors.map((t, i) => i).sort((a, b) => tensors[a].offset - tensors[b].offset);
+  let cursor = 0;
+  for (const i of order) {
+    cursor += padding(cursor, alignment);
+    offsets[i] = cursor;
+    cursor += tensors[i].dataSize;
+  }
+  return offsets;
+}
+
+function padding(n, alignment) {
+  return (alignment - (n % alignment)) % alignment;
+}
@@ -0,0 +1,83 @@
+/**
+ * Hugging Face Tensor Names
+ * Maps transformers checkpoint names (model.layers.N.self_attn.q_proj.weight,
+ * ...) to the names llama.cpp's converter gives the same tensors in GGUF
+ * (blk.N.attn_q.weight, ...), so safetensors models classify and lay out
+ * exactly like their GGUF conversions.
+ */
+
+// Wrappers in front of the actual module names
+const PREFIX_RE = /^(?:language_model\.)?(?:model\.|transformer\.|gpt_neox\.|backbone\.)?/;
+
+// Whole-model tensors
+const GLOBAL_NAMES = {
+  'embed_tokens': 'token_embd',
+  'embed_in': 'token_embd',
+  'wte': 'token_embd',
+  'word_embeddings': 'token_embd',
+  'tok_embeddings': 'token_embd',
+  'embeddings': 'token_embd',
+  'wpe': 'position_embd',
+  'norm': 'output_norm',
+  'final_layernorm': 'output_norm',
+  'final_layer_norm': 'output_norm',
+  'ln_f': 'output_norm',
+  'norm_f': 'output_norm',
+  'lm_head': 'output',
+  'embed_out': 'output',
+};
+
+// Repeating block prefix: layers.N / h.N / blocks.N
+const BLOCK_RE = /^(?:layers|h|blocks|decoder\.layers)\.(\d+)\.(.+)$/;
+
+// Per-block tensors, first match wins ($1 is the expert index where present)
+const BLOCK_RULES = [
+  // Attention
+  [/^(?:self_attn|attn|attention)\.(?:q_proj|wq|query)$/, 'attn_q'],
+  [/^(?:self_attn|attn|attention)\.(?:k_proj|wk|key)$/, 'attn_k'],
+  [/^(?:self_attn|attn|attention)\.(?:v_proj|wv|value)$/, 'attn_v'],
+  [/^(?:self_attn|attn|attention)\.(?:qkv_proj|c_attn|query_key_value|Wqkv)$/, 'attn_qkv'],
+  [/^(?:self_attn|attn|attention)\.(?:o_proj|wo|out_proj|c_proj|dense)$/, 'attn_output'],
+  [/^(?:self_attn|attn|attention)\.q_norm$/, 'attn_q_norm'],
+  [/^(?:self_attn|attn|attention)\.k_norm$/, 'attn_k_norm'],
+  [/^(?:input_layernorm|ln_1|attention_norm|norm1)$/, 'attn_norm'],
+  [/^(?:post_attention_layernorm|ln_2|ffn_norm|norm2)$/, 'ffn_norm'],
+
+  // Mixture of experts: router, per-expert FFNs, shared expert
+  [/^(?:block_sparse_moe|mlp|feed_forward)\.(?:gate|router)$/, 'ffn_gate_inp'],
+  [/^(?:block_sparse_moe|mlp|feed_forward)\.experts\.(\d+)\.(?:w1|gate_proj)$/, 'ffn_gate.$1'],
+  [/^(?:block_sparse_moe|mlp|feed_forward)\.experts\.(\d+)\.(?:w3|up_proj)$/, 'ffn_up.$1'],
+  [/^(?:block_sparse_moe|mlp|feed_forward)\.experts\.(\d+)\.(?:w2|down_proj)$/, 'ffn_down.$1'],
+  [/^mlp\.shared_experts?\.gate_proj$/, 'ffn_gate_shexp'],
+  [/^mlp\.shared_experts?\.up_proj$/, 'ffn_up_shexp'],
+  [/^mlp\.shared_experts?\.down_proj$/, 'ffn_down_shexp'],
+  [/^mlp\.shared_expert_gate$/, 'ffn_gate_inp_shexp'],
+
+  // Dense FFN
+  [/^(?:mlp|feed_forward)\.(?:gate_proj|w1)$/, 'ffn_gate'],
+  [/^(?:mlp|feed_forward)\.(?:up_proj|w3|c_fc|fc1|dense_h_to_4h)$/, 'ffn_up'],
+  [/^(?:mlp|feed_forward)\.(?:down_proj|w2|c_proj|fc2|dense_4h_to_h)$/, 'ffn_down'],
+];
+
+/**
+ * GGUF name for a Hugging Face tensor name, or null if it isn't one we know.
+ * GGUF names (blk.N.attn_q.weight, ...) are never matched, so callers can
+ * pass any name through.
+ */
+export function hfToGGUFName(name) {
+  const m = name.match(/^(.*)\.(weight|bias)$/);
+  if (!m) return null;
+  const base = m[1].replace(PREFIX_RE, '');
+  const suffix = m[2];
+
+  if (GLOBAL_NAMES[base]) return `${GLOBAL_NAMES[base]}.${suffix}`;
+
+  const block = base.match(BLOCK_RE);
+  if (!block) return null;
+  for (const [re, replacement] of BLOCK_RULES) {
+    if (re.test(block[2])) {
+      return `blk.${block[1]}.${block[2].replace(re, replacement)}.${suffix}`;
+    }
+  }
+  return null;
+}
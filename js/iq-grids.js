@@ -0,0 +1,624 @@
+/**
+ * IQ Quantization Grids
+ * Lattice / codebook tables used by the IQ1/IQ2/IQ3 quant types, copied
+ * from ggml-common.h in llama.cpp. Each entry is one packed grid point:
+ * uint64 entries hold 8 byte-sized values, uint32 entries hold 4. They are
+ * kept here in the same hex notation as the C source and unpacked into
+ * little-endian byte arrays on load, so grid point i occupies bytes
+ * [i * width, (i + 1) * width).
+ */
+
+function unpackGrid(hex) {
+  const entries = hex.trim().split(/\s+/);
+  const width = entries[0].length / 2;
+  const bytes = new Uint8Array(entries.length * width);
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    for (let b = 0; b < width; b++) {
+      // Last hex pair is the least significant (first) byte
+      const pos = e.length - 2 * (b + 1);
+      bytes[i * width + b] = parseInt(e.substr(pos, 2), 16);
+    }
+  }
+  return bytes;
+}
+
+// iq2xxs_grid: 256 x uint64_t (unsigned magnitudes)
+export const IQ2XXS_GRID = unpackGrid(`
+0808080808080808 080808080808082b 0808080808081919 0808080808082b08 0808080808082b2b 0808080808190819 0808080808191908 08080808082b0808
+08080808082b082b 08080808082b2b08 08080808082b2b2b 0808080819080819 0808080819081908 0808080819190808 0808080819192b08 08080808192b0819
+08080808192b1908 080808082b080808 080808082b08082b 080808082b082b2b 080808082b2b082b 0808081908080819 0808081908081908 0808081908190808
+0808081908191919 0808081919080808 080808192b081908 080808192b192b08 0808082b08080808 0808082b0808082b 0808082b082b082b 0808082b2b08082b
+0808190808080819 0808190808081908 0808190808190808 08081908082b0819 08081908082b1908 0808190819080808 080819081908082b 0808190819082b08
+08081908192b0808 080819082b080819 080819082b081908 080819082b190808 080819082b2b1908 0808191908080808 080819190808082b 0808191908082b08
+08081919082b0808 080819191908192b 08081919192b2b19 080819192b080808 080819192b190819 0808192b08082b19 0808192b08190808 0808192b19080808
+0808192b2b081908 0808192b2b2b1908 08082b0808080808 08082b0808081919 08082b0808082b08 08082b0808191908 08082b08082b2b08 08082b0819080819
+08082b0819081908 08082b0819190808 08082b081919082b 08082b082b082b08 08082b1908081908 08082b1919080808 08082b2b0808082b 08082b2b08191908
+0819080808080819 0819080808081908 0819080808190808 08190808082b0819 0819080819080808 08190808192b0808 081908082b081908 081908082b190808
+081908082b191919 0819081908080808 0819081908082b08 08190819082b0808 0819081919190808 0819081919192b2b 081908192b080808 0819082b082b1908
+0819082b19081919 0819190808080808 0819190808082b08 08191908082b0808 08191908082b1919 0819190819082b19 081919082b080808 0819191908192b08
+08191919192b082b 0819192b08080808 0819192b0819192b 08192b0808080819 08192b0808081908 08192b0808190808 08192b0819080808 08192b082b080819
+08192b1908080808 08192b1908081919 08192b192b2b0808 08192b2b19190819 082b080808080808 082b08080808082b 082b080808082b2b 082b080819081908
+082b0808192b0819 082b08082b080808 082b08082b08082b 082b0819082b2b19 082b081919082b08 082b082b08080808 082b082b0808082b 082b190808080819
+082b190808081908 082b190808190808 082b190819080808 082b19081919192b 082b191908080808 082b191919080819 082b1919192b1908 082b192b2b190808
+082b2b0808082b08 082b2b08082b0808 082b2b082b191908 082b2b2b19081908 1908080808080819 1908080808081908 1908080808190808 1908080808192b08
+19080808082b0819 19080808082b1908 1908080819080808 1908080819082b08 190808081919192b 19080808192b0808 190808082b080819 190808082b081908
+190808082b190808 1908081908080808 19080819082b0808 19080819192b0819 190808192b080808 190808192b081919 1908082b08080819 1908082b08190808
+1908082b19082b08 1908082b1919192b 1908082b192b2b08 1908190808080808 1908190808082b08 19081908082b0808 190819082b080808 190819082b192b19
+190819190819082b 19081919082b1908 1908192b08080808 19082b0808080819 19082b0808081908 19082b0808190808 19082b0819080808 19082b0819081919
+19082b1908080808 19082b1919192b08 19082b19192b0819 19082b192b08082b 19082b2b19081919 19082b2b2b190808 1919080808080808 1919080808082b08
+1919080808190819 1919080808192b19 19190808082b0808 191908082b080808 191908082b082b08 1919081908081908 191908191908082b 191908192b2b1908
+1919082b2b190819 191919082b190808 191919082b19082b 1919191908082b2b 1919192b08080819 1919192b19191908 19192b0808080808 19192b0808190819
+19192b0808192b19 19192b08192b1908 19192b1919080808 19192b2b08082b08 192b080808081908 192b080808190808 192b080819080808 192b0808192b2b08
+192b081908080808 192b081919191919 192b082b08192b08 192b082b192b0808 192b190808080808 192b190808081919 192b191908190808 192b19190819082b
+192b19192b081908 192b2b081908082b 2b08080808080808 2b0808080808082b 2b08080808082b2b 2b08080819080819 2b0808082b08082b 2b08081908081908
+2b08081908192b08 2b08081919080808 2b08082b08190819 2b08190808080819 2b08190808081908 2b08190808190808 2b08190808191919 2b08190819080808
+2b081908192b0808 2b08191908080808 2b0819191908192b 2b0819192b191908 2b08192b08082b19 2b08192b19080808 2b08192b192b0808 2b082b080808082b
+2b082b1908081908 2b082b2b08190819 2b19080808081908 2b19080808190808 2b190808082b1908 2b19080819080808 2b1908082b2b0819 2b1908190819192b
+2b1908192b080808 2b19082b19081919 2b19190808080808 2b191908082b082b 2b19190819081908 2b19191919190819 2b192b082b080819 2b192b19082b0808
+2b2b08080808082b 2b2b080819190808 2b2b08082b081919 2b2b081908082b19 2b2b082b08080808 2b2b190808192b08 2b2b2b0819190808 2b2b2b1908081908
+`);
+
+// iq2xs_grid: 512 x uint64_t (unsigned magnitudes)
+export const IQ2XS_GRID = unpackGrid(`
+0808080808080808 080808080808082b 0808080808081919 0808080808082b08 0808080808082b2b 0808080808190819 0808080808191908 080808080819192b
+0808080808192b19 08080808082b0808 08080808082b082b 08080808082b1919 08080808082b2b08 0808080819080819 0808080819081908 080808081908192b
+0808080819082b19 0808080819190808 080808081919082b 0808080819191919 0808080819192b08 08080808192b0819 08080808192b1908 080808082b080808
+080808082b08082b 080808082b081919 080808082b082b08 080808082b190819 080808082b191908 080808082b192b19 080808082b2b0808 0808081908080819
+0808081908081908 080808190808192b 0808081908082b19 0808081908190808 080808190819082b 0808081908191919 0808081908192b08 0808081908192b2b
+08080819082b0819 08080819082b1908 0808081919080808 080808191908082b 0808081919081919 0808081919082b08 0808081919190819 0808081919191908
+08080819192b0808 08080819192b2b08 080808192b080819 080808192b081908 080808192b190808 0808082b08080808 0808082b0808082b 0808082b08081919
+0808082b08082b08 0808082b08190819 0808082b08191908 0808082b082b0808 0808082b19080819 0808082b19081908 0808082b19190808 0808082b19191919
+0808082b2b080808 0808082b2b082b2b 0808190808080819 0808190808081908 080819080808192b 0808190808082b19 0808190808190808 080819080819082b
+0808190808191919 0808190808192b08 08081908082b0819 08081908082b1908 0808190819080808 080819081908082b 0808190819081919 0808190819082b08
+0808190819190819 0808190819191908 080819081919192b 08081908192b0808 080819082b080819 080819082b081908 080819082b190808 0808191908080808
+080819190808082b 0808191908081919 0808191908082b08 0808191908190819 0808191908191908 08081919082b0808 0808191919080819 0808191919081908
+0808191919190808 08081919192b0819 080819192b080808 0808192b08080819 0808192b08081908 0808192b08190808 0808192b082b192b 0808192b19080808
+0808192b1908082b 0808192b2b081908 08082b0808080808 08082b080808082b 08082b0808081919 08082b0808082b08 08082b0808082b2b 08082b0808190819
+08082b0808191908 08082b08082b0808 08082b08082b1919 08082b0819080819 08082b0819081908 08082b0819190808 08082b0819192b08 08082b082b080808
+08082b082b2b0808 08082b082b2b2b2b 08082b1908080819 08082b1908081908 08082b1908190808 08082b1919080808 08082b192b080819 08082b192b082b19
+08082b2b08080808 08082b2b082b0808 08082b2b082b2b08 08082b2b2b19192b 08082b2b2b2b0808 0819080808080819 0819080808081908 081908080808192b
+0819080808082b19 0819080808190808 081908080819082b 0819080808191919 0819080808192b08 08190808082b0819 08190808082b1908 0819080819080808
+081908081908082b 0819080819081919 0819080819082b08 0819080819190819 0819080819191908 08190808192b0808 08190808192b2b2b 081908082b080819
+081908082b081908 081908082b190808 0819081908080808 081908190808082b 0819081908081919 0819081908082b08 0819081908190819 0819081908191908
+08190819082b0808 0819081919080819 0819081919081908 0819081919190808 081908192b080808 081908192b191908 081908192b19192b 0819082b08080819
+0819082b08081908 0819082b0808192b 0819082b08190808 0819082b19080808 0819082b192b0808 0819190808080808 081919080808082b 0819190808081919
+0819190808082b08 0819190808190819 0819190808191908 08191908082b0808 0819190819080819 0819190819081908 0819190819082b19 0819190819190808
+08191908192b1908 081919082b080808 0819191908080819 0819191908081908 0819191908190808 0819191919080808 0819192b08080808 0819192b08191908
+0819192b19082b19 08192b0808080819 08192b0808081908 08192b0808190808 08192b080819082b 08192b0819080808 08192b0819191908 08192b082b08192b
+08192b1908080808 08192b1908081919 08192b19192b192b 08192b2b19190819 08192b2b2b2b2b19 082b080808080808 082b08080808082b 082b080808081919
+082b080808082b08 082b080808082b2b 082b080808190819 082b080808191908 082b0808082b0808 082b080819080819 082b080819081908 082b080819190808
+082b08082b080808 082b08082b2b0808 082b081908080819 082b081908081908 082b081908190808 082b081919080808 082b081919082b08 082b0819192b1919
+082b082b08080808 082b082b082b082b 082b082b2b080808 082b082b2b2b2b08 082b190808080819 082b190808081908 082b190808190808 082b1908082b2b19
+082b190819080808 082b191908080808 082b191919080819 082b19191919082b 082b19192b192b19 082b192b08080819 082b192b08192b2b 082b192b2b2b192b
+082b2b0808080808 082b2b0808082b08 082b2b0808082b2b 082b2b08082b0808 082b2b0819191919 082b2b082b082b08 082b2b082b2b082b 082b2b19192b2b08
+082b2b192b190808 082b2b2b08082b08 082b2b2b082b0808 082b2b2b2b08082b 082b2b2b2b082b08 082b2b2b2b082b2b 1908080808080819 1908080808081908
+190808080808192b 1908080808082b19 1908080808190808 190808080819082b 1908080808191919 1908080808192b08 19080808082b0819 19080808082b1908
+1908080819080808 190808081908082b 1908080819081919 1908080819082b08 1908080819082b2b 1908080819190819 1908080819191908 19080808192b0808
+19080808192b1919 190808082b080819 190808082b081908 190808082b190808 1908081908080808 190808190808082b 1908081908081919 1908081908082b08
+1908081908190819 1908081908191908 19080819082b0808 1908081919080819 1908081919081908 1908081919190808 190808192b080808 190808192b081919
+190808192b2b082b 1908082b08080819 1908082b08081908 1908082b08190808 1908082b0819082b 1908082b082b2b19 1908082b19080808 1908190808080808
+190819080808082b 1908190808081919 1908190808082b08 1908190808190819 1908190808191908 1908190808192b19 19081908082b0808 1908190819080819
+1908190819081908 1908190819190808 190819082b080808 190819082b191908 1908191908080819 1908191908081908 1908191908190808 19081919082b1908
+1908191919080808 190819192b192b2b 1908192b08080808 1908192b08082b2b 1908192b19081908 1908192b19190808 19082b0808080819 19082b0808081908
+19082b0808190808 19082b0819080808 19082b0819081919 19082b0819191908 19082b08192b082b 19082b1908080808 19082b1908190819 19082b1919081908
+19082b1919190808 19082b19192b2b19 19082b2b08081908 1919080808080808 191908080808082b 1919080808081919 1919080808082b08 1919080808190819
+1919080808191908 19190808082b0808 19190808082b2b08 1919080819080819 1919080819081908 1919080819190808 191908082b080808 1919081908080819
+1919081908081908 1919081908190808 1919081908191919 1919081919080808 191908191908082b 1919082b08080808 1919082b19081908 1919082b2b2b2b2b
+1919190808080819 1919190808081908 1919190808190808 19191908082b0819 1919190819080808 19191908192b0808 191919082b080819 191919082b2b0819
+1919191908080808 1919191908082b08 191919192b080808 191919192b082b08 1919192b082b0819 1919192b192b2b08 1919192b2b2b0819 19192b0808080808
+19192b0808191908 19192b0819080819 19192b0819190808 19192b082b192b19 19192b1908192b2b 19192b1919080808 19192b191908082b 19192b2b2b081919
+192b080808080819 192b080808081908 192b080808190808 192b080819080808 192b080819191908 192b0808192b082b 192b08082b08192b 192b08082b2b2b19
+192b081908080808 192b082b082b1908 192b082b19082b2b 192b082b2b19082b 192b190808080808 192b19080819192b 192b191908190808 192b191919080808
+192b191919081919 192b19192b2b1908 192b2b0808080819 192b2b08192b2b2b 192b2b19082b1919 192b2b2b0808192b 192b2b2b19191908 192b2b2b192b082b
+2b08080808080808 2b0808080808082b 2b08080808081919 2b08080808082b08 2b08080808190819 2b08080808191908 2b080808082b0808 2b080808082b2b2b
+2b08080819080819 2b08080819081908 2b08080819190808 2b0808082b080808 2b0808082b08082b 2b0808082b2b2b08 2b0808082b2b2b2b 2b08081908080819
+2b08081908081908 2b0808190808192b 2b08081908190808 2b08081919080808 2b08081919190819 2b08081919192b19 2b08082b08080808 2b08082b082b0808
+2b08082b2b080808 2b08082b2b08082b 2b08082b2b2b0808 2b08082b2b2b2b08 2b08190808080819 2b08190808081908 2b08190808190808 2b0819080819082b
+2b08190808191919 2b08190819080808 2b081908192b0808 2b0819082b082b19 2b08191908080808 2b08191919081908 2b0819192b2b1919 2b08192b08192b08
+2b08192b192b2b2b 2b082b0808080808 2b082b0808082b08 2b082b08082b1919 2b082b0819192b2b 2b082b082b080808 2b082b082b08082b 2b082b082b2b2b08
+2b082b190808192b 2b082b2b082b082b 2b082b2b2b080808 2b082b2b2b082b08 2b082b2b2b19192b 2b082b2b2b2b2b08 2b19080808080819 2b19080808081908
+2b19080808190808 2b19080819080808 2b1908081919192b 2b1908082b081908 2b19081908080808 2b190819082b082b 2b190819192b1908 2b19082b1919192b
+2b19082b2b082b19 2b19190808080808 2b19190808081919 2b19190819081908 2b19190819190808 2b19190819192b08 2b191919082b2b19 2b1919192b190808
+2b1919192b19082b 2b19192b19080819 2b192b0819190819 2b192b082b2b192b 2b192b1919082b19 2b192b2b08191919 2b192b2b192b0808 2b2b080808080808
+2b2b08080808082b 2b2b080808082b08 2b2b080808082b2b 2b2b0808082b0808 2b2b0808082b2b2b 2b2b08082b2b0808 2b2b081919190819 2b2b081919192b19
+2b2b08192b2b192b 2b2b082b08080808 2b2b082b0808082b 2b2b082b08082b08 2b2b082b082b2b2b 2b2b082b2b080808 2b2b082b2b2b0808 2b2b190819080808
+2b2b19082b191919 2b2b192b192b1919 2b2b192b2b192b08 2b2b2b0808082b2b 2b2b2b08082b0808 2b2b2b08082b082b 2b2b2b08082b2b08 2b2b2b082b2b0808
+2b2b2b082b2b2b08 2b2b2b1908081908 2b2b2b192b081908 2b2b2b192b08192b 2b2b2b2b082b2b08 2b2b2b2b082b2b2b 2b2b2b2b2b190819 2b2b2b2b2b2b2b2b
+`);
+
+// iq2s_grid: 1024 x uint64_t (unsigned magnitudes)
+export const IQ2S_GRID = unpackGrid(`
+0808080808080808 080808080808082b 0808080808081919 0808080808082b08 0808080808082b2b 0808080808190819 0808080808191908 080808080819192b
+0808080808192b19 08080808082b0808 08080808082b082b 08080808082b1919 08080808082b2b08 0808080819080819 0808080819081908 080808081908192b
+0808080819082b19 0808080819190808 080808081919082b 0808080819191919 0808080819192b08 08080808192b0819 08080808192b1908 08080808192b192b
+08080808192b2b19 080808082b080808 080808082b08082b 080808082b081919 080808082b082b08 080808082b190819 080808082b191908 080808082b2b0808
+080808082b2b1919 080808082b2b2b2b 0808081908080819 0808081908081908 080808190808192b 0808081908082b19 0808081908190808 080808190819082b
+0808081908191919 0808081908192b08 08080819082b0819 08080819082b1908 0808081919080808 080808191908082b 0808081919081919 0808081919082b08
+0808081919190819 0808081919191908 080808191919192b 0808081919192b19 08080819192b0808 08080819192b1919 08080819192b2b08 080808192b080819
+080808192b081908 080808192b190808 080808192b19082b 080808192b191919 080808192b2b0819 080808192b2b1908 0808082b08080808 0808082b0808082b
+0808082b08081919 0808082b08082b08 0808082b08190819 0808082b08191908 0808082b082b0808 0808082b082b2b2b 0808082b19080819 0808082b19081908
+0808082b1908192b 0808082b19082b19 0808082b19190808 0808082b19191919 0808082b2b080808 0808082b2b081919 0808082b2b082b2b 0808082b2b191908
+0808082b2b2b082b 0808190808080819 0808190808081908 080819080808192b 0808190808082b19 0808190808190808 080819080819082b 0808190808191919
+0808190808192b08 08081908082b0819 08081908082b1908 08081908082b192b 08081908082b2b19 0808190819080808 080819081908082b 0808190819081919
+0808190819082b08 0808190819082b2b 0808190819190819 0808190819191908 080819081919192b 0808190819192b19 08081908192b0808 08081908192b082b
+08081908192b1919 080819082b080819 080819082b081908 080819082b08192b 080819082b082b19 080819082b190808 080819082b191919 080819082b192b08
+080819082b2b0819 080819082b2b1908 0808191908080808 080819190808082b 0808191908081919 0808191908082b08 0808191908082b2b 0808191908190819
+0808191908191908 080819190819192b 0808191908192b19 08081919082b0808 08081919082b1919 08081919082b2b08 0808191919080819 0808191919081908
+080819191908192b 0808191919082b19 0808191919190808 080819191919082b 0808191919191919 0808191919192b08 08081919192b0819 08081919192b1908
+080819192b080808 080819192b08082b 080819192b081919 080819192b082b08 080819192b190819 080819192b191908 080819192b2b0808 0808192b08080819
+0808192b08081908 0808192b0808192b 0808192b08082b19 0808192b08190808 0808192b08191919 0808192b19080808 0808192b19081919 0808192b19082b08
+0808192b19190819 0808192b19191908 0808192b192b0808 0808192b2b080819 0808192b2b081908 0808192b2b190808 08082b0808080808 08082b080808082b
+08082b0808081919 08082b0808082b08 08082b0808190819 08082b0808191908 08082b080819192b 08082b0808192b19 08082b08082b0808 08082b08082b1919
+08082b08082b2b2b 08082b0819080819 08082b0819081908 08082b081908192b 08082b0819082b19 08082b0819190808 08082b081919082b 08082b0819191919
+08082b0819192b08 08082b08192b0819 08082b08192b1908 08082b082b080808 08082b082b081919 08082b082b191908 08082b082b2b2b2b 08082b1908080819
+08082b1908081908 08082b1908190808 08082b190819082b 08082b1908191919 08082b1908192b08 08082b19082b0819 08082b1919080808 08082b1919081919
+08082b1919082b08 08082b1919190819 08082b1919191908 08082b19192b0808 08082b192b080819 08082b192b190808 08082b2b08080808 08082b2b08190819
+08082b2b08191908 08082b2b082b082b 08082b2b082b2b08 08082b2b082b2b2b 08082b2b19190808 08082b2b2b192b19 0819080808080819 0819080808081908
+081908080808192b 0819080808082b19 0819080808190808 081908080819082b 0819080808191919 0819080808192b08 08190808082b0819 08190808082b1908
+08190808082b192b 0819080819080808 081908081908082b 0819080819081919 0819080819082b08 0819080819190819 0819080819191908 081908081919192b
+0819080819192b19 08190808192b0808 08190808192b082b 08190808192b1919 08190808192b2b08 081908082b080819 081908082b081908 081908082b08192b
+081908082b190808 081908082b191919 081908082b192b08 081908082b2b0819 081908082b2b1908 0819081908080808 081908190808082b 0819081908081919
+0819081908082b08 0819081908082b2b 0819081908190819 0819081908191908 081908190819192b 0819081908192b19 08190819082b0808 08190819082b082b
+08190819082b1919 08190819082b2b08 0819081919080819 0819081919081908 081908191908192b 0819081919082b19 0819081919190808 081908191919082b
+0819081919191919 0819081919192b08 08190819192b0819 08190819192b1908 081908192b080808 081908192b08082b 081908192b081919 081908192b082b08
+081908192b190819 081908192b191908 0819082b08080819 0819082b08081908 0819082b08082b19 0819082b08190808 0819082b08191919 0819082b082b0819
+0819082b082b1908 0819082b19080808 0819082b19081919 0819082b19190819 0819082b19191908 0819082b2b080819 0819082b2b081908 0819082b2b190808
+0819190808080808 081919080808082b 0819190808081919 0819190808082b08 0819190808190819 0819190808191908 081919080819192b 0819190808192b19
+08191908082b0808 08191908082b1919 08191908082b2b08 0819190819080819 0819190819081908 081919081908192b 0819190819082b19 0819190819190808
+081919081919082b 0819190819191919 0819190819192b08 08191908192b0819 08191908192b1908 081919082b080808 081919082b08082b 081919082b081919
+081919082b082b08 081919082b190819 081919082b191908 081919082b2b0808 0819191908080819 0819191908081908 081919190808192b 0819191908082b19
+0819191908190808 081919190819082b 0819191908191919 0819191908192b08 08191919082b0819 08191919082b1908 0819191919080808 081919191908082b
+0819191919081919 0819191919082b08 0819191919190819 0819191919191908 08191919192b0808 081919192b080819 081919192b081908 081919192b190808
+0819192b08080808 0819192b08081919 0819192b08082b08 0819192b08190819 0819192b08191908 0819192b082b0808 0819192b19080819 0819192b19081908
+0819192b19190808 0819192b2b080808 0819192b2b2b2b2b 08192b0808080819 08192b0808081908 08192b080808192b 08192b0808082b19 08192b0808190808
+08192b0808191919 08192b0808192b08 08192b08082b0819 08192b0819080808 08192b081908082b 08192b0819081919 08192b0819082b08 08192b0819190819
+08192b0819191908 08192b08192b0808 08192b082b080819 08192b082b081908 08192b1908080808 08192b190808082b 08192b1908081919 08192b1908082b08
+08192b1908190819 08192b1908191908 08192b19082b0808 08192b1919080819 08192b1919081908 08192b1919190808 08192b19192b2b19 08192b192b2b082b
+08192b2b08081908 08192b2b08190808 08192b2b19080808 08192b2b1919192b 082b080808080808 082b08080808082b 082b080808081919 082b080808082b08
+082b080808190819 082b080808191908 082b08080819192b 082b080808192b19 082b0808082b0808 082b0808082b1919 082b0808082b2b2b 082b080819080819
+082b080819081908 082b080819190808 082b08081919082b 082b080819191919 082b0808192b1908 082b08082b080808 082b08082b082b2b 082b08082b191908
+082b08082b2b2b2b 082b081908080819 082b081908081908 082b081908190808 082b08190819082b 082b081908191919 082b0819082b0819 082b081919080808
+082b08191908082b 082b081919081919 082b081919190819 082b081919191908 082b0819192b0808 082b08192b080819 082b08192b081908 082b08192b190808
+082b082b08080808 082b082b08082b2b 082b082b082b082b 082b082b082b2b08 082b082b082b2b2b 082b082b19081908 082b082b19190808 082b082b2b082b08
+082b082b2b082b2b 082b082b2b2b2b08 082b190808080819 082b190808081908 082b19080808192b 082b190808082b19 082b190808190808 082b190808191919
+082b190808192b08 082b1908082b0819 082b1908082b1908 082b190819080808 082b19081908082b 082b190819081919 082b190819082b08 082b190819190819
+082b190819191908 082b1908192b0808 082b19082b080819 082b19082b081908 082b19082b190808 082b191908080808 082b191908081919 082b191908082b08
+082b191908190819 082b191908191908 082b1919082b0808 082b191919080819 082b191919081908 082b191919190808 082b1919192b192b 082b19192b080808
+082b192b08080819 082b192b08081908 082b192b08190808 082b192b19080808 082b192b19192b19 082b2b0808080808 082b2b0808081919 082b2b0808190819
+082b2b0808191908 082b2b0819080819 082b2b0819081908 082b2b0819190808 082b2b082b082b2b 082b2b082b2b2b2b 082b2b1908080819 082b2b1908081908
+082b2b1908190808 082b2b192b191919 082b2b2b08082b2b 082b2b2b082b082b 082b2b2b192b1908 082b2b2b2b082b08 082b2b2b2b082b2b 1908080808080819
+1908080808081908 190808080808192b 1908080808082b19 1908080808190808 190808080819082b 1908080808191919 1908080808192b08 1908080808192b2b
+19080808082b0819 19080808082b1908 19080808082b192b 1908080819080808 190808081908082b 1908080819081919 1908080819082b08 1908080819082b2b
+1908080819190819 1908080819191908 190808081919192b 1908080819192b19 19080808192b0808 19080808192b082b 19080808192b1919 190808082b080819
+190808082b081908 190808082b190808 190808082b191919 190808082b192b08 190808082b2b0819 190808082b2b1908 1908081908080808 190808190808082b
+1908081908081919 1908081908082b08 1908081908190819 1908081908191908 190808190819192b 1908081908192b19 19080819082b0808 19080819082b082b
+19080819082b1919 1908081919080819 1908081919081908 190808191908192b 1908081919082b19 1908081919190808 190808191919082b 1908081919191919
+1908081919192b08 19080819192b0819 19080819192b1908 190808192b080808 190808192b08082b 190808192b081919 190808192b082b08 190808192b190819
+190808192b191908 190808192b2b0808 1908082b08080819 1908082b08081908 1908082b08190808 1908082b0819082b 1908082b08191919 1908082b08192b08
+1908082b082b1908 1908082b19080808 1908082b19081919 1908082b19082b08 1908082b19190819 1908082b19191908 1908082b192b0808 1908082b2b080819
+1908082b2b081908 1908190808080808 190819080808082b 1908190808081919 1908190808082b08 1908190808082b2b 1908190808190819 1908190808191908
+190819080819192b 1908190808192b19 19081908082b0808 19081908082b082b 19081908082b1919 19081908082b2b08 1908190819080819 1908190819081908
+190819081908192b 1908190819082b19 1908190819190808 190819081919082b 1908190819191919 1908190819192b08 19081908192b0819 19081908192b1908
+190819082b080808 190819082b08082b 190819082b081919 190819082b082b08 190819082b190819 190819082b191908 190819082b2b0808 1908191908080819
+1908191908081908 190819190808192b 1908191908082b19 1908191908190808 190819190819082b 1908191908191919 1908191908192b08 19081919082b0819
+19081919082b1908 1908191919080808 190819191908082b 1908191919081919 1908191919082b08 1908191919190819 1908191919191908 19081919192b0808
+19081919192b2b2b 190819192b080819 190819192b081908 190819192b190808 1908192b08080808 1908192b0808082b 1908192b08081919 1908192b08082b08
+1908192b08190819 1908192b08191908 1908192b082b0808 1908192b19080819 1908192b19081908 1908192b19190808 1908192b2b080808 1908192b2b2b1919
+19082b0808080819 19082b0808081908 19082b0808082b19 19082b0808190808 19082b080819082b 19082b0808191919 19082b0808192b08 19082b08082b0819
+19082b08082b1908 19082b0819080808 19082b081908082b 19082b0819081919 19082b0819082b08 19082b0819190819 19082b0819191908 19082b08192b0808
+19082b082b081908 19082b082b190808 19082b1908080808 19082b190808082b 19082b1908081919 19082b1908082b08 19082b1908190819 19082b1908191908
+19082b19082b0808 19082b1919080819 19082b1919081908 19082b1919190808 19082b192b080808 19082b192b19192b 19082b2b08080819 19082b2b08081908
+19082b2b08190808 19082b2b19080808 1919080808080808 191908080808082b 1919080808081919 1919080808082b08 1919080808190819 1919080808191908
+191908080819192b 1919080808192b19 19190808082b0808 19190808082b082b 19190808082b1919 19190808082b2b08 1919080819080819 1919080819081908
+191908081908192b 1919080819082b19 1919080819190808 191908081919082b 1919080819191919 1919080819192b08 19190808192b0819 19190808192b1908
+191908082b080808 191908082b08082b 191908082b081919 191908082b082b08 191908082b190819 191908082b191908 1919081908080819 1919081908081908
+191908190808192b 1919081908082b19 1919081908190808 191908190819082b 1919081908191919 1919081908192b08 19190819082b0819 19190819082b1908
+1919081919080808 191908191908082b 1919081919081919 1919081919082b08 1919081919190819 1919081919191908 19190819192b0808 191908192b080819
+191908192b081908 191908192b190808 1919082b08080808 1919082b08081919 1919082b08082b08 1919082b08190819 1919082b08191908 1919082b082b0808
+1919082b19080819 1919082b19081908 1919082b19190808 1919082b192b2b19 1919082b2b080808 1919190808080819 1919190808081908 191919080808192b
+1919190808082b19 1919190808190808 191919080819082b 1919190808191919 1919190808192b08 19191908082b0819 19191908082b1908 1919190819080808
+191919081908082b 1919190819081919 1919190819082b08 1919190819190819 1919190819191908 19191908192b0808 191919082b080819 191919082b081908
+191919082b190808 1919191908080808 191919190808082b 1919191908081919 1919191908082b08 1919191908190819 1919191908191908 19191919082b0808
+1919191919080819 1919191919081908 1919191919190808 191919192b080808 1919192b08080819 1919192b08081908 1919192b08190808 1919192b082b192b
+1919192b19080808 19192b0808080808 19192b080808082b 19192b0808081919 19192b0808082b08 19192b0808190819 19192b0808191908 19192b08082b0808
+19192b0819080819 19192b0819081908 19192b0819190808 19192b0819192b2b 19192b082b080808 19192b1908080819 19192b1908081908 19192b1908190808
+19192b1919080808 19192b2b08080808 19192b2b08192b19 19192b2b2b081919 19192b2b2b2b2b08 192b080808080819 192b080808081908 192b08080808192b
+192b080808190808 192b08080819082b 192b080808191919 192b080808192b08 192b0808082b0819 192b0808082b1908 192b080819080808 192b080819081919
+192b080819082b08 192b080819190819 192b080819191908 192b0808192b0808 192b08082b081908 192b08082b190808 192b081908080808 192b08190808082b
+192b081908081919 192b081908082b08 192b081908190819 192b081908191908 192b0819082b0808 192b081919080819 192b081919081908 192b081919190808
+192b08192b080808 192b08192b192b19 192b082b08081908 192b082b08190808 192b082b19080808 192b082b1919192b 192b082b2b2b0819 192b190808080808
+192b190808081919 192b190808082b08 192b190808190819 192b190808191908 192b1908082b0808 192b190819080819 192b190819081908 192b190819190808
+192b19082b080808 192b191908080819 192b191908081908 192b191908190808 192b191919080808 192b191919082b2b 192b1919192b2b08 192b19192b19082b
+192b192b08080808 192b192b2b191908 192b2b0808080819 192b2b0808081908 192b2b0808190808 192b2b08192b1919 192b2b082b192b08 192b2b1908080808
+192b2b19082b2b2b 192b2b2b1908082b 192b2b2b2b2b0819 2b08080808080808 2b0808080808082b 2b08080808081919 2b08080808082b08 2b08080808190819
+2b08080808191908 2b08080808192b19 2b080808082b0808 2b080808082b1919 2b08080819080819 2b08080819081908 2b08080819190808 2b0808081919082b
+2b08080819191919 2b08080819192b08 2b080808192b0819 2b0808082b080808 2b0808082b081919 2b0808082b190819 2b0808082b191908 2b08081908080819
+2b08081908081908 2b08081908082b19 2b08081908190808 2b0808190819082b 2b08081908191919 2b08081908192b08 2b080819082b0819 2b080819082b1908
+2b08081919080808 2b0808191908082b 2b08081919081919 2b08081919082b08 2b08081919190819 2b08081919191908 2b0808192b080819 2b0808192b081908
+2b0808192b190808 2b0808192b2b2b19 2b08082b08080808 2b08082b08081919 2b08082b08082b2b 2b08082b08190819 2b08082b08191908 2b08082b19080819
+2b08082b19081908 2b08082b19190808 2b08190808080819 2b08190808081908 2b0819080808192b 2b08190808082b19 2b08190808190808 2b0819080819082b
+2b08190808191919 2b08190808192b08 2b081908082b0819 2b08190819080808 2b0819081908082b 2b08190819081919 2b08190819082b08 2b08190819190819
+2b08190819191908 2b081908192b0808 2b0819082b080819 2b0819082b081908 2b0819082b190808 2b08191908080808 2b0819190808082b 2b08191908081919
+2b08191908082b08 2b08191908190819 2b08191908191908 2b081919082b0808 2b08191919080819 2b08191919081908 2b08191919190808 2b0819192b080808
+2b0819192b082b2b 2b08192b08080819 2b08192b08081908 2b08192b08190808 2b08192b082b2b19 2b08192b19080808 2b082b0808080808 2b082b0808081919
+2b082b0808190819 2b082b0808191908 2b082b0819080819 2b082b0819081908 2b082b0819190808 2b082b082b2b082b 2b082b1908080819 2b082b1908081908
+2b082b1919080808 2b082b19192b1919 2b082b2b082b082b 2b082b2b19192b08 2b082b2b19192b2b 2b082b2b2b08082b 2b082b2b2b2b082b 2b19080808080819
+2b19080808081908 2b19080808082b19 2b19080808190808 2b1908080819082b 2b19080808191919 2b19080808192b08 2b190808082b1908 2b19080819080808
+2b1908081908082b 2b19080819081919 2b19080819082b08 2b19080819190819 2b19080819191908 2b190808192b0808 2b1908082b080819 2b1908082b081908
+2b1908082b190808 2b19081908080808 2b19081908081919 2b19081908190819 2b19081908191908 2b19081919080819 2b19081919081908 2b19081919190808
+2b19081919192b2b 2b19082b08080819 2b19082b08081908 2b19082b08190808 2b19082b19080808 2b19082b2b2b192b 2b19190808080808 2b1919080808082b
+2b19190808081919 2b19190808082b08 2b19190808190819 2b19190808191908 2b191908082b0808 2b19190819080819 2b19190819081908 2b19190819190808
+2b1919082b080808 2b1919082b19192b 2b19191908080819 2b19191908081908 2b19191908190808 2b19191919080808 2b1919192b192b08 2b1919192b2b0819
+2b19192b08080808 2b19192b1908192b 2b19192b192b1908 2b192b0808080819 2b192b0808081908 2b192b0808190808 2b192b08082b192b 2b192b0819080808
+2b192b082b2b2b19 2b192b1908080808 2b192b1919082b19 2b192b191919082b 2b192b2b2b190808 2b2b080808080808 2b2b080808081919 2b2b080808082b2b
+2b2b080808191908 2b2b0808082b082b 2b2b0808082b2b2b 2b2b080819080819 2b2b080819081908 2b2b080819190808 2b2b08082b2b082b 2b2b08082b2b2b2b
+2b2b081919080808 2b2b0819192b1919 2b2b082b0808082b 2b2b082b08082b2b 2b2b082b082b082b 2b2b082b082b2b08 2b2b082b082b2b2b 2b2b082b2b08082b
+2b2b082b2b082b08 2b2b082b2b082b2b 2b2b082b2b2b2b08 2b2b190808080819 2b2b190808081908 2b2b190808190808 2b2b190819080808 2b2b19082b082b19
+2b2b19082b2b1908 2b2b191908080808 2b2b191908192b19 2b2b192b19190819 2b2b2b0808082b2b 2b2b2b08082b2b08 2b2b2b082b2b082b 2b2b2b1919191908
+2b2b2b192b08192b 2b2b2b2b08082b08 2b2b2b2b08082b2b 2b2b2b2b082b0808 2b2b2b2b082b082b 2b2b2b2b082b2b08 2b2b2b2b2b082b08 2b2b2b2b2b2b2b2b
+`);
+
+// iq3xxs_grid: 256 x uint32_t (unsigned magnitudes)
+export const IQ3XXS_GRID = unpackGrid(`
+04040404 04040414 04040424 04040c0c 04040c1c 04040c3e 04041404 04041414
+04041c0c 04042414 04043e1c 04043e2c 040c040c 040c041c 040c0c04 040c0c14
+040c140c 040c142c 040c1c04 040c1c14 040c240c 040c2c24 040c3e04 04140404
+04140414 04140424 04140c0c 04141404 04141414 04141c0c 04141c1c 04141c3e
+04142c0c 04142c3e 04143e2c 041c040c 041c043e 041c0c04 041c0c14 041c142c
+041c3e04 04240c1c 04241c3e 04242424 04242c3e 04243e1c 04243e2c 042c040c
+042c043e 042c1c14 042c2c14 04341c2c 04343424 043e0c04 043e0c24 043e0c34
+043e241c 043e340c 0c04040c 0c04041c 0c040c04 0c040c14 0c04140c 0c04141c
+0c041c04 0c041c14 0c041c24 0c04243e 0c042c04 0c0c0404 0c0c0414 0c0c0c0c
+0c0c1404 0c0c1414 0c14040c 0c14041c 0c140c04 0c140c14 0c14140c 0c141c04
+0c143e14 0c1c0404 0c1c0414 0c1c1404 0c1c1c0c 0c1c2434 0c1c3434 0c24040c
+0c24042c 0c242c04 0c2c1404 0c2c1424 0c2c2434 0c2c3e0c 0c34042c 0c3e1414
+0c3e2404 14040404 14040414 14040c0c 14040c1c 14041404 14041414 14041434
+14041c0c 14042414 140c040c 140c041c 140c042c 140c0c04 140c0c14 140c140c
+140c1c04 140c341c 140c343e 140c3e04 14140404 14140414 14140c0c 14140c3e
+14141404 14141414 14141c3e 14142404 14142c2c 141c040c 141c0c04 141c0c24
+141c3e04 141c3e24 14241c2c 14242c1c 142c041c 142c143e 142c240c 142c3e24
+143e040c 143e041c 143e0c34 143e242c 1c04040c 1c040c04 1c040c14 1c04140c
+1c04141c 1c042c04 1c04342c 1c043e14 1c0c0404 1c0c0414 1c0c1404 1c0c1c0c
+1c0c2424 1c0c2434 1c14040c 1c14041c 1c140c04 1c14142c 1c142c14 1c143e14
+1c1c0c0c 1c1c1c1c 1c241c04 1c24243e 1c243e14 1c2c0404 1c2c0434 1c2c1414
+1c2c2c2c 1c340c24 1c341c34 1c34341c 1c3e1c1c 1c3e3404 24040424 24040c3e
+24041c2c 24041c3e 24042c1c 24042c3e 240c3e24 24141404 24141c3e 24142404
+24143404 24143434 241c043e 241c242c 24240424 24242c0c 24243424 242c142c
+242c241c 242c3e04 243e042c 243e0c04 243e0c14 243e1c04 2c040c14 2c04240c
+2c043e04 2c0c0404 2c0c0434 2c0c1434 2c0c2c2c 2c140c24 2c141c14 2c143e14
+2c1c0414 2c1c2c1c 2c240c04 2c24141c 2c24143e 2c243e14 2c2c0414 2c2c1c0c
+2c342c04 2c3e1424 2c3e2414 34041424 34042424 34042434 34043424 340c140c
+340c340c 34140c3e 34143424 341c1c04 341c1c34 34242424 342c042c 342c2c14
+34341c1c 343e041c 343e140c 3e04041c 3e04042c 3e04043e 3e040c04 3e041c14
+3e042c14 3e0c1434 3e0c2404 3e140c14 3e14242c 3e142c14 3e1c0404 3e1c0c2c
+3e1c1c1c 3e1c3404 3e24140c 3e24240c 3e2c0404 3e2c0414 3e2c1424 3e341c04
+`);
+
+// iq3s_grid: 512 x uint32_t (unsigned magnitudes)
+export const IQ3S_GRID = unpackGrid(`
+01010101 01010103 01010105 0101010b 0101010f 01010301 01010303 01010305
+01010309 0101030d 01010501 01010503 0101050b 01010707 01010901 01010905
+0101090b 0101090f 01010b03 01010b07 01010d01 01010d05 01010f03 01010f09
+01010f0f 01030101 01030103 01030105 01030109 01030301 01030303 0103030b
+01030501 01030507 0103050f 01030703 0103070b 01030909 01030d03 01030d0b
+01030f05 01050101 01050103 0105010b 0105010f 01050301 01050307 0105030d
+01050503 0105050b 01050701 01050709 01050905 0105090b 0105090f 01050b03
+01050b07 01050f01 01050f07 01070107 01070303 0107030b 01070501 01070505
+01070703 01070707 0107070d 01070909 01070b01 01070b05 01070d0f 01070f03
+01070f0b 01090101 01090307 0109030f 01090503 01090509 01090705 01090901
+01090907 01090b03 01090f01 010b0105 010b0109 010b0501 010b0505 010b050d
+010b0707 010b0903 010b090b 010b090f 010b0d0d 010b0f07 010d010d 010d0303
+010d0307 010d0703 010d0b05 010d0f03 010f0101 010f0105 010f0109 010f0501
+010f0505 010f050d 010f0707 010f0b01 010f0b09 03010101 03010103 03010105
+03010109 03010301 03010303 03010307 0301030b 0301030f 03010501 03010505
+03010703 03010709 0301070d 03010b09 03010b0d 03010d03 03010f05 03030101
+03030103 03030107 0303010d 03030301 03030309 03030503 03030701 03030707
+03030903 03030b01 03030b05 03030f01 03030f0d 03050101 03050305 0305030b
+0305030f 03050501 03050509 03050705 03050901 03050907 03050b0b 03050d01
+03050f05 03070103 03070109 0307010f 03070301 03070307 03070503 0307050f
+03070701 03070709 03070903 03070d05 03070f01 03090107 0309010b 03090305
+03090309 03090703 03090707 03090905 0309090d 03090b01 03090b09 030b0103
+030b0301 030b0307 030b0503 030b0701 030b0705 030b0b03 030d0501 030d0509
+030d050f 030d0909 030d090d 030f0103 030f0107 030f0301 030f0305 030f0503
+030f070b 030f0903 030f0d05 030f0f01 05010101 05010103 05010107 0501010b
+0501010f 05010301 05010305 05010309 0501030d 05010503 05010507 0501050f
+05010701 05010705 05010903 05010907 0501090b 05010b01 05010b05 05010d0f
+05010f01 05010f07 05010f0b 05030101 05030105 05030301 05030307 0503030f
+05030505 0503050b 05030703 05030709 05030905 05030b03 05050103 05050109
+0505010f 05050503 05050507 05050701 0505070f 05050903 05050b07 05050b0f
+05050f03 05050f09 05070101 05070105 0507010b 05070303 05070505 05070509
+05070703 05070707 05070905 05070b01 05070d0d 05090103 0509010f 05090501
+05090507 05090705 0509070b 05090903 05090f05 05090f0b 050b0109 050b0303
+050b0505 050b070f 050b0901 050b0b07 050b0f01 050d0101 050d0105 050d010f
+050d0503 050d0b0b 050d0d03 050f010b 050f0303 050f050d 050f0701 050f0907
+050f0b01 07010105 07010303 07010307 0701030b 0701030f 07010505 07010703
+07010707 0701070b 07010905 07010909 0701090f 07010b03 07010d07 07010f03
+07030103 07030107 0703010b 07030309 07030503 07030507 07030901 07030d01
+07030f05 07030f0d 07050101 07050305 07050501 07050705 07050709 07050b01
+07070103 07070301 07070309 07070503 07070507 0707050f 07070701 07070903
+07070907 0707090f 07070b0b 07070f07 07090107 07090303 0709030d 07090505
+07090703 07090b05 07090d01 07090d09 070b0103 070b0301 070b0305 070b050b
+070b0705 070b0909 070b0b0d 070b0f07 070d030d 070d0903 070f0103 070f0107
+070f0501 070f0505 070f070b 09010101 09010109 09010305 09010501 09010509
+0901050f 09010705 09010903 09010b01 09010f01 09030105 0903010f 09030303
+09030307 09030505 09030701 0903070b 09030907 09030b03 09030b0b 09050103
+09050107 09050301 0905030b 09050503 09050707 09050901 09050b0f 09050d05
+09050f01 09070109 09070303 09070307 09070501 09070505 09070703 0907070b
+09090101 09090105 09090509 0909070f 09090901 09090f03 090b010b 090b010f
+090b0503 090b0d05 090d0307 090d0709 090d0d01 090f0301 090f030b 090f0701
+090f0907 090f0b03 0b010105 0b010301 0b010309 0b010505 0b010901 0b010909
+0b01090f 0b010b05 0b010d0d 0b010f09 0b030103 0b030107 0b03010b 0b030305
+0b030503 0b030705 0b030f05 0b050101 0b050303 0b050507 0b050701 0b05070d
+0b050b07 0b070105 0b07010f 0b070301 0b07050f 0b070909 0b070b03 0b070d0b
+0b070f07 0b090103 0b090109 0b090501 0b090705 0b09090d 0b0b0305 0b0b050d
+0b0b0b03 0b0b0b07 0b0d0905 0b0f0105 0b0f0109 0b0f0505 0d010303 0d010307
+0d01030b 0d010703 0d010707 0d010d01 0d030101 0d030501 0d03050f 0d030d09
+0d050305 0d050709 0d050905 0d050b0b 0d050d05 0d050f01 0d070101 0d070309
+0d070503 0d070901 0d09050b 0d090907 0d090d05 0d0b0101 0d0b0107 0d0b0709
+0d0b0d01 0d0d010b 0d0d0901 0d0f0303 0d0f0307 0f010101 0f010109 0f01010f
+0f010501 0f010505 0f01070d 0f010901 0f010b09 0f010d05 0f030105 0f030303
+0f030509 0f030907 0f03090b 0f050103 0f050109 0f050301 0f05030d 0f050503
+0f050701 0f050b03 0f070105 0f070705 0f07070b 0f070b07 0f090103 0f09010b
+0f090307 0f090501 0f090b01 0f0b0505 0f0b0905 0f0d0105 0f0d0703 0f0f0101
+`);
+
+// iq1s_grid: 2048 x uint64_t (int8 values in {-1, 0, 1})
+export const IQ1S_GRID = unpackGrid(`
+ffffffffffffffff ffffffffffffff01 ffffffffffff0000 ffffffffffff01ff ffffffffffff0101 ffffffffff00ff00 ffffffffff000000 ffffffffff01ffff
+ffffffffff01ff01 ffffffffff0101ff ffffffffff010101 ffffffff00ff0000 ffffffff0000ff00 ffffffff000000ff ffffffff00000001 ffffffff00010000
+ffffffff01ffffff ffffffff01ffff01 ffffffff01ff01ff ffffffff01ff0101 ffffffff01000000 ffffffff0101ffff ffffffff0101ff01 ffffffff010101ff
+ffffffff01010101 ffffff00ffff00ff ffffff00ffff0000 ffffff00ff00ff00 ffffff00ff0000ff ffffff00ff000001 ffffff00ff000100 ffffff00ff000101
+ffffff00ff010000 ffffff0000ffff00 ffffff0000ff0001 ffffff0000ff0100 ffffff000000ff01 ffffff0000000000 ffffff0000000101 ffffff000001ff00
+ffffff00000100ff ffffff0000010001 ffffff00000101ff ffffff0001ff0000 ffffff000100ff00 ffffff00010000ff ffffff0001000001 ffffff0001010000
+ffffff01ffffffff ffffff01ffffff01 ffffff01ffff01ff ffffff01ffff0101 ffffff01ff000000 ffffff01ff01ffff ffffff01ff01ff01 ffffff01ff0101ff
+ffffff01ff010101 ffffff0100ff0000 ffffff010000ff00 ffffff0100000100 ffffff01000100ff ffffff0100010100 ffffff0101ffffff ffffff0101ffff01
+ffffff0101ff01ff ffffff0101ff0101 ffffff010100ff00 ffffff0101000000 ffffff0101000100 ffffff010101ffff ffffff010101ff01 ffffff01010101ff
+ffffff0101010101 ffff00ffff00ff00 ffff00ffff0000ff ffff00ffff000001 ffff00ffff010000 ffff00ff00ffff00 ffff00ff00ff0100 ffff00ff00000000
+ffff00ff00000101 ffff00ff000100ff ffff00ff00010000 ffff00ff0100ff00 ffff00ff01000100 ffff00ff01010000 ffff0000ffffff00 ffff0000ffff00ff
+ffff0000ffff0000 ffff0000ffff0001 ffff0000ff000000 ffff0000ff0001ff ffff0000ff000101 ffff0000ff010100 ffff000000ffffff ffff000000ff0000
+ffff000000ff0101 ffff00000000ffff ffff00000000ff00 ffff0000000000ff ffff000000000000 ffff000000000001 ffff000000000100 ffff00000001ffff
+ffff00000001ff01 ffff000000010000 ffff0000000101ff ffff000000010101 ffff000001ffff00 ffff00000100ff00 ffff000001000000 ffff0000010001ff
+ffff000001000101 ffff00000101ff00 ffff0000010100ff ffff000001010000 ffff000001010001 ffff000001010100 ffff0001ff0000ff ffff0001ff000100
+ffff000100ffff00 ffff000100ff00ff ffff00010000ffff ffff00010000ff01 ffff000100000000 ffff0001000001ff ffff00010001ffff ffff00010001ff00
+ffff000100010001 ffff000100010100 ffff000101ff0000 ffff00010100ff00 ffff0001010000ff ffff000101000100 ffff01ffffffffff ffff01ffffffff01
+ffff01ffffff01ff ffff01ffffff0101 ffff01ffff000000 ffff01ffff01ffff ffff01ffff01ff01 ffff01ffff0101ff ffff01ffff010101 ffff01ff00ff0000
+ffff01ff0000ff00 ffff01ff00000001 ffff01ff00010000 ffff01ff01ffffff ffff01ff01ffff01 ffff01ff01ff01ff ffff01ff01ff0101 ffff01ff01000000
+ffff01ff0101ffff ffff01ff0101ff01 ffff01ff010101ff ffff01ff01010101 ffff0100ffff0000 ffff0100ff00ff00 ffff0100ff0000ff ffff0100ff000100
+ffff0100ff0100ff ffff0100ff010000 ffff010000ffff00 ffff01000000ffff ffff01000000ff00 ffff010000000000 ffff01000001ff00 ffff0100000100ff
+ffff010000010100 ffff01000100ff00 ffff0100010000ff ffff010001000001 ffff010001000100 ffff010001010000 ffff0101ffffffff ffff0101ffffff01
+ffff0101ffff01ff ffff0101ffff0101 ffff0101ff000000 ffff0101ff01ffff ffff0101ff01ff01 ffff0101ff0101ff ffff0101ff010101 ffff010100ff0000
+ffff01010000ff00 ffff010100000100 ffff01010001ff00 ffff010100010000 ffff010101ffffff ffff010101ffff01 ffff010101ff0000 ffff010101ff01ff
+ffff010101ff0101 ffff010101000000 ffff01010101ffff ffff01010101ff01 ffff0101010101ff ffff010101010101 ff00ffffff00ffff ff00ffffff00ff00
+ff00ffffff0000ff ff00ffffff000100 ff00ffffff0100ff ff00ffffff010000 ff00ffff00ffff00 ff00ffff00ff00ff ff00ffff0000ffff ff00ffff00000000
+ff00ffff000001ff ff00ffff0001ff00 ff00ffff000100ff ff00ffff00010000 ff00ffff00010100 ff00ffff0100ff00 ff00ffff010000ff ff00ffff01000001
+ff00ffff0101ff00 ff00ffff01010000 ff00ff00ffffff00 ff00ff00ffff00ff ff00ff00ffff0001 ff00ff00ffff0100 ff00ff00ff00ffff ff00ff00ff00ff01
+ff00ff00ff000000 ff00ff00ff0001ff ff00ff00ff01ff00 ff00ff00ff0100ff ff00ff00ff010100 ff00ff0000ff0000 ff00ff0000ff0101 ff00ff000000ffff
+ff00ff000000ff00 ff00ff000000ff01 ff00ff00000000ff ff00ff0000000000 ff00ff0000000001 ff00ff0000000100 ff00ff000001ffff ff00ff0000010000
+ff00ff0001ff00ff ff00ff000100ff01 ff00ff0001000000 ff00ff000101ff00 ff00ff00010100ff ff00ff01ff00ff00 ff00ff01ff0000ff ff00ff01ff000001
+ff00ff01ff010000 ff00ff0100ffffff ff00ff0100ff0001 ff00ff0100ff0100 ff00ff010000ff01 ff00ff0100000000 ff00ff01000001ff ff00ff0100000101
+ff00ff01000100ff ff00ff0100010001 ff00ff0101ff0000 ff00ff010100ff00 ff00ff01010000ff ff00ff0101000001 ff00ff0101010000 ff0000ffffffff00
+ff0000ffffff0001 ff0000ffffff0100 ff0000ffff0000ff ff0000ffff000000 ff0000ffff0001ff ff0000ffff000100 ff0000ffff01ff00 ff0000ffff010001
+ff0000ff00ffff00 ff0000ff00ff0000 ff0000ff00ff0001 ff0000ff00ff01ff ff0000ff00ff0101 ff0000ff0000ff00 ff0000ff000000ff ff0000ff00000000
+ff0000ff00000001 ff0000ff00000100 ff0000ff0001ff01 ff0000ff00010000 ff0000ff000101ff ff0000ff01ff00ff ff0000ff01ff0100 ff0000ff0100ffff
+ff0000ff010000ff ff0000ff01000000 ff0000ff010001ff ff0000ff01000100 ff0000ff01000101 ff0000ff0101ff00 ff0000ff010100ff ff0000ff01010000
+ff0000ff01010100 ff000000ffffff01 ff000000ffff0000 ff000000ffff0101 ff000000ff00ff00 ff000000ff0000ff ff000000ff000000 ff000000ff000001
+ff000000ff000100 ff000000ff01ffff ff000000ff01ff01 ff000000ff010000 ff000000ff0101ff ff000000ff010101 ff00000000ffff00 ff00000000ff00ff
+ff00000000ff0000 ff00000000ff0001 ff0000000000ff00 ff0000000000ff01 ff000000000000ff ff00000000000000 ff00000000000001 ff00000000000100
+ff00000000000101 ff0000000001ff00 ff000000000100ff ff00000000010000 ff00000000010001 ff00000000010100 ff00000001ffffff ff00000001ffff01
+ff00000001ff00ff ff00000001ff0000 ff00000001ff01ff ff00000001ff0101 ff0000000100ffff ff0000000100ff00 ff000000010000ff ff00000001000000
+ff00000001000001 ff00000001000100 ff00000001000101 ff0000000101ffff ff0000000101ff01 ff00000001010000 ff000001ffffff00 ff000001ffff00ff
+ff000001ffff0000 ff000001ffff0001 ff000001ff000000 ff000001ff000001 ff000001ff0001ff ff000001ff000101 ff000001ff01ff00 ff000001ff010001
+ff00000100ffffff ff00000100ffff01 ff00000100ff00ff ff00000100ff0000 ff00000100ff01ff ff00000100ff0101 ff0000010000ff00 ff00000100000000
+ff00000100000001 ff000001000001ff ff00000100000100 ff0000010001ff00 ff000001000100ff ff00000100010000 ff000001000101ff ff00000100010100
+ff00000100010101 ff00000101ff0001 ff00000101ff0101 ff0000010100ff01 ff00000101000000 ff000001010100ff ff00000101010100 ff0001ffff00ff00
+ff0001ffff000001 ff0001ffff010000 ff0001ff00ffff00 ff0001ff00ff00ff ff0001ff00ff0001 ff0001ff00ff0100 ff0001ff0000ffff ff0001ff00000000
+ff0001ff000001ff ff0001ff00000101 ff0001ff0001ffff ff0001ff0001ff00 ff0001ff000100ff ff0001ff00010001 ff0001ff00010100 ff0001ff01ff0000
+ff0001ff0100ff00 ff0001ff010000ff ff0001ff01010000 ff000100ff00ffff ff000100ff00ff01 ff000100ff000000 ff000100ff000101 ff000100ff01ff00
+ff000100ff010000 ff00010000ffff01 ff00010000ff00ff ff00010000ff0000 ff00010000ff01ff ff0001000000ff00 ff000100000000ff ff00010000000000
+ff00010000000001 ff00010000000100 ff00010000000101 ff0001000001ffff ff00010000010000 ff00010000010101 ff00010001ff0100 ff0001000100ff00
+ff0001000100ff01 ff00010001000000 ff000100010001ff ff0001000101ff00 ff00010001010001 ff00010001010100 ff000101ffff0100 ff000101ff000001
+ff000101ff0100ff ff000101ff010001 ff00010100ff00ff ff00010100ff0001 ff00010100ff0100 ff0001010000ffff ff0001010000ff01 ff00010100000000
+ff000101000001ff ff0001010001ff00 ff00010100010001 ff00010100010100 ff00010101ff0000 ff0001010100ff00 ff00010101000001 ff00010101000101
+ff01ffffffffffff ff01ffffffffff01 ff01ffffffff01ff ff01ffffffff0101 ff01ffffff000000 ff01ffffff01ffff ff01ffffff01ff01 ff01ffffff010000
+ff01ffffff0101ff ff01ffffff010101 ff01ffff00ff0000 ff01ffff0000ff00 ff01ffff00000100 ff01ffff0001ff00 ff01ffff00010000 ff01ffff01ffffff
+ff01ffff01ffff01 ff01ffff01ff01ff ff01ffff01ff0101 ff01ffff01000000 ff01ffff0101ffff ff01ffff0101ff01 ff01ffff01010000 ff01ffff010101ff
+ff01ffff01010101 ff01ff00ffff0000 ff01ff00ff00ff00 ff01ff00ff0000ff ff01ff00ff000100 ff01ff00ff010000 ff01ff0000ffff01 ff01ff0000ff00ff
+ff01ff0000ff0100 ff01ff0000000000 ff01ff00000001ff ff01ff0000000101 ff01ff000001ff00 ff01ff00000100ff ff01ff0000010000 ff01ff0000010001
+ff01ff0001ff0000 ff01ff000100ffff ff01ff0001000001 ff01ff0001000100 ff01ff0001010000 ff01ff01ffffff00 ff01ff01ffff01ff ff01ff01ffff0101
+ff01ff01ff00ff00 ff01ff01ff000000 ff01ff01ff01ffff ff01ff01ff01ff01 ff01ff01ff0101ff ff01ff01ff010101 ff01ff0100ff0000 ff01ff010000ff00
+ff01ff0100000001 ff01ff0100000100 ff01ff0100010000 ff01ff0101ffff00 ff01ff0101ff01ff ff01ff0101ff0101 ff01ff010100ff00 ff01ff0101000000
+ff01ff010101ffff ff01ff010101ff01 ff01ff01010101ff ff01ff0101010101 ff0100ffffff0000 ff0100ffff0000ff ff0100ffff000001 ff0100ffff000100
+ff0100ffff010000 ff0100ff00ff00ff ff0100ff00ff0000 ff0100ff00ff0001 ff0100ff00ff0100 ff0100ff0000ff01 ff0100ff00000000 ff0100ff000001ff
+ff0100ff00000101 ff0100ff00010001 ff0100ff01ff0000 ff0100ff0100ff00 ff0100ff010000ff ff0100ff01000100 ff0100ff0101ff00 ff0100ff01010000
+ff010000ffff0100 ff010000ff000000 ff010000ff01ff00 ff010000ff010100 ff01000000ffffff ff01000000ff0000 ff01000000ff01ff ff0100000000ff00
+ff010000000000ff ff01000000000000 ff01000000000100 ff0100000001ff01 ff01000000010000 ff010000000101ff ff01000001ff0100 ff0100000100ffff
+ff010000010000ff ff01000001000000 ff010000010001ff ff01000001000101 ff0100000101ff00 ff010000010100ff ff01000001010001 ff01000001010100
+ff010001ffff0000 ff010001ff00ffff ff010001ff00ff01 ff010001ff000100 ff010001ff010000 ff01000100ffff00 ff01000100ff0100 ff01000100000000
+ff0100010001ffff ff0100010001ff00 ff01000100010100 ff01000101ff00ff ff01000101ff0001 ff0100010100ffff ff01000101000101 ff0101ffffffffff
+ff0101ffffffff01 ff0101ffffff01ff ff0101ffffff0101 ff0101ffff000000 ff0101ffff01ffff ff0101ffff01ff01 ff0101ffff0101ff ff0101ffff010101
+ff0101ff00ff0000 ff0101ff0000ff00 ff0101ff000000ff ff0101ff00010000 ff0101ff01ffffff ff0101ff01ffff01 ff0101ff01ff01ff ff0101ff01ff0101
+ff0101ff0101ffff ff0101ff0101ff01 ff0101ff010101ff ff0101ff01010101 ff010100ffff0100 ff010100ff00ff00 ff010100ff0000ff ff010100ff000100
+ff010100ff010000 ff01010000ff0001 ff01010000ff0100 ff0101000000ff01 ff01010000000000 ff0101000001ff00 ff010100000100ff ff01010000010001
+ff01010000010100 ff01010001ff0000 ff0101000100ffff ff01010001000001 ff01010001000100 ff010100010100ff ff01010001010000 ff010101ffffffff
+ff010101ffffff01 ff010101ffff01ff ff010101ffff0101 ff010101ff01ffff ff010101ff01ff01 ff010101ff0101ff ff010101ff010101 ff01010100ff0000
+ff0101010000ff00 ff01010100000001 ff01010100000100 ff01010100010000 ff01010101ffffff ff01010101ffff01 ff01010101ff01ff ff01010101ff0101
+ff01010101000000 ff0101010101ffff ff0101010101ff01 ff010101010101ff ff01010101010101 00ffffffffff0000 00ffffffff00ff00 00ffffffff000001
+00ffffffff010000 00ffffff00ff0100 00ffffff0000ff01 00ffffff00000000 00ffffff000001ff 00ffffff00000101 00ffffff0001ff00 00ffffff000100ff
+00ffffff00010001 00ffffff010000ff 00ffffff01000100 00ffffff0101ff00 00ffffff01010001 00ffff00ffffffff 00ffff00ffffff00 00ffff00ffff00ff
+00ffff00ffff0001 00ffff00ffff0100 00ffff00ff00ff01 00ffff00ff000000 00ffff00ff000001 00ffff00ff0001ff 00ffff00ff000101 00ffff00ff01ff00
+00ffff00ff010001 00ffff00ff010100 00ffff0000ff0000 00ffff0000ff01ff 00ffff0000ff0101 00ffff000000ff00 00ffff00000000ff 00ffff0000000000
+00ffff0000000001 00ffff0000000100 00ffff0000000101 00ffff0000010000 00ffff00000101ff 00ffff0000010101 00ffff0001ffff00 00ffff0001ff00ff
+00ffff0001ff0001 00ffff000100ffff 00ffff000100ff01 00ffff0001000000 00ffff000101ffff 00ffff000101ff00 00ffff000101ff01 00ffff01ffff0000
+00ffff01ff00ff00 00ffff01ff0000ff 00ffff01ff000001 00ffff01ff010000 00ffff0100ffff00 00ffff010000ff01 00ffff0100000000 00ffff0100000101
+00ffff01000100ff 00ffff0100010100 00ffff0101ff0100 00ffff01010000ff 00ffff0101010000 00ff00ffffffff00 00ff00ffff000000 00ff00ffff000100
+00ff00ffff010100 00ff00ff00ff0000 00ff00ff00ff01ff 00ff00ff00ff0101 00ff00ff0000ff00 00ff00ff000000ff 00ff00ff00000000 00ff00ff00000001
+00ff00ff0001ff00 00ff00ff0001ff01 00ff00ff00010000 00ff00ff000101ff 00ff00ff00010101 00ff00ff01ffff00 00ff00ff01ff0001 00ff00ff01ff0100
+00ff00ff0100ffff 00ff00ff0100ff01 00ff00ff01000000 00ff00ff0101ffff 00ff00ff0101ff00 00ff00ff01010100 00ff0000ffffff00 00ff0000ffffff01
+00ff0000ffff0000 00ff0000ffff0101 00ff0000ff00ff00 00ff0000ff0000ff 00ff0000ff000000 00ff0000ff000001 00ff0000ff000100 00ff0000ff01ffff
+00ff0000ff010000 00ff0000ff010101 00ff000000ffff00 00ff000000ff00ff 00ff000000ff0000 00ff000000ff0001 00ff000000ff0100 00ff00000000ffff
+00ff00000000ff00 00ff0000000000ff 00ff000000000000 00ff000000000001 00ff0000000001ff 00ff000000000100 00ff00000001ff00 00ff0000000100ff
+00ff000000010000 00ff000000010001 00ff000000010100 00ff000001ffff01 00ff000001ff00ff 00ff000001ff0000 00ff000001ff01ff 00ff00000100ff00
+00ff0000010000ff 00ff000001000000 00ff000001000001 00ff000001000100 00ff000001000101 00ff000001010000 00ff0000010101ff 00ff000001010101
+00ff0001ffffff00 00ff0001ffff0000 00ff0001ffff0100 00ff0001ff0000ff 00ff0001ff000000 00ff0001ff0001ff 00ff0001ff000101 00ff0001ff01ff00
+00ff0001ff0100ff 00ff0001ff010100 00ff000100ffffff 00ff000100ffff01 00ff000100ff0000 00ff000100ff01ff 00ff00010000ffff 00ff00010000ff00
+00ff00010000ff01 00ff000100000000 00ff000100000001 00ff000100000100 00ff00010001ff01 00ff000100010000 00ff0001000101ff 00ff000101ffff00
+00ff000101ff0000 00ff000101ff0101 00ff0001010000ff 00ff000101000000 00ff00010101ff00 00ff0001010100ff 00ff000101010001 00ff01ffffff0000
+00ff01ffff00ff00 00ff01ffff000000 00ff01ffff000101 00ff01ffff010000 00ff01ff00ffff01 00ff01ff00ff0100 00ff01ff0000ffff 00ff01ff00000000
+00ff01ff000001ff 00ff01ff0001ff00 00ff01ff000100ff 00ff01ff00010001 00ff01ff00010100 00ff01ff01ff0000 00ff01ff0100ff00 00ff01ff010000ff
+00ff01ff01000001 00ff01ff01000100 00ff01ff01010000 00ff0100ffffff00 00ff0100ffff0000 00ff0100ffff0001 00ff0100ffff0101 00ff0100ff00ffff
+00ff0100ff0000ff 00ff0100ff000000 00ff0100ff0001ff 00ff0100ff01ff00 00ff0100ff0100ff 00ff0100ff010001 00ff010000ffffff 00ff010000ff0000
+00ff010000ff0101 00ff01000000ff00 00ff01000000ff01 00ff0100000000ff 00ff010000000000 00ff010000000001 00ff010000000100 00ff01000001ffff
+00ff01000001ff01 00ff010000010000 00ff010000010001 00ff010000010101 00ff010001ff0001 00ff010001ff0100 00ff01000100ff01 00ff010001000000
+00ff010001000001 00ff0100010001ff 00ff01000101ff00 00ff0100010100ff 00ff010001010001 00ff010001010100 00ff0101ff000001 00ff010100ff00ff
+00ff010100ff0001 00ff010100ff0100 00ff010100000000 00ff0101000001ff 00ff010100000101 00ff0101000100ff 00ff010100010100 00ff0101010000ff
+00ff010101010000 0000ffffffffff00 0000ffffffff00ff 0000ffffffff0000 0000ffffffff0001 0000ffffffff0100 0000ffffff00ff01 0000ffffff000000
+0000ffffff000101 0000ffffff01ff00 0000ffffff0100ff 0000ffffff010100 0000ffff00ffffff 0000ffff00ff0000 0000ffff00ff01ff 0000ffff0000ff00
+0000ffff000000ff 0000ffff00000000 0000ffff00000001 0000ffff00000100 0000ffff00010000 0000ffff000101ff 0000ffff01ff0001 0000ffff01ff0100
+0000ffff01000000 0000ffff010001ff 0000ffff0101ffff 0000ffff0101ff00 0000ffff01010001 0000ffff01010100 0000ff00ffff0000 0000ff00ffff01ff
+0000ff00ffff0100 0000ff00ffff0101 0000ff00ff00ff00 0000ff00ff0000ff 0000ff00ff000000 0000ff00ff000001 0000ff00ff0001ff 0000ff00ff000100
+0000ff00ff01ffff 0000ff00ff010000 0000ff00ff010001 0000ff00ff0101ff 0000ff00ff010101 0000ff0000ffff00 0000ff0000ff00ff 0000ff0000ff0000
+0000ff0000ff0001 0000ff0000ff0100 0000ff000000ffff 0000ff000000ff00 0000ff000000ff01 0000ff00000000ff 0000ff0000000000 0000ff0000000001
+0000ff00000001ff 0000ff0000000100 0000ff0000000101 0000ff000001ff00 0000ff00000100ff 0000ff0000010000 0000ff0000010001 0000ff0000010100
+0000ff0001ffff01 0000ff0001ff0000 0000ff000100ff00 0000ff00010000ff 0000ff0001000000 0000ff0001000001 0000ff0001000100 0000ff000101ffff
+0000ff0001010000 0000ff0001010101 0000ff01ffffff00 0000ff01ffff0001 0000ff01ff00ff01 0000ff01ff000000 0000ff01ff000101 0000ff01ff01ff00
+0000ff01ff0100ff 0000ff0100ffff01 0000ff0100ff0000 0000ff0100ff0101 0000ff010000ff00 0000ff01000000ff 0000ff0100000000 0000ff0100000001
+0000ff0100000100 0000ff010001ff01 0000ff0100010000 0000ff0101ff0000 0000ff010100ffff 0000ff010100ff01 0000ff0101000000 0000ff0101000100
+0000ff0101000101 0000ff01010100ff 000000ffffff00ff 000000ffffff0000 000000ffff00ff00 000000ffff0000ff 000000ffff000000 000000ffff000001
+000000ffff0001ff 000000ffff000100 000000ffff01ff00 000000ffff010000 000000ffff0101ff 000000ffff010101 000000ff00ffff00 000000ff00ff00ff
+000000ff00ff0000 000000ff00ff0001 000000ff00ff0100 000000ff00ff0101 000000ff0000ffff 000000ff0000ff00 000000ff000000ff 000000ff00000000
+000000ff00000001 000000ff000001ff 000000ff00000100 000000ff00000101 000000ff0001ff00 000000ff0001ff01 000000ff000100ff 000000ff00010000
+000000ff00010001 000000ff00010100 000000ff01ffffff 000000ff01ff01ff 000000ff01ff0101 000000ff0100ff00 000000ff010000ff 000000ff01000000
+000000ff01000001 000000ff01000100 000000ff0101ff00 000000ff010100ff 000000ff01010000 000000ff01010101 00000000ffffff00 00000000ffffff01
+00000000ffff00ff 00000000ffff0000 00000000ffff0001 00000000ffff0100 00000000ff00ffff 00000000ff00ff00 00000000ff00ff01 00000000ff0000ff
+00000000ff000000 00000000ff000001 00000000ff000100 00000000ff000101 00000000ff01ff00 00000000ff0100ff 00000000ff010000 00000000ff010001
+00000000ff010100 0000000000ffffff 0000000000ffff00 0000000000ffff01 0000000000ff00ff 0000000000ff0000 0000000000ff0001 0000000000ff01ff
+0000000000ff0100 000000000000ffff 000000000000ff00 000000000000ff01 00000000000000ff 0000000000000000 0000000000000001 00000000000001ff
+0000000000000100 0000000000000101 000000000001ffff 000000000001ff00 00000000000100ff 0000000000010000 0000000000010001 00000000000101ff
+0000000000010100 0000000000010101 0000000001ffff00 0000000001ff00ff 0000000001ff0000 0000000001ff0100 0000000001ff0101 000000000100ffff
+000000000100ff00 00000000010000ff 0000000001000000 0000000001000001 00000000010001ff 0000000001000100 000000000101ff00 00000000010100ff
+0000000001010000 0000000001010001 0000000001010100 00000001ffffffff 00000001ffffff00 00000001ffffff01 00000001ffff00ff 00000001ffff0001
+00000001ffff01ff 00000001ffff0100 00000001ff00ff00 00000001ff0000ff 00000001ff000000 00000001ff0001ff 00000001ff000100 00000001ff01ffff
+00000001ff01ff00 00000001ff01ff01 00000001ff0100ff 00000001ff010000 00000001ff010001 00000001ff0101ff 00000001ff010100 0000000100ffff00
+0000000100ff0000 0000000100ff0001 0000000100ff01ff 0000000100ff0100 0000000100ff0101 000000010000ffff 000000010000ff00 000000010000ff01
+00000001000000ff 0000000100000000 0000000100000001 00000001000001ff 0000000100000100 0000000100000101 000000010001ff00 00000001000100ff
+0000000100010000 0000000100010100 0000000101ffff01 0000000101ff0000 0000000101ff0001 0000000101ff01ff 0000000101ff0100 0000000101ff0101
+000000010100ff00 0000000101000000 0000000101000101 000000010101ff01 0000000101010000 0000000101010001 00000001010101ff 0000000101010100
+000001ffffff00ff 000001ffffff0000 000001ffffff0001 000001ffffff0100 000001ffff00ffff 000001ffff000000 000001ffff0001ff 000001ffff01ff00
+000001ffff010101 000001ff00ff0000 000001ff00ff01ff 000001ff00ff0101 000001ff0000ff00 000001ff000000ff 000001ff00000000 000001ff00000001
+000001ff000001ff 000001ff00000100 000001ff0001ffff 000001ff0001ff01 000001ff000100ff 000001ff00010000 000001ff01ffff01 000001ff01ff0100
+000001ff0100ffff 000001ff0100ff01 000001ff01000000 000001ff010001ff 000001ff0101ff00 000001ff01010100 00000100ffffff00 00000100ffffff01
+00000100ffff0000 00000100ffff0101 00000100ff00ff00 00000100ff0000ff 00000100ff000000 00000100ff000001 00000100ff000100 00000100ff010000
+0000010000ffff00 0000010000ff00ff 0000010000ff0000 0000010000ff0001 0000010000ff0100 000001000000ffff 000001000000ff00 000001000000ff01
+00000100000000ff 0000010000000000 0000010000000001 00000100000001ff 0000010000000100 0000010000000101 000001000001ff00 00000100000100ff
+0000010000010000 0000010000010001 0000010000010100 0000010001ffff00 0000010001ff0000 0000010001ff0100 000001000100ff00 00000100010000ff
+0000010001000000 0000010001000001 00000100010001ff 0000010001000100 0000010001010000 00000101ffff00ff 00000101ffff01ff 00000101ff000000
+00000101ff000101 00000101ff01ffff 00000101ff010000 00000101ff010001 00000101ff010100 0000010100ff0000 0000010100ff01ff 0000010100ff0100
+000001010000ff00 0000010100000000 0000010100000001 00000101000001ff 0000010100000100 000001010001ff01 0000010100010000 00000101000101ff
+0000010100010101 0000010101ffff00 0000010101ff0101 000001010100ff01 0000010101000000 0000010101000001 00000101010001ff 0000010101000101
+000001010101ff00 0001ffffffff0000 0001ffffff0000ff 0001ffffff000001 0001ffffff000100 0001ffffff010000 0001ffff00ff00ff 0001ffff0000ffff
+0001ffff00000000 0001ffff00000001 0001ffff000001ff 0001ffff00000101 0001ffff0001ff00 0001ffff000100ff 0001ffff00010001 0001ffff00010100
+0001ffff01ffff00 0001ffff01000001 0001ffff01010000 0001ff00ffffff00 0001ff00ffff00ff 0001ff00ffff0001 0001ff00ffff0100 0001ff00ff00ff01
+0001ff00ff000000 0001ff00ff01ff00 0001ff00ff01ff01 0001ff00ff010001 0001ff00ff010100 0001ff0000ff0000 0001ff0000ff0100 0001ff000000ff00
+0001ff0000000000 0001ff0000000001 0001ff0000000100 0001ff0000010000 0001ff0000010001 0001ff0000010101 0001ff0001ff00ff 0001ff0001ff0101
+0001ff000100ff01 0001ff0001000000 0001ff000101ff00 0001ff0001010001 0001ff0001010100 0001ff01ff00ff00 0001ff01ff000001 0001ff01ff000100
+0001ff0100ffffff 0001ff0100ffff00 0001ff0100ff0001 0001ff0100000000 0001ff0100000001 0001ff01000001ff 0001ff010001ffff 0001ff0101ff0000
+0001ff010100ff00 0001ff0101000001 0001ff0101010000 000100ffff00ff00 000100ffff00ff01 000100ffff000000 000100ffff000001 000100ffff000101
+000100ffff01ff00 000100ffff010001 000100ffff010100 000100ff00ffffff 000100ff00ffff01 000100ff00ff0000 000100ff00ff01ff 000100ff00ff0101
+000100ff0000ff00 000100ff000000ff 000100ff00000000 000100ff00000001 000100ff00000100 000100ff00000101 000100ff0001ffff 000100ff0001ff01
+000100ff00010000 000100ff01ff00ff 000100ff01ff0000 000100ff01ff0100 000100ff0100ffff 000100ff0100ff01 000100ff010000ff 000100ff01000000
+000100ff01000001 000100ff010001ff 000100ff01000101 000100ff0101ff00 000100ff010100ff 000100ff01010100 00010000ffff0000 00010000ffff01ff
+00010000ffff0101 00010000ff00ff00 00010000ff000000 00010000ff000001 00010000ff000100 0001000000ff00ff 0001000000ff0000 0001000000ff0001
+0001000000ff0100 000100000000ffff 000100000000ff00 00010000000000ff 0001000000000000 0001000000000001 0001000000000100 000100000001ff00
+00010000000100ff 0001000000010000 0001000000010001 0001000000010100 0001000001ff0001 0001000001ff0100 0001000001ff0101 000100000100ff00
+0001000001000000 0001000001000001 0001000001000100 0001000001000101 000100000101ff01 0001000001010000 0001000001010001 00010000010101ff
+00010001ffffff01 00010001ffff0100 00010001ff000000 00010001ff01ffff 00010001ff010001 00010001ff0101ff 00010001ff010100 0001000100ffffff
+0001000100ff0000 0001000100ff01ff 0001000100ff0101 000100010000ff00 00010001000000ff 0001000100000000 0001000100000001 00010001000001ff
+0001000100000101 000100010001ffff 0001000100010000 00010001000101ff 0001000101ffffff 0001000101ffff01 0001000101ff0000 0001000101ff0101
+00010001010000ff 0001000101000001 00010001010001ff 0001000101000100 000100010101ffff 00010001010100ff 0001000101010001 0001000101010101
+000101ffff000001 000101ffff000100 000101ffff010000 000101ff00ffff00 000101ff0000ff01 000101ff00000000 000101ff00000101 000101ff0001ff00
+000101ff00010100 000101ff01ff0000 000101ff0100ff00 000101ff010001ff 000101ff01010001 00010100ffffff00 00010100ffff00ff 00010100ff00ffff
+00010100ff000000 00010100ff01ff00 00010100ff0100ff 00010100ff010001 00010100ff010100 0001010000ffffff 0001010000ffff00 0001010000ff0000
+0001010000ff0001 0001010000ff01ff 000101000000ff00 00010100000000ff 0001010000000000 0001010000000001 0001010000000100 000101000001ffff
+0001010000010000 0001010000010101 0001010001ffff01 0001010001ff00ff 0001010001ff0101 0001010001000000 000101000101ff00 00010100010100ff
+0001010001010000 0001010001010100 00010101ff00ff00 00010101ff000001 00010101ff0001ff 0001010100ffff00 0001010100ff00ff 0001010100ff0100
+000101010000ffff 0001010100000000 00010101000001ff 0001010100000101 00010101000100ff 0001010100010000 0001010100010100 0001010101ff0001
+00010101010000ff 00010101010001ff 0001010101000101 0001010101010001 01ffffffffffffff 01ffffffffffff01 01ffffffffff01ff 01ffffffffff0101
+01ffffffff01ffff 01ffffffff01ff01 01ffffffff0101ff 01ffffffff010101 01ffffff00ff0000 01ffffff0000ffff 01ffffff0000ff00 01ffffff000000ff
+01ffffff00000001 01ffffff00000100 01ffffff00010000 01ffffff01ffffff 01ffffff01ffff01 01ffffff01ff01ff 01ffffff01ff0101 01ffffff01000000
+01ffffff0101ffff 01ffffff0101ff01 01ffffff010101ff 01ffffff01010101 01ffff00ffff0000 01ffff00ff00ff00 01ffff00ff0000ff 01ffff00ff000001
+01ffff00ff000100 01ffff00ff010000 01ffff0000ffff00 01ffff0000ff00ff 01ffff0000ff0100 01ffff000000ffff 01ffff000000ff01 01ffff0000000000
+01ffff0000000001 01ffff00000001ff 01ffff0000000100 01ffff00000100ff 01ffff0000010001 01ffff0000010100 01ffff0001ff0000 01ffff0001ff0100
+01ffff00010000ff 01ffff0001000001 01ffff0001000100 01ffff0001010000 01ffff01ffffffff 01ffff01ffffff01 01ffff01ffff01ff 01ffff01ffff0101
+01ffff01ff000000 01ffff01ff01ffff 01ffff01ff01ff01 01ffff01ff0101ff 01ffff01ff010101 01ffff010000ff00 01ffff01000000ff 01ffff0100000100
+01ffff0100010000 01ffff0101ffffff 01ffff0101ffff01 01ffff0101ff01ff 01ffff0101ff0101 01ffff0101000000 01ffff010101ffff 01ffff010101ff01
+01ffff01010101ff 01ffff0101010101 01ff00ffff0000ff 01ff00ffff000100 01ff00ff00ffff00 01ff00ff00ff00ff 01ff00ff0000ff00 01ff00ff00000000
+01ff00ff00000101 01ff00ff0001ff00 01ff00ff000100ff 01ff00ff00010100 01ff00ff010000ff 01ff00ff01000100 01ff0000ffffff00 01ff0000ffff0100
+01ff0000ff00ff01 01ff0000ff000000 01ff0000ff000101 01ff0000ff010001 01ff0000ff010100 01ff000000ffffff 01ff000000ffff00 01ff000000ff0000
+01ff000000ff01ff 01ff00000000ff00 01ff0000000000ff 01ff000000000000 01ff000000000001 01ff000000000100 01ff000000000101 01ff000000010000
+01ff000000010001 01ff0000000101ff 01ff000000010101 01ff000001ffff00 01ff000001ff00ff 01ff000001ff0001 01ff000001ff0100 01ff00000100ffff
+01ff00000100ff01 01ff000001000000 01ff0000010001ff 01ff000001010001 01ff0001ff00ff00 01ff0001ff000001 01ff0001ff000100 01ff0001ff010000
+01ff000100ffff00 01ff000100ff00ff 01ff000100ff0100 01ff000100ff0101 01ff00010000ffff 01ff000100000000 01ff000100000100 01ff000100000101
+01ff00010001ff00 01ff000100010001 01ff000100010101 01ff000101ff0000 01ff00010100ff00 01ff000101000101 01ff0001010100ff 01ff01ffffffffff
+01ff01ffffffff01 01ff01ffffff01ff 01ff01ffffff0101 01ff01ffff000000 01ff01ffff01ffff 01ff01ffff01ff01 01ff01ffff0101ff 01ff01ffff010101
+01ff01ff00ffff00 01ff01ff00ff0000 01ff01ff0000ff00 01ff01ff000000ff 01ff01ff00000100 01ff01ff00010000 01ff01ff00010100 01ff01ff01ffffff
+01ff01ff01ffff01 01ff01ff01ff01ff 01ff01ff01ff0101 01ff01ff01000000 01ff01ff0101ffff 01ff01ff0101ff01 01ff01ff010101ff 01ff01ff01010101
+01ff0100ffff0000 01ff0100ffff0001 01ff0100ff00ff00 01ff0100ff0000ff 01ff0100ff000001 01ff0100ff010000 01ff010000ffff00 01ff010000ff00ff
+01ff010000ff0001 01ff010000ff0100 01ff01000000ffff 01ff01000000ff01 01ff010000000000 01ff010000000101 01ff01000001ff00 01ff0100000100ff
+01ff010001ff0000 01ff010001000001 01ff010001000100 01ff010001010000 01ff0101ffffffff 01ff0101ffffff01 01ff0101ffff01ff 01ff0101ffff0101
+01ff0101ff000000 01ff0101ff01ffff 01ff0101ff01ff01 01ff0101ff0101ff 01ff0101ff010101 01ff010100ff0000 01ff01010000ff00 01ff0101000000ff
+01ff010100000001 01ff010101ffffff 01ff010101ffff01 01ff010101ff01ff 01ff010101ff0101 01ff010101000000 01ff01010101ffff 01ff01010101ff01
+01ff0101010101ff 01ff010101010101 0100ffffffff0000 0100ffffff00ff00 0100ffffff000001 0100ffffff0001ff 0100ffffff000100 0100ffffff010000
+0100ffff00ffff00 0100ffff00ff0001 0100ffff00ff0100 0100ffff00000000 0100ffff000001ff 0100ffff00000101 0100ffff00010100 0100ffff00010101
+0100ffff01ff0000 0100ffff0100ff00 0100ffff010000ff 0100ffff01000001 0100ffff01000100 0100ffff01010000 0100ff00ffffff00 0100ff00ffff00ff
+0100ff00ffff0001 0100ff00ffff0100 0100ff00ff00ffff 0100ff00ff000000 0100ff00ff0001ff 0100ff00ff000101 0100ff00ff01ff00 0100ff00ff0100ff
+0100ff00ff010001 0100ff00ff010100 0100ff0000ffffff 0100ff0000ff0000 0100ff000000ffff 0100ff000000ff00 0100ff00000000ff 0100ff0000000000
+0100ff0000000001 0100ff0000000100 0100ff000001ff01 0100ff0000010000 0100ff0001ff00ff 0100ff0001ff0001 0100ff000100ff01 0100ff0001000000
+0100ff00010001ff 0100ff000101ff00 0100ff00010100ff 0100ff0001010001 0100ff0001010100 0100ff01ffff0000 0100ff01ff00ff00 0100ff01ff0000ff
+0100ff01ff000100 0100ff01ff010000 0100ff0100ff00ff 0100ff0100ff0001 0100ff0100ff0100 0100ff010000ffff 0100ff010000ff01 0100ff0100000000
+0100ff01000001ff 0100ff0100010001 0100ff0100010100 0100ff0101ff0000 0100ff01010000ff 0100ff0101000001 0100ff0101010100 010000ffffffff00
+010000ffffff00ff 010000ffffff0001 010000ffff00ffff 010000ffff000000 010000ffff0001ff 010000ffff010001 010000ff00ffffff 010000ff00ff0101
+010000ff0000ff00 010000ff000000ff 010000ff00000000 010000ff00000001 010000ff000001ff 010000ff00000100 010000ff0001ffff 010000ff0001ff00
+010000ff0001ff01 010000ff00010000 010000ff01ff00ff 010000ff01ff0001 010000ff0100ff01 010000ff010000ff 010000ff01000000 010000ff010001ff
+010000ff0101ff00 010000ff01010100 01000000ffffffff 01000000ffff0000 01000000ffff01ff 01000000ffff0101 01000000ff00ffff 01000000ff00ff00
+01000000ff0000ff 01000000ff000000 01000000ff000001 01000000ff000100 01000000ff01ff00 01000000ff010000 01000000ff010100 01000000ff010101
+0100000000ffff00 0100000000ff00ff 0100000000ff0000 0100000000ff0001 0100000000ff0100 010000000000ffff 010000000000ff00 010000000000ff01
+01000000000000ff 0100000000000000 0100000000000001 01000000000001ff 0100000000000100 0100000000000101 010000000001ff00 01000000000100ff
+0100000000010000 0100000000010001 0100000000010100 0100000001ffff00 0100000001ff0000 0100000001ff01ff 010000000100ff00 010000000100ff01
+01000000010000ff 0100000001000000 0100000001000001 0100000001000100 0100000001000101 010000000101ffff 010000000101ff01 0100000001010000
+01000000010101ff 0100000001010101 01000001ffffff00 01000001ffff00ff 01000001ff00ffff 01000001ff000000 01000001ff000100 01000001ff01ffff
+01000001ff010001 01000001ff010100 0100000100ff0000 0100000100ff01ff 0100000100ff0100 010000010000ff00 010000010000ff01 0100000100000000
+0100000100000001 0100000100000100 0100000100010000 01000001000101ff 0100000101ffff01 0100000101ff00ff 0100000101ff0100 0100000101ff0101
+010000010100ff01 01000001010000ff 0100000101000000 01000001010100ff 0100000101010001 0100000101010100 010001ffffff0000 010001ffff000001
+010001ffff000100 010001ffff010000 010001ff00ffff00 010001ff00ff0001 010001ff0000ffff 010001ff0000ff01 010001ff00000000 010001ff00000001
+010001ff00000101 010001ff000100ff 010001ff00010000 010001ff01ff0000 010001ff0100ff00 010001ff01000001 010001ff01000100 010001ff01010000
+01000100ffff00ff 01000100ffff0001 01000100ffff0100 01000100ff00ffff 01000100ff00ff01 01000100ff000000 01000100ff0001ff 01000100ff000101
+01000100ff01ffff 01000100ff01ff00 01000100ff0100ff 01000100ff010001 0100010000ffffff 0100010000ffff01 0100010000ff0000 0100010000ff01ff
+0100010000ff0101 010001000000ff00 01000100000000ff 0100010000000000 0100010000000001 0100010000000100 010001000001ff01 0100010000010000
+0100010000010001 0100010000010101 0100010001ffff00 0100010001ff00ff 010001000100ffff 010001000100ff01 0100010001000000 0100010001000101
+010001000101ff00 0100010001010001 01000101ffff0000 01000101ff000000 01000101ff010000 0100010100ff00ff 0100010100ff0001 0100010100ff0100
+010001010000ffff 0100010100000000 01000101000001ff 010001010001ff00 0100010101ff0000 010001010100ff00 01000101010000ff 0100010101000000
+0100010101000001 0101ffffffffffff 0101ffffffffff01 0101ffffffff01ff 0101ffffffff0101 0101ffffff000000 0101ffffff01ffff 0101ffffff01ff01
+0101ffffff0101ff 0101ffffff010101 0101ffff00ff0000 0101ffff0000ff00 0101ffff000000ff 0101ffff00000001 0101ffff00000100 0101ffff01ffffff
+0101ffff01ffff01 0101ffff01ff01ff 0101ffff01ff0101 0101ffff01000000 0101ffff0101ffff 0101ffff0101ff01 0101ffff010101ff 0101ffff01010101
+0101ff00ffff0000 0101ff00ffff0100 0101ff00ff00ff00 0101ff00ff0000ff 0101ff00ff000001 0101ff00ff000100 0101ff00ff000101 0101ff0000ff0001
+0101ff0000ff0100 0101ff000000ff00 0101ff0000000000 0101ff00000001ff 0101ff0000000101 0101ff000001ff00 0101ff00000100ff 0101ff0001ff0000
+0101ff000100ffff 0101ff000100ff01 0101ff0001000001 0101ff0001000100 0101ff01ffffff01 0101ff01ffff01ff 0101ff01ffff0101 0101ff01ff00ffff
+0101ff01ff000100 0101ff01ff01ff01 0101ff01ff0101ff 0101ff01ff010101 0101ff0100ff0000 0101ff010000ff00 0101ff0100000001 0101ff0100000100
+0101ff0100010000 0101ff0101ffffff 0101ff0101ffff01 0101ff0101ff01ff 0101ff0101ff0101 0101ff0101000000 0101ff010101ffff 0101ff010101ff01
+0101ff01010101ff 0101ff0101010101 010100ffff000100 010100ffff010000 010100ff00ffff00 010100ff00ff00ff 010100ff0000ffff 010100ff000000ff
+010100ff00000000 010100ff000001ff 010100ff00000101 010100ff0001ff00 010100ff00010000 010100ff00010001 010100ff000101ff 010100ff00010100
+010100ff01ff0000 01010000ffff0001 01010000ffff0100 01010000ff00ffff 01010000ff00ff01 01010000ff000000 01010000ff0001ff 01010000ff010001
+01010000ff010100 0101000000ffff01 0101000000ff0000 010100000000ff00 01010000000000ff 0101000000000000 0101000000000001 0101000000000100
+0101000000010000 0101000000010101 0101000001ffff00 0101000001ff00ff 0101000001ff0000 0101000001ff0001 0101000001ff0100 010100000100ff01
+0101000001000000 01010000010001ff 01010001ffff0000 01010001ff00ff00 01010001ff000001 01010001ff000101 01010001ff01ff00 01010001ff010000
+0101000100ff00ff 0101000100ff0001 0101000100ff0101 010100010000ff01 0101000100000000 0101000100000001 01010001000001ff 010100010001ffff
+010100010001ff01 0101000101ff0001 010100010100ffff 0101000101000000 0101000101000001 0101000101000100 010100010101ff00 01010001010100ff
+0101000101010001 010101ffffffffff 010101ffffffff01 010101ffffff01ff 010101ffffff0101 010101ffff01ffff 010101ffff01ff01 010101ffff0101ff
+010101ffff010101 010101ff0000ff00 010101ff000000ff 010101ff00000001 010101ff00000100 010101ff01ffffff 010101ff01ffff01 010101ff01ff01ff
+010101ff01ff0101 010101ff01000000 010101ff0101ffff 010101ff0101ff01 010101ff010101ff 010101ff01010101 01010100ffff0000 01010100ff0000ff
+01010100ff000100 01010100ff01ff00 01010100ff010000 0101010000ffff00 010101000000ffff 0101010000000000 0101010000000101 010101000001ff00
+0101010000010001 0101010000010100 010101000100ffff 0101010001000001 01010101ffffffff 01010101ffffff01 01010101ffff01ff 01010101ffff0101
+01010101ff01ffff 01010101ff01ff01 01010101ff0101ff 01010101ff010101 010101010000ff00 01010101000000ff 0101010100000001 0101010101ffffff
+0101010101ffff01 0101010101ff01ff 0101010101ff0101 0101010101000000 010101010101ffff 010101010101ff01 01010101010101ff 0101010101010101
+`);
@@ -0,0 +1,142 @@
+/**
+ * Memory Planner
+ * Estimates the memory needed to run the loaded model the way llama.cpp
+ * allocates it: weights of each repeating layer, the input layer (token
+ * embeddings, always kept in system RAM) and the output layer, a KV cache
+ * sized by context length, cache type and each layer's attention (sliding
+ * window, or none for recurrent layers and encoders), and the compute
+ * buffer. Given a VRAM budget it offloads like `-ngl`: repeating layers
+ * from the last one down, then the output layer once all of them fit.
+ */
+
+import { GGMLType, QUANT_INFO, classifyTensor, extractArchInfo } from './gguf-parser.js';
+
+// KV cache types offered (llama.cpp --cache-type-k / --cache-type-v)
+export const KV_CACHE_TYPES = {
+  F16: GGMLType.F16,
+  Q8_0: GGMLType.Q8_0,
+  Q4_0: GGMLType.Q4_0,
+};
+
+// llama.cpp's default physical batch size (-ub)
+const UBATCH = 512;
+
+// Bytes per element of a ggml type, counting block overhead
+function bytesPerElement(type) {
+  const info = QUANT_INFO[type];
+  return info.bytesPerBlock / info.blockSize;
+}
+
+/**
+ * @param {Object} header - { metadata, tensors } from the parser
+ * @param {Object} options
+ * @param {number} options.contextLength - tokens of KV cache to allocate
+ * @param {string} [options.cacheType='F16'] - key of KV_CACHE_TYPES
+ * @param {number} [options.vramBytes=0] - GPU memory budget; 0 plans a CPU-only run
+ * @param {boolean} [options.flashAttention=true] - without it the attention scores for a
+ *   whole batch are materialised in the compute buffer
+ * @returns {{
+ *   layers: Array<{ layerIdx: number, tower: string|null, weightBytes: number, kvBytes: number, onGPU: boolean }>,
+ *   inputBytes: number, outputBytes: number, outputOnGPU: boolean,
+ *   weightBytes: number, kvBytes: number, computeBytes: number,
+ *   gpuLayers: number, ngl: number, gpuBytes: number, cpuBytes: number, totalBytes: number
+ * }} gpuLayers counts repeating layers offloaded; ngl is the matching -ngl value.
+ *   Encoder–decoder models list their encoder layers (tower 'encoder', no KV
+ *   cache) before the decoder layers; llama.cpp keeps both layers of an index
+ *   in one block, so they are offloaded together and count once in ngl.
+ */
+export function planMemory(header, { contextLength, cacheType = 'F16', vramBytes = 0, flashAttention = true }) {
+  const { metadata, tensors } = header;
+  const info = extractArchInfo(metadata);
+
+  // ── Weights ──
+  const layerWeights = [];
+  const encoderWeights = [];
+  let inputBytes = 0, outputBytes = 0, embdBytes = 0, hasOutput = false;
+  for (const t of tensors) {
+    const { category, layerIdx, tower } = classifyTensor(t.name, info.architecture);
+    if (layerIdx >= 0) {
+      const weights = tower === 'encoder' ? encoderWeights : layerWeights;
+      weights[layerIdx] = (weights[layerIdx] || 0) + t.dataSize;
+    } else if (category === 'output' || category === 'output_norm') {
+      outputBytes += t.dataSize;
+      if (category === 'output') hasOutput = true;
+    } else {
+      // Token and position embeddings and other global tensors
+      inputBytes += t.dataSize;
+      if (category === 'embedding') embdBytes += t.dataSize;
+    }
+  }
+  // Tied embeddings: the output projection reuses token_embd, and llama.cpp
+  // gives the output layer its own copy when it is offloaded
+  const tiedBytes = hasOutput ? 0 : embdBytes;
+  outputBytes += tiedBytes;
+
+  // Encoder–decoder models count their encoder blocks in blockCount
+  const encoderCount = encoderWeights.length ? Math.max(info.blockCount, encoderWeights.length) : 0;
+  const blockCount = Math.max(encoderCount ? info.decoderBlockCount : info.blockCount, layerWeights.length);
+
+  // ── KV cache ──
+  // Sliding-window layers only keep the window (plus a batch) of tokens,
+  // and the recurrent layers of hybrids keep a small state instead. An
+  // encoder (mmproj) sees its whole input at once and caches nothing
+  const kvElementBytes = bytesPerElement(KV_CACHE_TYPES[cacheType] ?? GGMLType.F16);
+  const layers = [];
+  for (let il = 0; il < encoderCount; il++) {
+    layers.push({ layerIdx: il, tower: 'encoder', weightBytes: encoderWeights[il] || 0, kvBytes: 0, onGPU: false });
+  }
+  for (let il = 0; il < blockCount; il++) {
+    const layer = info.layers[il];
+    let kvBytes = 0;
+    if (layer && !layer.recurrent && !info.encoder) {
+      const headDim = layer.headCount ? info.embeddingLength / layer.headCount : 0;
+      const keyLength = info.keyLength || headDim;
+      const valueLength = info.valueLength || headDim;
+      const cells = layer.slidingWindow ? Math.min(contextLength, layer.slidingWindow + UBATCH) : contextLength;
+      kvBytes = Math.ceil(cells * layer.headCountKV * (keyLength + valueLength) * kvElementBytes);
+    }
+    layers.push({ layerIdx: il, tower: null, weightBytes: layerWeights[il] || 0, kvBytes, onGPU: false });
+  }
+
+  // ── Compute buffer ──
+  // Dominated by the batch's logits, the FFN activations and (without flash
+  // attention) the KQ score matrix; all F32
+  const computeBytes = 4 * UBATCH * (
+    info.vocabSize +
+    3 * Math.max(info.feedForwardLength, info.expertFeedForwardLength * Math.max(1, info.expertUsedCount)) +
+    4 * info.embeddingLength +
+    (flashAttention ? 0 : contextLength * info.headCount)
+  );
+
+  // ── Offloading ──
+  const sum = (list, f) => list.reduce((s, l) => s + f(l), 0);
+  const indexCount = Math.max(encoderCount, blockCount);
+  let budget = vramBytes - computeBytes;
+  let gpuIndices = 0;
+  for (let il = indexCount - 1; il >= 0 && vramBytes > 0; il--) {
+    const block = layers.filter(l => l.layerIdx === il);
+    const cost = sum(block, l => l.weightBytes + l.kvBytes);
+    if (cost > budget) break;
+    for (const l of block) l.onGPU = true;
+    budget -= cost;
+    gpuIndices++;
+  }
+  const outputOnGPU = vramBytes > 0 && gpuIndices === indexCount && outputBytes <= budget;
+  const gpuLayers = layers.filter(l => l.onGPU).length;
+  const onGPU = gpuLayers > 0 || outputOnGPU;
+
+  const gpu = layers.filter(l => l.onGPU);
+  const cpu = layers.filter(l => !l.onGPU);
+  const gpuWeights = sum(gpu, l => l.weightBytes) + (outputOnGPU ? outputBytes : 0);
+  const cpuWeights = inputBytes + sum(cpu, l => l.weightBytes) + (outputOnGPU ? 0 : outputBytes - tiedBytes);
+  const gpuBytes = onGPU ? gpuWeights + sum(gpu, l => l.kvBytes) + computeBytes : 0;
+  const cpuBytes = cpuWeights + sum(cpu, l => l.kvBytes) + (onGPU ? 0 : computeBytes);
+  const kvBytes = sum(layers, l => l.kvBytes);
+
+  return {
+    layers, inputBytes, outputBytes, outputOnGPU,
+    weightBytes: gpuWeights + cpuWeights, kvBytes, computeBytes,
+    gpuLayers, ngl: gpuIndices + (outputOnGPU ? 1 : 0),
+    gpuBytes, cpuBytes, totalBytes: gpuBytes + cpuBytes,
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * Metadata Editor
+ * Sidebar list of every GGUF key/value pair with inline editing, adding
+ * and deleting of keys. Edits are kept alongside the original values and
+ * written out with gguf-writer.js on export.
+ */
+
+import { GGUFValueType, isLazyArray } from './gguf-parser.js';
+import { writeGGUF, metadataEntries } from './gguf-writer.js';
+
+const TYPE_LABELS = {
+  [GGUFValueType.UINT8]: 'u8', [GGUFValueType.INT8]: 'i8',
+  [GGUFValueType.UINT16]: 'u16', [GGUFValueType.INT16]: 'i16',
+  [GGUFValueType.UINT32]: 'u32', [GGUFValueType.INT32]: 'i32',
+  [GGUFValueType.UINT64]: 'u64', [GGUFValueType.INT64]: 'i64',
+  [GGUFValueType.FLOAT32]: 'f32', [GGUFValueType.FLOAT64]: 'f64',
+  [GGUFValueType.BOOL]: 'bool', [GGUFValueType.STRING]: 'str',
+};
+
+// Inclusive integer ranges, as BigInt so 64-bit bounds are exact
+const INT_RANGES = {
+  [GGUFValueType.UINT8]: [0n, 255n], [GGUFValueType.INT8]: [-128n, 127n],
+  [GGUFValueType.UINT16]: [0n, 65535n], [GGUFValueType.INT16]: [-32768n, 32767n],
+  [GGUFValueType.UINT32]: [0n, 4294967295n], [GGUFValueType.INT32]: [-2147483648n, 2147483647n],
+  [GGUFValueType.UINT64]: [0n, 2n ** 64n - 1n], [GGUFValueType.INT64]: [-(2n ** 63n), 2n ** 63n - 1n],
+};
+
+// Types offered when adding a key or changing a key's type
+const TYPE_CHOICES = [
+  ...Object.keys(TYPE_LABELS).map(Number),
+  ...Object.keys(TYPE_LABELS).map(t => ({ itemType: Number(t) })),
+];
+
+const PREVIEW_LENGTH = 60;
+
+function typeLabel(desc) {
+  return typeof desc === 'object' ? `${typeLabel(desc.itemType)}[]` : (TYPE_LABELS[desc] || `?${desc}`);
+}
+
+function sameType(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, (k, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+function preview(value, desc) {
+  if (isLazyArray(value)) return `[${value.length.toLocaleString()} × ${typeLabel(desc.itemType)}]`;
+  const text = typeof desc === 'object' ? toJSON(value) : String(value);
+  return text.length > PREVIEW_LENGTH ? text.slice(0, PREVIEW_LENGTH) + '…' : text;
+}
+
+// Text shown in the editor's input for a value
+function editText(value, desc) {
+  if (typeof desc === 'object') return toJSON(value);
+  return String(value);
+}
+
+/**
+ * Convert one element (user text or a parsed JSON value) to `desc`.
+ * Throws an Error with a user-facing message when it doesn't fit.
+ */
+function coerce(v, desc, where) {
+  if (typeof desc === 'object') {
+    if (!Array.isArray(v)) throw new Error(`${where}: expected an array`);
+    return v.map((item, i) => coerce(item, desc.itemType, `${where}[${i}]`));
+  }
+
+  if (desc === GGUFValueType.STRING) {
+    if (typeof v !== 'string') throw new Error(`${where}: expected a string`);
+    return v;
+  }
+
+  if (desc === GGUFValueType.BOOL) {
+    if (v === true || v === 'true' || v === 1 || v === '1') return true;
+    if (v === false || v === 'false' || v === 0 || v === '0') return false;
+    throw new Error(`${where}: expected true or false`);
+  }
+
+  if (desc === GGUFValueType.FLOAT32 || desc === GGUFValueType.FLOAT64) {
+    const n = typeof v === 'number' ? v : Number(String(v).trim());
+    if (String(v).trim() === '' || Number.isNaN(n) && String(v).trim().toLowerCase() !== 'nan') {
+      throw new Error(`${where}: expected a number`);
+    }
+    return n;
+  }
+
+  const range = INT_RANGES[desc];
+  if (!range) throw new Error(`${where}: unsupported type ${desc}`);
+  const text = String(v).trim();
+  if (!/^-?\d+$/.test(text)) throw new Error(`${where}: expected an integer`);
+  const big = BigInt(text);
+  if (big < range[0] || big > range[1]) {
+    throw new Error(`${where}: ${text} is out of range for ${typeLabel(desc)} (${range[0]} to ${range[1]})`);
+  }
+  return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+}
+
+// Quote bare integers outside strings so JSON.parse can't round 64-bit
+// values; coerce() then reads them back exactly with BigInt
+function quoteIntegers(text) {
+  return text.replace(/"(?:\\.|[^"\\])*"|(?<![\w.+-])-?\d+(?![\w.])/g, m => (m[0] === '"' ? m : `"${m}"`));
+}
+
+function parseInput(text, desc) {
+  if (typeof desc !== 'object') return coerce(text, desc, 'Value');
+  let parsed;
+  try {
+    parsed = JSON.parse(INT_RANGES[desc.itemType] ? quoteIntegers(text) : text);
+  } catch (e) {
+    throw new Error(`Arrays are edited as JSON: ${e.message}`);
+  }
+  return coerce(parsed, desc, 'Value');
+}
+
+export class MetadataEditor {
+  /**
+   * @param {Object} els - { list, count, filter, addButton, exportButton } DOM elements
+   */
+  constructor(els) {
+    this.els = els;
+    this.file = null;
+    this.header = null;
+    this.rows = [];        // [{ key, type, value, original: {type, value} | null, deleted }]
+    this.openKey = null;   // key whose editor is open ('' for a new key)
+    this.readOnly = false;
+
+    els.filter.addEventListener('input', () => this.render());
+    els.addButton.addEventListener('click', () => {
+      this.openKey = '';
+      this.els.filter.value = '';
+      this.render();
+    });
+    els.list.addEventListener('click', (e) => this._onClick(e));
+  }
+
+  /**
+   * Show the metadata of `header`, read from `file`. For split models pass
+   * the first shard and its header; that is the file that gets exported.
+   * With readOnly the list can be browsed but not edited or exported.
+   */
+  load(header, file, { readOnly = false } = {}) {
+    this.header = header;
+    this.file = file;
+    this.readOnly = readOnly;
+    this.rows = metadataEntries(header).map(e => ({ ...e, original: { type: e.type, value: e.value }, deleted: false }));
+    this.openKey = null;
+    this.els.filter.value = '';
+    this.render();
+  }
+
+  get dirty() {
+    return this.rows.some(r => r.deleted || !r.original ||
+      r.value !== r.original.value || !sameType(r.type, r.original.type));
+  }
+
+  /** Metadata to write: current values in file order, deleted keys dropped. */
+  entries() {
+    return this.rows.filter(r => !r.deleted).map(({ key, type, value }) => ({ key, type, value }));
+  }
+
+  /** Serialize the edited file. Resolves to a Blob backed by the source file. */
+  exportBlob() {
+    return writeGGUF(this.file, this.header, this.entries());
+  }
+
+  // ─── Rendering ───────────────────────────────────────────────────
+
+  render() {
+    const { list, count, filter, exportButton } = this.els;
+    const query = filter.value.trim().toLowerCase();
+
+    const live = this.rows.filter(r => !r.deleted).length;
+    count.textContent = `(${live})`;
+    exportButton.disabled = !this.header || this.readOnly;
+    this.els.addButton.disabled = this.readOnly;
+    exportButton.classList.toggle('dirty', this.dirty);
+
+    let html = '';
+    if (this.openKey === '') html += this._editorHtml(null);
+
+    for (const row of this.rows) {
+      if (query && !row.key.toLowerCase().includes(query)) continue;
+      const state = row.deleted ? 'deleted' : !row.original ? 'added'
+        : (row.value !== row.original.value || !sameType(row.type, row.original.type)) ? 'edited' : '';
+      html += `<div class="kv-row ${state}" data-key="${escapeHtml(row.key)}">` +
+        `<span class="kv-key" title="${escapeHtml(row.key)}">${escapeHtml(row.key)}</span>` +
+        `<span class="kv-type">${typeLabel(row.type)}</span>` +
+        `<span class="kv-value">${escapeHtml(preview(row.value, row.type))}</span></div>`;
+      if (row.key === this.openKey) html += this._editorHtml(row);
+    }
+
+    list.innerHTML = html;
+    const input = list.querySelector('.kv-editor .kv-key-input, .kv-editor .kv-value-input');
+    if (input) input.focus();
+  }
+
+  _editorHtml(row) {
+    const isNew = !row;
+    const type = isNew ? GGUFValueType.STRING : row.type;
+    const lazy = !isNew && isLazyArray(row.value);
+
+    let html = `<div class="kv-editor" data-key="${isNew ? '' : escapeHtml(row.key)}">`;
+    if (isNew) {
+      html += `<input type="text" class="kv-key-input" placeholder="key, e.g. tokenizer.chat_template">`;
+    }
+
+    if (lazy) {
+      html += `<div class="kv-note">${row.value.length.toLocaleString()} elements stored in the file. ` +
+        `Large arrays are copied as-is and can only be deleted.</div>`;
+    } else {
+      const choices = [...TYPE_CHOICES];
+      if (!choices.some(c => sameType(c, type))) choices.push(type);
+      html += `<select class="kv-type-input">` + choices.map(c =>
+        `<option value="${escapeHtml(JSON.stringify(c))}"${sameType(c, type) ? ' selected' : ''}>${typeLabel(c)}</option>`
+      ).join('') + `</select>`;
+      const text = isNew ? '' : editText(row.value, row.type);
+      const multiline = typeof type === 'object' || type === GGUFValueType.STRING;
+      html += multiline
+        ? `<textarea class="kv-value-input" rows="${Math.min(10, Math.max(2, text.split('\n').length))}" spellcheck="false">${escapeHtml(text)}</textarea>`
+        : `<input type="text" class="kv-value-input" value="${escapeHtml(text)}" spellcheck="false">`;
+    }
+
+    html += `<div class="kv-error"></div><div class="kv-actions">`;
+    if (!lazy) html += `<button class="sidebar-btn" data-action="save">Save</button>`;
+    if (!isNew) {
+      html += row.deleted
+        ? `<button class="sidebar-btn" data-action="restore">Restore</button>`
+        : `<button class="sidebar-btn" data-action="delete">Delete</button>`;
+      if (row.original && !row.deleted) html += `<button class="sidebar-btn" data-action="revert">Revert</button>`;
+    }
+    html += `<button class="sidebar-btn" data-action="cancel">Cancel</button></div></div>`;
+    return html;
+  }
+
+  // ─── Interaction ─────────────────────────────────────────────────
+
+  _onClick(e) {
+    if (this.readOnly) return;
+    const button = e.target.closest('button[data-action]');
+    if (button) {
+      this._onAction(button.dataset.action, button.closest('.kv-editor'));
+      return;
+    }
+    const rowEl = e.target.closest('.kv-row');
+    if (rowEl) {
+      this.openKey = this.openKey === rowEl.dataset.key ? null : rowEl.dataset.key;
+      this.render();
+    }
+  }
+
+  _onAction(action, editorEl) {
+    const key = editorEl.dataset.key;
+    const row = this.rows.find(r => r.key === key);
+
+    if (action === 'cancel') {
+      this.openKey = null;
+    } else if (action === 'delete') {
+      if (row.original) {
+        row.deleted = true;
+      } else {
+        this.rows.splice(this.rows.indexOf(row), 1);
+      }
+      this.openKey = null;
+    } else if (action === 'restore') {
+      row.deleted = false;
+    } else if (action === 'revert') {
+      row.type = row.original.type;
+      row.value = row.original.value;
+      this.openKey = null;
+    } else if (action === 'save') {
+      try {
+        this._save(editorEl, row);
+        this.openKey = null;
+      } catch (err) {
+        editorEl.querySelector('.kv-error').textContent = err.message;
+        return;
+      }
+    }
+    this.render();
+  }
+
+  _save(editorEl, row) {
+    const type = JSON.parse(editorEl.querySelector('.kv-type-input').value);
+    const value = parseInput(editorEl.querySelector('.kv-value-input').value, type);
+
+    if (row) {
+      row.type = type;
+      row.value = value;
+      // Re-entering the original value shouldn't count as an edit
+      if (row.original && sameType(type, row.original.type) && toJSON(value) === toJSON(row.original.value)) {
+        row.value = row.original.value;
+      }
+      return;
+    }
+
+    const key = editorEl.querySelector('.kv-key-input').value.trim();
+    if (!key) throw new Error('Enter a key name');
+    const existing = this.rows.find(r => r.key === key);
+    if (existing && !existing.deleted) throw new Error(`${key} already exists; edit it instead`);
+    if (existing) {
+      Object.assign(existing, { type, value, deleted: false });
+    } else {
+      this.rows.push({ key, type, value, original: null, deleted: false });
+    }
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Outlier Detector
+ * Finds the extreme weights LLMs are known to carry — a handful of "super
+ * weights" and whole outlier channels — which quantization has to keep
+ * intact. Each tensor is streamed through its dequantizer twice: the first
+ * pass measures its spread (mean, σ and a log-scale histogram of |w|) and
+ * the RMS of every column, the second collects the values past the
+ * threshold. In attn_* and ffn_down matrices, columns (input channels)
+ * whose RMS stands out from the other columns are reported as outlier
+ * channels.
+ */
+
+import { classifyTensor, canScanType, streamTensor } from './gguf-parser.js';
+
+export const DEFAULT_OUTLIER_OPTIONS = {
+  method: 'sigma',     // 'sigma': |w − mean| > k·σ; 'percentile': |w| above that percentile of |w|
+  k: 6,
+  percentile: 99.99,
+};
+
+// Values and channels kept per tensor, the most extreme first
+export const MAX_OUTLIERS_PER_TENSOR = 32;
+
+// |w| histogram for the percentile threshold: HIST_STEPS bins per power of
+// two from 2^HIST_MIN_EXP, so thresholds are good to about 4%
+const HIST_STEPS = 16;
+const HIST_MIN_EXP = -40;
+const HIST_BINS = 80 * HIST_STEPS;
+
+// Tensors whose columns are checked for outlier channels
+function hasChannels(category, rows) {
+  if (rows < 2) return false;
+  if (category === 'ffn_down' || category === 'moe_down') return true;
+  return category.startsWith('attn_') && !category.endsWith('norm');
+}
+
+function histBin(a) {
+  const bin = Math.floor((Math.log2(a) - HIST_MIN_EXP) * HIST_STEPS);
+  return Math.max(0, Math.min(HIST_BINS - 1, bin));
+}
+
+/**
+ * Smallest |w| above `percentile` percent of the values (the upper edge of
+ * the histogram bin the percentile falls in).
+ */
+function percentileThreshold(hist, zeros, count, percentile) {
+  const target = count * percentile / 100;
+  let seen = zeros;
+  if (seen >= target) return 0;
+  for (let b = 0; b < HIST_BINS; b++) {
+    seen += hist[b];
+    if (seen >= target) return Math.pow(2, HIST_MIN_EXP + (b + 1) / HIST_STEPS);
+  }
+  return Infinity;
+}
+
+// Insert `entry` into `list`, kept sorted by descending |sigma| and at most `max` long
+function keepTop(list, entry, max) {
+  const score = Math.abs(entry.sigma);
+  if (list.length === max && score <= Math.abs(list[max - 1].sigma)) return;
+  let i = list.length;
+  while (i > 0 && Math.abs(list[i - 1].sigma) < score) i--;
+  list.splice(i, 0, entry);
+  if (list.length > max) list.pop();
+}
+
+/**
+ * Columns of a matrix whose RMS is more than k σ above the mean column RMS.
+ * This holds for the percentile method too: a matrix has only a few
+ * thousand columns, so a percentile like 99.99 would leave none above it.
+ */
+function findChannels(sumSq, rows, k) {
+  const cols = sumSq.length;
+  const rms = Float64Array.from(sumSq, s => Math.sqrt(s / rows));
+  let mean = 0;
+  for (const r of rms) mean += r;
+  mean /= cols;
+  let variance = 0;
+  for (const r of rms) variance += (r - mean) * (r - mean);
+  const std = Math.sqrt(variance / cols);
+  const median = Float64Array.from(rms).sort()[cols >> 1];
+  const threshold = mean + k * std;
+
+  const channels = [];
+  let flagged = 0;
+  for (let col = 0; col < cols; col++) {
+    if (!(rms[col] > threshold) || std === 0) continue;
+    flagged++;
+    keepTop(channels, { col, rms: rms[col], ratio: median > 0 ? rms[col] / median : Infinity, sigma: (rms[col] - mean) / std }, MAX_OUTLIERS_PER_TENSOR);
+  }
+  return { channels, flaggedChannels: flagged };
+}
+
+/**
+ * Find the outlying values (and channels) of one tensor.
+ *
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
+ * @param {number} tensorDataOffset - Byte offset where tensor data starts
+ * @param {Object} tensor - Tensor info from the parser
+ * @param {Object} options - DEFAULT_OUTLIER_OPTIONS fields, plus `architecture`
+ *   (general.architecture) to recognise the attention and ffn_down tensors
+ * @param {Function} [onProgress] - (stepsDone, 2 × numElements) over both passes
+ * @param {Function} [isCancelled] - Polled between chunks; throws Error('SCAN_CANCELLED')
+ * @returns {Promise<{
+ *   rows: number, cols: number, mean: number, std: number, threshold: number, flagged: number,
+ *   values: Array<{ row: number, col: number, value: number, sigma: number }>,
+ *   channels: Array<{ col: number, rms: number, ratio: number, sigma: number }>|null,
+ *   flaggedChannels: number
+ * }|null>} null for types that can't be decoded. The matrix is dims[0] columns
+ *   wide, with further dims folded into the rows; `threshold` applies to
+ *   |w − mean| (sigma) or |w| (percentile); `sigma` is each entry's distance
+ *   from the mean in standard deviations (of the values, or of the column
+ *   RMS values for channels, which always use `k`) and `ratio` a channel's
+ *   RMS over the median.
+ *   `flagged` counts every value past the threshold, not only those kept.
+ */
+export async function findTensorOutliers(file, tensorDataOffset, tensor, options, onProgress, isCancelled) {
+  const { numElements } = tensor;
+  if (!canScanType(tensor.type)) return null;
+  options = { ...DEFAULT_OUTLIER_OPTIONS, ...options };
+
+  const cols = tensor.dims[0] || 1;
+  const rows = Math.round(numElements / cols);
+  const { category } = classifyTensor(tensor.name, options.architecture);
+  const sumSq = hasChannels(category, rows) ? new Float64Array(cols) : null;
+
+  // Pass 1: spread, |w| histogram and column sums of squares. Sums are
+  // taken around the first value to keep them precise
+  const hist = new Float64Array(HIST_BINS);
+  let count = 0, zeros = 0, shift = NaN, sum = 0, sum2 = 0;
+  await streamTensor(file, tensorDataOffset, tensor, (values, n, start) => {
+    for (let i = 0; i < n; i++) {
+      const v = values[i];
+      if (!isFinite(v)) continue;
+      if (shift !== shift) shift = v;
+      const d = v - shift;
+      sum += d;
+      sum2 += d * d;
+      count++;
+      if (v === 0) zeros++;
+      else hist[histBin(Math.abs(v))]++;
+      if (sumSq) sumSq[(start + i) % cols] += v * v;
+    }
+  }, (done) => onProgress && onProgress(done, 2 * numElements), isCancelled);
+
+  const mean = count ? shift + sum / count : 0;
+  const std = count ? Math.sqrt(Math.max(0, sum2 / count - (sum / count) ** 2)) : 0;
+  const byPercentile = options.method === 'percentile';
+  const threshold = byPercentile
+    ? percentileThreshold(hist, zeros, count, options.percentile)
+    : options.k * std;
+
+  // Pass 2: values past the threshold
+  const found = [];
+  let flagged = 0;
+  if (std > 0) {
+    await streamTensor(file, tensorDataOffset, tensor, (values, n, start) => {
+      for (let i = 0; i < n; i++) {
+        const v = values[i];
+        if (!isFinite(v) || !((byPercentile ? Math.abs(v) : Math.abs(v - mean)) > threshold)) continue;
+        flagged++;
+        const idx = start + i;
+        keepTop(found, { row: Math.floor(idx / cols), col: idx % cols, value: v, sigma: (v - mean) / std }, MAX_OUTLIERS_PER_TENSOR);
+      }
+    }, (done) => onProgress && onProgress(numElements + done, 2 * numElements), isCancelled);
+  }
+
+  const { channels, flaggedChannels } = sumSq ? findChannels(sumSq, rows, options.k) : { channels: null, flaggedChannels: 0 };
+  return { rows, cols, mean, std, threshold, flagged, values: found, channels, flaggedChannels };
+}
+
+/**
+ * Search `tensors` one after another, like scanTensors() in tensor-stats.js
+ * (and run by the same worker and scanner).
+ *
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
+ * @param {number} tensorDataOffset - Byte offset where tensor data starts
+ * @param {Array} tensors - Tensor infos to search
+ * @param {Object} options - See findTensorOutliers()
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onProgress - (stepsDone, stepsTotal, tensorName)
+ * @param {Function} callbacks.onStats - (tensorName, result | null, errorMessage?)
+ * @param {Function} callbacks.isCancelled - Polled between chunks
+ * @returns {Promise<boolean>} false if the search was cancelled
+ */
+export async function scanOutliers(file, tensorDataOffset, tensors, options, { onProgress, onStats, isCancelled }) {
+  const total = tensors.reduce((s, t) => s + 2 * t.numElements, 0);
+  let done = 0;
+
+  for (const tensor of tensors) {
+    if (isCancelled()) return false;
+    try {
+      const result = await findTensorOutliers(file, tensorDataOffset, tensor, options,
+        (n) => onProgress(done + n, total, tensor.name), isCancelled);
+      onStats(tensor.name, result);
+    } catch (err) {
+      if (err.message === 'SCAN_CANCELLED') return false;
+      onStats(tensor.name, null, err.message);
+    }
+    done += 2 * tensor.numElements;
+    onProgress(done, total, tensor.name);
+  }
+  return true;
+}
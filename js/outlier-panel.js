@@ -0,0 +1,186 @@
+/**
+ * Outlier Panel
+ * Sidebar section that searches the loaded model for outlying weights and
+ * channels (outlier-detector.js) in the background, lists the most extreme
+ * ones, and hands the 3D view the points to highlight and the entry to
+ * fly to when one is clicked.
+ */
+
+import { TensorStatsScanner } from './tensor-stats.js';
+import { DEFAULT_OUTLIER_OPTIONS } from './outlier-detector.js';
+import { locateElement } from './point-cloud.js';
+
+// Entries listed (and highlighted) of each kind, the most extreme first
+const MAX_LISTED = 200;
+
+// Points drawn down the column of an outlier channel
+const CHANNEL_POINTS = 24;
+
+// Highlight colours: positive and negative values, and channels
+const POSITIVE_COLOR = [1.0, 0.45, 0.15];
+const NEGATIVE_COLOR = [0.25, 0.75, 1.0];
+const CHANNEL_COLOR = [1.0, 0.3, 1.0];
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+const formatValue = (v) => (Math.abs(v) >= 100 || (v !== 0 && Math.abs(v) < 0.001) ? v.toExponential(2) : v.toFixed(4));
+const formatSigma = (s) => `${s >= 0 ? '+' : ''}${s.toFixed(1)}σ`;
+
+export class OutlierPanel {
+  /**
+   * @param {Object} els - { count, method, value, scanButton, cancelButton, status, highlight, list }
+   *   DOM elements; `method` is a select of 'sigma' / 'percentile' and `value` its number input
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onChange - () when the highlighted entries change
+   * @param {Function} callbacks.onSelect - (entry) when a listed entry is clicked
+   */
+  constructor(els, { onChange, onSelect }) {
+    this.els = els;
+    this.onChange = onChange;
+    this.onSelect = onSelect;
+    this.scanner = new TensorStatsScanner('outliers');
+    this.header = null;
+    this.file = null;
+    this.entries = [];      // listed values, then channels
+
+    els.method.addEventListener('change', () => {
+      const sigma = els.method.value === 'sigma';
+      els.value.value = sigma ? DEFAULT_OUTLIER_OPTIONS.k : DEFAULT_OUTLIER_OPTIONS.percentile;
+      els.value.step = sigma ? '0.5' : '0.01';
+    });
+    els.scanButton.addEventListener('click', () => this.scan());
+    els.cancelButton.addEventListener('click', () => this.scanner.cancel());
+    els.highlight.addEventListener('change', () => this.onChange());
+    els.list.addEventListener('click', (e) => {
+      const row = e.target.closest('.outlier-row[data-idx]');
+      if (row) this.onSelect(this.entries[parseInt(row.dataset.idx, 10)]);
+    });
+  }
+
+  /** Forget the previous model's results; `file` is the first shard. */
+  load(header, file) {
+    this.scanner.reset();
+    this.header = header;
+    this.file = file;
+    this.entries = [];
+    const { count, scanButton, cancelButton, status, list } = this.els;
+    count.textContent = '';
+    scanButton.disabled = false;
+    cancelButton.disabled = true;
+    status.textContent = 'Streams every tensor twice; large models take a while';
+    list.innerHTML = '';
+    this.onChange();
+  }
+
+  /** Search every tensor with the chosen threshold, replacing earlier results. */
+  async scan() {
+    if (!this.header || this.scanner.scanning) return;
+    const { method, value, scanButton, cancelButton, status } = this.els;
+    const threshold = parseFloat(value.value);
+    if (!(threshold > 0) || (method.value === 'percentile' && threshold >= 100)) {
+      status.textContent = method.value === 'sigma' ? 'k must be above 0' : 'Percentile must be between 0 and 100';
+      return;
+    }
+    const options = {
+      method: method.value,
+      k: method.value === 'sigma' ? threshold : DEFAULT_OUTLIER_OPTIONS.k,
+      percentile: method.value === 'percentile' ? threshold : DEFAULT_OUTLIER_OPTIONS.percentile,
+      architecture: this.header.metadata['general.architecture'],
+    };
+
+    const header = this.header;
+    this.scanner.reset();
+    this.entries = [];
+    this.els.list.innerHTML = '';
+    this.onChange();
+    scanButton.disabled = true;
+    cancelButton.disabled = false;
+    status.textContent = 'Searching...';
+
+    const completed = await this.scanner.scan(this.file, header.tensorDataOffset, header.tensors,
+      (done, total, name) => {
+        if (header === this.header) status.textContent = `Searching... ${Math.floor(done / total * 100)}% (${name})`;
+      }, null, options);
+    if (header !== this.header) return;
+
+    scanButton.disabled = false;
+    cancelButton.disabled = true;
+    this._showResults(completed);
+  }
+
+  /**
+   * Listed entries to highlight, or none when highlighting is off, as
+   * points placed on the regions of `tensorRegions`.
+   *
+   * @returns {{ positions: Float32Array, colors: Float32Array }|null}
+   */
+  overlay(tensorRegions) {
+    if (!this.els.highlight.checked || this.entries.length === 0 || !tensorRegions) return null;
+    const positions = [];
+    const colors = [];
+    const add = (p, color) => {
+      if (!p) return;
+      positions.push(p.x, p.y, p.z);
+      colors.push(...color);
+    };
+    for (const e of this.entries) {
+      if (e.kind === 'value') {
+        add(locateElement(tensorRegions, e.tensor, e.row, e.col, e.value), e.value >= 0 ? POSITIVE_COLOR : NEGATIVE_COLOR);
+      } else {
+        // A channel's values vary down its column, so its marker stays level
+        const n = Math.min(CHANNEL_POINTS, e.rows);
+        for (let i = 0; i < n; i++) {
+          add(locateElement(tensorRegions, e.tensor, Math.floor((i + 0.5) * e.rows / n), e.col), CHANNEL_COLOR);
+        }
+      }
+    }
+    return positions.length ? { positions: new Float32Array(positions), colors: new Float32Array(colors) } : null;
+  }
+
+  // ─── Rendering ───────────────────────────────────────────────────
+
+  _showResults(completed) {
+    const values = [];
+    const channels = [];
+    let flagged = 0, flaggedChannels = 0, tensors = 0;
+    for (const [tensor, r] of this.scanner.stats) {
+      tensors++;
+      flagged += r.flagged;
+      flaggedChannels += r.flaggedChannels;
+      for (const v of r.values) values.push({ kind: 'value', tensor, ...v });
+      for (const c of r.channels || []) channels.push({ kind: 'channel', tensor, rows: r.rows, ...c });
+    }
+    const byScore = (a, b) => Math.abs(b.sigma) - Math.abs(a.sigma);
+    this.entries = [
+      ...values.sort(byScore).slice(0, MAX_LISTED),
+      ...channels.sort(byScore).slice(0, MAX_LISTED),
+    ];
+
+    const { count, status, list } = this.els;
+    const failed = this.scanner.errors.size;
+    count.textContent = `(${flagged.toLocaleString()})`;
+    status.textContent = `${completed ? 'Searched' : 'Cancelled after'} ${tensors} tensor${tensors === 1 ? '' : 's'}: ` +
+      `${flagged.toLocaleString()} value${flagged === 1 ? '' : 's'} and ${flaggedChannels} channel${flaggedChannels === 1 ? '' : 's'} flagged` +
+      (failed ? `, ${failed} unreadable` : '');
+
+    const row = (e, i) => {
+      const place = e.kind === 'value' ? `[${e.row}, ${e.col}]` : `col ${e.col}`;
+      const value = e.kind === 'value' ? formatValue(e.value) : `${e.ratio.toFixed(1)}× rms`;
+      return `<div class="outlier-row" data-idx="${i}" title="${escapeHtml(e.tensor)}">` +
+        `<span class="o-name">${escapeHtml(e.tensor)}</span><span class="o-pos">${place}</span>` +
+        `<span class="o-value">${value}</span><span class="o-sigma">${formatSigma(e.sigma)}</span></div>`;
+    };
+    const head = (label, shown, total) =>
+      `<div class="outlier-head">${label} <span>${shown < total ? `top ${shown} of ${total.toLocaleString()}` : total.toLocaleString()}</span></div>`;
+    const nValues = Math.min(values.length, MAX_LISTED);
+    list.innerHTML =
+      (nValues ? head('Values', nValues, flagged) + this.entries.slice(0, nValues).map(row).join('') : '') +
+      (this.entries.length > nValues
+        ? head('Channels', this.entries.length - nValues, flaggedChannels) + this.entries.slice(nValues).map((e, i) => row(e, nValues + i)).join('')
+        : '');
+
+    this.onChange();
+  }
+}
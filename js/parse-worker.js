@@ -1,30 +1,44 @@
 /**
  * Web Worker for GGUF header parsing.
- * Offloads the CPU-heavy metadata parsing (especially large tokenizer arrays)
- * to a background thread so the UI stays responsive.
+ * Offloads header parsing (walking tokenizer arrays that can span 100+ MB)
+ * to a background thread so the UI stays responsive. Accepts every shard of
+ * a split model at once and returns the merged header. Safetensors sets
+ * (weights, index, config.json) are parsed by safetensors-parser.js.
  */
 
-import { parseGGUFHeader, extractArchInfo, computeTotalParams } from './gguf-parser.js';
+import { parseGGUFShards, extractArchInfo, computeTotalParams } from './gguf-parser.js';
+import { validateGGUF } from './gguf-validator.js';
+import { parseSafetensorsFiles, isSafetensorsFile } from './safetensors-parser.js';
 
 self.onmessage = async function (e) {
-  const { file } = e.data;
+  const { files } = e.data;
 
   try {
-    const result = await parseGGUFHeader(file, (phase, current, total) => {
-      self.postMessage({ type: 'progress', phase, current, total });
+    const parse = files.every(f => isSafetensorsFile(f.name)) ? parseSafetensorsFiles : parseGGUFShards;
+    const result = await parse(files, (phase, current, total, shardIdx, shardCount) => {
+      self.postMessage({ type: 'progress', phase, current, total, shardIdx, shardCount });
     });
 
     const archInfo = extractArchInfo(result.metadata);
     const totalParams = computeTotalParams(result.tensors);
+    const health = validateGGUF(result);
 
     self.postMessage({
       type: 'result',
+      format: result.format || 'gguf',
       metadata: result.metadata,
+      metadataTypes: result.metadataTypes,
       tensors: result.tensors,
       tensorDataOffset: result.tensorDataOffset,
       version: result.version,
+      alignment: result.alignment,
+      littleEndian: result.littleEndian,
+      shards: result.shards,
+      splitCount: result.splitCount,
+      missingShards: result.missingShards,
       archInfo,
       totalParams,
+      health,
     });
   } catch (err) {
     self.postMessage({ type: 'error', message: err.message });
@@ -5,7 +5,9 @@
  * different models produce visually distinct shapes.
  */
 
-import { classifyTensor, sampleTensorWeights } from './gguf-parser.js';
+import {
+  classifyTensor, sampleTensorWeights, sampleTensorElements, sampleTensorPatches, canScanType, expertSlice,
+} from './gguf-parser.js';
 
 // ─── Color palettes ─────────────────────────────────────────────────
 
@@ -13,9 +15,20 @@ const TENSOR_COLORS = {
   attn_q:     [0.27, 0.53, 1.00],  // #4488ff
   attn_k:     [0.27, 0.67, 1.00],  // #44aaff
   attn_v:     [0.27, 0.80, 1.00],  // #44ccff
+  attn_qkv:   [0.25, 0.60, 1.00],  // #4099ff
+  attn_q_a:   [0.20, 0.45, 0.90],  // #3373e6 — MLA low-rank query
+  attn_q_b:   [0.35, 0.55, 1.00],  // #598cff
+  attn_kv_a:  [0.20, 0.70, 0.90],  // #33b3e6 — MLA compressed KV
+  attn_kv_b:  [0.35, 0.80, 1.00],  // #59ccff
   attn_out:   [0.40, 0.53, 0.87],  // #6688dd
   attn_norm:  [0.87, 0.87, 0.27],  // #dddd44
+  attn_qk_norm:[0.87, 0.80, 0.27], // #ddcc44
   attn_other: [0.33, 0.60, 0.87],  // #5599dd
+  cross_attn_q:   [0.90, 0.20, 0.30], // #e6334d — crimson (cross-attention)
+  cross_attn_k:   [0.95, 0.30, 0.40], // #f24d66
+  cross_attn_v:   [1.00, 0.40, 0.50], // #ff6680
+  cross_attn_out: [0.80, 0.20, 0.35], // #cc3359
+  cross_attn_norm:[0.90, 0.75, 0.30], // #e6bf4d
 
   ffn_gate:   [1.00, 0.53, 0.27],  // #ff8844
   ffn_up:     [1.00, 0.67, 0.27],  // #ffaa44
@@ -24,13 +37,43 @@ const TENSOR_COLORS = {
   ffn_other:  [1.00, 0.60, 0.33],  // #ff9955
 
   moe_gate:   [0.00, 0.90, 0.85],  // #00e5d9 — teal (router)
+  moe_expert_gate: [0.60, 0.25, 0.95], // #9940f2 — violet
   moe_up:     [0.85, 0.25, 0.95],  // #d940f2 — magenta
   moe_down:   [0.95, 0.75, 0.10],  // #f2bf1a — golden
+  shexp_gate: [0.95, 0.45, 0.55],  // #f2738c — pink (shared experts)
+  shexp_up:   [0.95, 0.55, 0.65],  // #f28ca6
+  shexp_down: [0.90, 0.35, 0.45],  // #e65973
+
+  ssm_in:     [0.20, 0.75, 0.55],  // #33bf8c — sea green (state-space blocks)
+  ssm_conv:   [0.45, 0.85, 0.35],  // #73d959
+  ssm_x:      [0.30, 0.65, 0.45],  // #4da673
+  ssm_dt:     [0.40, 0.70, 0.40],  // #66b366
+  ssm_state:  [0.60, 0.85, 0.55],  // #99d98c
+  ssm_norm:   [0.75, 0.87, 0.27],  // #bfdd44
+  ssm_out:    [0.15, 0.60, 0.50],  // #26997f
+
+  time_mix_r: [0.45, 0.36, 1.00],  // #735cff — indigo (RWKV time mixing)
+  time_mix_k: [0.55, 0.40, 1.00],  // #8c66ff
+  time_mix_v: [0.60, 0.50, 1.00],  // #9980ff
+  time_mix_g: [0.40, 0.30, 0.85],  // #664dd9
+  time_mix_lora: [0.55, 0.55, 0.85], // #8c8cd9
+  time_mix_norm: [0.80, 0.80, 0.35], // #cccc59
+  time_mix_out: [0.50, 0.40, 0.80],  // #8066cc
+  channel_mix_key:        [1.00, 0.75, 0.40], // #ffbf66 — RWKV channel mixing
+  channel_mix_receptance: [1.00, 0.60, 0.45], // #ff9973
+  channel_mix_value:      [0.95, 0.50, 0.35], // #f28059
+  rwkv_param: [0.65, 0.60, 0.80],  // #a699cc
 
   embedding:  [0.27, 0.87, 0.53],  // #44dd88
+  aux_embedding: [0.40, 0.80, 0.60], // #66cc99
+  patch_embd: [0.20, 0.80, 0.80],  // #33cccc — vision encoders
   output:     [0.67, 0.40, 1.00],  // #aa66ff
+  projector:  [0.95, 0.40, 0.80],  // #f266cc — multimodal projector
   output_norm:[0.87, 0.87, 0.27],  // #dddd44
   norm:       [0.87, 0.87, 0.27],  // #dddd44
+  post_norm:  [0.80, 0.87, 0.27],  // #ccdd44
+  layer_scale:[0.75, 0.80, 0.40],  // #bfcc66
+  rope:       [0.60, 0.60, 0.75],  // #9999bf
   other:      [0.53, 0.53, 0.60],  // #888899
 };
 
@@ -38,33 +81,80 @@ const TENSOR_COLORS = {
 
 const KNOWN_NAMES = {
   embedding:   'Token Embedding',
+  aux_embedding: 'Position / Token Type Embedding',
+  patch_embd:  'Patch Embedding',
   output:      'Output Projection (LM Head)',
+  projector:   'Multimodal Projector',
   output_norm: 'Final Layer Norm',
   attn_q:      'Attention Query',
   attn_k:      'Attention Key',
   attn_v:      'Attention Value',
+  attn_qkv:    'Attention QKV (fused)',
+  attn_q_a:    'Attention Query Down (MLA)',
+  attn_q_b:    'Attention Query Up (MLA)',
+  attn_kv_a:   'Attention KV Compression (MLA)',
+  attn_kv_b:   'Attention KV Up (MLA)',
   attn_out:    'Attention Output',
   attn_norm:   'Pre-Attention Norm',
+  attn_qk_norm: 'Query / Key Norm',
   attn_other:  'Attention (misc)',
+  cross_attn_q:   'Cross-Attention Query',
+  cross_attn_k:   'Cross-Attention Key',
+  cross_attn_v:   'Cross-Attention Value',
+  cross_attn_out: 'Cross-Attention Output',
+  cross_attn_norm:'Pre-Cross-Attention Norm',
   ffn_gate:    'FFN Gate Projection',
   ffn_up:      'FFN Up Projection',
   ffn_down:    'FFN Down Projection',
   ffn_norm:    'Pre-FFN Norm',
   ffn_other:   'FFN (misc)',
-  moe_gate:    'MoE Router / Gate',
+  moe_gate:    'MoE Router',
+  moe_expert_gate: 'MoE Expert Gate',
   moe_up:      'MoE Expert Up',
   moe_down:    'MoE Expert Down',
+  shexp_gate:  'Shared Expert Gate',
+  shexp_up:    'Shared Expert Up',
+  shexp_down:  'Shared Expert Down',
+  ssm_in:      'SSM Input Projection',
+  ssm_conv:    'SSM Convolution',
+  ssm_x:       'SSM x Projection (B, C, Δ)',
+  ssm_dt:      'SSM Δ (Time Step) Projection',
+  ssm_state:   'SSM A / D Parameters',
+  ssm_norm:    'SSM Norm',
+  ssm_out:     'SSM Output Projection',
+  time_mix_r:  'Time Mix Receptance',
+  time_mix_k:  'Time Mix Key',
+  time_mix_v:  'Time Mix Value',
+  time_mix_g:  'Time Mix Gate',
+  time_mix_lora: 'Time Mix LoRA (Decay / Token Shift)',
+  time_mix_norm: 'Time Mix Group Norm',
+  time_mix_out:  'Time Mix Output',
+  channel_mix_key:        'Channel Mix Key',
+  channel_mix_receptance: 'Channel Mix Receptance',
+  channel_mix_value:      'Channel Mix Value',
+  rwkv_param:  'Token Shift / Decay Parameters',
+  post_norm:   'Post-Attention / Post-FFN Norm',
+  layer_scale: 'Layer Scale',
+  rope:        'RoPE Frequencies',
   norm:        'Layer Norm',
   other:       'Tensor',
 };
 
 /**
  * Return a human-readable "known name" for a tensor based on its role.
+ * `layerKind` ('recurrent' or 'attention') tells the layers of hybrid
+ * models apart, and `stack` ('Encoder' or 'Decoder') the two stacks of
+ * encoder–decoder models.
  */
-export function getKnownName(category, layerIdx, expertIdx) {
+export function getKnownName(category, layerIdx, expertIdx, layerKind, stack) {
   let base = KNOWN_NAMES[category] || category;
   const parts = [];
-  if (layerIdx >= 0) parts.push(`Layer ${layerIdx}`);
+  if (layerIdx >= 0) {
+    const layer = `${stack ? `${stack} ` : ''}Layer ${layerIdx}`;
+    parts.push(layerKind ? `${layer} (${layerKind})` : layer);
+  } else if (stack === 'Encoder') {
+    parts.push(stack);
+  }
   if (expertIdx >= 0) parts.push(`Expert ${expertIdx}`);
   if (parts.length > 0) return `${base} — ${parts.join(', ')}`;
   return base;
@@ -102,31 +192,56 @@ function layerToColor(layerIdx, totalLayers) {
   }
 }
 
+/**
+ * Expert redundancy colormap: green (unlike every other expert) -> yellow -> red (a near-duplicate)
+ */
+function redundancyToColor(redundancy) {
+  const t = Math.max(0, Math.min(1, redundancy));
+  if (t < 0.5) {
+    const s = t * 2;
+    return [0.2 + 0.73 * s, 0.8, 0.4 - 0.2 * s];
+  } else {
+    const s = (t - 0.5) * 2;
+    return [0.93, 0.8 * (1 - s) + 0.2 * s, 0.2];
+  }
+}
+
 /**
  * Generate the full point cloud from parsed GGUF data.
  *
- * @param {File} file - The .gguf file
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
  * @param {Object} archInfo - Architecture info from extractArchInfo()
  * @param {Array} tensors - Array of tensor info objects
  * @param {number} tensorDataOffset - Byte offset where tensor data starts
  * @param {number} targetPointCount - Desired number of points (1M-6M)
- * @param {string} colorMode - 'weight', 'tensor', or 'layer'
+ * @param {string} colorMode - 'weight', 'tensor', 'layer' or 'redundancy'
  * @param {Function} onProgress - Progress callback
- * @returns {{ positions: Float32Array, colors: Float32Array, tensorRegions: Array }}
+ * @param {Map<string, Object>} [tensorStats] - Full-scan stats by tensor name
+ *   (from tensor-stats.js); weight colours use the exact range when present
+ * @param {Map<number, Float32Array>} [expertRedundancy] - Per layer, each
+ *   expert's similarity to its nearest other expert (expert-similarity.js),
+ *   which the 'redundancy' colours tint expert columns by
+ * @param {Object} [sampling] - { mode, aggregate }: which elements the points
+ *   show (one of SAMPLING_MODES) and, for 'patch', how a patch is summarised
+ *   (one of PATCH_AGGREGATES)
+ * @param {string} [geometry='flat'] - how weight values shape the cloud, one of
+ *   GEOMETRY_MODES; anything but 'flat' samples the weights in every colour mode
+ * @returns {{ positions: Float32Array, colors: Float32Array, sizes: Float32Array|null,
+ *   tensorRegions: Array }} sizes are per-point size factors ('size' geometry only)
  */
 // Minimum number of points any single tensor will be rendered with,
 // even if proportional allocation would give it fewer. Prevents tiny
 // tensors (norms, biases, etc.) from being invisible single dots.
 const MIN_POINTS_PER_TENSOR = 400;
 
-export async function generatePointCloud(file, archInfo, tensors, tensorDataOffset, targetPointCount, colorMode, onProgress) {
+export async function generatePointCloud(file, archInfo, tensors, tensorDataOffset, targetPointCount, colorMode, onProgress, tensorStats, expertRedundancy, sampling = { mode: 'stride' }, geometry = 'flat') {
   // Compute total params and allocate points proportionally
   const totalParams = tensors.reduce((s, t) => s + t.numElements, 0);
   const decimationRatio = totalParams / targetPointCount;
 
   // Assign point counts to each tensor proportionally, with a floor
   const tensorAllocs = tensors.map(t => {
-    const cls = classifyTensor(t.name);
+    const cls = classifyTensor(t.name, archInfo.architecture);
     const rawCount = Math.max(MIN_POINTS_PER_TENSOR, Math.floor(t.numElements / decimationRatio));
     return { tensor: t, cls, pointCount: rawCount };
   });
@@ -141,30 +256,46 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
     });
   }
 
-  const actualTotal = tensorAllocs.reduce((s, a) => s + a.pointCount, 0);
+  // Packed expert tensors become one allocation (and region) per expert
+  const allocs = tensorAllocs.flatMap(a => splitPackedExperts(a, archInfo.expertCount || 0));
+
+  // Grids of samples or patches round each tensor's share down to whole rows
+  for (const a of allocs) {
+    a.plan = samplingPlan(a.tensor, a.pointCount, sampling.mode);
+    a.pointCount = a.plan.count;
+  }
+
+  const actualTotal = allocs.reduce((s, a) => s + a.pointCount, 0);
+
+  // Hybrids name each layer's kind; models with one kind don't need to
+  const recurrent = (archInfo.layers || []).map(l => l.recurrent);
+  const isHybrid = recurrent.includes(true) && recurrent.includes(false);
+  const isEncoderDecoder = allocs.some(a => a.cls.tower === 'encoder');
 
   // Prepare output buffers
   const positions = new Float32Array(actualTotal * 3);
   const colors = new Float32Array(actualTotal * 3);
+  const sizes = geometry === 'size' ? new Float32Array(actualTotal).fill(1) : null;
   const tensorRegions = [];
 
   // ─── Layout computation ───────────────────────────────────────────
-  const layout = computeLayout(archInfo, tensorAllocs);
+  const layout = computeLayout(archInfo, allocs);
 
-  const totalTensors = tensorAllocs.length;
+  const totalTensors = allocs.length;
 
   // ─── Phase 1: Parallel batched weight sampling (I/O heavy) ──────
   const allWeights = new Array(totalTensors).fill(null);
 
-  if (colorMode === 'weight') {
+  const needsWeights = colorMode === 'weight' || geometry !== 'flat';
+  if (needsWeights) {
     const BATCH = 8; // Read 8 tensors in parallel
     for (let bi = 0; bi < totalTensors; bi += BATCH) {
       const end = Math.min(bi + BATCH, totalTensors);
       const promises = [];
       for (let ti = bi; ti < end; ti++) {
-        const { tensor, pointCount } = tensorAllocs[ti];
+        const { tensor, plan } = allocs[ti];
         promises.push(
-          sampleTensorWeights(file, tensorDataOffset, tensor, pointCount)
+          samplePlan(file, tensorDataOffset, tensor, plan, sampling.aggregate)
             .catch(() => null)
         );
       }
@@ -174,7 +305,7 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
       }
       if (onProgress) {
         onProgress('sampling', Math.min(end, totalTensors), totalTensors,
-          tensorAllocs[bi].tensor.name);
+          allocs[bi].tensor.name);
       }
     }
   }
@@ -183,18 +314,23 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
   let globalIdx = 0;
 
   for (let ti = 0; ti < totalTensors; ti++) {
-    const { tensor, cls, pointCount } = tensorAllocs[ti];
-    const region = layout.getRegion(cls.category, cls.layerIdx, cls.expertIdx, tensor);
+    const { tensor, cls, pointCount, plan } = allocs[ti];
+    const region = layout.getRegion(cls, tensor);
 
-    if (onProgress && colorMode !== 'weight') {
+    if (onProgress && !needsWeights) {
       onProgress('sampling', ti, totalTensors, tensor.name);
     }
 
     const weightValues = allWeights[ti];
+    const stats = tensorStats ? tensorStats.get(tensor.name) : undefined;
 
-    // Find max abs value for normalization
+    // Find max abs value for normalization (exact when the tensor was scanned,
+    // unless patch means or RMS are shown, which stay well inside the range)
+    const exactRange = stats && stats.count > 0 && (plan.mode !== 'patch' || sampling.aggregate === 'max');
     let maxAbs = 0;
-    if (weightValues) {
+    if (weightValues && exactRange) {
+      maxAbs = Math.max(Math.abs(stats.min), Math.abs(stats.max)) || 1;
+    } else if (weightValues) {
       for (let i = 0; i < weightValues.length; i++) {
         const a = Math.abs(weightValues[i]);
         if (a > maxAbs && isFinite(a)) maxAbs = a;
@@ -202,17 +338,28 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
       if (maxAbs === 0) maxAbs = 1;
     }
 
-    // Determine tensor dimensions for point placement
-    const rows = tensor.dims.length >= 2 ? tensor.dims[1] : 1;
-    const cols = tensor.dims[0] || 1;
+    // Point placement follows the tensor's matrix; a patch sits at its centre
+    const { rows, cols, gridRows, gridCols } = plan;
+    const indices = planIndices(plan);
+    const cellRows = indices ? 1 : rows / gridRows;
+    const cellCols = indices ? 1 : cols / gridCols;
+
+    // Terrain relief: thin bars (norms, biases) still get a visible line plot
+    const terrainHeight = TERRAIN_HEIGHT * Math.max(region.height, TERRAIN_MIN_PANEL);
 
     const startIdx = globalIdx;
 
     for (let pi = 0; pi < pointCount; pi++) {
       // Map point index to row/col within the tensor
-      const paramIdx = Math.floor(pi * (tensor.numElements / pointCount));
-      const row = rows > 1 ? Math.floor(paramIdx / cols) : 0;
-      const col = paramIdx % cols;
+      let row, col;
+      if (indices) {
+        const paramIdx = indices[pi];
+        row = rows > 1 ? Math.floor(paramIdx / cols) : 0;
+        col = paramIdx % cols;
+      } else {
+        row = (Math.floor(pi / gridCols) + 0.5) * cellRows - 0.5;
+        col = (pi % gridCols + 0.5) * cellCols - 0.5;
+      }
 
       const rowT = rows > 1 ? row / (rows - 1) : 0.5;
       const colT = cols > 1 ? col / (cols - 1) : 0.5;
@@ -223,10 +370,18 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
       const jz = (Math.random() - 0.5) * 0.15;
 
       // Compute 3D position
-      const x = region.x + (colT + jx * (1 / Math.max(cols, 1))) * region.width;
-      const y = region.y + (rowT + jy * (1 / Math.max(rows, 1))) * region.height;
+      const x = region.x + (colT + jx * (cellCols / Math.max(cols, 1))) * region.width;
+      let y = region.y + (rowT + jy * (cellRows / Math.max(rows, 1))) * region.height;
       const z = region.z + jz * region.depth;
 
+      // Value geometry; points of tensors that couldn't be sampled keep their place and size
+      if (geometry !== 'flat' && weightValues && pi < weightValues.length) {
+        const v = weightValues[pi];
+        const t = isFinite(v) ? Math.max(-1, Math.min(1, v / maxAbs)) : 0;
+        if (geometry === 'terrain') y += t * terrainHeight;
+        else if (sizes) sizes[globalIdx] = SIZE_MIN + (SIZE_MAX - SIZE_MIN) * Math.abs(t);
+      }
+
       positions[globalIdx * 3]     = x;
       positions[globalIdx * 3 + 1] = y;
       positions[globalIdx * 3 + 2] = z;
@@ -241,6 +396,14 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
         } else {
           [r, g, b] = [0.5, 0.5, 0.6];
         }
+      } else if (colorMode === 'redundancy') {
+        // Experts by how close they are to another expert; everything else dimmed
+        const redundancy = cls.expertIdx >= 0 ? expertRedundancy?.get(cls.layerIdx) : undefined;
+        if (redundancy) {
+          [r, g, b] = redundancyToColor(redundancy[cls.expertIdx]);
+        } else {
+          [r, g, b] = [0.25, 0.25, 0.3];
+        }
       } else {
         // Tensor type coloring
         const tc = TENSOR_COLORS[cls.category] || TENSOR_COLORS.other;
@@ -259,19 +422,256 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
 
     tensorRegions.push({
       name: tensor.name,
-      knownName: getKnownName(cls.category, cls.layerIdx, cls.expertIdx),
+      knownName: getKnownName(cls.category, cls.layerIdx, cls.expertIdx,
+        isHybrid && cls.layerIdx >= 0 ? (recurrent[cls.layerIdx] ? 'recurrent' : 'attention') : undefined,
+        isEncoderDecoder ? (cls.tower === 'encoder' ? 'Encoder' : 'Decoder') : undefined),
       category: cls.category,
+      role: cls.role,
       layerIdx: cls.layerIdx,
       expertIdx: cls.expertIdx,
       dims: tensor.dims,
       type: tensor.type,
       region: region,
+      tower: cls.tower,
+      // Weight Terrain scale, so locateElement() can lift a value as its point was
+      terrain: geometry === 'terrain' && weightValues ? { maxAbs, height: terrainHeight } : null,
       startIdx: startIdx,
       endIdx: globalIdx,
+      stats: stats || null,
     });
   }
 
-  return { positions, colors, tensorRegions, actualPointCount: globalIdx };
+  return { positions, colors, sizes, tensorRegions, actualPointCount: globalIdx };
+}
+
+// ─── Value geometry ─────────────────────────────────────────────────
+
+// How weight values shape the cloud besides its colours:
+//   flat    — points only follow the layout
+//   terrain — points rise or sink along Y with their value, so each
+//             matrix becomes a relief over its rows
+//   size    — point size grows with |w|
+export const GEOMETRY_MODES = ['flat', 'terrain', 'size'];
+
+// Largest terrain displacement, as a fraction of the tensor's panel height
+// (panels lower than TERRAIN_MIN_PANEL count as that high)
+const TERRAIN_HEIGHT = 0.25;
+const TERRAIN_MIN_PANEL = 2.0;
+
+// Point size factors for w = 0 and |w| = the tensor's largest magnitude
+const SIZE_MIN = 0.3;
+const SIZE_MAX = 2.5;
+
+// ─── Sampling plans ─────────────────────────────────────────────────
+
+// How a tensor's points pick their elements:
+//   stride     — evenly spaced through the flat data (aliases onto the same
+//                columns when the row length is a multiple of the stride)
+//   stratified — one element from a random spot in each cell of a grid
+//                over the rows and columns
+//   random     — uniformly random elements
+//   patch      — each point summarises a patch of the matrix (PATCH_AGGREGATES)
+export const SAMPLING_MODES = ['stride', 'stratified', 'random', 'patch'];
+
+// Random choices are seeded by this and the tensor's name, so a model shows
+// the same points every time it is drawn
+const SAMPLING_SEED = 0x5eed;
+
+// Small seeded PRNG (mulberry32), uniform in [0, 1)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a hash of a tensor name
+function hashName(name) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < name.length; i++) h = Math.imul(h ^ name.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+/**
+ * Which elements a tensor's points show. The tensor is seen as a rows ×
+ * cols matrix — dims past the second (conv kernels, stacked experts) are
+ * folded into the rows. The grid modes split it into gridRows × gridCols
+ * cells shaped like the matrix, never more than `pointCount` of them
+ * (wide and 1-D tensors get a single row of cells); tensors with no more
+ * elements than points are always strided.
+ *
+ * @returns {{ mode: string, count: number, rows: number, cols: number,
+ *   gridRows: number, gridCols: number, seed: number, numElements: number }}
+ */
+function samplingPlan(tensor, pointCount, mode) {
+  const { numElements } = tensor;
+  const cols = tensor.dims[0] || 1;
+  const rows = tensor.dims.length >= 2 ? Math.round(numElements / cols) : 1;
+  const plan = { mode: 'stride', count: pointCount, rows, cols, gridRows: 0, gridCols: 0, seed: 0, numElements };
+  if (!SAMPLING_MODES.includes(mode) || pointCount >= numElements) return plan;
+
+  plan.mode = mode;
+  plan.seed = (SAMPLING_SEED ^ hashName(tensor.name)) >>> 0;
+  if (mode === 'stratified' || mode === 'patch') {
+    plan.gridCols = Math.max(1, Math.min(cols, pointCount, Math.round(Math.sqrt(pointCount * cols / rows))));
+    plan.gridRows = Math.max(1, Math.min(rows, Math.floor(pointCount / plan.gridCols)));
+    plan.count = plan.gridRows * plan.gridCols;
+  }
+  return plan;
+}
+
+/**
+ * Flat element index of each point, in point order; null for patches.
+ * Deterministic, so the sampling and placement passes agree.
+ */
+function planIndices({ mode, count, rows, cols, gridRows, gridCols, seed, numElements }) {
+  if (mode === 'patch') return null;
+  const indices = new Float64Array(count);
+  const random = seededRandom(seed);
+  if (mode === 'random') {
+    for (let i = 0; i < count; i++) indices[i] = Math.floor(random() * numElements);
+  } else if (mode === 'stratified') {
+    for (let r = 0, i = 0; r < gridRows; r++) {
+      for (let c = 0; c < gridCols; c++, i++) {
+        const row = Math.floor((r + random()) * rows / gridRows);
+        const col = Math.floor((c + random()) * cols / gridCols);
+        indices[i] = row * cols + col;
+      }
+    }
+  } else {
+    const stride = numElements / count;
+    for (let i = 0; i < count; i++) indices[i] = Math.floor(i * stride);
+  }
+  return indices;
+}
+
+/**
+ * Weight values for a plan's points. Types that can't be decoded fall back
+ * to sampleTensorWeights()'s raw-byte estimate.
+ */
+function samplePlan(file, tensorDataOffset, tensor, plan, aggregate = 'mean') {
+  if (!canScanType(tensor.type)) return sampleTensorWeights(file, tensorDataOffset, tensor, plan.count);
+  if (plan.mode === 'patch') return sampleTensorPatches(file, tensorDataOffset, tensor, plan, aggregate);
+  return sampleTensorElements(file, tensorDataOffset, tensor, planIndices(plan));
+}
+
+/**
+ * Split a packed expert tensor (ffn_gate_exps, ...) into one allocation per
+ * expert, sharing its points. Other allocations are returned as they are.
+ */
+function splitPackedExperts(alloc, expertCount) {
+  const { tensor, cls, pointCount } = alloc;
+  if (!PACKED_EXPERT_AS_FFN[cls.category] || cls.expertIdx >= 0 || !expertSlice(tensor, 0, expertCount)) {
+    return [alloc];
+  }
+  return Array.from({ length: expertCount }, (_, e) => ({
+    tensor: expertSlice(tensor, e, expertCount),
+    cls: { ...cls, expertIdx: e },
+    pointCount: Math.max(1, Math.floor(pointCount / expertCount) + (e < pointCount % expertCount ? 1 : 0)),
+  }));
+}
+
+/**
+ * Where generatePointCloud() puts element (row, col) of a tensor — seen as
+ * a matrix dims[0] columns wide, further dims folded into the rows — before
+ * jitter. Rows of a packed expert tensor run through its experts in turn,
+ * each drawn as its own region.
+ *
+ * @param {Array} tensorRegions - Region metadata from generatePointCloud
+ * @param {string} name - tensor name
+ * @param {number} [value] - the element's weight; in Weight Terrain it raises or
+ *   lowers the point like the cloud's own points (without it the point stays level)
+ * @returns {{ x: number, y: number, z: number }|null} null if the tensor isn't drawn
+ */
+export function locateElement(tensorRegions, name, row, col, value) {
+  const matches = tensorRegions.filter(tr => tr.name === name);
+  if (matches.length === 0) return null;
+
+  let tr = matches[0];
+  const cols = tr.dims[0] || 1;
+  const rows = tr.dims.length >= 2 ? Math.round(tr.dims.reduce((p, d) => p * d, 1) / cols) : 1;
+  if (matches.length > 1) {
+    const expert = Math.floor(row / rows);
+    tr = matches.find(m => m.expertIdx === expert) || tr;
+    row -= expert * rows;
+  }
+
+  const { region, terrain } = tr;
+  let y = region.y + (rows > 1 ? row / (rows - 1) : 0.5) * region.height;
+  if (terrain && isFinite(value)) y += Math.max(-1, Math.min(1, value / terrain.maxAbs)) * terrain.height;
+  return {
+    x: region.x + (cols > 1 ? col / (cols - 1) : 0.5) * region.width,
+    y,
+    z: region.z,
+  };
+}
+
+/**
+ * Merge a second model's point cloud into the first, placed to its left
+ * and ending just in front of the first layer — a multimodal projector
+ * beside its language model. The second model's regions are tagged with
+ * `tower` so connections and bounding boxes keep the two apart.
+ *
+ * @param {Object} main - generatePointCloud() result
+ * @param {Object} side - generatePointCloud() result for the other model
+ * @param {string} tower - tag for the side model's regions, e.g. 'vision'
+ * @returns {{ positions: Float32Array, colors: Float32Array, sizes: Float32Array|null,
+ *   tensorRegions: Array, actualPointCount: number }}
+ */
+export function placeBeside(main, side, tower) {
+  const extent = (regions) => {
+    const e = { minX: Infinity, maxX: -Infinity, maxZ: -Infinity };
+    for (const { region: r } of regions) {
+      e.minX = Math.min(e.minX, r.x);
+      e.maxX = Math.max(e.maxX, r.x + r.width);
+      e.maxZ = Math.max(e.maxZ, r.z + r.depth);
+    }
+    return e;
+  };
+  const mainExtent = extent(main.tensorRegions);
+  const sideExtent = extent(side.tensorRegions);
+  const dx = mainExtent.minX - sideExtent.maxX - LAYER_SPACING;
+  const dz = -sideExtent.maxZ - LAYER_SPACING;
+
+  const mainCount = main.actualPointCount;
+  const total = mainCount + side.actualPointCount;
+  const positions = new Float32Array(total * 3);
+  const colors = new Float32Array(total * 3);
+  positions.set(main.positions.subarray(0, mainCount * 3));
+  colors.set(main.colors.subarray(0, mainCount * 3));
+  colors.set(side.colors.subarray(0, side.actualPointCount * 3), mainCount * 3);
+  let sizes = null;
+  if (main.sizes || side.sizes) {
+    sizes = new Float32Array(total).fill(1);
+    if (main.sizes) sizes.set(main.sizes.subarray(0, mainCount));
+    if (side.sizes) sizes.set(side.sizes.subarray(0, side.actualPointCount), mainCount);
+  }
+  for (let i = 0; i < side.actualPointCount; i++) {
+    const o = (mainCount + i) * 3;
+    positions[o]     = side.positions[i * 3] + dx;
+    positions[o + 1] = side.positions[i * 3 + 1];
+    positions[o + 2] = side.positions[i * 3 + 2] + dz;
+  }
+
+  const sideRegions = side.tensorRegions.map(tr => ({
+    ...tr,
+    tower,
+    region: { ...tr.region, x: tr.region.x + dx, z: tr.region.z + dz },
+    startIdx: tr.startIdx + mainCount,
+    endIdx: tr.endIdx + mainCount,
+  }));
+
+  return {
+    positions,
+    colors,
+    sizes,
+    tensorRegions: [...main.tensorRegions, ...sideRegions],
+    actualPointCount: total,
+  };
 }
 
 // ─── Neural Connection Generator ────────────────────────────────────
@@ -280,6 +680,10 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
  * Generate line segments that connect tensor regions like neural pathways.
  * Lines flow from source tensors to target tensors following the model's
  * data-flow architecture: embedding → attention → FFN → next layer → output.
+ * Regions with a `tower` are connected on their own, then to the main
+ * model: a multimodal projector placed beside its language model into the
+ * model's first layer, and the encoder of an encoder–decoder model from
+ * the shared embedding and into every decoder layer's cross-attention.
  *
  * @param {Array} tensorRegions - Region metadata from generatePointCloud
  * @param {Float32Array} positions - Point positions (xyz interleaved)
@@ -287,26 +691,95 @@ export async function generatePointCloud(file, archInfo, tensors, tensorDataOffs
  * @returns {{ positions: Float32Array, colors: Float32Array, lineCount: number }}
  */
 export function generateConnections(tensorRegions, positions, density = 1.0) {
-  // ── Full transformer data-flow rules ──
-  // matchExpert: only connect regions sharing the same expertIdx
+  const linePositions = [];
+  const lineColors = [];
+  const connect = (sources, targets, lineDensity, dimFactor) => {
+    for (const src of sources) {
+      for (const tgt of targets) {
+        _sampleLines(src, tgt, positions, linePositions, lineColors, lineDensity, dimFactor);
+      }
+    }
+  };
+
+  const towers = new Map();
+  for (const region of tensorRegions) {
+    const key = region.tower || '';
+    if (!towers.has(key)) towers.set(key, []);
+    towers.get(key).push(region);
+  }
+
+  const ends = new Map();
+  for (const [key, regions] of towers) {
+    ends.set(key, _connectModel(regions, connect, density));
+  }
+
+  const main = ends.get('');
+  for (const [key, end] of ends) {
+    if (key === '' || !main) continue;
+    if (end.projectorOut.length > 0) {
+      // ── Projector → the language model's first layer ──
+      connect(end.projectorOut, main.firstInputs, density * 0.5, 0.4);
+    } else {
+      // ── Embedding → encoder → each decoder layer's cross-attention K/V ──
+      connect(main.embeddings, end.firstInputs, density * 0.5, 0.4);
+      connect(end.modelOut, main.crossInputs, density * 0.3, 0.35);
+    }
+  }
+
+  const totalLines = linePositions.length / 6;
+
+  return {
+    positions: new Float32Array(linePositions),
+    colors: new Float32Array(lineColors),
+    lineCount: totalLines,
+  };
+}
+
+/**
+ * Connections within one model. Returns what other towers link to: the
+ * embeddings and first layer's inputs, the model's output (final norm or
+ * last block), the last projector stage and the cross-attention K/V inputs.
+ */
+function _connectModel(tensorRegions, connect, density) {
+  // ── Full transformer data-flow rules, between roles (tensor-registry.js) ──
+  // `to` lists alternatives: a source connects to the first one the block
+  // has, and an alternative that is itself a list connects to all of its
+  // roles. matchExpert: only connect regions sharing the same expertIdx
   const INTRA_LAYER_RULES = [
-    // Pre-attention norm → Q, K, V
-    { from: ['attn_norm'], to: ['attn_q', 'attn_k', 'attn_v'] },
+    // Pre-attention norm → Q, K, V (or MLA's down projections, or the
+    // layer's SSM / time mix); FFN-only layers of hybrids go straight on
+    { from: ['attn_norm'],      to: [MIXER_INPUTS, 'ffn_norm', FFN_INPUTS] },
+    // MLA: down → up projections
+    { from: ['q_down'],         to: ['q_up'] },
+    { from: ['kv_down'],        to: ['kv_up'] },
     // Q, K, V → Attention Output
-    { from: ['attn_q'],    to: ['attn_out'] },
-    { from: ['attn_k'],    to: ['attn_out'] },
-    { from: ['attn_v'],    to: ['attn_out'] },
-    // Attention Output → Pre-FFN Norm
-    { from: ['attn_out'],  to: ['ffn_norm'] },
-    // Pre-FFN Norm → gate/up (dense) or MoE router
-    { from: ['ffn_norm'],  to: ['ffn_gate', 'ffn_up', 'moe_gate'] },
-    // MoE: router → individual expert gates/ups and packed experts
-    { from: ['moe_gate'],  to: ['ffn_gate', 'ffn_up', 'moe_up'] },
-    // FFN gate/up → down (expert-aware for MoE individual experts)
-    { from: ['ffn_gate'],  to: ['ffn_down'], matchExpert: true },
-    { from: ['ffn_up'],    to: ['ffn_down'], matchExpert: true },
-    // Packed MoE: up → down
-    { from: ['moe_up'],    to: ['moe_down'] },
+    { from: ['attn_in', 'q_up', 'kv_up'], to: ['attn_out'] },
+    // SSM: in projection → conv → x / Δ projections (Mamba 1) → norm (Mamba 2) → out
+    { from: ['ssm_in'],         to: ['ssm_conv'] },
+    { from: ['ssm_conv'],       to: ['ssm_x', 'ssm_dt', 'ssm_norm', 'ssm_out'] },
+    { from: ['ssm_x'],          to: ['ssm_dt'] },
+    { from: ['ssm_dt'],         to: ['ssm_norm', 'ssm_out'] },
+    { from: ['ssm_norm'],       to: ['ssm_out'] },
+    // RWKV: receptance, key, value, gate → group norm → time mix output
+    { from: ['time_mix_in'],    to: ['time_mix_norm', 'time_mix_out'] },
+    { from: ['time_mix_norm'],  to: ['time_mix_out'] },
+    // Attention (or SSM / time mix) output → post-attention norm, cross-attention, pre-FFN norm or straight into the FFN
+    { from: MIXER_OUTPUTS,      to: ['attn_post_norm', 'cross_norm', 'ffn_norm', FFN_INPUTS] },
+    { from: ['attn_post_norm'], to: ['cross_norm', 'ffn_norm', FFN_INPUTS] },
+    // Cross-attention: the decoder's stream → Q; K/V come from the encoder
+    { from: ['cross_norm'],     to: ['cross_q'] },
+    { from: ['cross_q', 'cross_kv'], to: ['cross_out'] },
+    { from: ['cross_out'],      to: ['ffn_norm', FFN_INPUTS] },
+    // Pre-FFN Norm → gate/up (dense), MoE router and shared experts
+    { from: ['ffn_norm'],       to: [FFN_INPUTS] },
+    // MoE: router → each expert's gate/up, individual or split from packed tensors
+    { from: ['router'],         to: [['ffn_in', 'experts_in']] },
+    // FFN gate/up → down (expert-aware for MoE experts)
+    { from: ['ffn_in'],         to: ['ffn_out'], matchExpert: true },
+    { from: ['experts_in'],     to: ['experts_out'], matchExpert: true },
+    { from: ['shared_in'],      to: ['shared_out'] },
+    // FFN outputs → post-FFN norm
+    { from: BLOCK_FFN_OUTPUTS,  to: ['ffn_post_norm'] },
   ];
 
   // Group regions by layer
@@ -322,17 +795,15 @@ export function generateConnections(tensorRegions, positions, density = 1.0) {
     }
   }
 
-  const linePositions = [];
-  const lineColors = [];
-
   const layers = Array.from(layerMap.keys()).sort((a, b) => a - b);
 
   // ── Intra-layer connections ──
   for (const layerIdx of layers) {
     const regions = layerMap.get(layerIdx);
     for (const rule of INTRA_LAYER_RULES) {
-      const sources = regions.filter(r => rule.from.includes(r.category));
-      const targets = regions.filter(r => rule.to.includes(r.category));
+      const sources = regions.filter(r => rule.from.includes(r.role));
+      if (sources.length === 0) continue;
+      const targets = _firstPresent(regions, rule.to);
 
       for (const src of sources) {
         // Expert-aware: only connect same expert (or both non-expert)
@@ -343,86 +814,84 @@ export function generateConnections(tensorRegions, positions, density = 1.0) {
             (src.expertIdx < 0 && tgt.expertIdx < 0)
           );
         }
-
-        for (const tgt of validTargets) {
-          _sampleLines(src, tgt, positions, linePositions, lineColors, density);
-        }
+        connect([src], validTargets, density);
       }
     }
   }
 
-  // ── Cross-layer: FFN down → next layer's attn_norm (or Q,K,V) ──
+  // ── Cross-layer: block output → next layer's input ──
   for (let i = 0; i < layers.length - 1; i++) {
-    const currentRegions = layerMap.get(layers[i]);
-    const nextRegions = layerMap.get(layers[i + 1]);
-
-    const downs = currentRegions.filter(r =>
-      r.category === 'ffn_down' || r.category === 'moe_down'
-    );
-    const nextNorms = nextRegions.filter(r => r.category === 'attn_norm');
-    const nextTargets = nextNorms.length > 0
-      ? nextNorms
-      : nextRegions.filter(r => ['attn_q', 'attn_k', 'attn_v'].includes(r.category));
-
-    for (const src of downs) {
-      for (const tgt of nextTargets) {
-        _sampleLines(src, tgt, positions, linePositions, lineColors, density * 0.4, 0.35);
-      }
-    }
+    const outs = _firstPresent(layerMap.get(layers[i]), BLOCK_OUTPUTS);
+    const nextTargets = _firstPresent(layerMap.get(layers[i + 1]), BLOCK_INPUTS);
+    connect(outs, nextTargets, density * 0.4, 0.35);
   }
 
-  // ── Embedding → first layer's attn_norm (or Q,K,V) ──
-  if (layers.length > 0) {
-    const embeddings = globals.filter(r => r.category === 'embedding');
-    const firstRegions = layerMap.get(layers[0]) || [];
-    const firstNorms = firstRegions.filter(r => r.category === 'attn_norm');
-    const firstTargets = firstNorms.length > 0
-      ? firstNorms
-      : firstRegions.filter(r => ['attn_q', 'attn_k', 'attn_v'].includes(r.category));
-
-    for (const src of embeddings) {
-      for (const tgt of firstTargets) {
-        _sampleLines(src, tgt, positions, linePositions, lineColors, density * 0.5, 0.4);
-      }
-    }
+  // ── Embedding → [embedding norm →] first layer's input ──
+  const firstInputs = layers.length > 0 ? _firstPresent(layerMap.get(layers[0]), BLOCK_INPUTS) : [];
+  const embeddings = globals.filter(r => r.role === 'input');
+  const inputNorms = globals.filter(r => r.role === 'input_norm');
+  if (inputNorms.length > 0) {
+    connect(embeddings, inputNorms, density * 0.5, 0.4);
+    connect(inputNorms, firstInputs, density * 0.5, 0.4);
+  } else {
+    connect(embeddings, firstInputs, density * 0.5, 0.4);
   }
 
-  // ── Last layer → output_norm → output ──
-  if (layers.length > 0) {
-    const lastRegions = layerMap.get(layers[layers.length - 1]) || [];
-    const lastDowns = lastRegions.filter(r =>
-      r.category === 'ffn_down' || r.category === 'moe_down'
-    );
-    const outputNorms = globals.filter(r => r.category === 'output_norm');
-    const outputs = globals.filter(r => r.category === 'output');
-
-    // down → output_norm (or directly to output)
-    const endTargets = outputNorms.length > 0 ? outputNorms : outputs;
-    for (const src of lastDowns) {
-      for (const tgt of endTargets) {
-        _sampleLines(src, tgt, positions, linePositions, lineColors, density * 0.5, 0.4);
-      }
-    }
+  // ── Last layer → output_norm → output / projector ──
+  const lastOuts = layers.length > 0 ? _firstPresent(layerMap.get(layers[layers.length - 1]), BLOCK_OUTPUTS) : [];
+  const outputNorms = globals.filter(r => r.role === 'output_norm');
+  const outputs = globals.filter(r => r.role === 'output');
 
-    // output_norm → output
-    if (outputNorms.length > 0) {
-      for (const src of outputNorms) {
-        for (const tgt of outputs) {
-          _sampleLines(src, tgt, positions, linePositions, lineColors, density * 0.5, 0.4);
-        }
-      }
-    }
+  // Projector stages in layout order (front to back)
+  const stages = new Map();
+  for (const r of globals.filter(r => r.role === 'projector')) {
+    if (!stages.has(r.region.z)) stages.set(r.region.z, []);
+    stages.get(r.region.z).push(r);
+  }
+  const projector = [...stages.entries()].sort((a, b) => a[0] - b[0]).map(([, regions]) => regions);
+  const heads = [...outputs, ...(projector[0] || [])];
+
+  // block output → output_norm (or directly to output)
+  connect(lastOuts, outputNorms.length > 0 ? outputNorms : heads, density * 0.5, 0.4);
+  // output_norm → output
+  connect(outputNorms, heads, density * 0.5, 0.4);
+  for (let i = 0; i < projector.length - 1; i++) {
+    connect(projector[i], projector[i + 1], density * 0.5, 0.4);
   }
-
-  const totalLines = linePositions.length / 6;
 
   return {
-    positions: new Float32Array(linePositions),
-    colors: new Float32Array(lineColors),
-    lineCount: totalLines,
+    embeddings,
+    firstInputs,
+    modelOut: outputNorms.length > 0 ? outputNorms : lastOuts,
+    projectorOut: projector[projector.length - 1] || [],
+    crossInputs: tensorRegions.filter(r => r.role === 'cross_kv'),
   };
 }
 
+// Roles a block is entered and left through, as alternatives for
+// _firstPresent. The mixer is attention, an SSM or RWKV time mixing (both
+// in Falcon-H1's parallel layers); Mamba blocks have no FFN, and some
+// hybrid layers (Nemotron-H) nothing but an FFN
+const MIXER_INPUTS = ['attn_in', 'q_down', 'kv_down', 'ssm_in', 'time_mix_in'];
+const MIXER_OUTPUTS = ['attn_out', 'ssm_out', 'time_mix_out'];
+const FFN_INPUTS = ['router', 'ffn_in', 'shared_in'];
+const BLOCK_FFN_OUTPUTS = ['ffn_out', 'experts_out', 'shared_out'];
+const BLOCK_INPUTS = ['attn_norm', MIXER_INPUTS, 'ffn_norm', FFN_INPUTS];
+const BLOCK_OUTPUTS = ['ffn_post_norm', BLOCK_FFN_OUTPUTS, 'cross_out', 'attn_post_norm', MIXER_OUTPUTS];
+
+/**
+ * Regions with the first of `alternatives` present among `regions`. An
+ * alternative is a role, or a list of roles that are taken together.
+ */
+function _firstPresent(regions, alternatives) {
+  for (const alt of alternatives) {
+    const roles = Array.isArray(alt) ? alt : [alt];
+    const found = regions.filter(r => roles.includes(r.role));
+    if (found.length > 0) return found;
+  }
+  return [];
+}
+
 /**
  * Sample random line segments between two tensor regions.
  */
@@ -478,6 +947,9 @@ function _sampleLines(srcRegion, tgtRegion, positions, outPos, outCol, density =
 // STAGE_*: Z offset within each layer for each transformer sub-block.
 //          Data flows along Z in this order:
 //          ATTN_NORM → QKV → ATTN_OUT → FFN_NORM → FFN_GATE_UP → FFN_DOWN
+//          SSM and RWKV time-mix blocks fill the QKV → ATTN_OUT span.
+//          Encoder–decoder models get a second stack, the encoder, to the
+//          left of the decoder.
 //
 // All values are in world-space units. The camera auto-fits to the model.
 
@@ -490,6 +962,14 @@ const STAGE_FFN_NORM    = 10.0;   // Pre-FFN norm
 const STAGE_FFN_GATE_UP = 12.5;   // FFN gate + up projections
 const STAGE_FFN_DOWN    = 16.0;   // FFN down projection
 
+// Decoder layers with cross-attention repeat the attention stages
+// (ATTN_NORM → QKV → ATTN_OUT) before the FFN, which moves back by this
+// much; layers of encoder–decoder models are spaced out to make room
+const CROSS_ATTN_SPAN   = STAGE_FFN_NORM - STAGE_ATTN_NORM;
+
+const MLA_UP_OFFSET     =  2.2;   // MLA up projections, behind the down ones
+const SSM_STEP          =  1.4;   // SSM conv, then x / Δ projections, behind the in projection
+
 // ─── Layout Engine ──────────────────────────────────────────────────
 //
 // The layout follows the transformer data-flow order along the Z axis:
@@ -504,27 +984,44 @@ const STAGE_FFN_DOWN    = 16.0;   // FFN down projection
 //   │  [Gate] [Up]  (side by side)   │
 //   │  [Down]       (centered)       │
 //   └────────────────────────────────┘
+//
+// Recurrent layers put their mixer where Q/K/V and the attention output
+// would be — SSM: [In] → [Conv] → [x] [Δ] → [Out]; RWKV: [LoRA] →
+// [R] [K] [V] [G] → [Out] — and RWKV's channel mixing takes the FFN's place.
 //       ↓
 //   ┌─ Layer 1 ─ ... ─┐
 //       ↓
 //   [Output Norm]
 //   [Output]
 
+// RWKV time-mix projections, side by side in this order
+const TIME_MIX_SLOTS = ['time_mix_r', 'time_mix_k', 'time_mix_v', 'time_mix_g'];
+
+// RWKV channel-mix tensors are laid out as the FFN projections they stand in for
+const CHANNEL_MIX_AS_FFN = {
+  channel_mix_key: 'ffn_up',
+  channel_mix_receptance: 'ffn_gate',
+  channel_mix_value: 'ffn_down',
+};
+
+// Experts split out of packed tensors take the columns of individual expert tensors
+const PACKED_EXPERT_AS_FFN = {
+  moe_expert_gate: 'ffn_gate',
+  moe_up: 'ffn_up',
+  moe_down: 'ffn_down',
+};
+
 function computeLayout(archInfo, tensorAllocs) {
   const {
     blockCount,
-    headCount,
-    headCountKV,
     embeddingLength,
     feedForwardLength,
+    expertFeedForwardLength,
     expertCount,
     isMoE,
   } = archInfo;
 
-  const layers = blockCount || 1;
-  const heads = headCount || 1;
-  const headsKV = headCountKV || heads;
-  const ffnMult = feedForwardLength ? feedForwardLength / Math.max(embeddingLength, 1) : 4;
+  const layers = Math.max(blockCount, archInfo.decoderBlockCount || 0) || 1;
   const experts = isMoE ? (expertCount || 1) : 1;
 
   // ── Per-block constants ──
@@ -533,28 +1030,82 @@ function computeLayout(archInfo, tensorAllocs) {
   const EXPERT_GAP = 0.3;
   const TENSOR_HEIGHT_BASE = 2.0;
   const BLOCK_DEPTH = 1.2;        // Z thickness of each sub-block
-
-  // ── Width calculations ──
-  const attnQWidth = heads * HEAD_WIDTH;
-  const attnKWidth = headsKV * HEAD_WIDTH;
-  const attnVWidth = headsKV * HEAD_WIDTH;
-  const attnOutWidth = heads * HEAD_WIDTH * 0.5;
-  const qkvTotalWidth = attnQWidth + attnKWidth + attnVWidth + COMPONENT_GAP * 2;
-
-  const ffnBlockWidth = Math.max(2, ffnMult) * HEAD_WIDTH;
-  const ffnTotalWidth = isMoE
-    ? experts * (ffnBlockWidth + EXPERT_GAP) * 0.4
-    : ffnBlockWidth * 1.5;
+  const SLIDING_ATTN_SCALE = 0.6; // sliding-window attention is drawn lower
 
   const centerX = 0;
   const embHeight = TENSOR_HEIGHT_BASE * 1.5;
   const layerHeight = TENSOR_HEIGHT_BASE;
 
+  // ── Width calculations ──
+  // Each layer is sized from its own head count and FFN size, so models
+  // with per-layer hyperparameters or leading dense blocks vary along Z
+  const layerDims = (layer) => {
+    // Models without attention are sized as if they had 64-wide heads
+    const heads = layer?.headCount || archInfo.headCount ||
+      Math.max(1, Math.round(embeddingLength / (archInfo.wkvHeadSize || 64)));
+    const headsKV = layer?.headCountKV || archInfo.headCountKV || heads;
+    const moe = layer ? layer.isMoE : isMoE;
+    const ffnLength = moe
+      ? expertFeedForwardLength || feedForwardLength
+      : layer?.feedForwardLength || feedForwardLength;
+    const ffnMult = ffnLength ? ffnLength / Math.max(embeddingLength, 1) : 4;
+
+    const attnQWidth = heads * HEAD_WIDTH;
+    const attnKWidth = headsKV * HEAD_WIDTH;
+    const attnVWidth = headsKV * HEAD_WIDTH;
+    const ffnBlockWidth = Math.max(2, ffnMult) * HEAD_WIDTH;
+    // SSMs expand the embedding (usually 2×) before the scan
+    const ssmMult = archInfo.ssm?.innerSize ? archInfo.ssm.innerSize / Math.max(embeddingLength, 1) : 2;
+    return {
+      moe,
+      ffnMult,
+      ssmWidth: attnQWidth * Math.min(2, ssmMult) * 0.75,
+      attnQWidth,
+      attnKWidth,
+      attnVWidth,
+      attnOutWidth: heads * HEAD_WIDTH * 0.5,
+      qkvTotalWidth: attnQWidth + attnKWidth + attnVWidth + COMPONENT_GAP * 2,
+      attnHeight: layerHeight * (layer?.slidingWindow ? SLIDING_ATTN_SCALE : 1),
+      ffnTotalWidth: moe
+        ? experts * (ffnBlockWidth + EXPERT_GAP) * 0.4
+        : ffnBlockWidth * 1.5,
+    };
+  };
+  const dims = Array.from({ length: layers }, (_, il) => layerDims(archInfo.layers?.[il]));
+
   // Max width for embedding/output blocks
-  const globalBlockWidth = Math.max(qkvTotalWidth, ffnTotalWidth) * 0.8;
+  const globalBlockWidth = Math.max(...dims.map(d => Math.max(d.qkvTotalWidth, d.ffnTotalWidth))) * 0.8;
+
+  // Multimodal projector stages, one slot per tensor name (weight and bias
+  // share it), numbered stages (mm.0, mm.2) in order
+  const stageKey = (name) => name.replace(/\.(?:weight|bias)$/, '');
+  const projectorStages = new Map(
+    [...new Set(tensorAllocs.filter(a => a.cls.category === 'projector').map(a => stageKey(a.tensor.name)))]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map((key, i) => [key, i])
+  );
+
+  // Layers with attention and an SSM side by side (Falcon-H1) put the SSM
+  // to the right of Q/K/V
+  const attentionLayers = new Set(tensorAllocs
+    .filter(a => a.cls.role === 'attn_in' || a.cls.role === 'q_down').map(a => a.cls.layerIdx));
+
+  // Encoder–decoder models: decoder layers with cross-attention, and how
+  // far left the encoder stack goes (not at all for encoder-only files)
+  const crossLayers = new Set(tensorAllocs
+    .filter(a => a.cls.category.startsWith('cross_attn') && !a.cls.tower).map(a => a.cls.layerIdx));
+  const layerSpacing = crossLayers.size > 0 ? LAYER_SPACING + CROSS_ATTN_SPAN : LAYER_SPACING;
+  const hasDecoder = tensorAllocs.some(a => a.cls.layerIdx >= 0 && !a.cls.tower);
+  const encoderOffset = hasDecoder ? globalBlockWidth * 1.5 + COMPONENT_GAP * 4 : 0;
 
   return {
-    getRegion(category, layerIdx, expertIdx, tensor) {
+    getRegion({ category, role, layerIdx, expertIdx, tower }, tensor) {
+      // The encoder is laid out like the decoder, then moved beside it
+      if (tower === 'encoder') {
+        const region = this.getRegion({ category, role, layerIdx, expertIdx }, tensor);
+        return { ...region, x: region.x - encoderOffset };
+      }
+
       // ── Global: Token Embedding ──
       if (category === 'embedding') {
         return {
@@ -566,13 +1117,48 @@ function computeLayout(archInfo, tensorAllocs) {
           depth: BLOCK_DEPTH * 2,
         };
       }
+      // Patch embedding (the conv over image patches) — a square plate
+      if (category === 'patch_embd') {
+        const side = Math.max(embHeight, globalBlockWidth / 2);
+        return {
+          x: centerX - side / 2,
+          y: 0,
+          z: -LAYER_SPACING * 1.5,
+          width: side,
+          height: side,
+          depth: BLOCK_DEPTH * 2,
+        };
+      }
+      // Position / token type embeddings — smaller slab behind the tokens'
+      if (category === 'aux_embedding') {
+        return {
+          x: centerX - globalBlockWidth / 4,
+          y: 0,
+          z: -LAYER_SPACING * 1.5 + BLOCK_DEPTH * 2 + COMPONENT_GAP,
+          width: globalBlockWidth / 2,
+          height: embHeight / 2,
+          depth: BLOCK_DEPTH,
+        };
+      }
+
+      // Embedding norm — thin bar in front of the first layer
+      if (role === 'input_norm') {
+        return {
+          x: centerX - globalBlockWidth / 2,
+          y: layerHeight + 0.2,
+          z: -LAYER_SPACING * 0.5,
+          width: globalBlockWidth,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
 
       // ── Global: Output Norm + Output ──
       if (category === 'output_norm') {
         return {
           x: centerX - globalBlockWidth / 2,
           y: 0,
-          z: layers * LAYER_SPACING + 0.5,
+          z: layers * layerSpacing + 0.5,
           width: globalBlockWidth,
           height: 0.3,
           depth: BLOCK_DEPTH,
@@ -582,19 +1168,36 @@ function computeLayout(archInfo, tensorAllocs) {
         return {
           x: centerX - globalBlockWidth / 2,
           y: 0,
-          z: layers * LAYER_SPACING + 2.0,
+          z: layers * layerSpacing + 2.0,
           width: globalBlockWidth,
           height: embHeight,
           depth: BLOCK_DEPTH,
         };
       }
 
+      // Multimodal projector — its stages one after another where the
+      // output would be, sized by the width they project to
+      if (category === 'projector') {
+        const stage = projectorStages.get(stageKey(tensor.name)) || 0;
+        const isMatrix = tensor.dims.filter(n => n > 1).length >= 2;
+        const outWidth = isMatrix ? tensor.dims[1] : tensor.dims[0];
+        const width = globalBlockWidth * Math.min(2, Math.max(0.5, outWidth / Math.max(embeddingLength, 1)));
+        return {
+          x: centerX - width / 2,
+          y: 0,
+          z: layers * layerSpacing + 2.0 + stage * (BLOCK_DEPTH + COMPONENT_GAP * 2),
+          width,
+          height: isMatrix ? embHeight : 0.3,
+          depth: BLOCK_DEPTH,
+        };
+      }
+
       // ── Global: Misc norms / other ──
-      if (layerIdx < 0 && (category === 'norm' || category === 'other')) {
+      if (layerIdx < 0 && (category === 'norm' || category === 'rope' || category === 'other')) {
         return {
           x: centerX - 2,
           y: 0,
-          z: layers * LAYER_SPACING + LAYER_SPACING,
+          z: layers * layerSpacing + LAYER_SPACING,
           width: 4,
           height: 0.3,
           depth: BLOCK_DEPTH,
@@ -602,52 +1205,224 @@ function computeLayout(archInfo, tensorAllocs) {
       }
 
       // ── Block-level tensors (per layer) ──
-      const layerZ = Math.max(0, layerIdx) * LAYER_SPACING;
+      const layerZ = Math.max(0, layerIdx) * layerSpacing;
+      const ffnZ = layerZ + (crossLayers.has(layerIdx) ? CROSS_ATTN_SPAN : 0);
+      const d = dims[Math.min(Math.max(0, layerIdx), layers - 1)];
 
       // ── Stage 0: Pre-Attention Norm (thin bar) ──
       if (category === 'attn_norm') {
         return {
-          x: centerX - qkvTotalWidth / 2,
+          x: centerX - d.qkvTotalWidth / 2,
           y: layerHeight + 0.2,
           z: layerZ + STAGE_ATTN_NORM,
-          width: qkvTotalWidth,
+          width: d.qkvTotalWidth,
           height: 0.15,
           depth: BLOCK_DEPTH * 0.5,
         };
       }
 
       // ── Stage 1: Q, K, V (side by side, centered) ──
-      const qkvBaseX = centerX - qkvTotalWidth / 2;
+      const qkvBaseX = centerX - d.qkvTotalWidth / 2;
 
       if (category === 'attn_q') {
         return {
           x: qkvBaseX,
           y: 0,
           z: layerZ + STAGE_QKV,
-          width: attnQWidth,
-          height: layerHeight,
+          width: d.attnQWidth,
+          height: d.attnHeight,
           depth: BLOCK_DEPTH,
         };
       }
 
       if (category === 'attn_k') {
         return {
-          x: qkvBaseX + attnQWidth + COMPONENT_GAP,
+          x: qkvBaseX + d.attnQWidth + COMPONENT_GAP,
           y: 0,
           z: layerZ + STAGE_QKV,
-          width: attnKWidth,
-          height: layerHeight * 0.7,  // shorter for GQA
+          width: d.attnKWidth,
+          height: d.attnHeight * 0.7,  // shorter for GQA
           depth: BLOCK_DEPTH,
         };
       }
 
       if (category === 'attn_v') {
         return {
-          x: qkvBaseX + attnQWidth + attnKWidth + COMPONENT_GAP * 2,
+          x: qkvBaseX + d.attnQWidth + d.attnKWidth + COMPONENT_GAP * 2,
           y: 0,
           z: layerZ + STAGE_QKV,
-          width: attnVWidth,
-          height: layerHeight * 0.7,  // shorter for GQA
+          width: d.attnVWidth,
+          height: d.attnHeight * 0.7,  // shorter for GQA
+          depth: BLOCK_DEPTH,
+        };
+      }
+
+      // Fused QKV spans the width the separate projections would take
+      if (category === 'attn_qkv') {
+        return {
+          x: qkvBaseX,
+          y: 0,
+          z: layerZ + STAGE_QKV,
+          width: d.qkvTotalWidth,
+          height: d.attnHeight,
+          depth: BLOCK_DEPTH,
+        };
+      }
+
+      // Multi-head latent attention: the low-rank down projections (short,
+      // they only produce the latent) sit where Q and K/V would, and the
+      // up projections follow them
+      const kvX = qkvBaseX + d.attnQWidth + COMPONENT_GAP;
+      const kvWidth = d.attnKWidth + d.attnVWidth + COMPONENT_GAP;
+      if (category === 'attn_q_a' || category === 'attn_kv_a') {
+        const isQ = category === 'attn_q_a';
+        return {
+          x: isQ ? qkvBaseX : kvX,
+          y: 0,
+          z: layerZ + STAGE_QKV,
+          width: isQ ? d.attnQWidth : kvWidth,
+          height: d.attnHeight * 0.35,
+          depth: BLOCK_DEPTH,
+        };
+      }
+      if (category === 'attn_q_b' || category === 'attn_kv_b') {
+        const isQ = category === 'attn_q_b';
+        return {
+          x: isQ ? qkvBaseX : kvX,
+          y: 0,
+          z: layerZ + STAGE_QKV + MLA_UP_OFFSET,
+          width: isQ ? d.attnQWidth : kvWidth,
+          height: d.attnHeight * (isQ ? 1 : 0.7),
+          depth: BLOCK_DEPTH,
+        };
+      }
+
+      // Q/K norms (and the MLA latent norms) — thin bar over the projections
+      if (category === 'attn_qk_norm') {
+        return {
+          x: qkvBaseX,
+          y: layerHeight + 0.2,
+          z: layerZ + STAGE_QKV + BLOCK_DEPTH + 0.3,
+          width: d.qkvTotalWidth,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
+
+      // ── Stages 1–2 of recurrent layers: SSM ──
+      if (category.startsWith('ssm_')) {
+        const ssmCenter = attentionLayers.has(layerIdx)
+          ? centerX + d.qkvTotalWidth / 2 + COMPONENT_GAP + d.ssmWidth / 2
+          : centerX;
+        const ssmX = ssmCenter - d.ssmWidth / 2;
+        switch (category) {
+          case 'ssm_in':
+            return {
+              x: ssmX,
+              y: 0,
+              z: layerZ + STAGE_QKV,
+              width: d.ssmWidth,
+              height: layerHeight,
+              depth: BLOCK_DEPTH,
+            };
+          // The conv is a few taps per channel — a thin plate
+          case 'ssm_conv':
+            return {
+              x: ssmX,
+              y: 0,
+              z: layerZ + STAGE_QKV + SSM_STEP,
+              width: d.ssmWidth,
+              height: layerHeight * 0.3,
+              depth: BLOCK_DEPTH * 0.5,
+            };
+          case 'ssm_x':
+          case 'ssm_dt': {
+            const half = d.ssmWidth / 2 - COMPONENT_GAP / 2;
+            return {
+              x: category === 'ssm_x' ? ssmX : ssmX + half + COMPONENT_GAP,
+              y: 0,
+              z: layerZ + STAGE_QKV + SSM_STEP * 2,
+              width: half,
+              height: layerHeight * 0.5,
+              depth: BLOCK_DEPTH,
+            };
+          }
+          // A, D and the norms — thin bars over the scan
+          case 'ssm_state':
+          case 'ssm_norm':
+            return {
+              x: ssmX,
+              y: layerHeight + 0.2,
+              z: layerZ + STAGE_QKV + SSM_STEP * (category === 'ssm_state' ? 2 : 3),
+              width: d.ssmWidth,
+              height: 0.15,
+              depth: BLOCK_DEPTH * 0.5,
+            };
+          case 'ssm_out':
+            return {
+              x: ssmCenter - d.attnOutWidth / 2,
+              y: 0,
+              z: layerZ + STAGE_ATTN_OUT,
+              width: d.attnOutWidth,
+              height: layerHeight,
+              depth: BLOCK_DEPTH,
+            };
+        }
+      }
+
+      // ── Stages 1–2 of recurrent layers: RWKV time mixing ──
+      // Token-shift and decay vectors — thin bar between the norm and the projections
+      if (category === 'rwkv_param') {
+        return {
+          x: centerX - d.qkvTotalWidth / 2,
+          y: layerHeight + 0.2,
+          z: layerZ + STAGE_ATTN_NORM + BLOCK_DEPTH,
+          width: d.qkvTotalWidth,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
+      // Low-rank adapters — short, like MLA's down projections
+      if (category === 'time_mix_lora') {
+        return {
+          x: centerX - d.qkvTotalWidth / 2,
+          y: 0,
+          z: layerZ + STAGE_QKV,
+          width: d.qkvTotalWidth,
+          height: layerHeight * 0.35,
+          depth: BLOCK_DEPTH,
+        };
+      }
+      // Receptance, key, value, gate side by side behind them
+      if (TIME_MIX_SLOTS.includes(category)) {
+        const slotWidth = d.attnQWidth / 2;
+        const rowWidth = slotWidth * 4 + COMPONENT_GAP * 3;
+        return {
+          x: centerX - rowWidth / 2 + TIME_MIX_SLOTS.indexOf(category) * (slotWidth + COMPONENT_GAP),
+          y: 0,
+          z: layerZ + STAGE_QKV + MLA_UP_OFFSET,
+          width: slotWidth,
+          height: layerHeight,
+          depth: BLOCK_DEPTH,
+        };
+      }
+      if (category === 'time_mix_norm') {
+        return {
+          x: centerX - d.attnOutWidth,
+          y: layerHeight + 0.2,
+          z: layerZ + STAGE_ATTN_OUT - 1.0,
+          width: d.attnOutWidth * 2,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
+      if (category === 'time_mix_out') {
+        return {
+          x: centerX - d.attnOutWidth / 2,
+          y: 0,
+          z: layerZ + STAGE_ATTN_OUT,
+          width: d.attnOutWidth,
+          height: layerHeight,
           depth: BLOCK_DEPTH,
         };
       }
@@ -655,11 +1430,59 @@ function computeLayout(archInfo, tensorAllocs) {
       // ── Stage 2: Attention Output (centered) ──
       if (category === 'attn_out' || category === 'attn_other') {
         return {
-          x: centerX - attnOutWidth / 2,
+          x: centerX - d.attnOutWidth / 2,
           y: 0,
           z: layerZ + STAGE_ATTN_OUT,
-          width: attnOutWidth,
-          height: layerHeight,
+          width: d.attnOutWidth,
+          height: d.attnHeight,
+          depth: BLOCK_DEPTH,
+        };
+      }
+
+      // Post-attention norm (or layer scale) — thin bar behind the output projection
+      const isPost = category === 'post_norm' || category === 'layer_scale';
+      if (isPost && role !== 'ffn_post_norm') {
+        return {
+          x: centerX - d.attnOutWidth,
+          y: layerHeight + 0.2,
+          z: layerZ + STAGE_ATTN_OUT + BLOCK_DEPTH + 0.6,
+          width: d.attnOutWidth * 2,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
+
+      // ── Cross-attention: the attention stages again, after self-attention ──
+      const crossZ = layerZ + CROSS_ATTN_SPAN;
+      if (category === 'cross_attn_norm') {
+        return {
+          x: centerX - d.qkvTotalWidth / 2,
+          y: layerHeight + 0.2,
+          z: crossZ + STAGE_ATTN_NORM,
+          width: d.qkvTotalWidth,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
+      if (category === 'cross_attn_q' || category === 'cross_attn_k' || category === 'cross_attn_v') {
+        const isQ = category === 'cross_attn_q';
+        const isK = category === 'cross_attn_k';
+        return {
+          x: qkvBaseX + (isQ ? 0 : d.attnQWidth + COMPONENT_GAP + (isK ? 0 : d.attnKWidth + COMPONENT_GAP)),
+          y: 0,
+          z: crossZ + STAGE_QKV,
+          width: isQ ? d.attnQWidth : isK ? d.attnKWidth : d.attnVWidth,
+          height: d.attnHeight * (isQ ? 1 : 0.7),
+          depth: BLOCK_DEPTH,
+        };
+      }
+      if (category === 'cross_attn_out') {
+        return {
+          x: centerX - d.attnOutWidth / 2,
+          y: 0,
+          z: crossZ + STAGE_ATTN_OUT,
+          width: d.attnOutWidth,
+          height: d.attnHeight,
           depth: BLOCK_DEPTH,
         };
       }
@@ -667,10 +1490,22 @@ function computeLayout(archInfo, tensorAllocs) {
       // ── Stage 3: Pre-FFN Norm (thin bar) ──
       if (category === 'ffn_norm') {
         return {
-          x: centerX - ffnTotalWidth / 2,
+          x: centerX - d.ffnTotalWidth / 2,
           y: layerHeight + 0.2,
-          z: layerZ + STAGE_FFN_NORM,
-          width: ffnTotalWidth,
+          z: ffnZ + STAGE_FFN_NORM,
+          width: d.ffnTotalWidth,
+          height: 0.15,
+          depth: BLOCK_DEPTH * 0.5,
+        };
+      }
+
+      // Post-FFN norm (or layer scale) — thin bar behind the down projection
+      if (isPost) {
+        return {
+          x: centerX - d.ffnTotalWidth / 2,
+          y: layerHeight + 0.2,
+          z: ffnZ + STAGE_FFN_DOWN + BLOCK_DEPTH + 0.1,
+          width: d.ffnTotalWidth,
           height: 0.15,
           depth: BLOCK_DEPTH * 0.5,
         };
@@ -678,37 +1513,68 @@ function computeLayout(archInfo, tensorAllocs) {
 
       // ── Stage 4 & 5: FFN / MoE ──
 
+      // RWKV channel mixing has the FFN's shape: key up, receptance as
+      // the gate beside it, value down
+      if (CHANNEL_MIX_AS_FFN[category]) category = CHANNEL_MIX_AS_FFN[category];
+
+      // Shared experts — one column beside the routed experts
+      if (category === 'shexp_gate' || category === 'shexp_up' || category === 'shexp_down') {
+        const sharedWidth = Math.max(2, d.ffnMult) * HEAD_WIDTH;
+        const sharedX = centerX + d.ffnTotalWidth / 2 + COMPONENT_GAP;
+        const isDown = category === 'shexp_down';
+        return {
+          x: sharedX + (category === 'shexp_up' ? sharedWidth / 2 : 0),
+          y: 0,
+          z: ffnZ + (isDown ? STAGE_FFN_DOWN : STAGE_FFN_GATE_UP),
+          width: isDown ? sharedWidth : sharedWidth / 2,
+          height: layerHeight,
+          depth: BLOCK_DEPTH,
+        };
+      }
+
       // MoE layout
-      if (isMoE && experts > 1) {
+      if (d.moe && experts > 1) {
         // MoE router — thin bar spanning all experts
         if (category === 'moe_gate') {
           return {
-            x: centerX - ffnTotalWidth / 2,
+            x: centerX - d.ffnTotalWidth / 2,
             y: layerHeight + 0.5,
-            z: layerZ + STAGE_FFN_GATE_UP - 1.0,
-            width: ffnTotalWidth,
+            z: ffnZ + STAGE_FFN_GATE_UP - 1.0,
+            width: d.ffnTotalWidth,
             height: 0.3,
             depth: BLOCK_DEPTH * 0.5,
           };
         }
 
-        // Packed expert tensors — span all experts
+        // Packed expert tensors are split per expert (splitPackedExperts);
+        // one without an expert dimension spans all experts, gate in front of up
+        if (expertIdx >= 0 && PACKED_EXPERT_AS_FFN[category]) category = PACKED_EXPERT_AS_FFN[category];
+        if (category === 'moe_expert_gate') {
+          return {
+            x: centerX - d.ffnTotalWidth / 2,
+            y: 0,
+            z: ffnZ + STAGE_FFN_GATE_UP,
+            width: d.ffnTotalWidth,
+            height: layerHeight,
+            depth: BLOCK_DEPTH,
+          };
+        }
         if (category === 'moe_up') {
           return {
-            x: centerX - ffnTotalWidth / 2,
+            x: centerX - d.ffnTotalWidth / 2,
             y: 0,
-            z: layerZ + STAGE_FFN_GATE_UP,
-            width: ffnTotalWidth,
+            z: ffnZ + STAGE_FFN_GATE_UP + BLOCK_DEPTH + 0.3,
+            width: d.ffnTotalWidth,
             height: layerHeight,
             depth: BLOCK_DEPTH,
           };
         }
         if (category === 'moe_down') {
           return {
-            x: centerX - ffnTotalWidth / 2,
+            x: centerX - d.ffnTotalWidth / 2,
             y: 0,
-            z: layerZ + STAGE_FFN_DOWN,
-            width: ffnTotalWidth,
+            z: ffnZ + STAGE_FFN_DOWN,
+            width: d.ffnTotalWidth,
             height: layerHeight,
             depth: BLOCK_DEPTH,
           };
@@ -716,8 +1582,8 @@ function computeLayout(archInfo, tensorAllocs) {
 
         // Individual expert tensors — positioned at expert column
         const eIdx = Math.max(0, expertIdx);
-        const expertWidth = ffnTotalWidth / experts - EXPERT_GAP;
-        const moeBaseX = centerX - ffnTotalWidth / 2;
+        const expertWidth = d.ffnTotalWidth / experts - EXPERT_GAP;
+        const moeBaseX = centerX - d.ffnTotalWidth / 2;
         const expertX = moeBaseX + eIdx * (expertWidth + EXPERT_GAP);
 
         const subWidth = expertWidth / 2;
@@ -725,7 +1591,7 @@ function computeLayout(archInfo, tensorAllocs) {
           return {
             x: expertX,
             y: 0,
-            z: layerZ + STAGE_FFN_GATE_UP,
+            z: ffnZ + STAGE_FFN_GATE_UP,
             width: subWidth,
             height: layerHeight,
             depth: BLOCK_DEPTH,
@@ -735,7 +1601,7 @@ function computeLayout(archInfo, tensorAllocs) {
           return {
             x: expertX + subWidth,
             y: 0,
-            z: layerZ + STAGE_FFN_GATE_UP,
+            z: ffnZ + STAGE_FFN_GATE_UP,
             width: subWidth,
             height: layerHeight,
             depth: BLOCK_DEPTH,
@@ -745,7 +1611,7 @@ function computeLayout(archInfo, tensorAllocs) {
           return {
             x: expertX,
             y: 0,
-            z: layerZ + STAGE_FFN_DOWN,
+            z: ffnZ + STAGE_FFN_DOWN,
             width: expertWidth,
             height: layerHeight,
             depth: BLOCK_DEPTH,
@@ -754,8 +1620,8 @@ function computeLayout(archInfo, tensorAllocs) {
       }
 
       // Dense FFN layout (centered)
-      const ffnSubWidth = ffnTotalWidth / 3 - COMPONENT_GAP * 0.3;
-      const ffnH = layerHeight * Math.min(ffnMult / 4, 1.5);
+      const ffnSubWidth = d.ffnTotalWidth / 3 - COMPONENT_GAP * 0.3;
+      const ffnH = layerHeight * Math.min(d.ffnMult / 4, 1.5);
 
       // Gate + Up side by side at FFN_GATE_UP stage (centered)
       if (category === 'ffn_gate') {
@@ -763,7 +1629,7 @@ function computeLayout(archInfo, tensorAllocs) {
         return {
           x: centerX - pairWidth / 2,
           y: 0,
-          z: layerZ + STAGE_FFN_GATE_UP,
+          z: ffnZ + STAGE_FFN_GATE_UP,
           width: ffnSubWidth,
           height: ffnH,
           depth: BLOCK_DEPTH,
@@ -774,7 +1640,7 @@ function computeLayout(archInfo, tensorAllocs) {
         return {
           x: centerX - pairWidth / 2 + ffnSubWidth + COMPONENT_GAP * 0.3,
           y: 0,
-          z: layerZ + STAGE_FFN_GATE_UP,
+          z: ffnZ + STAGE_FFN_GATE_UP,
           width: ffnSubWidth,
           height: ffnH,
           depth: BLOCK_DEPTH,
@@ -786,7 +1652,7 @@ function computeLayout(archInfo, tensorAllocs) {
         return {
           x: centerX - ffnSubWidth / 2,
           y: 0,
-          z: layerZ + STAGE_FFN_DOWN,
+          z: ffnZ + STAGE_FFN_DOWN,
           width: ffnSubWidth,
           height: ffnH,
           depth: BLOCK_DEPTH,
@@ -795,10 +1661,10 @@ function computeLayout(archInfo, tensorAllocs) {
 
       if (category === 'ffn_other') {
         return {
-          x: centerX - ffnTotalWidth / 2,
+          x: centerX - d.ffnTotalWidth / 2,
           y: 0,
-          z: layerZ + STAGE_FFN_GATE_UP,
-          width: ffnTotalWidth,
+          z: ffnZ + STAGE_FFN_GATE_UP,
+          width: d.ffnTotalWidth,
           height: layerHeight,
           depth: BLOCK_DEPTH,
         };
@@ -808,7 +1674,7 @@ function computeLayout(archInfo, tensorAllocs) {
       return {
         x: centerX - 3,
         y: -3,
-        z: layerIdx >= 0 ? layerZ + STAGE_QKV : layers * LAYER_SPACING + 3,
+        z: layerIdx >= 0 ? layerZ + STAGE_QKV : layers * layerSpacing + 3,
         width: 6,
         height: 1,
         depth: BLOCK_DEPTH,
@@ -823,21 +1689,24 @@ function computeLayout(archInfo, tensorAllocs) {
  * Compute per-component bounding boxes so each visible cluster of dots
  * (Q, K, V, FFN gate, embedding, output, …) gets its own tight box.
  *
- * Boxes are grouped by (layerIdx, category) to deduplicate regions that
- * share the same spatial area. Each entry also carries an RGB color
- * matching the tensor type palette.
+ * Boxes are grouped by (tower, layerIdx, category, expertIdx) to
+ * deduplicate regions that share the same spatial area; each MoE expert
+ * gets its own. Each entry also carries an RGB color matching the tensor
+ * type palette.
  *
  * @param {Array} tensorRegions - Region metadata from generatePointCloud
- * @returns {Array<{layerIdx: number, category: string, color: number[], min: number[], max: number[]}>}
+ * @returns {Array<{layerIdx: number, expertIdx: number, tower: string|null, category: string, color: number[], min: number[], max: number[]}>}
  */
 export function computeLayerBounds(tensorRegions) {
   const groups = new Map();
 
   for (const region of tensorRegions) {
-    const key = `${region.layerIdx}:${region.category}`;
+    const key = `${region.tower || ''}:${region.layerIdx}:${region.category}:${region.expertIdx}`;
     if (!groups.has(key)) {
       groups.set(key, {
         layerIdx: region.layerIdx,
+        expertIdx: region.expertIdx,
+        tower: region.tower || null,
         category: region.category,
         minX: Infinity, minY: Infinity, minZ: Infinity,
         maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity,
@@ -859,6 +1728,8 @@ export function computeLayerBounds(tensorRegions) {
     const color = TENSOR_COLORS[b.category] || TENSOR_COLORS.other;
     bounds.push({
       layerIdx: b.layerIdx,
+      expertIdx: b.expertIdx,
+      tower: b.tower,
       category: b.category,
       color,
       min: [b.minX - pad, b.minY - pad, b.minZ - pad],
@@ -0,0 +1,151 @@
+/**
+ * Quantization Mix
+ * Breaks a model's tensors down by ggml type — per layer, per tensor
+ * category and overall — with the effective bits per weight of each
+ * group. llama.cpp's presets (Q4_K_M, IQ3_M, ...) don't quantize every
+ * tensor the same way; the mix of types they leave behind is used to guess
+ * which preset produced the file and to check `general.file_type`.
+ */
+
+import { GGMLType, GGMLTypeName, FILE_TYPE_NAMES, classifyTensor } from './gguf-parser.js';
+
+const T = GGMLType;
+
+// Presets named after the only type they use for the bulk of the weights
+const SINGLE_TYPE_PRESETS = {
+  [T.F32]: 'F32', [T.F16]: 'F16', [T.BF16]: 'BF16',
+  [T.Q4_0]: 'Q4_0', [T.Q5_0]: 'Q5_0', [T.Q5_1]: 'Q5_1',
+  [T.Q8_0]: 'Q8_0', [T.Q6_K]: 'Q6_K',
+  [T.IQ2_XXS]: 'IQ2_XXS', [T.IQ3_XXS]: 'IQ3_XXS', [T.IQ1_S]: 'IQ1_S', [T.IQ1_M]: 'IQ1_M',
+  [T.IQ4_NL]: 'IQ4_NL', [T.IQ4_XS]: 'IQ4_XS',
+  [T.TQ1_0]: 'TQ1_0', [T.TQ2_0]: 'TQ2_0', [T.MXFP4]: 'MXFP4_MOE',
+};
+
+// Tensors llama.cpp gives extra bits to in the mixed presets
+const ATTN_V_RE = /\.attn_v\.weight$|\.attn_qkv\.weight$/;
+const FFN_DOWN_RE = /\.ffn_down(?:_exps)?\.weight$/;
+
+function newGroup() {
+  return { tensors: 0, params: 0, bytes: 0, bpw: 0, types: new Map() };
+}
+
+function addToGroup(group, tensor) {
+  group.tensors++;
+  group.params += tensor.numElements;
+  group.bytes += tensor.dataSize;
+  let entry = group.types.get(tensor.type);
+  if (!entry) group.types.set(tensor.type, entry = { tensors: 0, params: 0, bytes: 0 });
+  entry.tensors++;
+  entry.params += tensor.numElements;
+  entry.bytes += tensor.dataSize;
+}
+
+function finishGroup(group) {
+  group.bpw = group.params ? group.bytes * 8 / group.params : 0;
+  return group;
+}
+
+// The type holding the most parameters in a group
+function dominantType(group) {
+  let best = null;
+  for (const [type, entry] of group.types) {
+    if (best === null || entry.params > group.types.get(best).params) best = type;
+  }
+  return best;
+}
+
+/**
+ * Presets that could have produced the mix, most likely first. Follows the
+ * type choices of llama_tensor_get_type() in llama.cpp: the preset's base
+ * type covers most matrices, and the mixed presets bump attn_v and
+ * ffn_down (in some or all layers) to a larger type.
+ *
+ * @param {number} base - dominant type of the repeating layers' matrices
+ * @param {Set<number>} bumped - types found in attn_v and ffn_down
+ * @param {number|null} ffnDown - dominant type of ffn_down
+ * @returns {string[]}
+ */
+function presetCandidates(base, bumped, ffnDown) {
+  if (SINGLE_TYPE_PRESETS[base]) return [SINGLE_TYPE_PRESETS[base]];
+  switch (base) {
+    case T.Q4_1: return ['Q4_1', 'Q4_1_F16'];
+    case T.Q5_K: return bumped.has(T.Q6_K) ? ['Q5_K_M'] : ['Q5_K_S'];
+    case T.Q4_K: return bumped.has(T.Q6_K) ? ['Q4_K_M'] : ['Q4_K_S'];
+    case T.Q3_K:
+      if (ffnDown === T.Q5_K) return ['Q3_K_L'];
+      return bumped.has(T.Q4_K) || bumped.has(T.Q5_K) ? ['Q3_K_M'] : ['Q3_K_S'];
+    case T.Q2_K: return ffnDown === T.Q2_K ? ['Q2_K_S', 'Q2_K'] : ['Q2_K', 'Q2_K_S'];
+    case T.IQ2_XS: return ['IQ2_XS', 'IQ2_S'];
+    case T.IQ2_S: return ['IQ2_M'];
+    case T.IQ3_S:
+      if (bumped.has(T.Q4_K)) return ['IQ3_M', 'IQ3_S', 'IQ3_XS'];
+      if (bumped.has(T.IQ3_XXS)) return ['IQ3_XS', 'IQ3_S', 'IQ3_M'];
+      return ['IQ3_S', 'IQ3_XS', 'IQ3_M'];
+    default: return [];
+  }
+}
+
+/**
+ * @param {Object} header - { metadata, tensors } from the parser
+ * @returns {{
+ *   total: Object, layers: Object[], categories: Object[], baseType: number|null,
+ *   preset: string|null, candidates: string[],
+ *   fileType: string|null, mismatch: boolean
+ * }}
+ *   Groups are { tensors, params, bytes, bpw, types: Map<ggmlType, { tensors, params, bytes }> };
+ *   layers also carry layerIdx (-1 collects embeddings, output and other
+ *   tensors outside the repeating blocks) and tower ('encoder' for the
+ *   encoder layers of encoder–decoder models, listed before the decoder's),
+ *   and categories their category.
+ *   `baseType` is the type of most of the repeating layers' matrices.
+ *   `fileType` is the preset named by general.file_type, if any, and
+ *   `mismatch` is set when it isn't one of the candidates.
+ */
+export function analyzeQuantMix(header) {
+  const { metadata, tensors } = header;
+  const total = newGroup();
+  const layers = new Map();
+  const categories = new Map();
+  const matrices = newGroup();  // 2D+ tensors of the repeating layers
+  const bumped = newGroup();    // attn_v and ffn_down
+  const ffnDown = newGroup();
+
+  for (const t of tensors) {
+    const cls = classifyTensor(t.name, metadata['general.architecture']);
+    const { category, layerIdx } = cls;
+    const tower = layerIdx >= 0 ? cls.tower : null;
+    const key = `${tower || ''}:${layerIdx}`;
+    addToGroup(total, t);
+    if (!layers.has(key)) layers.set(key, { layerIdx, tower, ...newGroup() });
+    addToGroup(layers.get(key), t);
+    if (!categories.has(category)) categories.set(category, { category, ...newGroup() });
+    addToGroup(categories.get(category), t);
+
+    // Norms and biases stay F32 in every preset; they say nothing about it
+    if (layerIdx < 0 || t.dims.filter(d => d > 1).length < 2) continue;
+    addToGroup(matrices, t);
+    if (ATTN_V_RE.test(t.name) || FFN_DOWN_RE.test(t.name)) addToGroup(bumped, t);
+    if (FFN_DOWN_RE.test(t.name)) addToGroup(ffnDown, t);
+  }
+
+  const base = dominantType(matrices);
+  const candidates = base === null ? [] : presetCandidates(base, new Set(bumped.types.keys()), dominantType(ffnDown));
+  const fileType = FILE_TYPE_NAMES[metadata['general.file_type']] ?? null;
+
+  return {
+    total: finishGroup(total),
+    layers: [...layers.values()].map(finishGroup).sort((a, b) =>
+      (a.layerIdx >= 0) - (b.layerIdx >= 0) || (b.tower === 'encoder') - (a.tower === 'encoder') || a.layerIdx - b.layerIdx),
+    categories: [...categories.values()].map(finishGroup).sort((a, b) => b.bytes - a.bytes),
+    baseType: base,
+    preset: candidates[0] ?? null,
+    candidates,
+    fileType,
+    mismatch: fileType !== null && candidates.length > 0 && !candidates.includes(fileType),
+  };
+}
+
+// Display name of a ggml type id
+export function typeName(type) {
+  return GGMLTypeName[type] || `type ${type}`;
+}
@@ -7,9 +7,11 @@
 
 import * as THREE from 'three';
 
-// Custom vertex shader: point size scales with distance + per-vertex color
+// Custom vertex shader: point size scales with distance and a per-vertex
+// factor (weight magnitude, or 1) + per-vertex color
 const vertexShader = `
   attribute vec3 customColor;
+  attribute float pointScale;
   varying vec3 vColor;
   varying float vAlpha;
   uniform float uPointSize;
@@ -19,27 +21,33 @@ const vertexShader = `
     vColor = customColor;
     vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
     float dist = -mvPosition.z;
-    gl_PointSize = uPointSize * uPixelRatio * (80.0 / max(dist, 1.0));
+    gl_PointSize = uPointSize * pointScale * uPixelRatio * (80.0 / max(dist, 1.0));
     gl_PointSize = clamp(gl_PointSize, 0.5, 32.0);
     vAlpha = smoothstep(500.0, 50.0, dist);
     gl_Position = projectionMatrix * mvPosition;
   }
 `;
 
-// Custom fragment shader: circular points with soft edges
+// Custom fragment shader: circular points with soft edges, dimmed by uDim
 const fragmentShader = `
   varying vec3 vColor;
   varying float vAlpha;
+  uniform float uDim;
 
   void main() {
     vec2 center = gl_PointCoord - vec2(0.5);
     float dist = length(center);
     if (dist > 0.5) discard;
     float alpha = smoothstep(0.5, 0.2, dist) * (0.6 + 0.4 * vAlpha);
-    gl_FragColor = vec4(vColor, alpha);
+    gl_FragColor = vec4(vColor * uDim, alpha);
   }
 `;
 
+// Outlier highlighting: brightness left to the rest of the cloud, and the
+// size of the outlier points relative to the others
+const OUTLIER_DIM = 0.2;
+const OUTLIER_SCALE = 5.0;
+
 // ─── FPS Camera Controller ──────────────────────────────────────────
 
 class FlyControls {
@@ -172,10 +180,16 @@ export class ModelRenderer {
     this.container = container;
     this.tensorRegions = [];
     this.pointCloud = null;
+    this.maxPointScale = 1;      // Largest per-point size factor, for hover picking
+    this.outlierPoints = null;   // Bright overlay of outliers; the cloud is dimmed while it's shown
     this.connectionLines = null;
     this.layerBoxes = [];        // Array of THREE.Group (fill + edges per layer)
     this.layerBoxMode = 'disabled';  // 'disabled' | 'hover' | 'always'
+    this._layerBounds = [];
+    this.offloadBoxes = [];      // One wireframe per layer placed on the GPU by the memory planner
+    this._offload = null;        // { layers: Set<number>, output: boolean }
     this._highlightedLayer = -1;
+    this._highlightedTower = null;
     this.clock = new THREE.Clock();
 
     this._initScene();
@@ -233,8 +247,9 @@ export class ModelRenderer {
    * @param {Float32Array} positions - xyz positions (length = N*3)
    * @param {Float32Array} colors - rgb colors (length = N*3)
    * @param {Array} tensorRegions - Metadata about tensor regions
+   * @param {Float32Array} [sizes] - per-point size factors (length = N); all 1 when omitted
    */
-  setPointCloud(positions, colors, tensorRegions) {
+  setPointCloud(positions, colors, tensorRegions, sizes) {
     // Remove old point cloud
     if (this.pointCloud) {
       this.scene.remove(this.pointCloud);
@@ -252,29 +267,73 @@ export class ModelRenderer {
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
     geometry.setAttribute('customColor', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('pointScale', new THREE.Float32BufferAttribute(sizes || new Float32Array(pointCount).fill(1), 1));
+    this.maxPointScale = sizes ? sizes.reduce((m, v) => Math.max(m, v), 1) : 1;
 
     // Compute bounding box for camera fit
     geometry.computeBoundingBox();
     geometry.computeBoundingSphere();
 
-    // Create material
-    const material = new THREE.ShaderMaterial({
+    const material = this._pointMaterial(this.outlierPoints ? OUTLIER_DIM : 1);
+    this.pointCloud = new THREE.Points(geometry, material);
+    this.scene.add(this.pointCloud);
+
+    // Fit camera to model
+    this._fitCamera(geometry.boundingBox, geometry.boundingSphere);
+  }
+
+  _pointMaterial(dim) {
+    return new THREE.ShaderMaterial({
       vertexShader,
       fragmentShader,
       uniforms: {
         uPointSize: { value: this.pointSize },
         uPixelRatio: { value: this.renderer.getPixelRatio() },
+        uDim: { value: dim },
       },
       transparent: true,
       depthWrite: false,
       blending: THREE.AdditiveBlending,
     });
+  }
 
-    this.pointCloud = new THREE.Points(geometry, material);
-    this.scene.add(this.pointCloud);
+  /**
+   * Draw outliers as bright, enlarged points and dim the rest of the cloud;
+   * null (or no points) removes them and restores the cloud.
+   * @param {Float32Array|null} positions - xyz positions (length = N*3)
+   * @param {Float32Array} [colors] - rgb colors (length = N*3)
+   */
+  setOutliers(positions, colors) {
+    if (this.outlierPoints) {
+      this.scene.remove(this.outlierPoints);
+      this.outlierPoints.geometry.dispose();
+      this.outlierPoints.material.dispose();
+      this.outlierPoints = null;
+    }
 
-    // Fit camera to model
-    this._fitCamera(geometry.boundingBox, geometry.boundingSphere);
+    const count = positions ? positions.length / 3 : 0;
+    if (this.pointCloud) this.pointCloud.material.uniforms.uDim.value = count > 0 ? OUTLIER_DIM : 1;
+    if (count === 0) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('customColor', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('pointScale', new THREE.Float32BufferAttribute(new Float32Array(count).fill(OUTLIER_SCALE), 1));
+    this.outlierPoints = new THREE.Points(geometry, this._pointMaterial(1));
+    this.scene.add(this.outlierPoints);
+  }
+
+  /**
+   * Move the camera close to a point, looking at it along the data flow.
+   */
+  flyTo(x, y, z) {
+    const target = new THREE.Vector3(x, y, z);
+    this.camera.position.set(x + 2, y + 1.5, z - 5);
+    this.camera.lookAt(target);
+
+    const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.controls.yaw = euler.y;
+    this.controls.pitch = euler.x;
   }
 
   /**
@@ -334,10 +393,11 @@ export class ModelRenderer {
    * Each tensor component (Q, K, V, FFN gate, embedding, …) gets its own
    * tightly fitting box colored by tensor type.
    *
-   * @param {Array<{layerIdx: number, category: string, color: number[], min: number[], max: number[]}>} layerBounds
+   * @param {Array<{layerIdx: number, tower: string|null, category: string, color: number[], min: number[], max: number[]}>} layerBounds
    */
   setLayerBoxes(layerBounds) {
     this._clearLayerBoxes();
+    this._layerBounds = layerBounds;
 
     for (const bound of layerBounds) {
       const sizeX = bound.max[0] - bound.min[0];
@@ -380,13 +440,14 @@ export class ModelRenderer {
         bound.min[2] + sizeZ / 2,
       );
       group.visible = false;
-      group.userData = { layerIdx: bound.layerIdx, category: bound.category };
+      group.userData = { layerIdx: bound.layerIdx, tower: bound.tower, category: bound.category };
 
       this.scene.add(group);
       this.layerBoxes.push(group);
     }
 
     this._applyLayerBoxMode();
+    this._buildOffloadBoxes();
   }
 
   /**
@@ -400,39 +461,100 @@ export class ModelRenderer {
 
   /**
    * Highlight a specific layer's bounding box (for hover mode).
-   * Pass -1 to unhighlight all.
+   * Pass -1 to unhighlight all. `tower` picks the layer of a model placed
+   * beside the main one (see placeBeside in point-cloud.js).
    */
-  highlightLayer(layerIdx) {
-    if (this._highlightedLayer === layerIdx) return;
+  highlightLayer(layerIdx, tower = null) {
+    if (this._highlightedLayer === layerIdx && this._highlightedTower === tower) return;
     this._highlightedLayer = layerIdx;
+    this._highlightedTower = tower;
 
     if (this.layerBoxMode !== 'hover') return;
 
     for (const box of this.layerBoxes) {
-      box.visible = box.userData.layerIdx === layerIdx;
+      box.visible = this._isHighlighted(box);
     }
   }
 
+  _isHighlighted(box) {
+    return box.userData.layerIdx === this._highlightedLayer && box.userData.tower === this._highlightedTower;
+  }
+
   _applyLayerBoxMode() {
     for (const box of this.layerBoxes) {
       if (this.layerBoxMode === 'always') {
         box.visible = true;
       } else if (this.layerBoxMode === 'hover') {
-        box.visible = box.userData.layerIdx === this._highlightedLayer;
+        box.visible = this._isHighlighted(box);
       } else {
         box.visible = false;
       }
     }
   }
 
-  _clearLayerBoxes() {
-    for (const box of this.layerBoxes) {
+  /**
+   * Outline the layers the memory planner offloads to the GPU, one box
+   * around all tensors of each layer. Pass null to remove the outlines.
+   *
+   * @param {Set<number>|null} layers - repeating layer indices on the GPU
+   * @param {boolean} [output] - whether the output layer is on the GPU too
+   */
+  setOffloadedLayers(layers, output = false) {
+    this._offload = layers ? { layers, output } : null;
+    this._buildOffloadBoxes();
+  }
+
+  _buildOffloadBoxes() {
+    this._clearBoxes(this.offloadBoxes);
+    this.offloadBoxes = [];
+    if (!this._offload) return;
+    const { layers, output } = this._offload;
+
+    // Merge each layer's per-component bounds; the output layer is output + output_norm
+    const merged = new Map();
+    for (const bound of this._layerBounds) {
+      // The planner covers the main model; an encoder's layers go with the
+      // decoder's layers of the same index
+      if (bound.tower && (bound.tower !== 'encoder' || bound.layerIdx < 0)) continue;
+      const isOutput = bound.category === 'output' || bound.category === 'output_norm';
+      const key = isOutput ? 'output' : `${bound.tower || ''}:${bound.layerIdx}`;
+      if (isOutput ? !output : !layers.has(bound.layerIdx)) continue;
+      const box = merged.get(key);
+      if (!box) {
+        merged.set(key, { min: [...bound.min], max: [...bound.max] });
+      } else {
+        for (let i = 0; i < 3; i++) {
+          box.min[i] = Math.min(box.min[i], bound.min[i]);
+          box.max[i] = Math.max(box.max[i], bound.max[i]);
+        }
+      }
+    }
+
+    for (const { min, max } of merged.values()) {
+      const geometry = new THREE.BoxGeometry(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+      const edges = new THREE.LineSegments(
+        new THREE.EdgesGeometry(geometry),
+        new THREE.LineBasicMaterial({ color: 0x44dd88, transparent: true, opacity: 0.6 }),
+      );
+      geometry.dispose();
+      edges.position.set((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+      this.scene.add(edges);
+      this.offloadBoxes.push(edges);
+    }
+  }
+
+  _clearBoxes(boxes) {
+    for (const box of boxes) {
       this.scene.remove(box);
       box.traverse(child => {
         if (child.geometry) child.geometry.dispose();
         if (child.material) child.material.dispose();
       });
     }
+  }
+
+  _clearLayerBoxes() {
+    this._clearBoxes(this.layerBoxes);
     this.layerBoxes = [];
   }
 
@@ -451,8 +573,8 @@ export class ModelRenderer {
    */
   setPointSize(size) {
     this.pointSize = size;
-    if (this.pointCloud) {
-      this.pointCloud.material.uniforms.uPointSize.value = size;
+    for (const points of [this.pointCloud, this.outlierPoints]) {
+      if (points) points.material.uniforms.uPointSize.value = size;
     }
   }
 
@@ -504,13 +626,17 @@ export class ModelRenderer {
       -((screenY - rect.top) / rect.height) * 2 + 1
     );
 
+    // Points are picked within their own size: cast wide enough for the
+    // largest, then keep the nearest point the ray actually passes over
     const raycaster = new THREE.Raycaster();
-    raycaster.params.Points.threshold = 0.5;
+    raycaster.params.Points.threshold = 0.5 * this.maxPointScale;
     raycaster.setFromCamera(ndc, this.camera);
 
-    const intersects = raycaster.intersectObject(this.pointCloud);
-    if (intersects.length > 0) {
-      const idx = intersects[0].index;
+    const scales = this.pointCloud.geometry.getAttribute('pointScale').array;
+    const hit = raycaster.intersectObject(this.pointCloud)
+      .find(i => i.distanceToRay <= 0.5 * scales[i.index]);
+    if (hit) {
+      const idx = hit.index;
       for (const tr of this.tensorRegions) {
         if (idx >= tr.startIdx && idx < tr.endIdx) {
           return tr;
@@ -546,7 +672,9 @@ export class ModelRenderer {
       this.connectionLines.geometry.dispose();
       this.connectionLines.material.dispose();
     }
+    this.setOutliers(null);
     this._clearLayerBoxes();
+    this._clearBoxes(this.offloadBoxes);
     this.renderer.dispose();
     this.controls.dispose();
   }
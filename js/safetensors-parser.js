@@ -0,0 +1,257 @@
+/**
+ * Safetensors Parser
+ * Reads Hugging Face .safetensors checkpoints (single files or sharded sets
+ * with a model.safetensors.index.json) into the same header shape as the
+ * GGUF parser, so sampling, statistics, layout and colour modes work on
+ * them unchanged. Architecture fields come from a config.json dropped
+ * alongside the weights, translated to GGUF metadata keys.
+ */
+
+import { GGUFValueType, GGMLType, classifyTensor } from './gguf-parser.js';
+
+// The spec caps the JSON header at 100 MB
+const MAX_HEADER_SIZE = 100 * 1024 * 1024;
+
+// safetensors dtype -> ggml type (others keep only their dtype string)
+const DTYPE_TO_GGML = {
+  F64: GGMLType.F64, F32: GGMLType.F32, F16: GGMLType.F16, BF16: GGMLType.BF16,
+  I64: GGMLType.I64, I32: GGMLType.I32, I16: GGMLType.I16, I8: GGMLType.I8,
+};
+
+// Byte size per element, for dtypes without a ggml equivalent too
+const DTYPE_SIZE = {
+  F64: 8, F32: 4, F16: 2, BF16: 2, F8_E4M3: 1, F8_E5M2: 1,
+  I64: 8, I32: 4, I16: 2, I8: 1, U64: 8, U32: 4, U16: 2, U8: 1, BOOL: 1,
+};
+
+// general.file_type for checkpoints stored mostly in a float format
+const DTYPE_FILE_TYPE = { F32: 0, F16: 1, BF16: 32 };
+
+// HF config.json field(s) -> GGUF key (prefixed with the architecture)
+const CONFIG_KEYS = [
+  ['block_count', ['num_hidden_layers', 'n_layer', 'num_layers']],
+  ['context_length', ['max_position_embeddings', 'n_positions', 'seq_length']],
+  ['embedding_length', ['hidden_size', 'n_embd', 'd_model']],
+  ['feed_forward_length', ['intermediate_size', 'n_inner', 'ffn_dim']],
+  ['attention.head_count', ['num_attention_heads', 'n_head']],
+  ['attention.head_count_kv', ['num_key_value_heads', 'multi_query_group_num']],
+  ['attention.key_length', ['head_dim']],
+  ['attention.layer_norm_rms_epsilon', ['rms_norm_eps']],
+  ['attention.layer_norm_epsilon', ['layer_norm_eps', 'layer_norm_epsilon']],
+  ['expert_count', ['num_local_experts', 'num_experts', 'n_routed_experts']],
+  ['expert_used_count', ['num_experts_per_tok']],
+  ['expert_shared_count', ['n_shared_experts', 'num_shared_experts']],
+  ['expert_feed_forward_length', ['moe_intermediate_size']],
+  ['leading_dense_block_count', ['first_k_dense_replace']],
+  ['interleave_moe_layer_step', ['interleave_moe_layer_step']],
+  ['attn_logit_softcapping', ['attn_logit_softcapping']],
+  ['final_logit_softcapping', ['final_logit_softcapping']],
+  ['ssm.conv_kernel', ['conv_kernel', 'd_conv', 'mamba_d_conv']],
+  ['ssm.state_size', ['state_size', 'd_state', 'mamba_d_state']],
+  ['vocab_size', ['vocab_size']],
+  ['rope.freq_base', ['rope_theta']],
+];
+
+// Keys GGUF stores as floats
+const FLOAT_KEYS = ['rope.freq_base', 'rope.scaling.factor', 'layer_norm_rms_epsilon', 'layer_norm_epsilon', 'softcapping'];
+
+/**
+ * True for the files parseSafetensorsFiles() takes: weights, the shard
+ * index and config.json.
+ */
+export function isSafetensorsFile(name) {
+  return /\.safetensors$/i.test(name) || /\.json$/i.test(name);
+}
+
+/**
+ * Parse one .safetensors file: an 8-byte little-endian header length, a
+ * JSON header mapping tensor names to { dtype, shape, data_offsets }, then
+ * the raw tensor data.
+ *
+ * @param {File} file
+ * @returns {Promise<{ metadata: Object, tensors: Array, tensorDataOffset: number, alignment: number }>}
+ *   metadata holds the header's __metadata__ strings; tensor dims are in
+ *   GGUF order (innermost first)
+ */
+export async function parseSafetensorsHeader(file) {
+  if (file.size < 8) throw new Error(`${file.name} is too small to be a safetensors file`);
+  const lenView = new DataView(await file.slice(0, 8).arrayBuffer());
+  const headerSize = Number(lenView.getBigUint64(0, true));
+  if (headerSize === 0 || headerSize > MAX_HEADER_SIZE || 8 + headerSize > file.size) {
+    throw new Error(`${file.name} is not a safetensors file (header length ${headerSize})`);
+  }
+
+  let json;
+  try {
+    json = JSON.parse(await file.slice(8, 8 + headerSize).text());
+  } catch (e) {
+    throw new Error(`${file.name}: invalid safetensors header: ${e.message}`);
+  }
+
+  const tensors = [];
+  for (const [name, info] of Object.entries(json)) {
+    if (name === '__metadata__') continue;
+    const { dtype, shape, data_offsets: [begin, end] } = info;
+    const numElements = shape.reduce((a, b) => a * b, 1);
+    if (DTYPE_SIZE[dtype] && (end - begin) !== numElements * DTYPE_SIZE[dtype]) {
+      throw new Error(`${file.name}: ${name} is ${end - begin} bytes but ${dtype}[${shape.join(', ')}] needs ${numElements * DTYPE_SIZE[dtype]}`);
+    }
+    tensors.push({
+      name,
+      dims: [...shape].reverse(),
+      type: DTYPE_TO_GGML[dtype],
+      dtype,
+      offset: begin,
+      numElements,
+      dataSize: end - begin,
+    });
+  }
+  tensors.sort((a, b) => a.offset - b.offset);
+
+  return {
+    metadata: { ...json.__metadata__ },
+    tensors,
+    tensorDataOffset: 8 + headerSize,
+    alignment: 1,
+  };
+}
+
+/**
+ * Parse a safetensors checkpoint from the dropped files: one or more
+ * .safetensors files, optionally a model.safetensors.index.json naming the
+ * shards and a config.json describing the architecture. Other JSON files
+ * (tokenizer, generation config) are ignored.
+ *
+ * onProgress receives (phase, current, total, shardIdx, shardCount).
+ * Returns the same shape as parseGGUFShards() with format: 'safetensors'
+ * and version: null. missingShards lists the file names from the index
+ * that were not supplied.
+ */
+export async function parseSafetensorsFiles(files, onProgress) {
+  const weights = files.filter(f => /\.safetensors$/i.test(f.name));
+  const indexFile = files.find(f => /\.index\.json$/i.test(f.name));
+  const configFile = files.find(f => f.name === 'config.json');
+
+  let expected = null;
+  if (indexFile) {
+    const index = JSON.parse(await indexFile.text());
+    if (!index.weight_map) throw new Error(`${indexFile.name} has no weight_map`);
+    expected = [...new Set(Object.values(index.weight_map))].sort();
+  }
+  if (weights.length === 0) {
+    throw new Error(expected
+      ? `Drop the weight files listed in ${indexFile.name} (${expected.join(', ')})`
+      : 'No .safetensors files found');
+  }
+
+  weights.sort((a, b) => a.name.localeCompare(b.name));
+  const shards = [];
+  for (let i = 0; i < weights.length; i++) {
+    const file = weights[i];
+    const header = await parseSafetensorsHeader(file);
+    shards.push({ ...header, file, splitNo: i });
+    if (onProgress) onProgress('tensors', i + 1, weights.length, i, weights.length);
+  }
+
+  const present = new Set(weights.map(f => f.name));
+  const missingShards = expected ? expected.filter(name => !present.has(name)) : [];
+
+  const tensors = [];
+  for (const shard of shards) {
+    for (const t of shard.tensors) {
+      t.file = shard.file;
+      t.dataOffset = shard.tensorDataOffset;
+      tensors.push(t);
+    }
+  }
+
+  const config = configFile ? JSON.parse(await configFile.text()) : null;
+  const { metadata, metadataTypes } = buildMetadata(shards[0].metadata, config, tensors);
+
+  return {
+    format: 'safetensors',
+    metadata,
+    metadataTypes,
+    tensors,
+    tensorDataOffset: shards[0].tensorDataOffset,
+    version: null,
+    tensorCount: tensors.length,
+    alignment: 1,
+    littleEndian: true,
+    shards,
+    splitCount: expected ? expected.length : shards.length,
+    missingShards,
+  };
+}
+
+/**
+ * GGUF-style metadata for a checkpoint: general.* and <arch>.* keys from
+ * config.json (falling back to what the tensor shapes reveal), plus the
+ * safetensors __metadata__ strings under safetensors.*.
+ */
+function buildMetadata(headerMetadata, config, tensors) {
+  const metadata = {};
+  const metadataTypes = {};
+  const set = (key, value, type) => {
+    if (value === undefined || value === null || Number.isNaN(value)) return;
+    metadata[key] = value;
+    metadataTypes[key] = type;
+  };
+  // JSON doesn't keep 10000.0 apart from 10000, so float keys are listed
+  const setNumber = (key, value) => {
+    if (typeof value !== 'number') return;
+    const isFloat = FLOAT_KEYS.some(k => key.endsWith(k)) || !Number.isInteger(value) || value < 0;
+    set(key, value, isFloat ? GGUFValueType.FLOAT32 : GGUFValueType.UINT32);
+  };
+
+  // Multimodal configs keep the language model's fields in text_config
+  const c = config ? { ...config, ...config.text_config } : {};
+  const arch = c.model_type || 'unknown';
+  set('general.architecture', arch, GGUFValueType.STRING);
+  set('general.name', c._name_or_path || c.architectures?.[0], GGUFValueType.STRING);
+
+  // general.file_type is the format most of the weights are stored in
+  const bytesByDtype = {};
+  for (const t of tensors) bytesByDtype[t.dtype] = (bytesByDtype[t.dtype] || 0) + t.dataSize;
+  const mainDtype = Object.keys(bytesByDtype).sort((a, b) => bytesByDtype[b] - bytesByDtype[a])[0];
+  setNumber('general.file_type', DTYPE_FILE_TYPE[mainDtype]);
+
+  for (const [key, fields] of CONFIG_KEYS) {
+    const field = fields.find(f => typeof c[f] === 'number');
+    if (field) setNumber(`${arch}.${key}`, c[field]);
+  }
+  // Qwen2-style configs carry a window they don't use
+  if (typeof c.sliding_window === 'number' && c.use_sliding_window !== false) {
+    setNumber(`${arch}.attention.sliding_window`, c.sliding_window);
+  }
+  if (c.rope_scaling && typeof c.rope_scaling === 'object') {
+    const type = c.rope_scaling.rope_type || c.rope_scaling.type;
+    if (type) set(`${arch}.rope.scaling.type`, type, GGUFValueType.STRING);
+    setNumber(`${arch}.rope.scaling.factor`, c.rope_scaling.factor);
+    setNumber(`${arch}.rope.scaling.original_context_length`, c.rope_scaling.original_max_position_embeddings);
+  }
+
+  // Without a config, recover what the shapes tell us
+  const infer = (key, value) => {
+    if (metadata[`${arch}.${key}`] === undefined && value > 0) setNumber(`${arch}.${key}`, value);
+  };
+  let blocks = 0, embd = null, ffn = null;
+  for (const t of tensors) {
+    const cls = classifyTensor(t.name, arch);
+    if (cls.layerIdx >= 0) blocks = Math.max(blocks, cls.layerIdx + 1);
+    if (cls.category === 'embedding' && !embd) embd = t;
+    if (cls.category === 'ffn_up' && cls.expertIdx < 0 && !ffn) ffn = t;
+  }
+  infer('block_count', blocks);
+  if (embd && embd.dims.length === 2) {
+    infer('embedding_length', embd.dims[0]);
+    infer('vocab_size', embd.dims[1]);
+  }
+  if (ffn && ffn.dims.length === 2) infer('feed_forward_length', ffn.dims[1]);
+
+  for (const [key, value] of Object.entries(headerMetadata)) {
+    set(`safetensors.${key}`, String(value), GGUFValueType.STRING);
+  }
+
+  return { metadata, metadataTypes };
+}
@@ -0,0 +1,45 @@
+/**
+ * Web Worker for full-tensor statistics.
+ * Streams every element of the requested tensors through the dequantizers
+ * off the main thread, for their statistics or (kind 'outliers') their
+ * outliers. A { type: 'cancel' } message stops the scan at the next chunk;
+ * results for tensors finished so far have already been posted.
+ */
+
+import { scanTensors } from './tensor-stats.js';
+import { scanOutliers } from './outlier-detector.js';
+
+// Progress messages are throttled to roughly this interval
+const PROGRESS_INTERVAL_MS = 100;
+
+let cancelled = false;
+
+self.onmessage = async function (e) {
+  const msg = e.data;
+  if (msg.type === 'cancel') {
+    cancelled = true;
+    return;
+  }
+  if (msg.type !== 'scan') return;
+
+  cancelled = false;
+  let lastProgress = 0;
+
+  const callbacks = {
+    onProgress: (done, total, name) => {
+      const now = Date.now();
+      if (now - lastProgress < PROGRESS_INTERVAL_MS && done < total) return;
+      lastProgress = now;
+      self.postMessage({ type: 'progress', done, total, name });
+    },
+    onStats: (name, stats, error) => {
+      self.postMessage({ type: 'stats', name, stats, error });
+    },
+    isCancelled: () => cancelled,
+  };
+  const completed = msg.kind === 'outliers'
+    ? await scanOutliers(msg.file, msg.tensorDataOffset, msg.tensors, msg.options, callbacks)
+    : await scanTensors(msg.file, msg.tensorDataOffset, msg.tensors, callbacks);
+
+  self.postMessage({ type: 'done', completed });
+};
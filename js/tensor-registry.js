@@ -0,0 +1,267 @@
+/**
+ * Tensor Classification Registry
+ * Maps GGUF tensor names to the category they are laid out, coloured and
+ * grouped by, and to the role they play in the data flow drawn between
+ * them. Names are matched exactly — without the `enc.` / `dec.` and
+ * `blk.N.` prefixes, expert index and `.weight` / `.bias` suffix — first
+ * against the overrides of the file's architecture, then against the
+ * names shared by all architectures. A name ending in `*` matches
+ * everything it prefixes. Unknown names fall back to their attention, FFN
+ * or norm family.
+ */
+
+import { hfToGGUFName } from './hf-tensor-names.js';
+
+// ─── Data-flow roles ────────────────────────────────────────────────
+//
+// Inside a block, connections follow the roles in this order (see
+// generateConnections in point-cloud.js):
+//
+//   attn_norm → attn_in → attn_out [→ attn_post_norm]
+//     [→ cross_norm → cross_q, with cross_kv from the encoder → cross_out] → ffn_norm
+//     (MLA: attn_norm → q_down → q_up and kv_down → kv_up, then → attn_out)
+//     (SSM: attn_norm → ssm_in → ssm_conv [→ ssm_x] [→ ssm_dt] [→ ssm_norm] → ssm_out)
+//     (RWKV: attn_norm → time_mix_in → time_mix_norm → time_mix_out)
+//     → ffn_in → ffn_out                (dense FFN, or one unpacked expert)
+//     → router → experts_in → experts_out   (packed experts)
+//     → shared_in → shared_out          (shared experts)
+//     [→ ffn_post_norm] → next block
+//
+// Whole-model tensors are `input` (embeddings), `input_norm`, `output_norm`
+// and `output`; a multimodal projector's are `projector`, in the order they
+// are laid out. A null role is drawn but not connected: q/k norms, RoPE
+// factors. Biases and scales share the role of their weight.
+
+// ─── Names shared by all architectures ──────────────────────────────
+// base name -> [category, role]
+
+const GENERIC_TENSORS = {
+  // Whole-model tensors
+  'token_embd':          ['embedding', 'input'],
+  'tok_embd':            ['embedding', 'input'],
+  'position_embd':       ['aux_embedding', 'input'],
+  'token_types':         ['aux_embedding', 'input'],
+  'token_embd_norm':     ['norm', 'input_norm'],
+  'output_norm':         ['output_norm', 'output_norm'],
+  'result_norm':         ['output_norm', 'output_norm'],
+  'output':              ['output', 'output'],
+  'lm_head':             ['output', 'output'],
+  'cls':                 ['output', 'output'],
+  'cls.output':          ['output', 'output'],
+  'rope_freqs':          ['rope', null],
+  'rope_factors_long':   ['rope', null],
+  'rope_factors_short':  ['rope', null],
+
+  // Attention
+  'attn_norm':           ['attn_norm', 'attn_norm'],
+  'attn_q':              ['attn_q', 'attn_in'],
+  'attn_k':              ['attn_k', 'attn_in'],
+  'attn_v':              ['attn_v', 'attn_in'],
+  'attn_qkv':            ['attn_qkv', 'attn_in'],
+  'attn_output':         ['attn_out', 'attn_out'],
+  'attn_o':              ['attn_out', 'attn_out'],
+  'attn_rel_b':          ['attn_other', null],
+  'attn_q_norm':         ['attn_qk_norm', null],
+  'attn_k_norm':         ['attn_qk_norm', null],
+  'attn_rot_embd':       ['rope', null],
+  'attn_sinks':          ['attn_other', null],
+
+  // Multi-head latent attention (DeepSeek V2/V3, MiniCPM3): queries and
+  // keys/values go through low-rank projections with a norm in between
+  'attn_q_a':            ['attn_q_a', 'q_down'],
+  'attn_q_a_norm':       ['attn_qk_norm', null],
+  'attn_q_b':            ['attn_q_b', 'q_up'],
+  'attn_kv_a_mqa':       ['attn_kv_a', 'kv_down'],
+  'attn_kv_a_norm':      ['attn_qk_norm', null],
+  'attn_kv_b':           ['attn_kv_b', 'kv_up'],
+  'attn_k_b':            ['attn_kv_b', 'kv_up'],
+  'attn_v_b':            ['attn_kv_b', 'kv_up'],
+
+  // Cross-attention of encoder–decoder models (T5): queries from the
+  // decoder, keys and values from the encoder's output
+  'cross_attn_norm':     ['cross_attn_norm', 'cross_norm'],
+  'cross_attn_q':        ['cross_attn_q', 'cross_q'],
+  'cross_attn_k':        ['cross_attn_k', 'cross_kv'],
+  'cross_attn_v':        ['cross_attn_v', 'cross_kv'],
+  'cross_attn_o':        ['cross_attn_out', 'cross_out'],
+  'cross_attn_rel_b':    ['cross_attn_q', null],
+
+  // Norms outside the pre-norm pair
+  'post_attention_norm': ['post_norm', 'attn_post_norm'],
+  'attn_output_norm':    ['post_norm', 'attn_post_norm'],
+  'post_ffw_norm':       ['post_norm', 'ffn_post_norm'],
+  'layer_output_norm':   ['post_norm', 'ffn_post_norm'],
+  'attn_norm_2':         ['norm', null],
+  'attn_sub_norm':       ['norm', null],
+  'ffn_sub_norm':        ['norm', null],
+
+  // Dense FFN; with an expert index, one expert of an unpacked MoE
+  'ffn_norm':            ['ffn_norm', 'ffn_norm'],
+  'ffn_norm_exps':       ['ffn_norm', 'ffn_norm'],
+  'ffn_gate':            ['ffn_gate', 'ffn_in'],
+  'ffn_up':              ['ffn_up', 'ffn_in'],
+  'ffn_down':            ['ffn_down', 'ffn_out'],
+
+  // Mixture of experts: router, packed experts and shared experts
+  'ffn_gate_inp':        ['moe_gate', 'router'],
+  'exp_probs_b':         ['moe_gate', null],
+  'ffn_gate_inp_shexp':  ['moe_gate', null],
+  'ffn_gate_exps':       ['moe_expert_gate', 'experts_in'],
+  'ffn_up_exps':         ['moe_up', 'experts_in'],
+  'ffn_down_exps':       ['moe_down', 'experts_out'],
+  'ffn_gate_shexp':      ['shexp_gate', 'shared_in'],
+  'ffn_up_shexp':        ['shexp_up', 'shared_in'],
+  'ffn_down_shexp':      ['shexp_down', 'shared_out'],
+
+  // State-space blocks (Mamba 1/2 and the recurrent layers of Jamba,
+  // Granite hybrids, Falcon-H1, ...): in projection, causal conv, the
+  // x (B, C, Δ) and Δ projections of Mamba 1, the scan's A and D
+  'ssm_in':              ['ssm_in', 'ssm_in'],
+  'ssm_conv1d':          ['ssm_conv', 'ssm_conv'],
+  'ssm_x':               ['ssm_x', 'ssm_x'],
+  'ssm_dt':              ['ssm_dt', 'ssm_dt'],
+  'ssm_a':               ['ssm_state', null],
+  'ssm_d':               ['ssm_state', null],
+  'ssm_norm':            ['ssm_norm', 'ssm_norm'],
+  'ssm_dt_norm':         ['ssm_norm', null],
+  'ssm_b_norm':          ['ssm_norm', null],
+  'ssm_c_norm':          ['ssm_norm', null],
+  'ssm_out':             ['ssm_out', 'ssm_out'],
+  // LFM2's gated short convolutions follow the same in → conv → out path
+  'shortconv.in_proj':   ['ssm_in', 'ssm_in'],
+  'shortconv.conv':      ['ssm_conv', 'ssm_conv'],
+  'shortconv.out_proj':  ['ssm_out', 'ssm_out'],
+
+  // RWKV 6/7 time mixing (the attention replacement): receptance, key,
+  // value and gate projections, low-rank (LoRA) decay and token-shift
+  // adapters, per-channel mixing vectors, and the group norm before output
+  'time_mix_receptance': ['time_mix_r', 'time_mix_in'],
+  'time_mix_key':        ['time_mix_k', 'time_mix_in'],
+  'time_mix_value':      ['time_mix_v', 'time_mix_in'],
+  'time_mix_gate':       ['time_mix_g', 'time_mix_in'],
+  'time_mix_w1':         ['time_mix_lora', null],
+  'time_mix_w2':         ['time_mix_lora', null],
+  'time_mix_decay_w1':   ['time_mix_lora', null],
+  'time_mix_decay_w2':   ['time_mix_lora', null],
+  'time_mix_a1':         ['time_mix_lora', null],
+  'time_mix_a2':         ['time_mix_lora', null],
+  'time_mix_v1':         ['time_mix_lora', null],
+  'time_mix_v2':         ['time_mix_lora', null],
+  'time_mix_g1':         ['time_mix_lora', null],
+  'time_mix_g2':         ['time_mix_lora', null],
+  'time_mix_*':          ['rwkv_param', null],
+  'time_mix_ln':         ['time_mix_norm', 'time_mix_norm'],
+  'time_mix_output':     ['time_mix_out', 'time_mix_out'],
+  // RWKV channel mixing (the FFN replacement)
+  'channel_mix_key':         ['channel_mix_key', 'ffn_in'],
+  'channel_mix_receptance':  ['channel_mix_receptance', 'ffn_in'],
+  'channel_mix_value':       ['channel_mix_value', 'ffn_out'],
+  'channel_mix_*':           ['rwkv_param', null],
+};
+
+// ─── Per-architecture overrides ─────────────────────────────────────
+// `general.architecture` -> { base name -> [category, role] }
+
+const ARCH_TENSORS = {
+  // Multimodal projectors (mmproj): a ViT-style encoder under `v.` (or a
+  // Whisper-style one under `a.`) and the projector into the language
+  // model's embedding space under `mm.` (`resampler.` for MiniCPM-V)
+  'clip': {
+    'v.patch_embd':           ['patch_embd', 'input'],
+    'a.conv1d.*':             ['patch_embd', 'input'],
+    'v.position_embd':        ['aux_embedding', 'input'],
+    'a.position_embd':        ['aux_embedding', 'input'],
+    'v.class_embd':           ['aux_embedding', null],
+    'v.token_embd.img_break': ['aux_embedding', null],
+    'model.image_newline':    ['aux_embedding', null],
+    'v.pre_ln':               ['norm', 'input_norm'],
+    'v.post_ln':              ['output_norm', 'output_norm'],
+    'a.post_ln':              ['output_norm', 'output_norm'],
+    'ln1':                    ['attn_norm', 'attn_norm'],
+    'ln2':                    ['ffn_norm', 'ffn_norm'],
+    'attn_out':               ['attn_out', 'attn_out'],
+    'ls1':                    ['layer_scale', 'attn_post_norm'],
+    'ls2':                    ['layer_scale', 'ffn_post_norm'],
+    'mm.*':                   ['projector', 'projector'],
+    'resampler.*':            ['projector', 'projector'],
+  },
+  // Falcon 40B normalises the FFN input with its own norm (ln_mlp)
+  'falcon': {
+    'attn_norm_2':      ['ffn_norm', 'ffn_norm'],
+  },
+  // DBRX's second norm (norm_2) feeds the experts rather than following attention
+  'dbrx': {
+    'attn_output_norm': ['ffn_norm', 'ffn_norm'],
+  },
+  // RWKV's second norm (ln2) feeds channel mixing
+  'rwkv6': {
+    'attn_norm_2':      ['ffn_norm', 'ffn_norm'],
+  },
+  'rwkv7': {
+    'attn_norm_2':      ['ffn_norm', 'ffn_norm'],
+  },
+};
+
+// Own entries only, so names like `constructor` don't hit Object.prototype;
+// then the longest `prefix*` entry
+function lookup(table, key) {
+  if (!table) return undefined;
+  if (Object.hasOwn(table, key)) return table[key];
+  let best = null;
+  for (const pattern of Object.keys(table)) {
+    if (pattern.endsWith('*') && key.startsWith(pattern.slice(0, -1)) &&
+        (best === null || pattern.length > best.length)) best = pattern;
+  }
+  return best === null ? undefined : table[best];
+}
+
+// Names neither table knows, by family
+function fallbackClass(base) {
+  if (base.includes('norm')) return ['norm', null];
+  if (base.includes('attn')) return ['attn_other', null];
+  if (base.includes('ffn')) return ['ffn_other', null];
+  return ['other', null];
+}
+
+/**
+ * Classify a tensor by its name. Hugging Face names (safetensors) are
+ * classified as their GGUF equivalents.
+ *
+ * @param {string} name
+ * @param {string} [arch] - general.architecture, for its overrides
+ * @returns {{ category: string, role: string|null, layerIdx: number, expertIdx: number, tower: string|null }}
+ *   layerIdx and expertIdx are -1 for tensors outside the blocks / experts;
+ *   tower is 'encoder' for the encoder stack of encoder–decoder models
+ *   (`enc.`), whose layers are numbered apart from the decoder's
+ */
+export function classifyTensor(name, arch) {
+  // Qwen2-VL's second patch embedding is stored as v.patch_embd.weight.1
+  let base = (hfToGGUFName(name) || name).toLowerCase().replace(/\.(?:weight|bias|scale)(?:\.\d+)?$/, '');
+
+  // Encoder–decoder models: the decoder is the main stack
+  let tower = null;
+  const stack = base.match(/^(enc|dec)\.(.+)$/);
+  if (stack) {
+    if (stack[1] === 'enc') tower = 'encoder';
+    base = stack[2];
+  }
+
+  let layerIdx = -1;
+  const block = base.match(/(?:^|\.)blk\.(\d+)\.(.+)$/);
+  if (block) {
+    layerIdx = parseInt(block[1]);
+    base = block[2];
+  }
+
+  // Unpacked experts: blk.N.ffn_gate.E
+  let expertIdx = -1;
+  const expert = block && base.match(/^(.+)\.(\d+)$/);
+  if (expert) {
+    expertIdx = parseInt(expert[2]);
+    base = expert[1];
+  }
+
+  const [category, role] = lookup(lookup(ARCH_TENSORS, arch), base)
+    || lookup(GENERIC_TENSORS, base) || fallbackClass(base);
+  return { category, role, layerIdx, expertIdx, tower };
+}
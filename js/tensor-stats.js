@@ -0,0 +1,182 @@
+/**
+ * Tensor Statistics Scanner
+ * Runs computeTensorStats() — or, for an outlier scanner, the outlier
+ * search — over whole tensors in a background worker (main thread if
+ * workers are unavailable), reports progress, supports cancelling, and
+ * caches the results by tensor name for the loaded model.
+ */
+
+import { computeTensorStats, canScanType } from './gguf-parser.js';
+import { isLocalSource } from './byte-source.js';
+import { scanOutliers } from './outlier-detector.js';
+
+/**
+ * Scan `tensors` one after another. Used by stats-worker.js and by the
+ * main-thread fallback, so both report the same way.
+ *
+ * @param {File} file - The .gguf file (tensors of split models carry their own)
+ * @param {number} tensorDataOffset - Byte offset where tensor data starts
+ * @param {Array} tensors - Tensor infos to scan
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onProgress - (elementsDone, elementsTotal, tensorName)
+ * @param {Function} callbacks.onStats - (tensorName, stats | null, errorMessage?)
+ * @param {Function} callbacks.isCancelled - Polled between chunks
+ * @returns {Promise<boolean>} false if the scan was cancelled
+ */
+export async function scanTensors(file, tensorDataOffset, tensors, { onProgress, onStats, isCancelled }) {
+  const total = tensors.reduce((s, t) => s + t.numElements, 0);
+  let done = 0;
+
+  for (const tensor of tensors) {
+    if (isCancelled()) return false;
+    try {
+      const stats = await computeTensorStats(file, tensorDataOffset, tensor,
+        (n) => onProgress(done + n, total, tensor.name), isCancelled);
+      onStats(tensor.name, stats);
+    } catch (err) {
+      if (err.message === 'SCAN_CANCELLED') return false;
+      // Unreadable tensor (e.g. a truncated file); keep going with the rest
+      onStats(tensor.name, null, err.message);
+    }
+    done += tensor.numElements;
+    onProgress(done, total, tensor.name);
+  }
+  return true;
+}
+
+export class TensorStatsScanner {
+  /**
+   * @param {string} [kind='stats'] - 'stats' for computeTensorStats(), 'outliers'
+   *   for findTensorOutliers() (outlier-detector.js)
+   */
+  constructor(kind = 'stats') {
+    this.kind = kind;
+    this.stats = new Map();   // tensor name -> stats (or outliers)
+    this.errors = new Map();  // tensor name -> message
+    this.job = null;          // { cancel() } while a scan is running
+    this.generation = 0;      // bumped by reset() so late results are dropped
+  }
+
+  get scanning() {
+    return this.job !== null;
+  }
+
+  /** Forget all results (a new model was loaded) and stop any running scan. */
+  reset() {
+    this.cancel();
+    this.job = null;
+    this.generation++;
+    this.stats.clear();
+    this.errors.clear();
+  }
+
+  cancel() {
+    if (this.job) this.job.cancel();
+  }
+
+  /** The tensors of `tensors` a scan would read: not cached yet and decodable. */
+  pending(tensors) {
+    return tensors.filter(t => !this.stats.has(t.name) && canScanType(t.type));
+  }
+
+  /**
+   * Scan every tensor in `tensors` that isn't cached yet and can be decoded.
+   * Only one scan runs at a time; starting another cancels the first,
+   * unless it has nothing to scan.
+   *
+   * @param {File} file - The .gguf file (tensors of split models carry their own)
+   * @param {number} tensorDataOffset - Byte offset where tensor data starts
+   * @param {Array} tensors - Tensor infos to scan
+   * @param {Function} [onProgress] - (elementsDone, elementsTotal, tensorName)
+   * @param {Function} [onStats] - (tensorName, stats) as each tensor finishes
+   * @param {Object} [options] - outlier search options (see findTensorOutliers())
+   * @returns {Promise<boolean>} false if the scan was cancelled
+   */
+  async scan(file, tensorDataOffset, tensors, onProgress, onStats, options) {
+    const todo = this.pending(tensors);
+    if (todo.length === 0) return true;
+    this.cancel();
+
+    const generation = this.generation;
+    const callbacks = {
+      onProgress: onProgress || (() => {}),
+      onStats: (name, stats, error) => {
+        if (generation !== this.generation) return;
+        if (stats) this.stats.set(name, stats);
+        else if (error) this.errors.set(name, error);
+        if (onStats) onStats(name, stats);
+      },
+    };
+
+    // Shared by both paths so a cancel issued while falling back still counts
+    const state = { cancelled: false };
+    const job = { cancel: () => { state.cancelled = true; } };
+    this.job = job;
+    let completed;
+    try {
+      // Remote sources can't be posted to a worker
+      if (!isLocalSource(file) || !todo.every(t => !t.file || isLocalSource(t.file))) {
+        throw new Error('remote files are read on the main thread');
+      }
+      completed = await this._scanInWorker(file, tensorDataOffset, todo, options, callbacks, state);
+    } catch (workerErr) {
+      console.warn('[Stats] Scanning on main thread:', workerErr.message);
+      if (!this.job && generation === this.generation) this.job = job;
+      const mainThread = { ...callbacks, isCancelled: () => state.cancelled };
+      completed = this.kind === 'outliers'
+        ? await scanOutliers(file, tensorDataOffset, todo, options, mainThread)
+        : await scanTensors(file, tensorDataOffset, todo, mainThread);
+      if (this.job === job) this.job = null;
+    }
+    return completed;
+  }
+
+  _scanInWorker(file, tensorDataOffset, tensors, options, { onProgress, onStats }, state) {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(new URL('./stats-worker.js', import.meta.url), { type: 'module' });
+      } catch (_) {
+        // Worker creation failed (e.g. file:// protocol) — reject to trigger fallback
+        return reject(new Error('Worker unavailable'));
+      }
+
+      let started = false;
+      const job = {
+        // The worker stops at its next chunk and reports what it finished
+        cancel: () => {
+          state.cancelled = true;
+          worker.postMessage({ type: 'cancel' });
+        },
+      };
+      this.job = job;
+
+      const finish = () => {
+        worker.terminate();
+        if (this.job === job) this.job = null;
+      };
+
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        started = true;
+        if (msg.type === 'progress') {
+          onProgress(msg.done, msg.total, msg.name);
+        } else if (msg.type === 'stats') {
+          onStats(msg.name, msg.stats, msg.error);
+        } else if (msg.type === 'done') {
+          finish();
+          resolve(msg.completed);
+        }
+      };
+
+      worker.onerror = (e) => {
+        finish();
+        // Before the first message this is a module load failure: fall back
+        if (!started) reject(new Error(e.message || 'Worker error'));
+        else resolve(false);
+      };
+
+      worker.postMessage({ type: 'scan', kind: this.kind, options, file, tensorDataOffset, tensors });
+    });
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Vocabulary Explorer
+ * Sidebar browser for the tokenizer stored in a GGUF header: every token
+ * with its id, score and type, and the BPE merge list. Token text is shown
+ * decoded (GPT-2 byte-level and SentencePiece markers undone) with
+ * whitespace and raw bytes made visible. Lists are virtualised, so a
+ * 256k-token vocab renders only the rows in view.
+ */
+
+import { loadMetadataArray } from './gguf-parser.js';
+
+// Pixel height of one list row (matches .vocab-row in index.html)
+const ROW_HEIGHT = 18;
+
+// Rows rendered above and below the visible window
+const OVERSCAN = 10;
+
+// tokenizer.ggml.token_type values (llama.cpp llama_token_type)
+const TOKEN_TYPES = {
+  1: 'normal', 2: 'unknown', 3: 'control', 4: 'user', 5: 'unused', 6: 'byte',
+};
+
+const KIND_FILTERS = {
+  all: () => true,
+  special: (v, id) => v.specialRoles.has(id),
+  control: (v, id) => v.types?.[id] === 3,
+  user: (v, id) => v.types?.[id] === 4,
+  byte: (v, id) => v.isByte[id] === 1,
+};
+
+// Whitespace and control characters, drawn as visible symbols
+const VISIBLE_CHARS = { ' ': '␣', '\n': '↵', '\t': '⇥', '\r': '␍' };
+
+// GPT-2 byte-level BPE maps each byte to a printable character; this is
+// the inverse of its bytes_to_unicode() table.
+const BYTE_DECODER = (() => {
+  const map = new Map();
+  const printable = (b) => (b >= 33 && b <= 126) || (b >= 161 && b <= 172) || (b >= 174 && b <= 255);
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    map.set(String.fromCharCode(printable(b) ? b : 256 + extra++), b);
+  }
+  return map;
+})();
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+const hexByte = (b) => `<0x${b.toString(16).toUpperCase().padStart(2, '0')}>`;
+
+/**
+ * Decode one vocab entry to { text, bytes }: `text` is the string the token
+ * stands for, `bytes` is true when it is a raw byte (or an incomplete UTF-8
+ * sequence) rather than text. Raw bytes come back as <0xNN> runs.
+ */
+function decodeToken(token, model) {
+  if (model === 'gpt2') {
+    const bytes = [];
+    for (const ch of token) {
+      const b = BYTE_DECODER.get(ch);
+      if (b === undefined) return { text: token, bytes: false }; // added token, stored verbatim
+      bytes.push(b);
+    }
+    try {
+      return { text: utf8.decode(new Uint8Array(bytes)), bytes: false };
+    } catch (_) {
+      return { text: bytes.map(hexByte).join(''), bytes: true };
+    }
+  }
+  if (model === 'llama') {
+    if (/^<0x[0-9A-Fa-f]{2}>$/.test(token)) return { text: token, bytes: true };
+    return { text: token.replace(/▁/g, ' '), bytes: false };
+  }
+  return { text: token, bytes: false };
+}
+
+/** Token text as HTML, with whitespace/control characters and byte runs highlighted. */
+function visibleHtml(text) {
+  let html = '';
+  for (const part of text.split(/(<0x[0-9A-F]{2}>|[\s\x00-\x1f\x7f])/)) {
+    if (!part) continue;
+    if (part.startsWith('<0x') && part.length === 6) {
+      html += `<span class="v-byte">${escapeHtml(part)}</span>`;
+    } else if (part.length === 1 && /[\s\x00-\x1f\x7f]/.test(part)) {
+      const code = part.charCodeAt(0);
+      const symbol = VISIBLE_CHARS[part] ||
+        (code < 0x80 ? hexByte(code) : `U+${code.toString(16).toUpperCase().padStart(4, '0')}`);
+      html += `<span class="v-ws">${escapeHtml(symbol)}</span>`;
+    } else {
+      html += escapeHtml(part);
+    }
+  }
+  return html || '<span class="v-ws">∅</span>';
+}
+
+function formatScore(score) {
+  if (score === undefined) return '';
+  return Number.isInteger(score) ? String(score) : score.toFixed(4);
+}
+
+export class VocabExplorer {
+  /**
+   * @param {Object} els - { section, count, info, tabs, filter, kind, list } DOM elements;
+   *   `tabs` holds buttons with data-view="tokens" / "merges"
+   */
+  constructor(els) {
+    this.els = els;
+    this.vocab = null;      // { model, tokens, display, isByte, scores, types, merges, specialRoles }
+    this.view = 'tokens';
+    this.matches = [];      // indices into tokens or merges passing the filters
+    this.generation = 0;    // bumped per load so a slow read can't overwrite a newer model
+    this.frame = 0;
+
+    this.spacer = document.createElement('div');
+    this.spacer.className = 'vocab-spacer';
+    els.list.appendChild(this.spacer);
+
+    els.filter.addEventListener('input', () => this._applyFilter());
+    els.kind.addEventListener('change', () => this._applyFilter());
+    els.tabs.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-view]');
+      if (button && !button.disabled) this._setView(button.dataset.view);
+    });
+    els.list.addEventListener('scroll', () => {
+      if (!this.frame) this.frame = requestAnimationFrame(() => this._renderRows());
+    });
+  }
+
+  /**
+   * Read the tokenizer arrays of `header` from `file` (the first shard for
+   * split models) and show them. Hides the section when the header has no
+   * vocabulary, e.g. safetensors checkpoints.
+   */
+  async load(header, file) {
+    const generation = ++this.generation;
+    const { metadata } = header;
+    this.vocab = null;
+    this.matches = [];
+
+    if (!metadata['tokenizer.ggml.tokens']) {
+      this.els.section.style.display = 'none';
+      return;
+    }
+    this.els.section.style.display = '';
+    this.els.count.textContent = '';
+    this.els.info.textContent = 'Loading vocabulary...';
+    this.els.filter.value = '';
+    this.els.kind.value = 'all';
+    this._setView('tokens', false);
+    this._renderRows();
+
+    let tokens, scores, types, merges;
+    try {
+      [tokens, scores, types, merges] = await Promise.all([
+        loadMetadataArray(file, metadata['tokenizer.ggml.tokens']),
+        loadMetadataArray(file, metadata['tokenizer.ggml.scores']),
+        loadMetadataArray(file, metadata['tokenizer.ggml.token_type']),
+        loadMetadataArray(file, metadata['tokenizer.ggml.merges']),
+      ]);
+    } catch (err) {
+      if (generation === this.generation) this.els.info.textContent = `Could not read the vocabulary: ${err.message}`;
+      return;
+    }
+    if (generation !== this.generation) return;
+
+    const model = metadata['tokenizer.ggml.model'] || 'unknown';
+    const display = new Array(tokens.length);
+    const isByte = new Uint8Array(tokens.length);
+    for (let i = 0; i < tokens.length; i++) {
+      const { text, bytes } = decodeToken(tokens[i], model);
+      display[i] = text;
+      if (bytes || types?.[i] === 6) isByte[i] = 1;
+    }
+
+    // bos/eos/pad/... ids, from tokenizer.ggml.<role>_token_id
+    const specialRoles = new Map();
+    for (const [key, value] of Object.entries(metadata)) {
+      const m = key.match(/^tokenizer\.ggml\.(\w+)_token_id$/);
+      if (m && typeof value === 'number' && value >= 0 && value < tokens.length) {
+        specialRoles.set(value, [...(specialRoles.get(value) || []), m[1]]);
+      }
+    }
+
+    this.vocab = { model, tokens, display, isByte, scores, types, merges: merges || [], specialRoles, ids: null, mergeText: null };
+
+    const roles = [...specialRoles].sort((a, b) => a[0] - b[0])
+      .map(([id, names]) => `${names.join('/')} ${id}`);
+    this.els.count.textContent = `(${tokens.length.toLocaleString()})`;
+    this.els.info.textContent = [`Model: ${model}`, ...roles].join(' · ');
+    this.els.tabs.querySelector('[data-view="merges"]').disabled = this.vocab.merges.length === 0;
+    this._applyFilter();
+  }
+
+  // ─── Filtering ───────────────────────────────────────────────────
+
+  _setView(view, apply = true) {
+    this.view = view;
+    for (const button of this.els.tabs.querySelectorAll('button[data-view]')) {
+      button.classList.toggle('active', button.dataset.view === view);
+    }
+    this.els.kind.disabled = view !== 'tokens';
+    this.els.filter.placeholder = view === 'tokens' ? 'Search tokens or ids...' : 'Search merges...';
+    if (apply) this._applyFilter();
+  }
+
+  _applyFilter() {
+    const v = this.vocab;
+    if (!v) return;
+    const query = this.els.filter.value.toLowerCase();
+    const matches = [];
+
+    if (this.view === 'tokens') {
+      const kind = KIND_FILTERS[this.els.kind.value] || KIND_FILTERS.all;
+      const id = /^\d+$/.test(query) ? parseInt(query, 10) : -1;
+      for (let i = 0; i < v.tokens.length; i++) {
+        if (!kind(v, i)) continue;
+        if (query && i !== id && !v.display[i].toLowerCase().includes(query) &&
+          !v.tokens[i].toLowerCase().includes(query)) continue;
+        matches.push(i);
+      }
+    } else {
+      if (!v.mergeText) v.mergeText = v.merges.map((_, i) => this._mergeText(i));
+      for (let i = 0; i < v.merges.length; i++) {
+        if (query && !v.mergeText[i].toLowerCase().includes(query) &&
+          !v.merges[i].toLowerCase().includes(query)) continue;
+        matches.push(i);
+      }
+    }
+
+    this.matches = matches;
+    const total = this.view === 'tokens' ? v.tokens.length : v.merges.length;
+    this.els.count.textContent = matches.length === total
+      ? `(${total.toLocaleString()})`
+      : `(${matches.length.toLocaleString()} of ${total.toLocaleString()})`;
+    this.els.list.scrollTop = 0;
+    this._renderRows();
+  }
+
+  // Merge rule decoded the same way as tokens: "left right"
+  _mergeText(i) {
+    const [left, right] = this._mergeParts(i);
+    return `${decodeToken(left, this.vocab.model).text} ${decodeToken(right, this.vocab.model).text}`;
+  }
+
+  _mergeParts(i) {
+    const rule = this.vocab.merges[i];
+    const space = rule.indexOf(' ', 1);
+    const left = space < 0 ? rule : rule.slice(0, space);
+    const right = space < 0 ? '' : rule.slice(space + 1);
+    return [left, right];
+  }
+
+  // ─── Rendering ───────────────────────────────────────────────────
+
+  _renderRows() {
+    this.frame = 0;
+    const { list } = this.els;
+    this.spacer.style.height = `${this.matches.length * ROW_HEIGHT}px`;
+
+    const first = Math.max(0, Math.floor(list.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(this.matches.length, Math.ceil((list.scrollTop + list.clientHeight) / ROW_HEIGHT) + OVERSCAN);
+
+    let html = '';
+    for (let r = first; r < last; r++) {
+      const i = this.matches[r];
+      html += this.view === 'tokens' ? this._tokenRowHtml(i, r) : this._mergeRowHtml(i, r);
+    }
+    if (this.vocab && this.matches.length === 0) {
+      html = `<div class="vocab-empty">No matches</div>`;
+    }
+    this.spacer.innerHTML = html;
+  }
+
+  _tokenRowHtml(i, row) {
+    const v = this.vocab;
+    const roles = v.specialRoles.get(i);
+    const type = TOKEN_TYPES[v.types?.[i]] || '';
+    const tags = roles ? roles.join('/') : type !== 'normal' ? type : '';
+    return `<div class="vocab-row${roles ? ' special' : ''}" style="top:${row * ROW_HEIGHT}px" ` +
+      `title="${escapeHtml(v.tokens[i])}">` +
+      `<span class="v-id">${i}</span>` +
+      `<span class="v-text">${visibleHtml(v.display[i])}</span>` +
+      `<span class="v-type">${escapeHtml(tags)}</span>` +
+      `<span class="v-score">${formatScore(v.scores?.[i])}</span></div>`;
+  }
+
+  _mergeRowHtml(i, row) {
+    const v = this.vocab;
+    if (!v.ids) v.ids = new Map(v.tokens.map((t, id) => [t, id]));
+    const [left, right] = this._mergeParts(i);
+    const merged = v.ids.get(left + right);
+    const show = (t) => visibleHtml(decodeToken(t, v.model).text);
+    return `<div class="vocab-row" style="top:${row * ROW_HEIGHT}px" title="${escapeHtml(v.merges[i])}">` +
+      `<span class="v-id">${i}</span>` +
+      `<span class="v-text">${show(left)}<span class="v-plus">+</span>${show(right)}</span>` +
+      `<span class="v-score">${merged !== undefined ? `→ ${merged}` : ''}</span></div>`;
+  }
+}